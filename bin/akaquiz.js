@@ -0,0 +1,296 @@
+#!/usr/bin/env node
+/**
+ * Командная строка для авторов квизов. Работает без сети — только с файлами на диске:
+ *   akaquiz validate [файлы...]                    — ошибки и предупреждения в файлах
+ *   akaquiz stats [файлы...]                       — вопросы по типам и тегам, позиции ответов
+ *   akaquiz convert <вход> <выход>                 — преобразование форматов (.txt, .json;
+ *                                                    .gift и .aiken — только вход)
+ *   akaquiz merge <выход> <файлы...> [--title Т]   — объединение квизов в один
+ *   akaquiz split <файл> [--out папка]             — разделение на файлы по тегам вопросов
+ *   akaquiz shuffle-options <вход> <выход>         — выравнивание позиций правильных ответов
+ * Без списка файлов validate и stats обрабатывают все квизы папки quizzes
+ */
+const fs = require("fs");
+const path = require("path");
+const { lintQuizFile } = require("../src/utils/quizLinter");
+const { getFormat } = require("../src/utils/quizFormats");
+const { QUIZ_FILE_EXTENSIONS } = require("../src/utils/quizParser");
+const {
+  getQuizStats,
+  mergeQuizzes,
+  splitByTag,
+  rebalanceAnswers,
+} = require("../src/utils/quizTools");
+
+const QUIZZES_DIR = path.join(__dirname, "../quizzes");
+
+const TYPE_LABELS = {
+  single: "один ответ",
+  multiple: "несколько ответов",
+  truefalse: "верно/неверно",
+  numeric: "число",
+  text: "свободный ответ",
+  order: "порядок",
+  match: "пары",
+  poll: "опрос",
+};
+
+const USAGE = `Использование:
+  akaquiz validate [файлы...]
+  akaquiz stats [файлы...]
+  akaquiz convert <вход> <выход>
+  akaquiz merge <выход> <файлы...> [--title название]
+  akaquiz split <файл> [--out папка]
+  akaquiz shuffle-options <вход> <выход>`;
+
+/**
+ * Разбирает аргументы: позиционные и параметры вида "--имя значение"
+ * @param {Array<string>} args - аргументы после команды
+ * @returns {{positional: Array<string>, options: Object<string, string>}} аргументы
+ */
+function parseArgs(args) {
+  const positional = [];
+  const options = {};
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i].startsWith("--")) {
+      options[args[i].slice(2)] = args[i + 1];
+      i++;
+    } else {
+      positional.push(args[i]);
+    }
+  }
+
+  return { positional, options };
+}
+
+/**
+ * Получает файлы для обработки: из аргументов или все квизы папки quizzes
+ * @param {Array<string>} files - пути из командной строки
+ * @returns {Array<string>} пути к файлам
+ */
+function getQuizFiles(files) {
+  if (files.length > 0) {
+    return files;
+  }
+  return fs
+    .readdirSync(QUIZZES_DIR)
+    .filter((fileName) => QUIZ_FILE_EXTENSIONS.includes(path.extname(fileName)))
+    .sort()
+    .map((fileName) => path.join(QUIZZES_DIR, fileName));
+}
+
+/**
+ * Путь к файлу относительно текущей папки для вывода
+ * @param {string} file - путь к файлу
+ * @returns {string} относительный путь
+ */
+function displayPath(file) {
+  return path.relative(process.cwd(), path.resolve(file));
+}
+
+/**
+ * Читает квиз в формате, определённом по расширению файла
+ * @param {string} file - путь к файлу
+ * @returns {{header: Object, questions: Array}} квиз
+ */
+function readQuiz(file) {
+  return getFormat(file).read(fs.readFileSync(file, "utf-8"));
+}
+
+/**
+ * Записывает квиз в формате, определённом по расширению файла
+ * @param {string} file - путь к файлу
+ * @param {{header: Object, questions: Array}} quiz - квиз
+ */
+function writeQuiz(file, quiz) {
+  fs.writeFileSync(file, getFormat(file).write(quiz), "utf-8");
+  console.log(`Записан файл ${displayPath(file)}: вопросов — ${quiz.questions.length}`);
+}
+
+/**
+ * Проверяет файлы квизов. Ошибки выводятся в формате "файл:строка: уровень: сообщение"
+ * @returns {number} код выхода: 1, если есть ошибки
+ */
+function validate({ positional }) {
+  const files = getQuizFiles(positional);
+  let errorCount = 0;
+  let warningCount = 0;
+
+  for (const file of files) {
+    let result;
+    try {
+      result = lintQuizFile(path.basename(file), path.dirname(path.resolve(file)));
+    } catch (error) {
+      console.log(`${displayPath(file)}: ошибка: не удалось прочитать файл (${error.message})`);
+      errorCount++;
+      continue;
+    }
+
+    const issues = [
+      ...result.errors.map((issue) => ({ ...issue, level: "ошибка" })),
+      ...result.warnings.map((issue) => ({ ...issue, level: "предупреждение" })),
+    ].sort((a, b) => a.line - b.line);
+    for (const issue of issues) {
+      console.log(`${displayPath(file)}:${issue.line}: ${issue.level}: ${issue.message}`);
+    }
+    errorCount += result.errors.length;
+    warningCount += result.warnings.length;
+  }
+
+  console.log(
+    `Проверено файлов: ${files.length}, ошибок: ${errorCount}, предупреждений: ${warningCount}`,
+  );
+  return errorCount > 0 ? 1 : 0;
+}
+
+/**
+ * Выводит статистику квизов
+ * @returns {number} код выхода
+ */
+function stats({ positional }) {
+  for (const file of getQuizFiles(positional)) {
+    const { total, byType, tags, answerPositions } = getQuizStats(readQuiz(file).questions);
+    const answerTotal = answerPositions.reduce((sum, count) => sum + count, 0);
+
+    console.log(displayPath(file));
+    console.log(`  Вопросов: ${total}`);
+    console.log(
+      `  По типам: ${Object.entries(byType)
+        .map(([type, count]) => `${TYPE_LABELS[type] || type} — ${count}`)
+        .join(", ")}`,
+    );
+    if (Object.keys(tags).length > 0) {
+      console.log(
+        `  Теги: ${Object.entries(tags)
+          .map(([tag, count]) => `${tag} — ${count}`)
+          .join(", ")}`,
+      );
+    }
+    if (answerTotal > 0) {
+      console.log("  Позиции правильных ответов:");
+      answerPositions.forEach((count, index) => {
+        const percent = Math.round((count / answerTotal) * 100);
+        console.log(`    ${index + 1}: ${count} (${percent}%)`);
+      });
+    }
+  }
+  return 0;
+}
+
+/**
+ * Преобразует квиз в другой формат
+ * @returns {number} код выхода
+ */
+function convert({ positional }) {
+  const [input, output] = positional;
+  if (!input || !output) {
+    throw new Error("Укажите входной и выходной файлы: akaquiz convert <вход> <выход>");
+  }
+  // Формат результата проверяется до чтения входного файла
+  getFormat(output);
+  writeQuiz(output, readQuiz(input));
+  return 0;
+}
+
+/**
+ * Объединяет квизы в один файл
+ * @returns {number} код выхода
+ */
+function merge({ positional, options }) {
+  const [output, ...inputs] = positional;
+  if (!output || inputs.length === 0) {
+    throw new Error("Укажите выходной файл и квизы: akaquiz merge <выход> <файлы...>");
+  }
+  const header = options.title ? { title: options.title } : {};
+  writeQuiz(output, mergeQuizzes(inputs.map(readQuiz), header));
+  return 0;
+}
+
+/**
+ * Формирует часть имени файла из тега: строчные буквы и цифры через дефис
+ * @param {string} tag - тег
+ * @returns {string} часть имени файла
+ */
+function toFileSuffix(tag) {
+  return tag
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, "-")
+    .replace(/^-|-$/g, "");
+}
+
+/**
+ * Делит квиз на файлы по тегам вопросов: "имя-тег.txt"; вопросы без тегов —
+ * в файл "имя-без-тегов.txt"
+ * @returns {number} код выхода
+ */
+function split({ positional, options }) {
+  const [input] = positional;
+  if (!input) {
+    throw new Error("Укажите файл квиза: akaquiz split <файл> [--out папка]");
+  }
+
+  const quiz = readQuiz(input);
+  const extension = path.extname(input);
+  const baseName = path.basename(input, extension);
+  const outDir = options.out || path.dirname(input);
+  fs.mkdirSync(outDir, { recursive: true });
+
+  const parts = splitByTag(quiz.questions);
+  if (parts.length === 1 && parts[0].tag === null) {
+    throw new Error("В квизе нет вопросов с тегами: добавьте строки «Теги:» в вопросы");
+  }
+
+  for (const { tag, questions } of parts) {
+    const suffix = tag ? toFileSuffix(tag) : "без-тегов";
+    const header = { ...quiz.header };
+    if (header.title && tag) {
+      header.title = `${header.title}: ${tag}`;
+    }
+    writeQuiz(path.join(outDir, `${baseName}-${suffix}${extension}`), { header, questions });
+  }
+  return 0;
+}
+
+/**
+ * Переставляет варианты так, чтобы правильные ответы стояли на разных позициях
+ * равномерно. Выходной файл обязателен, чтобы исходный квиз не перезаписывался случайно
+ * @returns {number} код выхода
+ */
+function shuffleOptions({ positional }) {
+  const [input, output] = positional;
+  if (!input || !output) {
+    throw new Error("Укажите входной и выходной файлы: akaquiz shuffle-options <вход> <выход>");
+  }
+
+  const quiz = readQuiz(input);
+  writeQuiz(output, { ...quiz, questions: rebalanceAnswers(quiz.questions) });
+  return 0;
+}
+
+const COMMANDS = {
+  validate,
+  stats,
+  convert,
+  merge,
+  split,
+  "shuffle-options": shuffleOptions,
+};
+
+function main() {
+  const [command, ...args] = process.argv.slice(2);
+  if (!COMMANDS[command]) {
+    console.log(USAGE);
+    process.exitCode = command && command !== "help" ? 1 : 0;
+    return;
+  }
+
+  try {
+    process.exitCode = COMMANDS[command](parseArgs(args));
+  } catch (error) {
+    console.error(`Ошибка: ${error.message}`);
+    process.exitCode = 1;
+  }
+}
+
+main();
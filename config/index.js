@@ -48,6 +48,9 @@ function applyEnvironmentOverrides(config) {
   if (process.env.HOST) {
     envConfig.server.host = process.env.HOST;
   }
+  if (process.env.PUBLIC_URL) {
+    envConfig.server.publicUrl = process.env.PUBLIC_URL;
+  }
   if (process.env.NODE_ENV) {
     envConfig.environment = process.env.NODE_ENV;
   }
@@ -73,6 +76,28 @@ function applyEnvironmentOverrides(config) {
       10,
     );
   }
+  if (process.env.MULTIPLE_SCORING_MODE) {
+    envConfig.game.scoring.multipleMode = process.env.MULTIPLE_SCORING_MODE;
+  }
+  if (process.env.ORDER_SCORING_MODE) {
+    envConfig.game.scoring.orderMode = process.env.ORDER_SCORING_MODE;
+  }
+
+  // Rooms overrides
+  if (process.env.MAX_ROOMS) {
+    envConfig.rooms.maxRooms = parseInt(process.env.MAX_ROOMS, 10);
+  }
+  if (process.env.HOST_DISCONNECT_MODE) {
+    envConfig.rooms.hostDisconnectMode = process.env.HOST_DISCONNECT_MODE;
+  }
+
+  // Persistence overrides
+  if (process.env.STATE_STORE) {
+    envConfig.persistence.store = process.env.STATE_STORE;
+  }
+  if (process.env.DATA_DIR) {
+    envConfig.persistence.dataDir = process.env.DATA_DIR;
+  }
 
   // Paths overrides
   if (process.env.QUIZZES_PATH) {
@@ -106,6 +131,7 @@ function getDefaultConfig() {
     server: {
       port: 80,
       host: "0.0.0.0",
+      publicUrl: "",
       cors: {
         origin: "*",
         methods: ["GET", "POST"],
@@ -119,12 +145,28 @@ function getDefaultConfig() {
       maxPlayers: 100,
       shuffleQuestions: true,
       defaultQuestionCount: 10,
+      scoring: {
+        maxScore: 100,
+        minScore: 20,
+        multipleMode: "all",
+        orderMode: "exact",
+      },
+    },
+    rooms: {
+      maxRooms: 20,
+      pinLength: 6,
+      hostDisconnectMode: "pause",
+      hostReconnectTimeout: 300,
     },
     security: {
       hostPassword: "rty6tedde",
       maxLoginAttempts: 3,
       sessionTimeout: 3600000,
     },
+    persistence: {
+      store: "json",
+      dataDir: "./data",
+    },
     paths: {
       quizzes: "./quizzes",
       public: "./public",
@@ -194,6 +236,50 @@ function validateConfig(config) {
     );
   }
 
+  // Валидация game.scoring.multipleMode
+  if (!["all", "partial"].includes(config.game.scoring.multipleMode)) {
+    errors.push("game.scoring.multipleMode должен быть \"all\" или \"partial\"");
+  }
+
+  // Валидация game.scoring.orderMode
+  if (!["exact", "kendall"].includes(config.game.scoring.orderMode)) {
+    errors.push("game.scoring.orderMode должен быть \"exact\" или \"kendall\"");
+  }
+
+  // Валидация rooms.maxRooms
+  if (!Number.isInteger(config.rooms.maxRooms) || config.rooms.maxRooms <= 0) {
+    errors.push("rooms.maxRooms должен быть положительным целым числом");
+  }
+
+  // Валидация rooms.pinLength
+  if (
+    !Number.isInteger(config.rooms.pinLength) ||
+    config.rooms.pinLength < 4 ||
+    config.rooms.pinLength > 9
+  ) {
+    errors.push("rooms.pinLength должен быть целым числом от 4 до 9");
+  }
+
+  // Валидация rooms.hostDisconnectMode
+  if (!["pause", "continue"].includes(config.rooms.hostDisconnectMode)) {
+    errors.push("rooms.hostDisconnectMode должен быть \"pause\" или \"continue\"");
+  }
+
+  // Валидация rooms.hostReconnectTimeout
+  if (
+    !Number.isInteger(config.rooms.hostReconnectTimeout) ||
+    config.rooms.hostReconnectTimeout <= 0
+  ) {
+    errors.push(
+      "rooms.hostReconnectTimeout должен быть положительным целым числом",
+    );
+  }
+
+  // Валидация persistence.store
+  if (!["none", "json", "sqlite"].includes(config.persistence.store)) {
+    errors.push("persistence.store должен быть \"none\", \"json\" или \"sqlite\"");
+  }
+
   return {
     isValid: errors.length === 0,
     errors,
@@ -1,6 +1,7 @@
 /**
  * Клиентский скрипт для ведущего
  */
+/* global RichText, QuestionMedia */
 (function () {
   const socket = io();
 
@@ -17,7 +18,11 @@
   const leaderboardArea = document.getElementById("leaderboard-area");
   const analyticsArea = document.getElementById("analytics-area");
 
-  const quizSelect = document.getElementById("quiz-select");
+  const quizSearch = document.getElementById("quiz-search");
+  const quizSubjectFilter = document.getElementById("quiz-subject-filter");
+  const quizGradeFilter = document.getElementById("quiz-grade-filter");
+  const quizCards = document.getElementById("quiz-cards");
+  const quizCheckResult = document.getElementById("quiz-check-result");
   const loadBtn = document.getElementById("load-btn");
   const nextBtn = document.getElementById("next-btn");
   const qArea = document.getElementById("question-area");
@@ -25,6 +30,18 @@
   const statsCont = document.getElementById("stats-container");
   const playerNamesDiv = document.getElementById("player-names");
   const playerCountSpan = document.getElementById("player-count-badge");
+  const interruptedGames = document.getElementById("interrupted-games");
+  const interruptedList = document.getElementById("interrupted-list");
+
+  // Токен ведущего позволяет вернуться в игру после перезагрузки страницы
+  const HOST_TOKEN_KEY = "akaquizHostToken";
+
+  // Описания квизов с сервера и имя файла выбранного квиза
+  let quizzes = [];
+  let selectedQuizFile = null;
+
+  // Воспроизводить запись вопроса и на устройствах игроков (выбор сохраняется между вопросами)
+  let playMediaOnDevices = false;
 
   /**
    * Показывает ошибку
@@ -50,7 +67,9 @@
    */
   function showReconnectUI() {
     const existingOverlay = document.getElementById("reconnect-overlay");
-    if (existingOverlay) return;
+    if (existingOverlay) {
+      return;
+    }
 
     const overlay = document.createElement("div");
     overlay.id = "reconnect-overlay";
@@ -100,17 +119,76 @@
   };
 
   passwordInput.addEventListener("keypress", (e) => {
-    if (e.key === "Enter") submitBtn.click();
+    if (e.key === "Enter") {
+      submitBtn.click();
+    }
+  });
+
+  /**
+   * Возвращает кнопку входа в исходное состояние
+   */
+  function resetSubmitButton() {
+    submitBtn.innerHTML = "Войти";
+    submitBtn.disabled = false;
+  }
+
+  /**
+   * Показывает основной интерфейс ведущего
+   */
+  function showMainInterface() {
+    resetSubmitButton();
+    authScreen.classList.add("hidden");
+    mainInterface.classList.remove("hidden");
+    socket.emit("getQuizList");
+  }
+
+  /**
+   * Показывает игры, прерванные перезапуском сервера
+   * @param {Array<Object>} games - описания прерванных игр
+   */
+  function renderInterruptedGames(games) {
+    if (!games || games.length === 0) {
+      interruptedGames.classList.add("hidden");
+      interruptedList.innerHTML = "";
+      return;
+    }
+
+    interruptedList.innerHTML = games
+      .map(
+        (game) => `
+        <div class="interrupted-game">
+          <span><strong>${game.fileName}</strong> — PIN ${game.pin}, вопрос ${game.questionNumber} из ${game.totalQuestions}, игроков: ${game.players}</span>
+          <span>
+            <button class="btn primary" data-resume="${game.pin}">Продолжить</button>
+            <button class="btn secondary" data-discard="${game.pin}">Удалить</button>
+          </span>
+        </div>`,
+      )
+      .join("");
+    interruptedGames.classList.remove("hidden");
+  }
+
+  interruptedList.addEventListener("click", (e) => {
+    const { resume, discard } = e.target.dataset;
+    if (resume) {
+      socket.emit("resumeInterruptedGame", resume);
+    } else if (discard) {
+      socket.emit("discardInterruptedGame", discard);
+    }
   });
 
+  socket.on("interruptedGames", renderInterruptedGames);
+
   socket.on("hostAuthResult", (result) => {
     if (result.success) {
-      authScreen.classList.add("hidden");
-      mainInterface.classList.remove("hidden");
-      socket.emit("getQuizList");
+      localStorage.setItem(HOST_TOKEN_KEY, result.hostToken);
+      showMainInterface();
+      renderInterruptedGames(result.interruptedGames);
     } else {
       if (result.reason === "already_host") {
         showError("Ведущий уже подключён!");
+      } else if (result.reason === "too_many_rooms") {
+        showError("Достигнут лимит одновременных комнат. Попробуйте позже.");
       } else if (result.reason === "server_config_error") {
         showError("Ошибка конфигурации сервера. Обратитесь к администратору.");
       } else {
@@ -123,22 +201,214 @@
 
   // === События ===
 
-  socket.on("quizList", (files) => {
-    quizSelect.innerHTML = files.map((f) => `<option value="${f}">${f}</option>`).join("");
+  // === Выбор квиза ===
+
+  // Значки медиафайлов в карточке квиза
+  const MEDIA_ICONS = [
+    { key: "images", icon: "🖼️", title: "Картинки" },
+    { key: "audio", icon: "🔊", title: "Аудио" },
+    { key: "video", icon: "🎬", title: "Видео" },
+  ];
+
+  /**
+   * Заполняет фильтр значениями из описаний квизов, сохраняя выбранное значение
+   */
+  function fillQuizFilter(select, allLabel, values) {
+    const current = select.value;
+    const unique = Array.from(new Set(values.filter(Boolean))).sort();
+    select.innerHTML =
+      `<option value="">${allLabel}</option>` +
+      unique.map((value) => `<option value="${value}">${value}</option>`).join("");
+    select.value = unique.includes(current) ? current : "";
+  }
+
+  /**
+   * Проверяет, подходит ли квиз под строку поиска и фильтры
+   */
+  function matchesQuizFilters(quiz) {
+    const query = quizSearch.value.trim().toLowerCase();
+    const searchText = [
+      quiz.title,
+      quiz.fileName,
+      quiz.author,
+      quiz.description,
+      quiz.subject,
+      ...quiz.tags,
+    ]
+      .filter(Boolean)
+      .join(" ")
+      .toLowerCase();
+
+    return (
+      searchText.includes(query) &&
+      (!quizSubjectFilter.value || quiz.subject === quizSubjectFilter.value) &&
+      (!quizGradeFilter.value || quiz.grade === quizGradeFilter.value)
+    );
+  }
+
+  /**
+   * Формирует HTML карточки квиза
+   */
+  function renderQuizCard(quiz) {
+    const details = [quiz.subject, quiz.grade && `${quiz.grade} класс`, quiz.author]
+      .filter(Boolean)
+      .join(" · ");
+    const mediaIcons = MEDIA_ICONS.filter(({ key }) => quiz.media[key])
+      .map(({ icon, title }) => `<span title="${title}">${icon}</span>`)
+      .join("");
+    const selectedClass = quiz.fileName === selectedQuizFile ? " selected" : "";
+
+    return `
+      <div class="quiz-card${selectedClass}" data-file="${quiz.fileName}" role="button" tabindex="0">
+        <div class="quiz-card-title">${quiz.title}</div>
+        ${details ? `<div class="quiz-card-details">${details}</div>` : ""}
+        ${quiz.description ? `<div class="quiz-card-description">${quiz.description}</div>` : ""}
+        <div class="quiz-card-footer">
+          <span class="chip">Вопросов: ${quiz.questionCount}</span>
+          ${quiz.tags.map((tag) => `<span class="chip quiz-tag">#${tag}</span>`).join("")}
+          <span class="quiz-card-media">${mediaIcons}</span>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Показывает карточки квизов, подходящих под поиск и фильтры
+   */
+  function renderQuizCards() {
+    const visible = quizzes.filter(matchesQuizFilters);
+    if (visible.length === 0) {
+      const message = quizzes.length > 0 ? "Ничего не найдено" : "В папке quizzes нет квизов";
+      quizCards.innerHTML = `<p class="empty-msg">${message}</p>`;
+      return;
+    }
+
+    quizCards.innerHTML = visible.map(renderQuizCard).join("");
+
+    quizCards.querySelectorAll(".quiz-card").forEach((card) => {
+      card.onclick = () => selectQuizCard(card.dataset.file);
+      card.onkeydown = (e) => {
+        if (e.key === "Enter") {
+          selectQuizCard(card.dataset.file);
+        }
+      };
+    });
+  }
+
+  /**
+   * Выбирает квиз и подставляет настройки по умолчанию из его заголовка
+   */
+  function selectQuizCard(fileName) {
+    const quiz = quizzes.find((item) => item.fileName === fileName);
+    if (!quiz) {
+      return;
+    }
+
+    if (fileName !== selectedQuizFile) {
+      quizCheckResult.classList.add("hidden");
+    }
+    selectedQuizFile = fileName;
+    if (quiz.shuffle !== null) {
+      document.getElementById("shuffle-questions").checked = quiz.shuffle;
+    }
+    if (quiz.timeLimit) {
+      const timeLimitSelect = document.getElementById("time-limit");
+      if (!timeLimitSelect.querySelector(`option[value="${quiz.timeLimit}"]`)) {
+        timeLimitSelect.insertAdjacentHTML(
+          "beforeend",
+          `<option value="${quiz.timeLimit}">${quiz.timeLimit}</option>`,
+        );
+      }
+      timeLimitSelect.value = String(quiz.timeLimit);
+    }
+    renderQuizCards();
+  }
+
+  socket.on("quizList", (list) => {
+    quizzes = list;
+    fillQuizFilter(
+      quizSubjectFilter,
+      "Все предметы",
+      quizzes.map((quiz) => quiz.subject),
+    );
+    fillQuizFilter(
+      quizGradeFilter,
+      "Все классы",
+      quizzes.map((quiz) => quiz.grade),
+    );
+    // Как и раньше в списке, по умолчанию выбран первый квиз
+    if (quizzes.length > 0 && !quizzes.some((quiz) => quiz.fileName === selectedQuizFile)) {
+      selectQuizCard(quizzes[0].fileName);
+    } else {
+      renderQuizCards();
+    }
+  });
+
+  quizSearch.oninput = renderQuizCards;
+  quizSubjectFilter.onchange = renderQuizCards;
+  quizGradeFilter.onchange = renderQuizCards;
+
+  // === Проверка квиза ===
+
+  document.getElementById("check-quiz-btn").onclick = () => {
+    if (selectedQuizFile) {
+      socket.emit("checkQuiz", selectedQuizFile);
+    }
+  };
+
+  /**
+   * Показывает ошибки и предупреждения проверки квиза с номерами строк файла
+   */
+  function renderQuizCheck({ fileName, isValid, errors, warnings }) {
+    const issues = [
+      ...errors.map((issue) => ({ ...issue, level: "error", icon: "❌" })),
+      ...warnings.map((issue) => ({ ...issue, level: "warning", icon: "⚠️" })),
+    ].sort((a, b) => a.line - b.line);
+
+    const summary = document.createElement("div");
+    summary.className = "quiz-check-summary";
+    if (issues.length === 0) {
+      summary.textContent = `✅ ${fileName}: ошибок не найдено`;
+    } else {
+      summary.textContent = `${isValid ? "⚠️" : "❌"} ${fileName}: ошибок — ${errors.length}, предупреждений — ${warnings.length}`;
+    }
+
+    // Сообщения содержат текст вопросов, поэтому выводятся как текст, а не HTML
+    const list = document.createElement("ul");
+    list.className = "quiz-check-issues";
+    issues.forEach((issue) => {
+      const item = document.createElement("li");
+      item.className = `quiz-check-issue ${issue.level}`;
+      item.textContent = `${issue.icon} Строка ${issue.line}: ${issue.message}`;
+      list.appendChild(item);
+    });
+
+    quizCheckResult.replaceChildren(summary, list);
+    quizCheckResult.classList.remove("hidden");
+  }
+
+  socket.on("quizCheckResult", (result) => {
+    if (result.fileName === selectedQuizFile) {
+      renderQuizCheck(result);
+    }
   });
 
-  socket.on("playerListUpdate", (players) => {
+  function renderPlayerList(players) {
     playerCountSpan.innerText = players.length;
     if (players.length > 0) {
       playerNamesDiv.innerHTML = players
-        .map((name) => `<div class="player-chip">${name}</div>`)
+        .map((name) => `<div class="player-chip">${RichText.escapeHtml(name)}</div>`)
         .join("");
     }
-  });
+  }
+
+  socket.on("playerListUpdate", renderPlayerList);
 
   loadBtn.onclick = () => {
-    const fileName = quizSelect.value;
-    if (!fileName) return;
+    const fileName = selectedQuizFile;
+    if (!fileName) {
+      return;
+    }
 
     showLoadingIndicator(loadBtn, "Загрузка...");
     loadBtn.classList.add("pulse-animation");
@@ -149,7 +419,9 @@
     let questionCount = null;
     if (countInput.value.trim() !== "") {
       const num = parseInt(countInput.value.trim(), 10);
-      if (num > 0) questionCount = num;
+      if (num > 0) {
+        questionCount = num;
+      }
     }
 
     const timeLimit = parseInt(document.getElementById("time-limit").value, 10);
@@ -162,14 +434,74 @@
     });
   };
 
-  socket.on("quizReady", (fileName) => {
+  // === Экран входа (PIN, адрес и QR-код) ===
+
+  const joinOverlay = document.getElementById("join-overlay");
+
+  /**
+   * Показывает данные для входа игроков в лобби и на полноэкранном экране
+   */
+  function showJoinInfo(pin, joinUrl) {
+    // QR-код генерируется сервером, интернет не нужен
+    const qrSrc = `/api/qr?pin=${encodeURIComponent(pin)}`;
+
+    document.getElementById("room-code").textContent = pin;
+    document.getElementById("join-url").textContent = joinUrl;
+    document.getElementById("join-qr").src = qrSrc;
+    document.getElementById("join-overlay-pin").textContent = pin;
+    document.getElementById("join-overlay-url").textContent = joinUrl;
+    document.getElementById("join-overlay-qr").src = qrSrc;
+    document.getElementById("join-panel").classList.remove("hidden");
+  }
+
+  function openJoinOverlay() {
+    joinOverlay.classList.remove("hidden");
+    if (joinOverlay.requestFullscreen) {
+      joinOverlay.requestFullscreen().catch(() => {});
+    }
+  }
+
+  function closeJoinOverlay() {
+    joinOverlay.classList.add("hidden");
+    if (document.fullscreenElement) {
+      document.exitFullscreen().catch(() => {});
+    }
+  }
+
+  document.getElementById("join-fullscreen-btn").onclick = openJoinOverlay;
+  document.getElementById("join-overlay-close").onclick = closeJoinOverlay;
+
+  document.addEventListener("keydown", (e) => {
+    if (e.key === "Escape" && !joinOverlay.classList.contains("hidden")) {
+      closeJoinOverlay();
+    }
+  });
+
+  // Выход из полноэкранного режима браузером (Esc) тоже закрывает экран входа
+  document.addEventListener("fullscreenchange", () => {
+    if (!document.fullscreenElement) {
+      joinOverlay.classList.add("hidden");
+    }
+  });
+
+  /**
+   * Отображает загруженный квиз и данные для входа игроков
+   */
+  function showQuizLoaded(fileName, pin, joinUrl) {
     loadBtn.innerText = "✅ Загружено: " + fileName;
+
+    // PIN выдаётся после загрузки квиза — его вводят игроки
+    showJoinInfo(pin, joinUrl);
     loadBtn.classList.add("success");
 
     const startBtn = document.getElementById("start-game-btn");
     startBtn.disabled = false;
     startBtn.innerText = "Начать квиз: " + fileName;
     startBtn.style.animation = "pulse 1.5s infinite";
+  }
+
+  socket.on("quizReady", ({ fileName, pin, joinUrl }) => {
+    showQuizLoaded(fileName, pin, joinUrl);
   });
 
   socket.on("quizError", (data) => {
@@ -188,11 +520,13 @@
     socket.emit("togglePause");
   };
 
-  socket.on("gamePaused", () => {
+  function showPausedState() {
     pauseBtn.innerHTML = "▶️ Продолжить";
     pauseBtn.classList.remove("secondary");
     pauseBtn.classList.add("primary");
-  });
+  }
+
+  socket.on("gamePaused", showPausedState);
 
   socket.on("gameResumed", (data) => {
     pauseBtn.innerHTML = "⏸️ Пауза";
@@ -203,19 +537,37 @@
     }
   });
 
-  socket.on("updateQuestion", (data) => {
+  /**
+   * Отображает вопрос и пустую диаграмму ответов
+   */
+  function showQuestion(data) {
+    QuestionMedia.stopAll(qArea);
+    closeJoinOverlay();
     setupArea.classList.add("hidden");
     lobby.classList.add("hidden");
     gameArea.classList.remove("hidden");
 
+    const questionImg = data.questionImg
+      ? `<img src="${data.questionImg}" class="main-question-img slide-in">`
+      : "";
     qArea.innerHTML = `
-      <div class="question-title fade-in">${data.question}</div>
-      ${
-        data.questionImg ? `<img src="${data.questionImg}" class="main-question-img slide-in">` : ""
-      }
+      <div class="question-title fade-in">${RichText.render(data.question)}</div>
+      <p class="question-hint ${data.type === "multiple" ? "" : "hidden"}">Несколько правильных ответов</p>
+      <p class="question-hint ${data.type === "text" ? "" : "hidden"}">Игроки вводят ответ сами</p>
+      <p class="question-hint ${data.type === "numeric" ? "" : "hidden"}">Игроки вводят число</p>
+      <p class="question-hint ${data.type === "order" ? "" : "hidden"}">Игроки расставляют элементы по порядку</p>
+      <p class="question-hint ${data.type === "match" ? "" : "hidden"}">Игроки сопоставляют элементы парами</p>
+      <p class="question-hint ${data.type === "truefalse" ? "" : "hidden"}">Верно или неверно?</p>
+      <p class="question-hint ${data.type === "poll" ? "" : "hidden"}">Опрос: правильного ответа нет</p>
+      <p class="question-hint ${data.points ? "" : "hidden"}">Вопрос на ${data.points} баллов</p>
+      ${questionImg}
+      ${renderQuestionMedia(data)}
     `;
+    bindQuestionMedia();
 
-    renderStats(data.options);
+    // За элементы вопросов на порядок и сопоставление не голосуют, поэтому столбцы не нужны
+    renderStats(["order", "match"].includes(data.type) ? [] : data.options);
+    RichText.typeset(gameArea);
 
     nextBtn.innerText = "Остановить время";
     nextBtn.classList.remove("secondary");
@@ -223,6 +575,103 @@
 
     document.getElementById("q-num").textContent = data.questionNumber;
     document.getElementById("q-total").textContent = data.totalQuestions;
+    if (data.waitingForMedia) {
+      timerDisp.innerText = data.timeLeft;
+    }
+  }
+
+  socket.on("updateQuestion", showQuestion);
+
+  /**
+   * Формирует проигрыватель записи вопроса с кнопками управления
+   * @param {Object} data - данные вопроса
+   * @returns {string} HTML проигрывателя или пустая строка
+   */
+  function renderQuestionMedia(data) {
+    if (!data.questionMedia) {
+      return "";
+    }
+    return `
+      <div class="question-media slide-in">
+        ${QuestionMedia.render(data.questionMedia, "question-media-player")}
+        <div class="media-controls">
+          <button id="media-play-btn" class="btn primary">▶️ Воспроизвести</button>
+          <button id="media-replay-btn" class="btn secondary">🔁 Сначала</button>
+          <label class="media-devices-toggle">
+            <input type="checkbox" id="media-devices-check" ${playMediaOnDevices ? "checked" : ""} />
+            На устройствах игроков
+          </label>
+        </div>
+        <p id="media-wait-hint" class="question-hint ${data.waitingForMedia ? "" : "hidden"}">
+          Время на ответ пойдёт после окончания записи
+          <button id="start-timer-btn" class="btn secondary">⏱️ Запустить сейчас</button>
+        </p>
+      </div>
+    `;
+  }
+
+  /**
+   * Подключает кнопки проигрывателя записи вопроса. Команды дублируются на устройства
+   * игроков, если ведущий это включил; окончание записи запускает время на ответ
+   */
+  function bindQuestionMedia() {
+    const player = qArea.querySelector(".question-media-player");
+    if (!player) {
+      return;
+    }
+    const playBtn = document.getElementById("media-play-btn");
+    const devicesCheck = document.getElementById("media-devices-check");
+    const waitHint = document.getElementById("media-wait-hint");
+
+    const sendToDevices = (action) => {
+      if (playMediaOnDevices) {
+        socket.emit("mediaControl", action);
+      }
+    };
+
+    playBtn.onclick = () => {
+      const action = player.paused ? "play" : "pause";
+      QuestionMedia.control(player, action);
+      sendToDevices(action);
+    };
+    document.getElementById("media-replay-btn").onclick = () => {
+      QuestionMedia.control(player, "replay");
+      sendToDevices("replay");
+    };
+    devicesCheck.onchange = () => {
+      // Включение подхватывает уже идущую запись, выключение останавливает её у игроков
+      if (devicesCheck.checked) {
+        playMediaOnDevices = true;
+        if (!player.paused) {
+          sendToDevices("play");
+        }
+      } else {
+        sendToDevices("pause");
+        playMediaOnDevices = false;
+      }
+    };
+    document.getElementById("start-timer-btn").onclick = () => socket.emit("startQuestionTimer");
+
+    player.onplay = () => {
+      playBtn.innerHTML = "⏸️ Пауза";
+    };
+    player.onpause = () => {
+      playBtn.innerHTML = "▶️ Воспроизвести";
+    };
+    player.onended = () => {
+      if (!waitHint.classList.contains("hidden")) {
+        socket.emit("startQuestionTimer");
+      }
+    };
+  }
+
+  // Время на ответ пошло после окончания записи
+  socket.on("timerStarted", ({ timeLeft }) => {
+    const waitHint = document.getElementById("media-wait-hint");
+    if (waitHint) {
+      waitHint.classList.add("hidden");
+    }
+    timerDisp.innerText = timeLeft;
   });
 
   socket.on("timerTick", (time) => {
@@ -230,7 +679,7 @@
     timerDisp.style.borderColor = time <= 5 ? "#e74c3c" : "#6c5ce7";
   });
 
-  socket.on("updateStats", (votes) => {
+  function updateStats(votes) {
     const bars = document.querySelectorAll(".bar-fill");
     bars.forEach((bar, index) => {
       const count = votes[index] || 0;
@@ -247,43 +696,76 @@
         }, 500);
       }
     });
-  });
+  }
+
+  socket.on("updateStats", updateStats);
 
   function renderStats(options) {
     statsCont.innerHTML = options
-      .map(
-        (opt, i) => `
+      .map((opt) => {
+        const img = opt.img
+          ? `<img src="${opt.img}" style="width:30px; height:30px; object-fit:cover; border-radius:4px; display:block; margin:0 auto 5px;">`
+          : "";
+        return `
           <div class="stat-column">
             <div class="bar-wrapper">
               <div class="bar-fill" style="height: 0%" data-count="0"></div>
             </div>
             <div class="bar-label">
-              ${
-                opt.img
-                  ? `<img src="${opt.img}" style="width:30px; height:30px; object-fit:cover; border-radius:4px; display:block; margin:0 auto 5px;">`
-                  : ""
-              }
-              ${opt.text}
+              ${img}
+              ${QuestionMedia.renderOption(opt.media)}
+              ${RichText.render(opt.text)}
             </div>
           </div>
-        `,
-      )
+        `;
+      })
       .join("");
+    QuestionMedia.bindOptions(statsCont);
   }
 
-  socket.on("timeOver", (data) => {
+  /**
+   * Переводит интерфейс в состояние «время вышло»
+   */
+  function showQuestionEnded(scores) {
     nextBtn.innerText = "Следующий вопрос →";
     leaderboardArea.classList.remove("hidden");
-    updateLeaderboard(data.scores);
+    updateLeaderboard(scores);
 
     nextBtn.classList.remove("primary");
     nextBtn.classList.add("secondary");
 
     analyticsArea.classList.remove("hidden");
     showQuestionAnalytics();
+  }
+
+  socket.on("timeOver", (data) => {
+    showQuestionEnded(data.scores);
+    showExplanation(data.explanation);
   });
 
+  /**
+   * Показывает пояснение к ответу под вопросом
+   * @param {Object|null} explanation - пояснение { text, img }
+   */
+  function showExplanation(explanation) {
+    if (!explanation) {
+      return;
+    }
+    qArea.insertAdjacentHTML(
+      "beforeend",
+      `
+        <div class="answer-explanation fade-in">
+          <h4>💡 Пояснение</h4>
+          ${explanation.text ? `<div class="explanation-text">${RichText.render(explanation.text)}</div>` : ""}
+          ${explanation.img ? `<img src="${explanation.img}" class="explanation-img">` : ""}
+        </div>
+      `,
+    );
+    RichText.typeset(qArea);
+  }
+
   socket.on("quizFinished", (scores) => {
+    QuestionMedia.stopAll(qArea);
     qArea.innerHTML = "🏁 Квиз завершен! Поздравляем победителей!";
     nextBtn.classList.add("hidden");
     document.getElementById("reset-btn").classList.remove("hidden");
@@ -304,15 +786,19 @@
     list.innerHTML = sorted
       .map(([name, val], i) => {
         let placeClass = "";
-        if (i === 0 && val > 0) placeClass = "place-1 winner-anim";
-        else if (i === 1 && val > 0) placeClass = "place-2";
-        else if (i === 2 && val > 0) placeClass = "place-3";
+        if (i === 0 && val > 0) {
+          placeClass = "place-1 winner-anim";
+        } else if (i === 1 && val > 0) {
+          placeClass = "place-2";
+        } else if (i === 2 && val > 0) {
+          placeClass = "place-3";
+        }
 
         return `
           <li class="rank-item ${placeClass}">
             <span class="rank-icon"></span>
             <span class="rank">${i + 1}</span>
-            <span class="name">${name}</span>
+            <span class="name">${RichText.escapeHtml(name)}</span>
             <span class="score">${val}</span>
           </li>`;
       })
@@ -322,6 +808,7 @@
   const resetBtn = document.getElementById("reset-btn");
 
   resetBtn.onclick = () => {
+    // После перезагрузки ведущий вернётся в ту же комнату по токену
     socket.emit("resetGame");
     location.reload();
   };
@@ -331,19 +818,33 @@
   const analyticsContent = document.getElementById("analytics-content");
   const showOverallBtn = document.getElementById("show-overall-analytics");
   const showQuestionBtn = document.getElementById("show-question-analytics");
+  const showItemAnalysisBtn = document.getElementById("show-item-analysis");
   const exportCsvBtn = document.getElementById("export-csv-btn");
   const exportXlsxBtn = document.getElementById("export-xlsx-btn");
 
+  /**
+   * Выделяет кнопку выбранного вида аналитики
+   * @param {HTMLElement} activeBtn - нажатая кнопка
+   */
+  function setActiveAnalyticsButton(activeBtn) {
+    [showOverallBtn, showQuestionBtn, showItemAnalysisBtn].forEach((btn) => {
+      btn.classList.toggle("active", btn === activeBtn);
+    });
+  }
+
   showOverallBtn.onclick = () => {
     showOverallAnalytics();
-    showOverallBtn.classList.add("active");
-    showQuestionBtn.classList.remove("active");
+    setActiveAnalyticsButton(showOverallBtn);
   };
 
   showQuestionBtn.onclick = () => {
     showQuestionAnalytics();
-    showQuestionBtn.classList.add("active");
-    showOverallBtn.classList.remove("active");
+    setActiveAnalyticsButton(showQuestionBtn);
+  };
+
+  showItemAnalysisBtn.onclick = () => {
+    socket.emit("getItemAnalysis");
+    setActiveAnalyticsButton(showItemAnalysisBtn);
   };
 
   exportCsvBtn.onclick = () => {
@@ -400,8 +901,16 @@
   });
 
   socket.on("questionAnalyticsData", (data) => {
+    // В опросе нет правильного ответа — показываем только распределение голосов
+    if (data.type === "poll") {
+      analyticsContent.innerHTML = renderPollResults(data);
+      RichText.typeset(analyticsContent);
+      return;
+    }
+
     const accuracy =
       data.totalAnswers > 0 ? ((data.correctAnswers / data.totalAnswers) * 100).toFixed(1) : 0;
+    const responseTimes = data.responseTimes.map((t) => t.toFixed(2)).join(", ");
 
     analyticsContent.innerHTML = `
       <div class="analytics-card">
@@ -423,14 +932,220 @@
         </div>
         <div class="metric">
           <span class="metric-label">Время ответов:</span>
-          <span class="metric-value">${data.responseTimes
-            .map((t) => t.toFixed(2))
-            .join(", ")} с</span>
+          <span class="metric-value">${responseTimes} с</span>
+        </div>
+      </div>
+      ${renderDistractors(data)}
+      ${renderHistogram(data)}
+    `;
+    RichText.typeset(analyticsContent);
+  });
+
+  /**
+   * Форматирует показатель анализа заданий
+   * @param {number|null} value - значение показателя
+   * @returns {string} значение с двумя знаками или прочерк
+   */
+  function formatMetric(value) {
+    return value === null ? "—" : value.toFixed(2);
+  }
+
+  socket.on("itemAnalysisData", (data) => {
+    if (data.questions.length === 0) {
+      analyticsContent.innerHTML = `
+        <div class="analytics-card">
+          <p>Нет данных для анализа заданий</p>
+        </div>
+      `;
+      return;
+    }
+
+    const rows = data.questions
+      .map(
+        (item) => `
+          <tr class="${item.notes.length > 0 ? "item-flagged" : ""}">
+            <td>${item.questionNumber}</td>
+            <td>${item.question}</td>
+            <td>${formatMetric(item.difficulty)}</td>
+            <td>${formatMetric(item.discrimination)}</td>
+            <td>${item.notes.join("<br>")}</td>
+          </tr>
+        `,
+      )
+      .join("");
+    analyticsContent.innerHTML = `
+      <div class="analytics-card">
+        <h4>📐 Анализ заданий</h4>
+        <div class="metric">
+          <span class="metric-label">Надёжность квиза (KR-20):</span>
+          <span class="metric-value">${formatMetric(data.kr20)}</span>
+        </div>
+        <div class="metric">
+          <span class="metric-label">Игроков:</span>
+          <span class="metric-value">${data.playerCount}</span>
         </div>
+        <table class="item-analysis-table">
+          <thead>
+            <tr>
+              <th>№</th>
+              <th>Вопрос</th>
+              <th title="Доля правильных ответов">Трудность</th>
+              <th title="Точечно-бисериальная корреляция с общим баллом">Дискриминация</th>
+              <th>Пометки</th>
+            </tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
       </div>
     `;
+    RichText.typeset(analyticsContent);
   });
 
+  /**
+   * Показывает, как часто выбирали каждый вариант ответа
+   * @param {Object} data - аналитика вопроса
+   * @returns {string} HTML блока анализа дистракторов
+   */
+  function renderDistractors(data) {
+    if (!data.distractors || data.distractors.length === 0) {
+      return "";
+    }
+
+    const bins = data.distractors
+      .map((option) => {
+        let flag = "";
+        if (option.isUnchosen) {
+          flag = renderDistractorFlag("distractor-flag", "никто не выбрал");
+        } else if (option.isStrongerThanCorrect) {
+          flag = renderDistractorFlag("distractor-flag warning", "чаще правильного");
+        }
+
+        return `
+          <div class="time-bin">
+            <span class="distractor-label">${option.isCorrect ? "✅ " : ""}${RichText.escapeHtml(option.text)}</span>
+            <div class="bin-bar">
+              <div class="bin-fill ${option.isCorrect ? "correct" : ""}" style="width: ${option.percent.toFixed(0)}%"></div>
+            </div>
+            <span class="bin-count">${option.votes} (${option.percent.toFixed(0)}%) ${flag}</span>
+          </div>
+        `;
+      })
+      .join("");
+
+    return `
+      <div class="analytics-card">
+        <h4>${getDistractorsTitle(data.type)}</h4>
+        <div class="question-text-preview">${data.question}</div>
+        <div class="time-chart">${bins}</div>
+      </div>
+    `;
+  }
+
+  /**
+   * Формирует пометку варианта в анализе дистракторов
+   * @param {string} className - классы пометки
+   * @param {string} text - текст пометки
+   * @returns {string} HTML пометки
+   */
+  function renderDistractorFlag(className, text) {
+    return `<span class="${className}">${text}</span>`;
+  }
+
+  /**
+   * Показывает результаты опроса: сколько игроков выбрало каждый вариант
+   * @param {Object} data - аналитика вопроса
+   * @returns {string} HTML диаграммы опроса
+   */
+  function renderPollResults(data) {
+    const bins = (data.distractors || [])
+      .map(
+        (option) => `
+          <div class="time-bin">
+            <span class="distractor-label">${RichText.escapeHtml(option.text)}</span>
+            <div class="bin-bar">
+              <div class="bin-fill" style="width: ${option.percent.toFixed(0)}%"></div>
+            </div>
+            <span class="bin-count">${option.votes} (${option.percent.toFixed(0)}%)</span>
+          </div>
+        `,
+      )
+      .join("");
+
+    return `
+      <div class="analytics-card">
+        <h4>📊 Результаты опроса</h4>
+        <div class="question-text-preview">${data.question}</div>
+        <div class="metric">
+          <span class="metric-label">Ответов на вопрос:</span>
+          <span class="metric-value">${data.totalAnswers}</span>
+        </div>
+        <div class="time-chart">${bins}</div>
+      </div>
+    `;
+  }
+
+  /**
+   * Получает заголовок блока анализа ответов
+   * @param {string} type - тип вопроса
+   * @returns {string} заголовок
+   */
+  function getDistractorsTitle(type) {
+    if (type === "text") {
+      return "✍️ Ответы игроков";
+    }
+    if (type === "order") {
+      return "🔀 Частые порядки";
+    }
+    if (type === "match") {
+      return "🔗 Сопоставление пар";
+    }
+    return "🎯 Выбор вариантов";
+  }
+
+  /**
+   * Показывает распределение ответов на числовой вопрос
+   * @param {Object} data - аналитика вопроса
+   * @returns {string} HTML гистограммы
+   */
+  function renderHistogram(data) {
+    if (!data.histogram || data.histogram.length === 0) {
+      return "";
+    }
+
+    const maxCount = Math.max(...data.histogram.map((bin) => bin.count));
+    const bins = data.histogram
+      .map(
+        (bin) => `
+          <div class="time-bin">
+            <span class="distractor-label">${bin.isCorrect ? "✅ " : ""}${formatBin(bin)}</span>
+            <div class="bin-bar">
+              <div class="bin-fill ${bin.isCorrect ? "correct" : ""}" style="width: ${(bin.count / maxCount) * 100}%"></div>
+            </div>
+            <span class="bin-count">${bin.count}</span>
+          </div>
+        `,
+      )
+      .join("");
+
+    return `
+      <div class="analytics-card">
+        <h4>🔢 Распределение ответов</h4>
+        <div class="question-text-preview">${data.question}</div>
+        <div class="time-chart">${bins}</div>
+      </div>
+    `;
+  }
+
+  /**
+   * Форматирует подпись столбца гистограммы
+   * @param {Object} bin - столбец { from, to }
+   * @returns {string} значение или интервал
+   */
+  function formatBin(bin) {
+    const round = (value) => Number(value.toFixed(2));
+    return bin.from === bin.to ? `${round(bin.from)}` : `${round(bin.from)} – ${round(bin.to)}`;
+  }
+
   socket.on("csvExportReady", (csvContent) => {
     exportCsvBtn.disabled = false;
     exportCsvBtn.innerText = "📊 Экспорт в CSV";
@@ -513,27 +1228,139 @@
       distribution[binIndex]++;
     });
 
-    return `
-      <div class="time-chart">
-        ${distribution
-          .map((count, index) => {
-            const start = (index * binSize).toFixed(1);
-            const end = ((index + 1) * binSize).toFixed(1);
-            const percentage = ((count / times.length) * 100).toFixed(0);
-            return `
-              <div class="time-bin">
-                <span class="bin-label">${start}-${end}с</span>
-                <div class="bin-bar">
-                  <div class="bin-fill" style="width: ${percentage}%"></div>
-                </div>
-                <span class="bin-count">${count} ответов (${percentage}%)</span>
-              </div>
-            `;
-          })
-          .join("")}
+    const rows = distribution
+      .map((count, index) => {
+        const start = (index * binSize).toFixed(1);
+        const end = ((index + 1) * binSize).toFixed(1);
+        const percentage = ((count / times.length) * 100).toFixed(0);
+        return `
+          <div class="time-bin">
+            <span class="bin-label">${start}-${end}с</span>
+            <div class="bin-bar">
+              <div class="bin-fill" style="width: ${percentage}%"></div>
+            </div>
+            <span class="bin-count">${count} ответов (${percentage}%)</span>
+          </div>
+        `;
+      })
+      .join("");
+
+    return `<div class="time-chart">${rows}</div>`;
+  }
+
+  // === История игр ===
+
+  const historyArea = document.getElementById("history-area");
+  const historyList = document.getElementById("history-list");
+  const historyDetails = document.getElementById("history-details");
+
+  document.getElementById("history-btn").onclick = () => {
+    historyArea.classList.remove("hidden");
+    historyDetails.innerHTML = "";
+    socket.emit("getArchive");
+  };
+
+  document.getElementById("history-close-btn").onclick = () => {
+    historyArea.classList.add("hidden");
+  };
+
+  /**
+   * Формирует ссылку на скачивание результатов сыгранной игры
+   * @param {string} id - идентификатор игры в архиве
+   * @param {string} format - csv или xlsx
+   * @returns {string} адрес для скачивания
+   */
+  function archiveExportUrl(id, format) {
+    const token = localStorage.getItem(HOST_TOKEN_KEY) || "";
+    return `/api/archive/${encodeURIComponent(id)}/export?format=${format}&token=${encodeURIComponent(token)}`;
+  }
+
+  socket.on("archiveList", (games) => {
+    if (games.length === 0) {
+      const message = "Сыгранных игр пока нет";
+      historyList.innerHTML = `<p class="empty-msg">${message}</p>`;
+      return;
+    }
+
+    const rows = games
+      .map(
+        (game) => `
+          <tr>
+            <td>${new Date(game.startedAt).toLocaleString("ru-RU")}</td>
+            <td>${game.quizFileName}${game.isFinished ? "" : " (не завершена)"}</td>
+            <td>${game.playerCount}</td>
+            <td>${game.questionCount}</td>
+            <td>
+              <button class="btn secondary" data-open="${game.id}">Открыть</button>
+              <a href="${archiveExportUrl(game.id, "csv")}" download>CSV</a>
+              <a href="${archiveExportUrl(game.id, "xlsx")}" download>Excel</a>
+            </td>
+          </tr>
+        `,
+      )
+      .join("");
+    historyList.innerHTML = `
+      <table class="history-table">
+        <thead>
+          <tr>
+            <th>Дата</th>
+            <th>Квиз</th>
+            <th>Игроков</th>
+            <th>Вопросов</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    `;
+  });
+
+  historyList.addEventListener("click", (e) => {
+    if (e.target.dataset.open) {
+      socket.emit("getArchivedGame", e.target.dataset.open);
+    }
+  });
+
+  socket.on("archivedGame", (game) => {
+    const rows = game.players
+      .map(
+        (player, i) => `
+          <tr>
+            <td>${i + 1}</td>
+            <td>${RichText.escapeHtml(player.nickname)}</td>
+            <td>${player.score}</td>
+            <td>${player.correctAnswers} из ${game.questionCount}</td>
+            <td>${player.averageResponseTime.toFixed(2)}</td>
+          </tr>
+        `,
+      )
+      .join("");
+    historyDetails.innerHTML = `
+      <div class="analytics-card">
+        <h4>${game.quizFileName} — ${new Date(game.startedAt).toLocaleString("ru-RU")}</h4>
+        <div class="metric">
+          <span class="metric-label">Надёжность квиза (KR-20):</span>
+          <span class="metric-value">${formatMetric(game.itemAnalysis.kr20)}</span>
+        </div>
+        <table class="history-table">
+          <thead>
+            <tr>
+              <th>Место</th>
+              <th>Игрок</th>
+              <th>Очки</th>
+              <th>Правильных</th>
+              <th>Среднее время (с)</th>
+            </tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
       </div>
     `;
-  }
+  });
+
+  socket.on("archiveError", (message) => {
+    historyDetails.innerHTML = `<p class="empty-msg">${message}</p>`;
+  });
 
   // === Конфигурация ===
 
@@ -633,9 +1460,53 @@
     showReconnectUI();
   });
 
-  socket.on("reconnect", () => {
+  // === Восстановление сессии ведущего ===
+
+  // При подключении (в том числе повторном) возвращаемся в свою комнату по токену
+  socket.on("connect", () => {
     hideReconnectUI();
-    // Переподключение с тем же паролем не требуется, т.к. сессия уже установлена
+    const hostToken = localStorage.getItem(HOST_TOKEN_KEY);
+    if (hostToken) {
+      showLoadingIndicator(submitBtn, "Восстановление игры...");
+      socket.emit("resumeHost", { token: hostToken });
+    }
+  });
+
+  socket.on("hostResumed", ({ hostToken, pin, joinUrl, players, state }) => {
+    // Прерванная игра имеет собственный токен — запоминаем его вместо прежнего
+    localStorage.setItem(HOST_TOKEN_KEY, hostToken);
+    renderInterruptedGames([]);
+    showMainInterface();
+    renderPlayerList(players);
+
+    if (state.fileName) {
+      showQuizLoaded(state.fileName, pin, joinUrl);
+    }
+
+    if (state.question) {
+      showQuestion(state.question);
+      updateStats(state.votes);
+      timerDisp.innerText = state.timeLeft;
+
+      if (state.isPaused) {
+        showPausedState();
+      }
+      if (!state.isQuestionActive) {
+        showQuestionEnded(state.scores);
+      }
+    }
+  });
+
+  socket.on("hostResumeFailed", () => {
+    localStorage.removeItem(HOST_TOKEN_KEY);
+    resetSubmitButton();
+  });
+
+  // Ведущий продолжил игру в другой вкладке — эта вкладка больше не управляет комнатой
+  socket.on("sessionReplaced", () => {
+    mainInterface.classList.add("hidden");
+    authScreen.classList.remove("hidden");
+    showError("Игра продолжена в другом окне");
   });
 
   socket.on("connect_error", () => {
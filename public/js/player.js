@@ -1,6 +1,7 @@
 /**
  * Клиентский скрипт для игрока
  */
+/* global RichText, QuestionMedia */
 (function () {
   const socket = io();
   const loginDiv = document.getElementById("login");
@@ -10,9 +11,60 @@
   const playerListDisplay = document.getElementById("player-list-display");
   const optionsList = document.getElementById("options-list");
   const timerBar = document.getElementById("timer-bar");
+  const pinStep = document.getElementById("pin-step");
+  const nickStep = document.getElementById("nick-step");
+  const pinInput = document.getElementById("pin-input");
+  const questionHint = document.getElementById("question-hint");
+  const submitAnswerBtn = document.getElementById("submit-answer-btn");
+  let myPin = null;
   let myNick = null;
+  // Ответ на текущий вопрос: индекс варианта, массив индексов (выбранных, в порядке игрока
+  // или выбранных пар), текст или число
   let mySelection = null;
+  let currentQuestionType = "single";
+  // Варианты правой части текущего вопроса на сопоставление
+  let currentTargets = [];
   let myLastAnswerResult = null; // Результат последнего ответа от сервера
+  // Время на ответ ещё не идёт: ведущий воспроизводит запись вопроса
+  let isWaitingForMedia = false;
+
+  // Сессия игрока для возвращения в игру после переподключения или перезагрузки
+  const SESSION_KEY = "akaquizSession";
+
+  function loadSession() {
+    try {
+      return JSON.parse(localStorage.getItem(SESSION_KEY));
+    } catch {
+      return null;
+    }
+  }
+
+  function saveSession(session) {
+    localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+  }
+
+  function clearSession() {
+    localStorage.removeItem(SESSION_KEY);
+  }
+
+  // Подсказки к вопросам, в которых ответ отправляется кнопкой "Ответить"
+  const QUESTION_HINTS = {
+    multiple: "Выберите все правильные ответы",
+    order:
+      "Расставьте по порядку: перетащите элемент или коснитесь его, а затем места, куда поставить",
+    match: "Выберите пару для каждого элемента",
+  };
+
+  // Вопросы, в которых ответ отправляется сразу при выборе варианта
+  const SINGLE_CHOICE_TYPES = ["single", "truefalse", "poll"];
+  // Вопросы, варианты которых показываются в порядке из файла ("Да", "Нет" и шкалы опросов)
+  const FIXED_ORDER_TYPES = ["truefalse", "poll"];
+
+  // Подсказки к записи вопроса, пока ведущий не включил её на устройствах игроков
+  const MEDIA_NOTICES = {
+    audio: "🔊 Слушайте запись на экране ведущего",
+    video: "🎬 Смотрите видео на экране ведущего",
+  };
 
   /**
    * Перемешивает массив случайным образом
@@ -46,7 +98,9 @@
    */
   function showReconnectUI() {
     const existingOverlay = document.getElementById("reconnect-overlay");
-    if (existingOverlay) return;
+    if (existingOverlay) {
+      return;
+    }
 
     const overlay = document.createElement("div");
     overlay.id = "reconnect-overlay";
@@ -83,34 +137,77 @@
     }
   }
 
-  // === Обработчики событий ===
+  /**
+   * Отправляет PIN комнаты на проверку
+   */
+  function submitPin() {
+    const pin = pinInput.value.replace(/\s/g, "");
+    if (pin) {
+      showLoadingIndicator(true, "Проверка PIN...");
+      socket.emit("checkRoomPin", pin);
+    }
+  }
 
-  // Кнопка входа
-  document.getElementById("join-btn").onclick = () => {
+  /**
+   * Входит в комнату с введённым никнеймом
+   */
+  function submitNickname() {
     const nick = document.getElementById("nick-input").value.trim();
-    if (nick) {
+    if (nick && myPin) {
       myNick = nick;
       showLoadingIndicator(true, "Подключение...");
-      socket.emit("join", nick);
+      socket.emit("join", { nickname: nick, pin: myPin });
       loginDiv.classList.add("hidden");
       gameDiv.classList.remove("hidden");
     }
-  };
+  }
+
+  /**
+   * Показывает шаг ввода PIN
+   */
+  function showPinStep() {
+    myPin = null;
+    nickStep.classList.add("hidden");
+    pinStep.classList.remove("hidden");
+    pinInput.focus();
+  }
+
+  // === Обработчики событий ===
+
+  // Шаг 1: PIN комнаты
+  document.getElementById("pin-btn").onclick = submitPin;
+  pinInput.addEventListener("keydown", (event) => {
+    if (event.key === "Enter") {
+      submitPin();
+    }
+  });
+
+  socket.on("roomPinAccepted", ({ pin }) => {
+    showLoadingIndicator(false);
+    myPin = pin;
+    document.getElementById("room-pin-label").textContent = pin;
+    pinStep.classList.add("hidden");
+    nickStep.classList.remove("hidden");
+    document.getElementById("nick-input").focus();
+  });
+
+  document.getElementById("change-pin-btn").onclick = showPinStep;
+
+  // Шаг 2: никнейм
+  document.getElementById("join-btn").onclick = submitNickname;
 
   // Вход по Enter
   document.getElementById("nick-input").addEventListener("keydown", (event) => {
     if (event.key === "Enter") {
-      const nick = event.target.value.trim();
-      if (nick) {
-        myNick = nick;
-        showLoadingIndicator(true, "Подключение...");
-        socket.emit("join", nick);
-        loginDiv.classList.add("hidden");
-        gameDiv.classList.remove("hidden");
-      }
+      submitNickname();
     }
   });
 
+  // Успешный вход — запоминаем токен сессии
+  socket.on("joinAccepted", ({ nickname, pin, sessionToken }) => {
+    saveSession({ nickname, pin, token: sessionToken });
+  });
+
   // Ошибка входа
   socket.on("joinError", (message) => {
     showLoadingIndicator(false);
@@ -120,18 +217,45 @@
     myNick = null;
   });
 
+  // PIN из ссылки вида /?pin=123456
+  const pinFromUrl = new URLSearchParams(location.search).get("pin");
+
+  /**
+   * Подставляет PIN из ссылки, если игрок пришёл по QR-коду
+   */
+  function usePinFromUrl() {
+    if (pinFromUrl) {
+      pinInput.value = pinFromUrl;
+      submitPin();
+    }
+  }
+
+  // Ссылка на другую комнату важнее сохранённой сессии
+  const storedSession = loadSession();
+  if (storedSession && pinFromUrl && storedSession.pin !== pinFromUrl) {
+    clearSession();
+  }
+
+  if (loadSession()) {
+    showLoadingIndicator(true, "Возвращаемся в игру...");
+  } else {
+    usePinFromUrl();
+  }
+
   // Обновление списка игроков
   socket.on("playerListUpdate", (players) => {
     // Скрываем индикатор загрузки при успешном подключении
     showLoadingIndicator(false);
 
     const status = document.getElementById("lobby-status");
-    if (status) status.innerText = `Уже в лобби: ${players.length}`;
+    if (status) {
+      status.innerText = `Уже в лобби: ${players.length}`;
+    }
 
     playerListDisplay.innerHTML = players
       .map((name) => {
         const isMe = name === myNick;
-        return `<span class="chip ${isMe ? "chip--me" : ""}">${name}</span>`;
+        return `<span class="chip ${isMe ? "chip--me" : ""}">${RichText.escapeHtml(name)}</span>`;
       })
       .join("");
   });
@@ -141,37 +265,80 @@
     myLastAnswerResult = data;
   });
 
-  // Новый вопрос
-  socket.on("updateQuestion", (data) => {
+  /**
+   * Отрисовывает вопрос и запускает полосу таймера
+   */
+  function renderQuestion(data) {
+    QuestionMedia.stopAll(quizView);
     lobbyView.classList.add("hidden");
     quizView.classList.remove("hidden");
     mySelection = null;
     myLastAnswerResult = null; // Сбрасываем результат при новом вопросе
+    // Пока идёт запись вопроса, варианты видны, но ответить нельзя
+    isWaitingForMedia = Boolean(data.waitingForMedia);
+    quizView.classList.toggle("waiting-for-media", isWaitingForMedia);
+
+    // Ответ отправляется сразу только в вопросе с одним вариантом выбора. В остальных
+    // варианты отмечаются, ответ вводится, элементы расставляются или сопоставляются
+    // и отправляются кнопкой
+    currentQuestionType = data.type || "single";
+    currentTargets = data.targets || [];
+    const isMultiple = currentQuestionType === "multiple";
+    const isOrder = currentQuestionType === "order";
+    const hint = QUESTION_HINTS[currentQuestionType];
+    questionHint.textContent = hint || "";
+    questionHint.classList.toggle("hidden", !hint);
+    submitAnswerBtn.classList.toggle("hidden", SINGLE_CHOICE_TYPES.includes(currentQuestionType));
+    // Любая расстановка — допустимый ответ, поэтому порядок можно отправить сразу
+    submitAnswerBtn.disabled = !isOrder;
 
     optionsList.innerHTML = "";
 
     document.getElementById("question-text").innerHTML = `
-      ${data.question}
+      ${RichText.render(data.question)}
       ${data.questionImg ? `<img src="${data.questionImg}" class="question-inline-img">` : ""}
+      ${renderQuestionMedia(data)}
     `;
 
     const indexedOptions = data.options.map((opt, originalIndex) => ({
       ...opt,
       originalIndex,
     }));
-    const shuffledOptions = shuffleArray(indexedOptions);
+    const shuffledOptions = FIXED_ORDER_TYPES.includes(currentQuestionType)
+      ? indexedOptions
+      : shuffleArray(indexedOptions);
 
     optionsList.innerHTML = "";
-    shuffledOptions.forEach((opt, displayIndex) => {
+    // Элементы вопросов на порядок и сопоставление выводятся списком, варианты выбора — кнопками
+    const choiceOptions = isChoiceQuestion() ? shuffledOptions : [];
+    if (isOrder) {
+      optionsList.appendChild(createOrderList(shuffledOptions));
+    } else if (currentQuestionType === "match") {
+      optionsList.appendChild(createMatchList(shuffledOptions, currentTargets));
+    }
+    choiceOptions.forEach((opt) => {
       const b = document.createElement("button");
-      b.className = "btn option-btn" + (opt.img ? " with-img" : "");
+      b.className =
+        "btn option-btn" + (opt.img ? " with-img" : "") + (isMultiple ? " checkable" : "");
       b.dataset.originalIndex = opt.originalIndex;
       b.innerHTML = `
         ${opt.img ? `<img src="${opt.img}" class="option-img">` : ""}
-        <span class="option-label">${opt.text}</span>
+        ${QuestionMedia.renderOption(opt.media)}
+        <span class="option-label">${RichText.render(opt.text)}</span>
       `;
 
       b.onclick = () => {
+        if (isWaitingForMedia) {
+          return;
+        }
+        if (isMultiple) {
+          if (mySelection === null) {
+            b.classList.toggle("selected");
+            submitAnswerBtn.disabled = getCheckedOptions().length === 0;
+          }
+          return;
+        }
+
         if (mySelection === null) {
           mySelection = opt.originalIndex;
           socket.emit("submitAnswer", opt.originalIndex);
@@ -182,79 +349,521 @@
       optionsList.appendChild(b);
     });
 
-    // Рестарт анимации таймера
+    if (isInputQuestion()) {
+      const isNumeric = currentQuestionType === "numeric";
+      const input = document.createElement("input");
+      input.type = "text";
+      input.id = "text-answer-input";
+      input.className = "text-answer-input";
+      input.placeholder = isNumeric ? "Введите число" : "Введите ответ";
+      input.maxLength = isNumeric ? 20 : 200;
+      input.autocomplete = "off";
+      if (isNumeric) {
+        input.inputMode = "decimal";
+      }
+      input.oninput = () => {
+        submitAnswerBtn.disabled = getInputAnswer() === null;
+      };
+      input.addEventListener("keydown", (event) => {
+        if (event.key === "Enter") {
+          submitAnswerBtn.click();
+        }
+      });
+      optionsList.appendChild(input);
+      if (isNumeric) {
+        optionsList.appendChild(createNumericKeypad(input));
+      } else {
+        input.focus();
+      }
+    }
+
+    // Подсветка кода и формулы в вопросе и вариантах
+    RichText.typeset(quizView);
+    QuestionMedia.bindOptions(optionsList);
+
+    // Рестарт анимации таймера; вопрос с записью ждёт её окончания
     timerBar.style.transition = "none";
     timerBar.style.width = "100%";
+    if (!isWaitingForMedia) {
+      startTimerBar(data.timeLeft);
+    }
+    document.getElementById("q-num").textContent = data.questionNumber;
+    document.getElementById("q-total").textContent = data.totalQuestions;
+  }
+
+  /**
+   * Запускает анимацию полосы таймера
+   * @param {number} timeLeft - оставшееся время в секундах
+   */
+  function startTimerBar(timeLeft) {
     setTimeout(() => {
-      timerBar.style.transition = `width ${data.timeLeft}s linear`;
+      timerBar.style.transition = `width ${timeLeft}s linear`;
       timerBar.style.width = "0%";
     }, 50);
-    document.getElementById("q-num").textContent = data.questionNumber;
-    document.getElementById("q-total").textContent = data.totalQuestions;
-  });
+  }
+
+  /**
+   * Формирует HTML записи вопроса: проигрыватель без элементов управления
+   * и подсказку, где слушать или смотреть запись
+   * @param {Object} data - данные вопроса
+   * @returns {string} HTML записи или пустая строка
+   */
+  function renderQuestionMedia(data) {
+    if (!data.questionMedia) {
+      return "";
+    }
+    return `
+      ${QuestionMedia.render(data.questionMedia, "question-media-player hidden")}
+      <p class="media-notice">${MEDIA_NOTICES[data.questionMedia.type]}</p>
+      <p class="media-notice ${data.waitingForMedia ? "" : "hidden"}" id="media-wait-notice">
+        ⏳ Ответить можно после окончания записи
+      </p>
+    `;
+  }
+
+  /**
+   * Создаёт список для расстановки элементов по порядку.
+   * Элемент можно перетащить или коснуться его, а затем элемента, на место которого его поставить
+   * @param {Array<Object>} items - элементы с исходными индексами
+   * @returns {HTMLElement} список
+   */
+  function createOrderList(items) {
+    const list = document.createElement("ol");
+    list.id = "order-list";
+    list.className = "order-list";
+    let dragged = null;
+
+    items.forEach((item) => {
+      const li = document.createElement("li");
+      li.className = "order-item";
+      li.draggable = true;
+      li.dataset.originalIndex = item.originalIndex;
+      li.innerHTML = `
+        ${item.img ? `<img src="${item.img}" class="option-img">` : ""}
+        ${QuestionMedia.renderOption(item.media)}
+        <span class="option-label">${RichText.render(item.text)}</span>
+      `;
+
+      li.onclick = () => {
+        if (mySelection !== null) {
+          return;
+        }
+        const picked = list.querySelector(".order-item.picked");
+        if (!picked) {
+          li.classList.add("picked");
+          return;
+        }
+        picked.classList.remove("picked");
+        moveOrderItem(list, picked, li);
+      };
+      li.addEventListener("dragstart", () => {
+        dragged = li;
+      });
+      li.addEventListener("dragover", (event) => event.preventDefault());
+      li.addEventListener("drop", (event) => {
+        event.preventDefault();
+        if (mySelection === null && dragged) {
+          moveOrderItem(list, dragged, li);
+        }
+        dragged = null;
+      });
+      list.appendChild(li);
+    });
+
+    return list;
+  }
+
+  /**
+   * Ставит элемент списка на место другого, сдвигая элементы между ними
+   * @param {HTMLElement} list - список
+   * @param {HTMLElement} item - перемещаемый элемент
+   * @param {HTMLElement} target - элемент, на место которого ставится перемещаемый
+   */
+  function moveOrderItem(list, item, target) {
+    if (item === target) {
+      return;
+    }
+    const items = Array.from(list.children);
+    const isMovingUp = items.indexOf(item) > items.indexOf(target);
+    list.insertBefore(item, isMovingUp ? target : target.nextSibling);
+  }
+
+  /**
+   * Получает порядок элементов, расставленный игроком
+   * @returns {Array<number>} исходные индексы элементов сверху вниз
+   */
+  function getOrderAnswer() {
+    return Array.from(document.querySelectorAll("#order-list .order-item")).map((li) =>
+      parseInt(li.dataset.originalIndex, 10),
+    );
+  }
+
+  /**
+   * Создаёт список элементов вопроса на сопоставление с выбором пары для каждого
+   * @param {Array<Object>} items - элементы с исходными индексами
+   * @param {Array<Object>} targets - варианты правой части
+   * @returns {HTMLElement} список
+   */
+  function createMatchList(items, targets) {
+    const list = document.createElement("div");
+    list.id = "match-list";
+    list.className = "match-list";
+    const shuffledTargets = shuffleArray(
+      targets.map((target, originalIndex) => ({ ...target, originalIndex })),
+    );
+
+    const targetOptions = shuffledTargets
+      .map((target) => `<option value="${target.originalIndex}">${target.text}</option>`)
+      .join("");
+
+    items.forEach((item) => {
+      const row = document.createElement("label");
+      row.className = "match-row";
+      row.dataset.originalIndex = item.originalIndex;
+      row.innerHTML = `
+        <span class="match-left">
+          ${item.img ? `<img src="${item.img}" class="option-img">` : ""}
+          ${QuestionMedia.renderOption(item.media)}
+          ${RichText.render(item.text)}
+        </span>
+        <select class="match-select">
+          <option value="">— выберите —</option>
+          ${targetOptions}
+        </select>
+      `;
+      row.querySelector("select").onchange = () => {
+        submitAnswerBtn.disabled = getMatchAnswer().includes(null);
+      };
+      list.appendChild(row);
+    });
+
+    return list;
+  }
+
+  /**
+   * Получает пары, выбранные игроком
+   * @returns {Array<number|null>} индекс пары для каждого элемента по исходному порядку;
+   * null — пара не выбрана
+   */
+  function getMatchAnswer() {
+    const pairs = [];
+    document.querySelectorAll("#match-list .match-row").forEach((row) => {
+      const value = row.querySelector("select").value;
+      pairs[parseInt(row.dataset.originalIndex, 10)] = value === "" ? null : parseInt(value, 10);
+    });
+    return pairs;
+  }
+
+  /**
+   * Проверяет, выбирает ли игрок из вариантов (один или несколько правильных ответов, да/нет, опрос)
+   * @returns {boolean} true для вопросов с кнопками вариантов
+   */
+  function isChoiceQuestion() {
+    return SINGLE_CHOICE_TYPES.includes(currentQuestionType) || currentQuestionType === "multiple";
+  }
+
+  /**
+   * Проверяет, вводит ли игрок ответ сам (свободный или числовой ответ)
+   * @returns {boolean} true для вопросов без вариантов
+   */
+  function isInputQuestion() {
+    return currentQuestionType === "text" || currentQuestionType === "numeric";
+  }
+
+  /**
+   * Создаёт экранную клавиатуру для ввода числа
+   * @param {HTMLInputElement} input - поле ответа
+   * @returns {HTMLElement} клавиатура
+   */
+  function createNumericKeypad(input) {
+    const keypad = document.createElement("div");
+    keypad.className = "numeric-keypad";
+
+    ["1", "2", "3", "4", "5", "6", "7", "8", "9", "±", "0", ",", "⌫"].forEach((key) => {
+      const b = document.createElement("button");
+      b.type = "button";
+      b.className = "btn keypad-btn";
+      b.textContent = key;
+      b.onclick = () => {
+        if (key === "⌫") {
+          input.value = input.value.slice(0, -1);
+        } else if (key === "±") {
+          input.value = input.value.startsWith("-") ? input.value.slice(1) : `-${input.value}`;
+        } else if (input.value.length < input.maxLength) {
+          input.value += key;
+        }
+        input.oninput();
+      };
+      keypad.appendChild(b);
+    });
+
+    return keypad;
+  }
+
+  /**
+   * Получает введённый ответ из поля
+   * @returns {string|number|null} текст, число или null, если ответ пустой или не является числом
+   */
+  function getInputAnswer() {
+    const value = document.getElementById("text-answer-input").value.trim();
+    if (currentQuestionType !== "numeric") {
+      return value === "" ? null : value;
+    }
+    return /^-?\d+(?:[.,]\d+)?$/.test(value) ? parseFloat(value.replace(",", ".")) : null;
+  }
+
+  /**
+   * Получает индексы отмеченных вариантов
+   * @returns {Array<number>} исходные индексы вариантов
+   */
+  function getCheckedOptions() {
+    return Array.from(optionsList.querySelectorAll(".option-btn.selected")).map((btn) =>
+      parseInt(btn.dataset.originalIndex, 10),
+    );
+  }
+
+  /**
+   * Получает ответ, который отправляется кнопкой "Ответить"
+   * @returns {Array<number>|string|number|null} порядок, пары, отмеченные варианты, текст или число
+   */
+  function getSubmittedAnswer() {
+    if (currentQuestionType === "order") {
+      return getOrderAnswer();
+    }
+    if (currentQuestionType === "match") {
+      return getMatchAnswer();
+    }
+    return isInputQuestion() ? getInputAnswer() : getCheckedOptions();
+  }
+
+  // Отправка ответа на любой вопрос, кроме вопроса с одним правильным ответом
+  submitAnswerBtn.onclick = () => {
+    const answer = getSubmittedAnswer();
+    const isEmpty =
+      answer === null || (Array.isArray(answer) && (answer.length === 0 || answer.includes(null)));
+    if (mySelection === null && !isEmpty && !isWaitingForMedia) {
+      socket.emit("submitAnswer", answer);
+      markAnswered(answer);
+    }
+  };
+
+  /**
+   * Отмечает уже отправленный ответ и блокирует варианты
+   * @param {number|Array<number>|string} answerIndex - индекс или индексы выбранных вариантов,
+   * порядок элементов, выбранные пары, введённый текст или число
+   */
+  function markAnswered(answerIndex) {
+    mySelection = answerIndex;
+    submitAnswerBtn.disabled = true;
+
+    if (currentQuestionType === "order") {
+      // Расставляем элементы так, как их отправил игрок (важно при возвращении в игру)
+      const list = document.getElementById("order-list");
+      answerIndex.forEach((index) => {
+        const li = list.querySelector(`[data-original-index="${index}"]`);
+        li.draggable = false;
+        li.classList.remove("picked");
+        list.appendChild(li);
+      });
+      list.classList.add("locked");
+      return;
+    }
+
+    if (currentQuestionType === "match") {
+      optionsList.querySelectorAll(".match-row").forEach((row) => {
+        const select = row.querySelector("select");
+        select.value = answerIndex[parseInt(row.dataset.originalIndex, 10)];
+        select.disabled = true;
+      });
+      return;
+    }
+
+    if (isInputQuestion()) {
+      const textInput = document.getElementById("text-answer-input");
+      textInput.value = answerIndex;
+      textInput.disabled = true;
+      optionsList.querySelectorAll(".keypad-btn").forEach((btn) => (btn.disabled = true));
+      return;
+    }
+
+    const selected = [].concat(answerIndex);
+    Array.from(optionsList.children).forEach((btn) => {
+      btn.disabled = true;
+      btn.classList.toggle("selected", selected.includes(parseInt(btn.dataset.originalIndex, 10)));
+    });
+  }
+
+  /**
+   * Формирует HTML мини-рейтинга
+   */
+  function renderMiniLeaderboard(scores) {
+    return Object.entries(scores)
+      .sort((a, b) => b[1] - a[1])
+      .map(
+        ([name, score], i) => `
+              <div class="rank-item ${name === myNick ? "is-me" : ""}">
+                <span>${i + 1}. ${RichText.escapeHtml(name)}</span>
+                <strong>${score}</strong>
+              </div>
+            `,
+      )
+      .join("");
+  }
+
+  /**
+   * Получает подпись к правильному ответу после завершения вопроса
+   * @param {number} correctCount - количество показываемых правильных ответов
+   * @returns {string} подпись
+   */
+  function getRevealLabel(correctCount) {
+    if (currentQuestionType === "order") {
+      return "Правильный порядок";
+    }
+    if (currentQuestionType === "match") {
+      return "Правильные пары";
+    }
+    return correctCount > 1 && !isInputQuestion() ? "Правильные ответы" : "Правильный ответ";
+  }
+
+  /**
+   * Формирует блок пояснения к ответу
+   * @param {Object|null} explanation - пояснение { text, img }
+   * @returns {string} HTML пояснения или пустая строка
+   */
+  function renderExplanation(explanation) {
+    if (!explanation) {
+      return "";
+    }
+    return `
+      <div class="answer-explanation">
+        <h4>💡 Пояснение</h4>
+        ${explanation.text ? `<div class="explanation-text">${RichText.render(explanation.text)}</div>` : ""}
+        ${explanation.img ? `<img src="${explanation.img}" class="explanation-img">` : ""}
+      </div>
+    `;
+  }
+
+  // Новый вопрос
+  socket.on("updateQuestion", renderQuestion);
 
   // Завершение времени
   socket.on("timeOver", (data) => {
-    const { scores, correctAnswer, currentOptions } = data;
+    const { scores, correctAnswer, currentOptions, explanation } = data;
     const buttons = optionsList.querySelectorAll("button");
+    // Правильных ответов может быть несколько; для вводимого ответа это строки для показа.
+    // В опросе правильного ответа нет
+    const isInputAnswer = isInputQuestion();
+    const isPoll = currentQuestionType === "poll";
+    const correctIndexes = isPoll ? [] : [].concat(correctAnswer);
+    const mySelected = mySelection === null ? [] : [].concat(mySelection);
 
+    submitAnswerBtn.classList.add("hidden");
+    const textInput = document.getElementById("text-answer-input");
+    if (textInput) {
+      textInput.disabled = true;
+      textInput.classList.add(
+        myLastAnswerResult && myLastAnswerResult.isCorrect ? "correct" : "wrong",
+      );
+    }
     buttons.forEach((btn) => {
       btn.disabled = true;
       const origIdx = parseInt(btn.dataset.originalIndex, 10);
 
-      if (origIdx === correctAnswer) {
+      if (correctIndexes.includes(origIdx)) {
         btn.classList.add("correct");
         btn.innerHTML += " ✅";
-      } else if (origIdx === mySelection && origIdx !== correctAnswer) {
+      } else if (mySelected.includes(origIdx) && !isPoll) {
         btn.classList.add("wrong");
         btn.innerHTML += " ❌";
       }
     });
+    // В вопросе на порядок отмечается каждый элемент: стоит ли он на своём месте
+    optionsList.querySelectorAll(".order-item").forEach((li, position) => {
+      const isInPlace = parseInt(li.dataset.originalIndex, 10) === correctIndexes[position];
+      li.classList.add(isInPlace ? "correct" : "wrong");
+    });
+    // В вопросе на сопоставление — верно ли выбрана пара
+    optionsList.querySelectorAll(".match-row").forEach((row) => {
+      const select = row.querySelector("select");
+      const correctTarget = correctIndexes[parseInt(row.dataset.originalIndex, 10)];
+      select.disabled = true;
+      row.classList.add(select.value === String(correctTarget) ? "correct" : "wrong");
+    });
 
-    let correctText = "неизвестно";
-
-    if (currentOptions && currentOptions[correctAnswer]) {
-      correctText = currentOptions[correctAnswer].text;
-    } else {
+    const correctTexts = correctIndexes.map((index, position) => {
+      if (isInputAnswer) {
+        return index;
+      }
+      // Для вопроса на сопоставление правильный ответ — пара для каждого элемента
+      if (currentQuestionType === "match" && currentOptions && currentTargets[index]) {
+        return `${currentOptions[position].text} → ${currentTargets[index].text}`;
+      }
+      if (currentOptions && currentOptions[index]) {
+        return currentOptions[index].text;
+      }
       const correctBtn = Array.from(buttons).find(
-        (btn) => parseInt(btn.dataset.originalIndex, 10) === correctAnswer,
+        (btn) => parseInt(btn.dataset.originalIndex, 10) === index,
       );
-      if (correctBtn) {
-        correctText = correctBtn.textContent.replace(/[✅❌]/g, "").trim();
-      }
-    }
+      return correctBtn ? correctBtn.textContent.replace(/[✅❌]/g, "").trim() : "неизвестно";
+    });
+    const separators = { order: " → ", match: "; ", text: " / ", numeric: " / " };
+    const correctText = correctTexts.join(separators[currentQuestionType] || ", ");
 
     setTimeout(() => {
+      if (isPoll) {
+        optionsList.innerHTML = `
+          <div class="result-feedback">
+            <div class="result-status-icon">📊</div>
+            <h3>${mySelected.length > 0 ? "Спасибо за ответ!" : "Опрос завершён"}</h3>
+            <p>В опросе нет правильного ответа, баллы не начисляются</p>
+          </div>
+          ${renderExplanation(explanation)}
+
+          <div class="mini-leaderboard">
+            <h4>Текущий рейтинг:</h4>
+            ${renderMiniLeaderboard(scores)}
+          </div>
+        `;
+        RichText.typeset(optionsList);
+        return;
+      }
+
       // Используем результат от сервера, если он есть
       const isCorrect = myLastAnswerResult
         ? myLastAnswerResult.isCorrect
-        : mySelection === correctAnswer;
+        : isChoiceQuestion() &&
+          mySelected.length === correctIndexes.length &&
+          correctIndexes.every((index) => mySelected.includes(index));
       const scoreEarned = myLastAnswerResult ? myLastAnswerResult.scoreEarned : 0;
+      // Частичный зачёт за вопрос с несколькими правильными ответами, на порядок или сопоставление
+      const isPartial = !isCorrect && scoreEarned > 0;
+
+      let title = "Упс, не совсем...";
+      if (isCorrect) {
+        title = "Правильно!";
+      } else if (isPartial) {
+        title = "Частично верно";
+      }
 
-      let html = `
-        <div class="result-feedback ${isCorrect ? "text-success" : "text-danger"}">
-          <div class="result-status-icon">${isCorrect ? "🔥" : "⏳"}</div>
-          <h3>${isCorrect ? "Правильно!" : "Упс, не совсем..."}</h3>
-          ${isCorrect ? `<p class="score-earned">+${scoreEarned} баллов</p>` : ""}
-          <p class="correct-answer-reveal">Правильный ответ: <strong>${correctText}</strong></p>
+      const html = `
+        <div class="result-feedback ${isCorrect || isPartial ? "text-success" : "text-danger"}">
+          <div class="result-status-icon">${isCorrect ? "🔥" : isPartial ? "👍" : "⏳"}</div>
+          <h3>${title}</h3>
+          ${isCorrect || isPartial ? `<p class="score-earned">+${scoreEarned} баллов</p>` : ""}
+          <p class="correct-answer-reveal">
+            ${getRevealLabel(correctTexts.length)}:
+            <strong>${correctText}</strong>
+          </p>
         </div>
+        ${renderExplanation(explanation)}
         
         <div class="mini-leaderboard">
           <h4>Текущий рейтинг:</h4>
-          ${Object.entries(scores)
-            .sort((a, b) => b[1] - a[1])
-            .map(
-              ([name, score], i) => `
-              <div class="rank-item ${name === myNick ? "is-me" : ""}">
-                <span>${i + 1}. ${name}</span>
-                <strong>${score}</strong>
-              </div>
-            `,
-            )
-            .join("")}
+          ${renderMiniLeaderboard(scores)}
         </div>
       `;
       optionsList.innerHTML = html;
+      RichText.typeset(optionsList);
     }, 2000);
   });
 
@@ -262,6 +871,25 @@
   socket.on("quizFinished", (scores) => {
     const sorted = Object.entries(scores).sort((a, b) => b[1] - a[1]);
     const myPlace = sorted.findIndex((item) => item[0] === myNick) + 1;
+    const ranking = sorted
+      .map(([name, score], i) => {
+        let pClass = "";
+        if (i === 0) {
+          pClass = "place-1";
+        } else if (i === 1) {
+          pClass = "place-2";
+        } else if (i === 2) {
+          pClass = "place-3";
+        }
+
+        return `
+          <div class="rank-item ${pClass}">
+            <span>${i + 1}. ${RichText.escapeHtml(name)}</span>
+            <strong>${score}</strong>
+          </div>
+        `;
+      })
+      .join("");
 
     quizView.innerHTML = `
       <div class="card result-card">
@@ -269,23 +897,7 @@
         <div class="my-result" style="margin-bottom: 20px; font-size: 1.2rem;">
           ${myPlace > 0 ? `Ваше место: <strong>#${myPlace}</strong>` : "Вы участвовали в игре"}
         </div>
-        <div class="mini-leaderboard">
-          ${sorted
-            .map(([name, score], i) => {
-              let pClass = "";
-              if (i === 0) pClass = "place-1";
-              else if (i === 1) pClass = "place-2";
-              else if (i === 2) pClass = "place-3";
-
-              return `
-                <div class="rank-item ${pClass}">
-                  <span>${i + 1}. ${name}</span>
-                  <strong>${score}</strong>
-                </div>
-              `;
-            })
-            .join("")}
-        </div>
+        <div class="mini-leaderboard">${ranking}</div>
         <p class="footer-msg" style="margin-top: 20px;">Ожидайте нового квиза!</p>
       </div>
     `;
@@ -293,11 +905,18 @@
 
   // Сброс игры
   socket.on("gameReset", () => {
+    clearSession();
     location.reload();
   });
 
-  // Пауза игры
-  socket.on("gamePaused", () => {
+  /**
+   * Показывает оверлей паузы
+   */
+  function showPauseOverlay() {
+    if (document.getElementById("pause-overlay")) {
+      return;
+    }
+
     const pauseOverlay = document.createElement("div");
     pauseOverlay.id = "pause-overlay";
     pauseOverlay.style.cssText = `
@@ -320,8 +939,35 @@
       <p>Ожидайте продолжения...</p>
     `;
     document.body.appendChild(pauseOverlay);
+  }
+
+  // Запись вопроса закончилась — пошло время на ответ
+  socket.on("timerStarted", ({ timeLeft }) => {
+    isWaitingForMedia = false;
+    quizView.classList.remove("waiting-for-media");
+    const waitNotice = document.getElementById("media-wait-notice");
+    if (waitNotice) {
+      waitNotice.classList.add("hidden");
+    }
+    startTimerBar(timeLeft);
   });
 
+  // Ведущий включил запись вопроса на устройствах игроков
+  socket.on("mediaControl", (action) => {
+    const player = quizView.querySelector(".question-media-player");
+    if (!player) {
+      return;
+    }
+    player.classList.remove("hidden");
+    quizView.querySelectorAll(".media-notice:not(#media-wait-notice)").forEach((notice) => {
+      notice.classList.add("hidden");
+    });
+    QuestionMedia.control(player, action);
+  });
+
+  // Пауза игры
+  socket.on("gamePaused", showPauseOverlay);
+
   socket.on("gameResumed", () => {
     const pauseOverlay = document.getElementById("pause-overlay");
     if (pauseOverlay) {
@@ -329,18 +975,88 @@
     }
   });
 
-  // Обработка разрыва соединения
-  socket.on("disconnect", () => {
-    showReconnectUI();
-  });
+  // === Восстановление сессии ===
 
-  socket.on("reconnect", () => {
+  // При подключении (в том числе повторном) возвращаемся в игру по токену
+  socket.on("connect", () => {
     hideReconnectUI();
-    if (myNick) {
-      socket.emit("join", myNick);
+    const session = loadSession();
+    if (session) {
+      socket.emit("resume", { token: session.token, pin: session.pin });
+    }
+  });
+
+  /**
+   * Получает сохранённый на сервере ответ игрока
+   * @param {Object} answer - ответ из состояния игры
+   * @returns {number|Array<number>|string} индексы вариантов, порядок элементов, пары, текст или число
+   */
+  function getSavedAnswer(answer) {
+    if (answer.answerText !== undefined) {
+      return answer.answerText;
+    }
+    if (answer.answerValue !== undefined) {
+      return answer.answerValue;
+    }
+    if (answer.answerOrder !== undefined) {
+      return answer.answerOrder;
+    }
+    if (answer.answerPairs !== undefined) {
+      return answer.answerPairs;
+    }
+    return answer.answerIndex;
+  }
+
+  socket.on("resumed", (data) => {
+    showLoadingIndicator(false);
+    myNick = data.nickname;
+    myPin = data.pin;
+    loginDiv.classList.add("hidden");
+    gameDiv.classList.remove("hidden");
+
+    if (data.question) {
+      renderQuestion(data.question);
+      if (data.answer) {
+        markAnswered(getSavedAnswer(data.answer));
+        myLastAnswerResult = { ...data.answer, totalScore: data.score };
+      }
+      if (data.isPaused) {
+        showPauseOverlay();
+      }
+    } else if (data.questionNumber > 0) {
+      // Вопрос уже завершён — ждём следующий
+      lobbyView.classList.add("hidden");
+      quizView.classList.remove("hidden");
+      document.getElementById("question-text").textContent = "Ожидайте следующий вопрос...";
+      optionsList.innerHTML = `
+        <div class="mini-leaderboard">
+          <h4>Текущий рейтинг:</h4>
+          ${renderMiniLeaderboard(data.scores)}
+        </div>
+      `;
     }
   });
 
+  socket.on("resumeFailed", () => {
+    showLoadingIndicator(false);
+    clearSession();
+    myNick = null;
+    loginDiv.classList.remove("hidden");
+    gameDiv.classList.add("hidden");
+    showPinStep();
+    usePinFromUrl();
+  });
+
+  // Игрок вернулся в игру с другой вкладки или устройства
+  socket.on("sessionReplaced", () => {
+    alert("Вы продолжили игру в другом окне");
+  });
+
+  // Обработка разрыва соединения
+  socket.on("disconnect", () => {
+    showReconnectUI();
+  });
+
   socket.on("connect_error", () => {
     showReconnectUI();
   });
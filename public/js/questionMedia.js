@@ -0,0 +1,95 @@
+/**
+ * Аудио и видео в вопросах и вариантах ответов: разметка проигрывателей
+ * и команды воспроизведения, которые ведущий отправляет на устройства игроков
+ */
+(function () {
+  /**
+   * Формирует HTML записи вопроса. Элементов управления нет — воспроизведением
+   * управляет ведущий
+   * @param {{type: string, src: string}|undefined} media - запись вопроса
+   * @param {string} className - класс элемента
+   * @returns {string} HTML аудио или видео; пустая строка, если записи нет
+   */
+  function render(media, className) {
+    if (!media) {
+      return "";
+    }
+    const tag = media.type === "video" ? "video" : "audio";
+    return `<${tag} src="${media.src}" class="${className}" preload="auto" playsinline></${tag}>`;
+  }
+
+  /**
+   * Формирует HTML записи в варианте ответа: видео повторяется без звука,
+   * аудио включается кнопкой 🔊
+   * @param {{type: string, src: string}|undefined} media - запись варианта
+   * @returns {string} HTML записи; пустая строка, если записи нет
+   */
+  function renderOption(media) {
+    if (!media) {
+      return "";
+    }
+    if (media.type === "video") {
+      return `<video src="${media.src}" class="option-video" muted loop autoplay playsinline></video>`;
+    }
+    return `
+      <span class="option-audio-btn" role="button" title="Прослушать">
+        🔊<audio src="${media.src}" preload="none"></audio>
+      </span>
+    `;
+  }
+
+  /**
+   * Включает кнопки прослушивания в вариантах. Нажатие на кнопку не выбирает вариант,
+   * а одновременно звучит только одна запись
+   * @param {HTMLElement} container - элемент с вариантами
+   */
+  function bindOptions(container) {
+    container.querySelectorAll(".option-audio-btn").forEach((button) => {
+      button.addEventListener("click", (event) => {
+        event.stopPropagation();
+        event.preventDefault();
+        const audio = button.querySelector("audio");
+        const wasPlaying = !audio.paused;
+        stopAll(container);
+        if (!wasPlaying) {
+          audio.currentTime = 0;
+          audio.play().catch(() => {});
+        }
+      });
+    });
+  }
+
+  /**
+   * Выполняет команду воспроизведения. Если браузер не разрешил воспроизведение
+   * без нажатия, показываются стандартные элементы управления
+   * @param {HTMLMediaElement|null} element - аудио или видео
+   * @param {string} action - "play", "pause" или "replay"
+   */
+  function control(element, action) {
+    if (!element) {
+      return;
+    }
+    if (action === "pause") {
+      element.pause();
+      return;
+    }
+    if (action === "replay") {
+      element.currentTime = 0;
+    }
+    element.play().catch(() => {
+      element.controls = true;
+    });
+  }
+
+  /**
+   * Останавливает записи внутри элемента (видео без звука в вариантах продолжают играть)
+   * @param {HTMLElement} container - элемент с записями
+   */
+  function stopAll(container) {
+    container.querySelectorAll("audio, video:not([muted])").forEach((element) => {
+      element.pause();
+    });
+  }
+
+  window.QuestionMedia = { render, renderOption, bindOptions, control, stopAll };
+})();
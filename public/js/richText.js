@@ -0,0 +1,84 @@
+/**
+ * Оформление текста вопросов, вариантов и пояснений: переносы строк,
+ * блоки кода в ``` с подсветкой синтаксиса и формулы LaTeX в $...$ и $$...$$
+ * (highlight.js и KaTeX раздаются сервером локально)
+ */
+(function () {
+  // Блок кода: ```язык, строки кода, закрывающие ```
+  const CODE_BLOCK = /```([\w+#-]*)[^\n]*\n([\s\S]*?)\n?```/g;
+
+  // Формулы: $$...$$ — отдельной строкой, $...$ — в тексте
+  const MATH_DELIMITERS = [
+    { left: "$$", right: "$$", display: true },
+    { left: "$", right: "$", display: false },
+  ];
+
+  /**
+   * Экранирует HTML-символы в коде и в тексте, который вводят игроки
+   */
+  function escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&#39;");
+  }
+
+  /**
+   * Формирует HTML блока кода
+   */
+  function renderCodeBlock(language, code) {
+    const languageClass = language ? ` class="language-${language.toLowerCase()}"` : "";
+    return `<pre class="code-block"><code${languageClass}>${escapeHtml(code)}</code></pre>`;
+  }
+
+  /**
+   * Преобразует текст в HTML: блоки кода сохраняют отступы, остальные переносы строк
+   * становятся <br>. Переносы строк вокруг блока кода не добавляют пустых строк
+   */
+  function render(text) {
+    if (text === undefined || text === null) {
+      return "";
+    }
+
+    let html = "";
+    let lastIndex = 0;
+    const source = String(text);
+
+    for (const match of source.matchAll(CODE_BLOCK)) {
+      html += source.slice(lastIndex, match.index).replace(/\n+$/, "").replace(/\n/g, "<br>");
+      html += renderCodeBlock(match[1], match[2]);
+      lastIndex = match.index + match[0].length;
+    }
+
+    const rest = lastIndex > 0 ? source.slice(lastIndex).replace(/^\n+/, "") : source;
+    return html + rest.replace(/\n/g, "<br>");
+  }
+
+  /**
+   * Подсвечивает синтаксис в блоках кода и отображает формулы внутри элемента.
+   * Если библиотека не загрузилась, текст остаётся как есть
+   */
+  function typeset(container) {
+    if (!container) {
+      return;
+    }
+
+    if (window.hljs) {
+      container.querySelectorAll("pre.code-block code:not(.hljs)").forEach((block) => {
+        window.hljs.highlightElement(block);
+      });
+    }
+
+    // Формулы внутри блоков кода не отображаются (pre и code пропускаются)
+    if (window.renderMathInElement) {
+      window.renderMathInElement(container, {
+        delimiters: MATH_DELIMITERS,
+        throwOnError: false,
+      });
+    }
+  }
+
+  window.RichText = { render, typeset, escapeHtml };
+})();
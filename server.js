@@ -11,8 +11,23 @@ const io = new Server(server);
 
 // Подключаем модули
 const setupSocketRoutes = require("./src/routes/socketRoutes");
+const setupHttpRoutes = require("./src/routes/httpRoutes");
+const RoomManager = require("./src/services/roomManager");
+const ArchiveService = require("./src/services/archiveService");
+const { createStores } = require("./src/stores");
+const { expressErrorHandler } = require("./src/middleware/errorHandler");
 const config = require("./config");
 
+// Общий менеджер комнат для Socket.IO и HTTP-маршрутов
+const { stateStore, resultsArchive } = createStores(config.persistence);
+const roomManager = new RoomManager(stateStore, new ArchiveService(resultsArchive));
+
+// Игры, прерванные падением или перезапуском сервера, ждут своих ведущих
+const restoredCount = roomManager.restoreRooms();
+if (restoredCount > 0) {
+  console.log(`Восстановлено прерванных игр: ${restoredCount}`);
+}
+
 // Сжатие ответов
 app.use(compression());
 
@@ -24,8 +39,28 @@ app.use(
   }),
 );
 
+// Подсветка синтаксиса в блоках кода и формулы — библиотеки раздаются локально, без CDN
+app.use(
+  "/vendor/highlight",
+  express.static(path.dirname(require.resolve("@highlightjs/cdn-assets/package.json")), {
+    maxAge: "1d",
+    etag: true,
+  }),
+);
+app.use(
+  "/vendor/katex",
+  express.static(path.join(path.dirname(require.resolve("katex/package.json")), "dist"), {
+    maxAge: "1d",
+    etag: true,
+  }),
+);
+
+// HTTP-маршруты (QR-код для входа и т.п.)
+app.use(setupHttpRoutes(roomManager));
+app.use(expressErrorHandler);
+
 // Инициализация маршрутов Socket.IO
-setupSocketRoutes(io);
+setupSocketRoutes(io, roomManager);
 
 console.log("Сервер запущен");
 
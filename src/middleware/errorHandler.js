@@ -231,15 +231,15 @@ function resetInitialization() {
 }
 
 /**
- * Middleware для Express (если понадобится в будущем)
- * @param {Error} err - объект ошибки
+ * Middleware для Express
+ * @param {Error|Object} err - объект ошибки (в том числе созданный через createError)
  * @param {Object} req - объект запроса
  * @param {Object} res - объект ответа
  * @param {Function} next - функция перехода к следующему middleware
  */
 function expressErrorHandler(err, req, res, next) {
   const errorObj = createError(
-    ERROR_TYPES.INTERNAL,
+    err.type || ERROR_TYPES.INTERNAL,
     err.message || "Произошла ошибка на сервере",
     err.statusCode || 500,
     {
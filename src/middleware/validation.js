@@ -2,6 +2,10 @@
  * Middleware для валидации входящих данных
  */
 const config = require("../../config");
+const { QUIZ_FILE_EXTENSIONS } = require("../utils/quizParser");
+
+// Команды ведущего для записи вопроса на устройствах игроков
+const MEDIA_ACTIONS = ["play", "pause", "replay"];
 
 /**
  * Валидация пароля ведущего
@@ -70,6 +74,53 @@ function validateNickname(nickname) {
   };
 }
 
+/**
+ * Валидация PIN комнаты
+ * @param {string|number} pin - PIN, введённый игроком
+ * @returns {Object} результат валидации
+ */
+function validateRoomPin(pin) {
+  if (pin === null || pin === undefined || (typeof pin !== "string" && typeof pin !== "number")) {
+    return {
+      isValid: false,
+      error: "Введите PIN комнаты",
+    };
+  }
+
+  const trimmed = String(pin).trim();
+  const pinLength = config.rooms.pinLength;
+  if (!new RegExp(`^\\d{${pinLength}}$`).test(trimmed)) {
+    return {
+      isValid: false,
+      error: `PIN комнаты должен состоять из ${pinLength} цифр`,
+    };
+  }
+
+  return {
+    isValid: true,
+    value: trimmed,
+  };
+}
+
+/**
+ * Валидация токена сессии игрока
+ * @param {string} token - токен, сохранённый на клиенте
+ * @returns {Object} результат валидации
+ */
+function validateSessionToken(token) {
+  if (!token || typeof token !== "string" || !/^[a-f0-9]{32}$/.test(token)) {
+    return {
+      isValid: false,
+      error: "Недействительный токен сессии",
+    };
+  }
+
+  return {
+    isValid: true,
+    value: token,
+  };
+}
+
 /**
  * Валидация индекса ответа
  * @param {number} answerIndex - индекс ответа
@@ -97,13 +148,142 @@ function validateAnswerIndex(answerIndex, maxOptions) {
 }
 
 /**
- * Валидация данных выбора квиза
- * @param {Object} data - данные выбора квиза
+ * Валидация выбора нескольких вариантов ответа
+ * @param {Array<number>} selection - индексы выбранных вариантов
+ * @param {number} maxOptions - максимальное количество вариантов
+ * @returns {Object} результат валидации с отсортированными индексами без повторов
+ */
+function validateAnswerSelection(selection, maxOptions) {
+  if (!Array.isArray(selection) || selection.length === 0) {
+    return {
+      isValid: false,
+      error: "Выберите хотя бы один вариант ответа",
+    };
+  }
+
+  for (const answerIndex of selection) {
+    const validation = validateAnswerIndex(answerIndex, maxOptions);
+    if (!validation.isValid) {
+      return validation;
+    }
+  }
+
+  return {
+    isValid: true,
+    value: Array.from(new Set(selection)).sort((a, b) => a - b),
+  };
+}
+
+/**
+ * Валидация порядка элементов в вопросе на порядок
+ * @param {Array<number>} order - индексы элементов в порядке, выбранном игроком
+ * @param {number} itemCount - количество элементов
  * @returns {Object} результат валидации
  */
-function validateQuizSelection(data) {
-  const { fileName, shuffle, questionCount, timeLimit } = data;
+function validateAnswerOrder(order, itemCount) {
+  const isPermutation =
+    Array.isArray(order) &&
+    order.length === itemCount &&
+    new Set(order).size === itemCount &&
+    order.every((index) => validateAnswerIndex(index, itemCount).isValid);
+
+  if (!isPermutation) {
+    return {
+      isValid: false,
+      error: "Порядок должен содержать каждый элемент ровно один раз",
+    };
+  }
+
+  return {
+    isValid: true,
+    value: order,
+  };
+}
+
+/**
+ * Валидация пар в вопросе на сопоставление
+ * @param {Array<number>} pairs - индекс выбранной пары для каждого элемента
+ * @param {number} itemCount - количество элементов
+ * @param {number} targetCount - количество вариантов пары
+ * @returns {Object} результат валидации
+ */
+function validateAnswerPairs(pairs, itemCount, targetCount) {
+  if (!Array.isArray(pairs) || pairs.length !== itemCount) {
+    return {
+      isValid: false,
+      error: "Сопоставьте каждый элемент",
+    };
+  }
 
+  for (const target of pairs) {
+    const validation = validateAnswerIndex(target, targetCount);
+    if (!validation.isValid) {
+      return validation;
+    }
+  }
+
+  return {
+    isValid: true,
+    value: pairs,
+  };
+}
+
+/**
+ * Валидация свободного (текстового) ответа
+ * @param {string} text - ответ игрока
+ * @returns {Object} результат валидации с ответом без пробелов по краям
+ */
+function validateTextAnswer(text) {
+  if (typeof text !== "string" || text.trim().length === 0) {
+    return {
+      isValid: false,
+      error: "Ответ не может быть пустым",
+    };
+  }
+
+  if (text.length > 200) {
+    return {
+      isValid: false,
+      error: "Ответ не может быть длиннее 200 символов",
+    };
+  }
+
+  return {
+    isValid: true,
+    value: text.trim(),
+  };
+}
+
+/**
+ * Валидация числового ответа
+ * @param {number|string} value - ответ игрока (строка может содержать десятичную запятую)
+ * @returns {Object} результат валидации с ответом в виде числа
+ */
+function validateNumericAnswer(value) {
+  const number =
+    typeof value === "string" && /^\s*-?\d+(?:[.,]\d+)?\s*$/.test(value)
+      ? parseFloat(value.replace(",", "."))
+      : value;
+
+  if (typeof number !== "number" || !Number.isFinite(number)) {
+    return {
+      isValid: false,
+      error: "Ответ должен быть числом",
+    };
+  }
+
+  return {
+    isValid: true,
+    value: number,
+  };
+}
+
+/**
+ * Валидация имени файла квиза: файл из папки quizzes с расширением .txt, .gift или .aiken
+ * @param {string} fileName - имя файла квиза
+ * @returns {Object} результат валидации
+ */
+function validateQuizFileName(fileName) {
   if (!fileName || typeof fileName !== "string") {
     return {
       isValid: false,
@@ -111,13 +291,40 @@ function validateQuizSelection(data) {
     };
   }
 
-  if (!fileName.endsWith(".txt")) {
+  if (!QUIZ_FILE_EXTENSIONS.some((extension) => fileName.endsWith(extension))) {
     return {
       isValid: false,
-      error: "Файл квиза должен иметь расширение .txt",
+      error: `Файл квиза должен иметь расширение ${QUIZ_FILE_EXTENSIONS.join(", ")}`,
     };
   }
 
+  // Файлы вне папки quizzes недоступны
+  if (/[\\/]/.test(fileName)) {
+    return {
+      isValid: false,
+      error: "Имя файла квиза не должно содержать путь",
+    };
+  }
+
+  return {
+    isValid: true,
+    value: fileName,
+  };
+}
+
+/**
+ * Валидация данных выбора квиза
+ * @param {Object} data - данные выбора квиза
+ * @returns {Object} результат валидации
+ */
+function validateQuizSelection(data) {
+  const { fileName, shuffle, questionCount, timeLimit } = data;
+
+  const fileNameValidation = validateQuizFileName(fileName);
+  if (!fileNameValidation.isValid) {
+    return fileNameValidation;
+  }
+
   if (typeof shuffle !== "boolean") {
     return {
       isValid: false,
@@ -165,6 +372,25 @@ function validateQuizSelection(data) {
   };
 }
 
+/**
+ * Валидация команды воспроизведения записи вопроса
+ * @param {string} action - "play", "pause" или "replay"
+ * @returns {Object} результат валидации
+ */
+function validateMediaAction(action) {
+  if (!MEDIA_ACTIONS.includes(action)) {
+    return {
+      isValid: false,
+      error: "Неизвестная команда воспроизведения",
+    };
+  }
+
+  return {
+    isValid: true,
+    value: action,
+  };
+}
+
 /**
  * Валидация времени ответа
  * @param {number} timeElapsed - время ответа в секундах
@@ -193,7 +419,16 @@ function validateResponseTime(timeElapsed) {
 module.exports = {
   validateHostPassword,
   validateNickname,
+  validateRoomPin,
+  validateSessionToken,
   validateAnswerIndex,
+  validateAnswerSelection,
+  validateAnswerOrder,
+  validateAnswerPairs,
+  validateTextAnswer,
+  validateNumericAnswer,
+  validateQuizFileName,
   validateQuizSelection,
+  validateMediaAction,
   validateResponseTime,
 };
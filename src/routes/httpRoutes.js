@@ -0,0 +1,89 @@
+const express = require("express");
+const QRCode = require("qrcode");
+const { validateRoomPin } = require("../middleware/validation");
+const { createError, ERROR_TYPES } = require("../middleware/errorHandler");
+const { getPlayerUrl } = require("../utils/network");
+
+const QR_FORMATS = ["svg", "png"];
+const EXPORT_FORMATS = ["csv", "xlsx"];
+
+/**
+ * Создает роутер HTTP-маршрутов
+ * @param {RoomManager} roomManager - менеджер игровых комнат (общий с Socket.IO)
+ * @returns {express.Router} роутер Express
+ */
+function setupHttpRoutes(roomManager) {
+  const router = express.Router();
+
+  // Доступ только для ведущего: токен ведущего передаётся в заголовке X-Host-Token
+  // или в параметре token (для ссылок на скачивание)
+  const requireHost = (req, res, next) => {
+    const token = req.get("X-Host-Token") || req.query.token;
+    if (typeof token !== "string" || !roomManager.getRoomByHostToken(token)) {
+      return next(createError(ERROR_TYPES.AUTHENTICATION, "Требуется вход ведущего", 401));
+    }
+    return next();
+  };
+
+  // QR-код со ссылкой для входа в комнату: /api/qr?pin=123456&format=svg|png
+  // Генерируется на сервере, поэтому работает без доступа в интернет
+  router.get("/api/qr", async (req, res, next) => {
+    const pinValidation = validateRoomPin(req.query.pin);
+    if (!pinValidation.isValid) {
+      return next(createError(ERROR_TYPES.VALIDATION, pinValidation.error, 400));
+    }
+
+    const format = req.query.format || "svg";
+    if (!QR_FORMATS.includes(format)) {
+      return next(createError(ERROR_TYPES.VALIDATION, "Неподдерживаемый формат QR-кода", 400));
+    }
+
+    if (!roomManager.getRoom(pinValidation.value)) {
+      return next(createError(ERROR_TYPES.NOT_FOUND, "Комната с таким PIN не найдена", 404));
+    }
+
+    const url = getPlayerUrl(pinValidation.value);
+    res.set("Cache-Control", "no-store");
+
+    if (format === "png") {
+      const image = await QRCode.toBuffer(url, { type: "png", width: 512, margin: 1 });
+      return res.type("png").send(image);
+    }
+
+    const image = await QRCode.toString(url, { type: "svg", margin: 1 });
+    return res.type("svg").send(image);
+  });
+
+  // Архив сыгранных игр
+  router.get("/api/archive", requireHost, (req, res) => {
+    res.json({ success: true, games: roomManager.archive.listGames() });
+  });
+
+  router.get("/api/archive/:id", requireHost, (req, res, next) => {
+    const game = roomManager.archive.getGame(req.params.id);
+    if (!game) {
+      return next(createError(ERROR_TYPES.NOT_FOUND, "Игра не найдена в архиве", 404));
+    }
+    return res.json({ success: true, game });
+  });
+
+  // Повторный экспорт: /api/archive/<id>/export?format=csv|xlsx
+  router.get("/api/archive/:id/export", requireHost, (req, res, next) => {
+    const format = req.query.format || "csv";
+    if (!EXPORT_FORMATS.includes(format)) {
+      return next(createError(ERROR_TYPES.VALIDATION, "Неподдерживаемый формат экспорта", 400));
+    }
+
+    const file = roomManager.archive.exportGame(req.params.id, format);
+    if (!file) {
+      return next(createError(ERROR_TYPES.NOT_FOUND, "Игра не найдена в архиве", 404));
+    }
+
+    res.attachment(file.filename);
+    return res.type(format === "xlsx" ? "xlsx" : "text/csv; charset=utf-8").send(file.content);
+  });
+
+  return router;
+}
+
+module.exports = setupHttpRoutes;
@@ -1,11 +1,23 @@
 const {
   validateHostPassword,
   validateNickname,
+  validateRoomPin,
+  validateSessionToken,
   validateAnswerIndex,
+  validateAnswerSelection,
+  validateAnswerOrder,
+  validateAnswerPairs,
+  validateTextAnswer,
+  validateNumericAnswer,
+  validateQuizFileName,
   validateQuizSelection,
+  validateMediaAction,
   validateResponseTime,
 } = require("../middleware/validation");
-const gameService = require("../services/gameService");
+const RoomManager = require("../services/roomManager");
+const { getPlayerUrl } = require("../utils/network");
+const { listQuizzes } = require("../utils/quizCatalog");
+const { lintQuizFile } = require("../utils/quizLinter");
 const {
   handleSocketError,
   validateOrThrow,
@@ -17,35 +29,41 @@ const config = require("../../config");
 /**
  * Запускает таймер вопроса
  * @param {Object} io - экземпляр Socket.IO
- * @param {Map} activeSockets - карта активных сокетов
+ * @param {Object} room - игровая комната
  * @param {number} timeLimit - время на ответ в секундах
  * @returns {Object} объект с методами управления таймером
  */
-function startQuestionTimer(io, activeSockets, timeLimit) {
+function startQuestionTimer(io, room, timeLimit) {
+  const { gameService } = room;
   let timeLeft = timeLimit;
   let timerId = null;
   let isEnded = false;
 
   const endQuestion = () => {
-    if (isEnded) return null;
+    if (isEnded) {
+      return null;
+    }
     isEnded = true;
-    if (timerId) clearInterval(timerId);
+    if (timerId) {
+      clearInterval(timerId);
+    }
     return gameService.endCurrentQuestion();
   };
 
   timerId = setInterval(() => {
     timeLeft--;
-    io.emit("timerTick", timeLeft);
+    io.to(room.code).emit("timerTick", timeLeft);
 
     if (timeLeft <= 0) {
       clearInterval(timerId);
       const result = endQuestion();
       if (result) {
         const currentScores = gameService.getAllPlayersScores();
-        io.emit("timeOver", {
+        io.to(room.code).emit("timeOver", {
           scores: currentScores,
           correctAnswer: result.correctAnswer,
           currentOptions: result.currentOptions,
+          explanation: result.explanation,
         });
       }
     }
@@ -55,7 +73,9 @@ function startQuestionTimer(io, activeSockets, timeLimit) {
     getTimeLeft: () => timeLeft,
     endQuestion,
     clearTimer: () => {
-      if (timerId) clearInterval(timerId);
+      if (timerId) {
+        clearInterval(timerId);
+      }
     },
   };
 }
@@ -72,20 +92,147 @@ function resetAnswerFlags(activeSockets) {
   });
 }
 
+/**
+ * Ищет открытую для входа комнату по PIN
+ * @param {RoomManager} roomManager - менеджер игровых комнат
+ * @param {string|number} pin - PIN, введённый игроком
+ * @returns {Object} { room } или { error } с сообщением для игрока
+ */
+function findOpenRoom(roomManager, pin) {
+  const validation = validateRoomPin(pin);
+  if (!validation.isValid) {
+    return { error: validation.error };
+  }
+
+  const room = roomManager.getRoom(validation.value);
+  if (!room) {
+    return { error: "Комната с таким PIN не найдена" };
+  }
+
+  if (!room.isOpen) {
+    return { error: "Комната закрыта для входа" };
+  }
+
+  return { room };
+}
+
+/**
+ * Отвязывает сокет игрока от комнаты и рассылает обновлённый список игроков
+ * @param {Object} io - экземпляр Socket.IO
+ * @param {RoomManager} roomManager - менеджер игровых комнат
+ * @param {Object} room - комната, из которой выходит игрок
+ * @param {Socket} socket - сокет игрока
+ */
+function leaveRoom(io, roomManager, room, socket) {
+  room.activeSockets.delete(socket.id);
+  socket.leave(room.code);
+  io.to(room.code).emit("playerListUpdate", roomManager.getPlayerNames(room));
+  roomManager.removeRoomIfEmpty(room.code);
+}
+
+/**
+ * Привязывает сокет ведущего к комнате
+ * @param {Socket} socket - сокет ведущего
+ * @param {Object} room - комната
+ */
+function attachHost(socket, room) {
+  socket.isHost = true;
+  socket.roomCode = room.code;
+  socket.join(room.code);
+  room.hostSocketId = socket.id;
+  room.activeSockets.set(socket.id, socket);
+}
+
+/**
+ * Возвращает ведущего в комнату: заменяет прежнее подключение, снимает
+ * автоматическую паузу и отправляет полный снимок состояния игры
+ * @param {Object} io - экземпляр Socket.IO
+ * @param {RoomManager} roomManager - менеджер игровых комнат
+ * @param {Socket} socket - сокет ведущего
+ * @param {Object} room - комната
+ */
+function restoreHost(io, roomManager, socket, room) {
+  // Прежнее подключение ведущего (например, вторая вкладка) уступает место новому
+  const previousHost = room.hostSocketId && room.activeSockets.get(room.hostSocketId);
+  if (previousHost && previousHost !== socket) {
+    room.activeSockets.delete(previousHost.id);
+    previousHost.leave(room.code);
+    previousHost.isHost = false;
+    previousHost.roomCode = null;
+    previousHost.emit("sessionReplaced");
+  }
+
+  if (room.hostAbsenceTimer) {
+    clearTimeout(room.hostAbsenceTimer);
+    room.hostAbsenceTimer = null;
+  }
+
+  attachHost(socket, room);
+  room.isRestored = false;
+
+  // Снимаем паузу, поставленную автоматически на время отсутствия ведущего
+  const { gameService } = room;
+  if (room.pausedByHostDisconnect) {
+    room.pausedByHostDisconnect = false;
+    if (gameService.isCurrentQuestionActive() && gameService.isGamePaused()) {
+      gameService.togglePause();
+      const timeLeft = gameService.getRemainingTime();
+      room.currentTimer = startQuestionTimer(io, room, timeLeft);
+      io.to(room.code).emit("gameResumed", { timeLeft });
+    }
+  }
+
+  socket.emit("hostResumed", {
+    hostToken: room.hostToken,
+    pin: room.code,
+    joinUrl: getPlayerUrl(room.code),
+    players: roomManager.getPlayerNames(room),
+    state: gameService.getStateSnapshot(),
+  });
+
+  console.log(`Хост вернулся: ${socket.id}, комната ${room.code}`);
+}
+
+/**
+ * Переводит комнату в ожидание отключившегося ведущего: при настройке
+ * rooms.hostDisconnectMode = "pause" ставит текущий вопрос на паузу,
+ * а через rooms.hostReconnectTimeout удаляет опустевшую комнату
+ * @param {Object} io - экземпляр Socket.IO
+ * @param {RoomManager} roomManager - менеджер игровых комнат
+ * @param {Object} room - комната
+ */
+function waitForHost(io, roomManager, room) {
+  const { gameService } = room;
+
+  if (
+    config.rooms.hostDisconnectMode === "pause" &&
+    room.currentTimer &&
+    gameService.isCurrentQuestionActive() &&
+    !gameService.isGamePaused()
+  ) {
+    gameService.togglePause();
+    room.currentTimer.clearTimer();
+    room.pausedByHostDisconnect = true;
+    io.to(room.code).emit("gamePaused");
+  }
+
+  room.hostAbsenceTimer = setTimeout(() => {
+    room.hostAbsenceTimer = null;
+    roomManager.removeRoomIfEmpty(room.code);
+  }, config.rooms.hostReconnectTimeout * 1000);
+  // Ожидание ведущего не должно мешать завершению процесса
+  room.hostAbsenceTimer.unref();
+}
+
 /**
  * Обработчики Socket.IO событий
  * @param {Socket} io - экземпляр Socket.IO
+ * @param {RoomManager} [roomManager] - менеджер игровых комнат
  */
-function setupSocketRoutes(io) {
+function setupSocketRoutes(io, roomManager = new RoomManager()) {
   // Инициализация глобальных обработчиков ошибок
   initGlobalErrorHandlers();
 
-  // Хранилище активных сокетов для проверки уникальности ников
-  const activeSockets = new Map();
-
-  // Текущий таймер вопроса
-  let currentTimer = null;
-
   io.on("connection", (socket) => {
     console.log("Клиент подключился:", socket.id);
 
@@ -97,9 +244,8 @@ function setupSocketRoutes(io) {
           return;
         }
 
-        // Проверяем, не занят ли уже хост
-        const existingHost = Array.from(activeSockets.values()).find((s) => s.isHost);
-        if (existingHost) {
+        // Проверяем, не авторизован ли уже этот сокет как ведущий
+        if (socket.isHost) {
           socket.emit("hostAuthResult", {
             success: false,
             reason: "already_host",
@@ -120,10 +266,24 @@ function setupSocketRoutes(io) {
           return;
         }
         if (password === HOST_PASSWORD) {
-          socket.isHost = true;
-          activeSockets.set(socket.id, socket);
-          socket.emit("hostAuthResult", { success: true });
-          console.log("Хост успешно авторизован:", socket.id);
+          // Каждый ведущий получает собственную комнату
+          const room = roomManager.createRoom();
+          if (!room) {
+            socket.emit("hostAuthResult", {
+              success: false,
+              reason: "too_many_rooms",
+            });
+            return;
+          }
+
+          attachHost(socket, room);
+          // Токен позволяет ведущему вернуться в игру без пароля (см. resumeHost)
+          socket.emit("hostAuthResult", {
+            success: true,
+            hostToken: room.hostToken,
+            interruptedGames: roomManager.getInterruptedGames(),
+          });
+          console.log(`Хост успешно авторизован: ${socket.id}, комната ${room.code}`);
         } else {
           socket.emit("hostAuthResult", {
             success: false,
@@ -136,33 +296,117 @@ function setupSocketRoutes(io) {
     });
 
     socket.on("disconnect", () => {
+      const room = roomManager.getRoomForSocket(socket);
+
       if (socket.isHost) {
         console.log("Хост отключился:", socket.id);
-        // Очищаем текущий таймер при отключении хоста
-        if (currentTimer) {
-          currentTimer.clearTimer();
-          currentTimer = null;
+        // Игра продолжается: ведущий может вернуться по токену
+        if (room && room.hostSocketId === socket.id) {
+          room.hostSocketId = null;
+          waitForHost(io, roomManager, room);
         }
       } else if (socket.nickname) {
         console.log(`Игрок отключился: ${socket.nickname} (${socket.id})`);
       }
-      activeSockets.delete(socket.id);
+
+      if (room) {
+        room.activeSockets.delete(socket.id);
+        roomManager.removeRoomIfEmpty(room.code);
+      }
+    });
+
+    // Возвращение ведущего после перезагрузки страницы или обрыва связи: { token }
+    socket.on("resumeHost", (data) => {
+      try {
+        const { token } = data && typeof data === "object" ? data : {};
+
+        const validation = validateSessionToken(token);
+        const room = validation.isValid ? roomManager.getRoomByHostToken(validation.value) : null;
+
+        if (!room || (socket.isHost && socket.roomCode !== room.code)) {
+          socket.emit("hostResumeFailed", "Игра не найдена. Войдите заново.");
+          return;
+        }
+
+        restoreHost(io, roomManager, socket, room);
+      } catch (error) {
+        handleSocketError(socket, error, "resumeHost");
+      }
+    });
+
+    // Ведущий продолжает игру, прерванную перезапуском сервера
+    socket.on("resumeInterruptedGame", (pin) => {
+      const ownRoom = roomManager.getRoomForSocket(socket);
+      if (!socket.isHost || !ownRoom) {
+        return;
+      }
+
+      try {
+        const room = roomManager.getRoom(pin);
+        // Игру уже продолжили или удалили — обновляем список у ведущего
+        if (!room || !room.isRestored || room.hostSocketId) {
+          socket.emit("interruptedGames", roomManager.getInterruptedGames());
+          return;
+        }
+
+        // Пустая комната, созданная при входе, больше не нужна
+        ownRoom.activeSockets.delete(socket.id);
+        ownRoom.hostSocketId = null;
+        socket.leave(ownRoom.code);
+        roomManager.removeRoomIfEmpty(ownRoom.code);
+
+        restoreHost(io, roomManager, socket, room);
+      } catch (error) {
+        handleSocketError(socket, error, "resumeInterruptedGame");
+      }
+    });
+
+    // Ведущий отказывается от прерванной игры
+    socket.on("discardInterruptedGame", (pin) => {
+      if (!socket.isHost) {
+        return;
+      }
+
+      try {
+        const room = roomManager.getRoom(pin);
+        if (room && room.isRestored && !room.hostSocketId) {
+          // Вернувшиеся игроки узнают, что игра закончена
+          io.to(room.code).emit("gameReset");
+          roomManager.removeRoom(room.code);
+        }
+        socket.emit("interruptedGames", roomManager.getInterruptedGames());
+      } catch (error) {
+        handleSocketError(socket, error, "discardInterruptedGame");
+      }
     });
 
-    // Отправляем список файлов ведущему
+    // Отправляем ведущему описания квизов: название, предмет, теги, количество вопросов
     socket.on("getQuizList", () => {
       if (!socket.isHost) return;
 
-      const fs = require("fs");
-      const path = require("path");
-      const dirPath = path.join(__dirname, "../../quizzes");
+      try {
+        socket.emit("quizList", listQuizzes());
+      } catch (error) {
+        handleSocketError(socket, error, "getQuizList");
+      }
+    });
 
-      if (!fs.existsSync(dirPath)) {
-        fs.mkdirSync(dirPath);
+    // Проверка файла квиза перед загрузкой: ошибки и предупреждения с номерами строк
+    socket.on("checkQuiz", (fileName) => {
+      if (!socket.isHost) {
+        return;
       }
 
-      const files = fs.readdirSync(dirPath).filter((f) => f.endsWith(".txt"));
-      socket.emit("quizList", files);
+      try {
+        const validation = validateQuizFileName(fileName);
+        if (!validateOrThrow(validation, socket, "quiz check")) {
+          return;
+        }
+
+        socket.emit("quizCheckResult", { fileName, ...lintQuizFile(fileName) });
+      } catch (error) {
+        handleSocketError(socket, error, "checkQuiz");
+      }
     });
 
     // Отправляем конфигурацию клиенту
@@ -172,7 +416,10 @@ function setupSocketRoutes(io) {
 
     // Ведущий выбирает квиз
     socket.on("selectQuiz", (data) => {
-      if (!socket.isHost) return;
+      const room = roomManager.getRoomForSocket(socket);
+      if (!socket.isHost || !room) {
+        return;
+      }
 
       try {
         const validation = validateQuizSelection(data);
@@ -180,7 +427,10 @@ function setupSocketRoutes(io) {
           return;
         }
 
-        const result = gameService.loadQuiz(
+        // Новый квиз заменяет результаты предыдущей игры — сохраняем их
+        roomManager.archive.archiveGame(room);
+
+        const result = room.gameService.loadQuiz(
           data.fileName,
           data.shuffle,
           data.questionCount,
@@ -188,7 +438,13 @@ function setupSocketRoutes(io) {
         );
 
         if (result.success) {
-          io.emit("quizReady", data.fileName);
+          // После загрузки квиза комната открывается для игроков по PIN
+          room.isOpen = true;
+          io.to(room.code).emit("quizReady", {
+            fileName: data.fileName,
+            pin: room.code,
+            joinUrl: getPlayerUrl(room.code),
+          });
           console.log(result.message);
         } else {
           socket.emit("quizError", { message: result.error });
@@ -198,9 +454,32 @@ function setupSocketRoutes(io) {
       }
     });
 
-    // Вход пользователя
-    socket.on("join", (nickname) => {
+    // Проверка PIN комнаты до ввода никнейма
+    socket.on("checkRoomPin", (pin) => {
+      try {
+        const { room, error } = findOpenRoom(roomManager, pin);
+        if (error) {
+          socket.emit("joinError", error);
+          return;
+        }
+
+        socket.emit("roomPinAccepted", { pin: room.code });
+      } catch (err) {
+        handleSocketError(socket, err, "checkRoomPin");
+      }
+    });
+
+    // Вход пользователя: { nickname, pin }
+    socket.on("join", (data) => {
       try {
+        const { nickname, pin } = data && typeof data === "object" ? data : {};
+
+        const { room, error } = findOpenRoom(roomManager, pin);
+        if (error) {
+          socket.emit("joinError", error);
+          return;
+        }
+
         const validation = validateNickname(nickname);
         if (!validation.isValid) {
           socket.emit("joinError", validation.error);
@@ -209,8 +488,8 @@ function setupSocketRoutes(io) {
 
         const trimmedNickname = validation.value;
 
-        // Проверяем, не занят ли никнейм другим активным игроком
-        const isNicknameTaken = Array.from(activeSockets.values()).some(
+        // Проверяем, не занят ли никнейм другим активным игроком комнаты
+        const isNicknameTaken = Array.from(room.activeSockets.values()).some(
           (s) => s.nickname === trimmedNickname && s.id !== socket.id,
         );
 
@@ -219,68 +498,144 @@ function setupSocketRoutes(io) {
           return;
         }
 
+        // Игрок переходит из другой комнаты
+        const previousRoom = roomManager.getRoomForSocket(socket);
+        if (previousRoom && previousRoom !== room) {
+          leaveRoom(io, roomManager, previousRoom, socket);
+        }
+
         // Устанавливаем никнейм
         socket.nickname = trimmedNickname;
-        activeSockets.set(socket.id, socket);
+        socket.roomCode = room.code;
+        socket.join(room.code);
+        room.activeSockets.set(socket.id, socket);
+
+        // Токен позволяет вернуться в игру после переподключения (см. resume)
+        socket.emit("joinAccepted", {
+          nickname: trimmedNickname,
+          pin: room.code,
+          sessionToken: roomManager.createSession(room, trimmedNickname),
+        });
 
-        // Инициализируем счёт, если ещё не существует
-        const currentScores = gameService.getAllPlayersScores();
-        if (currentScores[trimmedNickname] === undefined) {
-          // Счёт будет инициализирован при первом ответе
+        console.log(`${trimmedNickname} присоединился к комнате ${room.code}`);
+
+        // Обновляем список игроков
+        io.to(room.code).emit("playerListUpdate", roomManager.getPlayerNames(room));
+      } catch (error) {
+        handleSocketError(socket, error, "join");
+      }
+    });
+
+    // Восстановление сессии игрока после переподключения: { token, pin }
+    socket.on("resume", (data) => {
+      try {
+        const { token, pin } = data && typeof data === "object" ? data : {};
+
+        const pinValidation = validateRoomPin(pin);
+        const tokenValidation = validateSessionToken(token);
+        const room = pinValidation.isValid ? roomManager.getRoom(pinValidation.value) : null;
+        const nickname =
+          room && tokenValidation.isValid
+            ? roomManager.getSessionNickname(room, tokenValidation.value)
+            : null;
+
+        if (!nickname) {
+          socket.emit("resumeFailed", "Сессия устарела. Войдите в игру заново.");
+          return;
         }
 
-        console.log(`${trimmedNickname} присоединился`);
+        // Старый сокет игрока может ещё не отключиться по таймауту — новый занимает его место
+        Array.from(room.activeSockets.values())
+          .filter((s) => s.nickname === nickname && s.id !== socket.id)
+          .forEach((staleSocket) => {
+            room.activeSockets.delete(staleSocket.id);
+            staleSocket.leave(room.code);
+            staleSocket.nickname = null;
+            staleSocket.roomCode = null;
+            staleSocket.emit("sessionReplaced");
+          });
 
-        // Обновляем список игроков
-        const players = Array.from(activeSockets.values())
-          .filter((s) => s.nickname)
-          .map((s) => s.nickname);
+        const previousRoom = roomManager.getRoomForSocket(socket);
+        if (previousRoom && previousRoom !== room) {
+          leaveRoom(io, roomManager, previousRoom, socket);
+        }
+
+        const { gameService } = room;
+        const question = gameService.getCurrentQuestion();
+        const scores = gameService.getAllPlayersScores();
+
+        socket.nickname = nickname;
+        socket.roomCode = room.code;
+        socket.answered = gameService.answeredUsers.has(nickname);
+        socket.join(room.code);
+        room.activeSockets.set(socket.id, socket);
+
+        socket.emit("resumed", {
+          nickname,
+          pin: room.code,
+          score: scores[nickname] || 0,
+          scores,
+          questionNumber: gameService.getCurrentQuestionIndex() + 1,
+          question,
+          answer: question ? gameService.getPlayerAnswer(nickname) : null,
+          isPaused: Boolean(question) && gameService.isGamePaused(),
+        });
 
-        io.emit("playerListUpdate", players);
+        console.log(`${nickname} вернулся в комнату ${room.code}`);
+
+        io.to(room.code).emit("playerListUpdate", roomManager.getPlayerNames(room));
       } catch (error) {
-        handleSocketError(socket, error, "join");
+        handleSocketError(socket, error, "resume");
       }
     });
 
     // Управление ведущего: Следующий вопрос
     socket.on("nextQuestion", () => {
-      if (!socket.isHost) return;
+      const room = roomManager.getRoomForSocket(socket);
+      if (!socket.isHost || !room) {
+        return;
+      }
+      const { gameService } = room;
 
       // Функция запуска нового вопроса
       const launchNextQuestion = () => {
         const question = gameService.getNextQuestion();
         if (question) {
-          resetAnswerFlags(activeSockets);
-          io.emit("updateQuestion", question);
+          resetAnswerFlags(room.activeSockets);
+          io.to(room.code).emit("updateQuestion", question);
 
           // Очищаем предыдущий таймер если есть
-          if (currentTimer) {
-            currentTimer.clearTimer();
+          if (room.currentTimer) {
+            room.currentTimer.clearTimer();
           }
 
-          // Запускаем новый таймер
-          currentTimer = startQuestionTimer(io, activeSockets, question.timeLeft);
+          // Запускаем новый таймер; вопрос с записью может ждать её окончания
+          room.currentTimer = question.waitingForMedia
+            ? null
+            : startQuestionTimer(io, room, question.timeLeft);
         } else {
           // Квиз завершен
+          roomManager.archive.archiveGame(room);
           const currentScores = gameService.getAllPlayersScores();
-          io.emit("quizFinished", currentScores);
+          io.to(room.code).emit("quizFinished", currentScores);
         }
       };
 
       if (gameService.isCurrentQuestionActive()) {
         // Завершаем текущий вопрос досрочно
-        if (currentTimer) {
-          const result = currentTimer.endQuestion();
-          currentTimer = null;
-
-          if (result) {
-            const currentScores = gameService.getAllPlayersScores();
-            io.emit("timeOver", {
-              scores: currentScores,
-              correctAnswer: result.correctAnswer,
-              currentOptions: result.currentOptions,
-            });
-          }
+        const result = room.currentTimer
+          ? room.currentTimer.endQuestion()
+          : gameService.endCurrentQuestion();
+        room.currentTimer = null;
+
+        if (result) {
+          const currentScores = gameService.getAllPlayersScores();
+          io.to(room.code).emit("timeOver", {
+            scores: currentScores,
+            correctAnswer: result.correctAnswer,
+            currentOptions: result.currentOptions,
+            explanation: result.explanation,
+          });
         }
 
         // Добавляем небольшую задержку перед запуском нового вопроса
@@ -292,59 +647,129 @@ function setupSocketRoutes(io) {
     });
 
     socket.on("resetGame", () => {
-      if (!socket.isHost) return;
+      const room = roomManager.getRoomForSocket(socket);
+      if (!socket.isHost || !room) {
+        return;
+      }
 
       // Очищаем таймер при сбросе игры
-      if (currentTimer) {
-        currentTimer.clearTimer();
-        currentTimer = null;
+      if (room.currentTimer) {
+        room.currentTimer.clearTimer();
+        room.currentTimer = null;
       }
 
-      gameService.resetGame();
-      io.emit("gameReset");
+      // Сохраняем результаты, пока они не сброшены
+      roomManager.archive.archiveGame(room);
+      room.gameService.resetGame();
+      room.isOpen = false;
+      room.sessions.clear();
+      io.to(room.code).emit("gameReset");
     });
 
     // Пауза/продолжение игры
     socket.on("togglePause", () => {
-      if (!socket.isHost) return;
+      const room = roomManager.getRoomForSocket(socket);
+      if (!socket.isHost || !room) {
+        return;
+      }
+      const { gameService } = room;
 
-      if (currentTimer && gameService.isCurrentQuestionActive()) {
+      // Таймера может не быть у игры, восстановленной после перезапуска (она стоит на паузе).
+      // Пока идёт запись вопроса, время не запущено и ставить на паузу нечего
+      if (gameService.isCurrentQuestionActive() && !gameService.isTimerWaitingForMedia()) {
         const isPaused = gameService.togglePause();
 
         if (isPaused) {
           // Пауза - останавливаем таймер
-          currentTimer.clearTimer();
-          io.emit("gamePaused");
+          if (room.currentTimer) {
+            room.currentTimer.clearTimer();
+          }
+          io.to(room.code).emit("gamePaused");
         } else {
           // Продолжение - запускаем таймер с оставшимся временем
           const timeLeft = gameService.getRemainingTime();
-          currentTimer = startQuestionTimer(io, activeSockets, timeLeft);
-          io.emit("gameResumed", { timeLeft });
+          room.currentTimer = startQuestionTimer(io, room, timeLeft);
+          io.to(room.code).emit("gameResumed", { timeLeft });
+        }
+      }
+    });
+
+    // Запись вопроса закончилась (или ведущий запустил время вручную)
+    socket.on("startQuestionTimer", () => {
+      const room = roomManager.getRoomForSocket(socket);
+      if (!socket.isHost || !room) {
+        return;
+      }
+      const { gameService } = room;
+
+      if (gameService.startTimerAfterMedia()) {
+        const timeLeft = gameService.getRemainingTime();
+        room.currentTimer = startQuestionTimer(io, room, timeLeft);
+        io.to(room.code).emit("timerStarted", { timeLeft });
+      }
+    });
+
+    // Ведущий управляет записью вопроса на устройствах игроков
+    socket.on("mediaControl", (action) => {
+      const room = roomManager.getRoomForSocket(socket);
+      if (!socket.isHost || !room) {
+        return;
+      }
+
+      try {
+        const validation = validateMediaAction(action);
+        if (!validateOrThrow(validation, socket, "media control")) {
+          return;
         }
+
+        if (room.gameService.isCurrentQuestionActive()) {
+          io.to(room.code).emit("mediaControl", validation.value);
+        }
+      } catch (error) {
+        handleSocketError(socket, error, "mediaControl");
       }
     });
 
     // --- НОВЫЕ СОБЫТИЯ ДЛЯ АНАЛИТИКИ ---
     socket.on("getAnalytics", () => {
-      if (!socket.isHost) return;
+      const room = roomManager.getRoomForSocket(socket);
+      if (!socket.isHost || !room) {
+        return;
+      }
 
-      const analytics = gameService.getAnalytics();
+      const analytics = room.gameService.getAnalytics();
       socket.emit("analyticsData", analytics);
     });
 
     socket.on("getQuestionAnalytics", (questionIndex) => {
-      if (!socket.isHost) return;
+      const room = roomManager.getRoomForSocket(socket);
+      if (!socket.isHost || !room) {
+        return;
+      }
 
-      const analytics = gameService.getQuestionAnalytics(questionIndex);
+      const analytics = room.gameService.getQuestionAnalytics(questionIndex);
       socket.emit("questionAnalyticsData", analytics);
     });
 
+    // Трудность и дискриминация вопросов, надёжность квиза
+    socket.on("getItemAnalysis", () => {
+      const room = roomManager.getRoomForSocket(socket);
+      if (!socket.isHost || !room) {
+        return;
+      }
+
+      socket.emit("itemAnalysisData", room.gameService.getItemAnalysis());
+    });
+
     // --- ЭКСПОРТ РЕЗУЛЬТАТОВ В CSV ИЛИ XLSX ---
     socket.on("exportResults", (format) => {
-      if (!socket.isHost) return;
+      const room = roomManager.getRoomForSocket(socket);
+      if (!socket.isHost || !room) {
+        return;
+      }
 
       try {
-        const result = gameService.exportResults(format);
+        const result = room.gameService.exportResults(format);
 
         if (format === "xlsx") {
           // Для Excel файлов отправляем буфер в base64
@@ -363,13 +788,74 @@ function setupSocketRoutes(io) {
       }
     });
 
+    // --- АРХИВ СЫГРАННЫХ ИГР ---
+    socket.on("getArchive", () => {
+      if (!socket.isHost) {
+        return;
+      }
+
+      try {
+        socket.emit("archiveList", roomManager.archive.listGames());
+      } catch (error) {
+        handleSocketError(socket, error, "getArchive");
+      }
+    });
+
+    socket.on("getArchivedGame", (id) => {
+      if (!socket.isHost) {
+        return;
+      }
+
+      try {
+        const game = roomManager.archive.getGame(id);
+        if (!game) {
+          socket.emit("archiveError", "Игра не найдена в архиве");
+          return;
+        }
+        socket.emit("archivedGame", game);
+      } catch (error) {
+        handleSocketError(socket, error, "getArchivedGame");
+      }
+    });
+
+    socket.on("exportArchivedGame", (data) => {
+      if (!socket.isHost || !data) {
+        return;
+      }
+
+      try {
+        const file = roomManager.archive.exportGame(data.id, data.format);
+        if (!file) {
+          socket.emit("archiveError", "Игра не найдена в архиве");
+          return;
+        }
+
+        if (data.format === "xlsx") {
+          socket.emit("xlsxExportReady", {
+            data: Buffer.from(file.content).toString("base64"),
+            filename: file.filename,
+            mimeType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+          });
+        } else {
+          socket.emit("csvExportReady", file.content);
+        }
+      } catch (error) {
+        handleSocketError(socket, error, "exportArchivedGame");
+      }
+    });
+
     socket.on("submitAnswer", (index) => {
+      const room = roomManager.getRoomForSocket(socket);
+      if (!room) {
+        return;
+      }
+      const { gameService } = room;
+
       try {
-        const now = Date.now();
-        const timeElapsed = (now - gameService.questionStartTime) / 1000;
+        const timeElapsed = gameService.getElapsedTime();
 
-        // Проверяем, активен ли вопрос
-        if (!gameService.isCurrentQuestionActive()) {
+        // Проверяем, активен ли вопрос и пошло ли время на ответ
+        if (!gameService.isCurrentQuestionActive() || gameService.isTimerWaitingForMedia()) {
           return;
         }
 
@@ -378,7 +864,10 @@ function setupSocketRoutes(io) {
           return;
         }
 
-        if (timeElapsed > config.game.timeLimit + 0.5) return; // TIME_LIMIT + погрешность
+        // Время на вопрос + погрешность
+        if (timeElapsed > gameService.getTimeLimit() + 0.5) {
+          return;
+        }
 
         // Проверяем, уже ли ответил пользователь (важно проверять до обработки)
         if (socket.answered) return;
@@ -389,11 +878,25 @@ function setupSocketRoutes(io) {
 
         if (!currentQ) return;
 
-        // Валидация индекса ответа
-        const validation = validateAnswerIndex(index, currentQ.options.length);
+        // Валидация ответа в зависимости от типа вопроса
+        let validation;
+        if (currentQ.type === "multiple") {
+          validation = validateAnswerSelection(index, currentQ.options.length);
+        } else if (currentQ.type === "order") {
+          validation = validateAnswerOrder(index, currentQ.options.length);
+        } else if (currentQ.type === "match") {
+          validation = validateAnswerPairs(index, currentQ.options.length, currentQ.targets.length);
+        } else if (currentQ.type === "text") {
+          validation = validateTextAnswer(index);
+        } else if (currentQ.type === "numeric") {
+          validation = validateNumericAnswer(index);
+        } else {
+          validation = validateAnswerIndex(index, currentQ.options.length);
+        }
         if (!validation.isValid) {
           return;
         }
+        const answer = validation.value !== undefined ? validation.value : index;
 
         // Валидация времени ответа
         const timeValidation = validateResponseTime(timeElapsed);
@@ -405,7 +908,7 @@ function setupSocketRoutes(io) {
         socket.answered = true;
 
         // Обработка ответа
-        const result = gameService.processAnswer(socket.nickname, index, timeElapsed);
+        const result = gameService.processAnswer(socket.nickname, answer, timeElapsed);
 
         if (result.success) {
           // Отправляем игроку результат его ответа
@@ -416,19 +919,23 @@ function setupSocketRoutes(io) {
           });
 
           // Обновляем статистику
-          io.emit("updateStats", gameService.votes);
+          io.to(room.code).emit("updateStats", gameService.votes);
 
           // Проверяем, все ли ответили
-          const totalPlayers = Array.from(activeSockets.values()).filter((s) => s.nickname).length;
+          const totalPlayers = roomManager.getPlayerNames(room).length;
 
           if (gameService.answeredUsers.size >= totalPlayers && totalPlayers > 0) {
-            const endResult = gameService.endCurrentQuestion();
+            // Останавливаем таймер вопроса вместе с завершением
+            const endResult = room.currentTimer
+              ? room.currentTimer.endQuestion()
+              : gameService.endCurrentQuestion();
             if (endResult) {
               const currentScores = gameService.getAllPlayersScores();
-              io.emit("timeOver", {
+              io.to(room.code).emit("timeOver", {
                 scores: currentScores,
                 correctAnswer: endResult.correctAnswer,
                 currentOptions: endResult.currentOptions,
+                explanation: endResult.explanation,
               });
             }
           }
@@ -0,0 +1,140 @@
+const GameService = require("./gameService");
+
+// Формат идентификатора записи: "<время начала игры>-<PIN комнаты>", см. buildRecord.
+// Другие идентификаторы не передаются в хранилище: из них строится путь к файлу
+const ARCHIVE_ID_PATTERN = /^\d+-\d+$/;
+
+/**
+ * Сервис архива результатов: сохраняет сыгранные игры и позволяет
+ * открыть и повторно экспортировать их после сброса или перезапуска сервера
+ */
+class ArchiveService {
+  /**
+   * @param {Object|null} [store] - хранилище архива (см. src/stores); null — архив отключён
+   */
+  constructor(store = null) {
+    this.store = store;
+  }
+
+  /**
+   * Формирует запись архива по состоянию игры комнаты
+   * @param {Object} room - комната
+   * @returns {Object} запись архива
+   */
+  buildRecord(room) {
+    const { gameService } = room;
+
+    return {
+      // Повторное сохранение той же игры перезаписывает запись
+      id: `${gameService.startedAt}-${room.code}`,
+      pin: room.code,
+      quizFileName: gameService.quizFileName,
+      settings: gameService.settings,
+      startedAt: gameService.startedAt,
+      finishedAt: gameService.finishedAt || Date.now(),
+      isFinished: Boolean(gameService.finishedAt),
+      playerCount: gameService.getExportPlayers().length,
+      questionCount: gameService.getAskedQuestionCount(),
+      game: gameService.serialize(),
+    };
+  }
+
+  /**
+   * Сохраняет игру комнаты в архив, если она была начата.
+   * Ошибка записи не должна прерывать игру, поэтому только логируется
+   * @param {Object} room - комната
+   * @returns {string|null} идентификатор записи или null
+   */
+  archiveGame(room) {
+    if (!this.store || !room.gameService.startedAt) {
+      return null;
+    }
+
+    try {
+      const record = this.buildRecord(room);
+      this.store.save(record);
+      return record.id;
+    } catch (error) {
+      console.error(`Не удалось сохранить игру комнаты ${room.code} в архив:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Получает список сыгранных игр, новые первыми
+   * @returns {Array<Object>} краткие сведения об играх
+   */
+  listGames() {
+    return this.store ? this.store.list() : [];
+  }
+
+  /**
+   * Восстанавливает GameService из записи архива
+   * @param {string} id - идентификатор игры
+   * @returns {{record: Object, gameService: GameService}|null} запись и игра или null
+   */
+  loadGame(id) {
+    if (!this.store || typeof id !== "string" || !ARCHIVE_ID_PATTERN.test(id)) {
+      return null;
+    }
+
+    const record = this.store.get(id);
+    if (!record) {
+      return null;
+    }
+
+    const gameService = new GameService();
+    gameService.restoreState(record.game);
+    return { record, gameService };
+  }
+
+  /**
+   * Получает подробные результаты игры
+   * @param {string} id - идентификатор игры
+   * @returns {Object|null} сведения об игре, итоги игроков и анализ заданий или null
+   */
+  getGame(id) {
+    const loaded = this.loadGame(id);
+    if (!loaded) {
+      return null;
+    }
+
+    const { record, gameService } = loaded;
+    const summary = { ...record };
+    delete summary.game;
+
+    const players = gameService
+      .getExportPlayers()
+      .map((nickname) => ({ nickname, ...gameService.getPlayerStats(nickname) }))
+      .sort((a, b) => b.score - a.score);
+
+    return {
+      ...summary,
+      players,
+      itemAnalysis: gameService.getItemAnalysis(),
+    };
+  }
+
+  /**
+   * Экспортирует результаты сыгранной игры
+   * @param {string} id - идентификатор игры
+   * @param {string} format - формат экспорта: 'csv' или 'xlsx'
+   * @returns {{content: string|Buffer, filename: string}|null} файл или null
+   */
+  exportGame(id, format) {
+    const loaded = this.loadGame(id);
+    if (!loaded) {
+      return null;
+    }
+
+    const date = new Date(loaded.record.startedAt).toISOString().slice(0, 10);
+    const extension = format === "xlsx" ? "xlsx" : "csv";
+
+    return {
+      content: loaded.gameService.exportResults(format),
+      filename: `quiz_results_${date}_${loaded.record.pin}.${extension}`,
+    };
+  }
+}
+
+module.exports = ArchiveService;
@@ -1,22 +1,56 @@
 const { loadQuizFile, shuffleArray } = require("../utils/quizParser");
+const { analyzeItems } = require("../utils/itemAnalysis");
+const {
+  isTextAnswerCorrect,
+  normalizeTextAnswer,
+  getDisplayAnswers,
+} = require("../utils/textAnswer");
+const {
+  isNumericAnswerCorrect,
+  formatNumericAnswer,
+  getNumericRange,
+  buildHistogram,
+} = require("../utils/numericAnswer");
+const { isOrderCorrect, orderSimilarity, shuffleOrderItems } = require("../utils/orderAnswer");
+const { countCorrectPairs, shuffleMatchTargets } = require("../utils/matchAnswer");
+const { toPlainText } = require("../utils/mathText");
 const config = require("../../config");
 
+// Сколько самых частых порядков показывать в аналитике вопроса на порядок
+const TOP_ORDERS_COUNT = 5;
+
+/**
+ * Заключает текст в кавычки для поля CSV; кавычки внутри текста удваиваются
+ * @param {string} text - текст поля
+ * @returns {string} поле CSV
+ */
+function quoteCsv(text) {
+  return `"${text.replace(/"/g, "$&$&")}"`;
+}
+
 /**
  * Сервис для управления игровыми данными и состоянием
  */
 class GameService {
   constructor() {
+    this.quizFileName = null;
     this.quizData = [];
     this.currentQuestionIndex = -1;
     this.votes = {};
     this.scores = {};
     this.answeredUsers = new Set();
+    this.currentAnswers = {}; // Ответы игроков на текущий вопрос (для восстановления сессии)
+    this.playerAnswers = {}; // Все ответы каждого игрока за игру (для экспорта)
     this.isQuestionActive = false;
     this.questionStartTime = 0;
     this.customTimeLimit = null; // Кастомное время ответа
+    this.settings = null; // Параметры загрузки квиза (для архива результатов)
+    this.startedAt = null; // Время показа первого вопроса
+    this.finishedAt = null; // Время завершения квиза
     this.isPaused = false;
     this.pauseStartTime = 0;
     this.totalPausedTime = 0;
+    this.isWaitingForMedia = false; // Время на ответ пойдёт после окончания записи вопроса
 
     // Аналитика
     this.answerAnalytics = {
@@ -26,6 +60,18 @@ class GameService {
       responseTimeDistribution: [],
       questionStats: [],
     };
+
+    // Вызывается после каждого изменения состояния (для сохранения на диск)
+    this.onStateChange = null;
+  }
+
+  /**
+   * Сообщает об изменении состояния игры
+   */
+  notifyStateChange() {
+    if (this.onStateChange) {
+      this.onStateChange();
+    }
   }
 
   /**
@@ -57,10 +103,19 @@ class GameService {
         loadedData = loadedData.slice(0, questionCount);
       }
 
-      this.quizData = loadedData;
+      this.quizFileName = fileName;
+      this.quizData = loadedData.map((question) => this.prepareQuestion(question));
       this.currentQuestionIndex = -1;
       this.scores = {};
+      this.playerAnswers = {};
       this.customTimeLimit = timeLimit; // Сохраняем кастомное время
+      this.settings = {
+        shuffle,
+        questionCount: loadedData.length,
+        timeLimit: timeLimit || config.game.timeLimit,
+      };
+      this.startedAt = null;
+      this.finishedAt = null;
 
       // Сброс аналитики при загрузке нового квиза
       this.answerAnalytics = {
@@ -71,6 +126,8 @@ class GameService {
         questionStats: [],
       };
 
+      this.notifyStateChange();
+
       return {
         success: true,
         fileName,
@@ -88,33 +145,147 @@ class GameService {
     }
   }
 
+  /**
+   * Готовит вопрос к игре: элементы вопросов на порядок и пары вопросов на сопоставление
+   * записаны в файле в правильной последовательности, поэтому перемешиваются на сервере
+   * @param {Object} question - вопрос из файла квиза
+   * @returns {Object} вопрос для игры
+   */
+  prepareQuestion(question) {
+    if (question.type === "order") {
+      return shuffleOrderItems(question);
+    }
+    if (question.type === "match") {
+      return shuffleMatchTargets(question);
+    }
+    return question;
+  }
+
   /**
    * Получает следующий вопрос
    * @returns {Object|null} вопрос или null если вопросы закончились
    */
   getNextQuestion() {
     if (!this.isQuestionActive && this.currentQuestionIndex < this.quizData.length - 1) {
+      if (this.currentQuestionIndex === -1) {
+        this.startedAt = Date.now();
+      }
       this.currentQuestionIndex++;
       this.isQuestionActive = true;
       this.votes = {};
       this.answeredUsers.clear();
+      this.currentAnswers = {};
       this.questionStartTime = Date.now();
+      this.isPaused = false;
+      this.totalPausedTime = 0;
+      this.isWaitingForMedia = Boolean(this.quizData[this.currentQuestionIndex].timerAfterMedia);
 
-      const question = this.quizData[this.currentQuestionIndex];
-      const timeLimit = this.customTimeLimit || config.game.timeLimit;
+      this.notifyStateChange();
 
-      return {
-        question: question.question,
-        questionImg: question.questionImg,
-        options: question.options,
-        timeLeft: timeLimit,
-        questionNumber: this.currentQuestionIndex + 1,
-        totalQuestions: this.quizData.length,
-      };
+      return this.buildQuestionPayload(this.getTimeLimit());
+    }
+
+    if (this.isQuizFinished() && this.startedAt && !this.finishedAt) {
+      this.finishedAt = Date.now();
+      this.notifyStateChange();
     }
     return null;
   }
 
+  /**
+   * Получает время на ответ для текущего вопроса: заданное в файле квиза для вопроса,
+   * иначе выбранное ведущим или из конфигурации
+   * @returns {number} время в секундах
+   */
+  getTimeLimit() {
+    const question = this.quizData[this.currentQuestionIndex];
+    return (question && question.timeLimit) || this.customTimeLimit || config.game.timeLimit;
+  }
+
+  /**
+   * Получает границы баллов за правильный ответ на вопрос. Если для вопроса заданы баллы,
+   * минимальный балл уменьшается в той же пропорции, что и максимальный
+   * @param {Object} question - вопрос квиза
+   * @returns {{maxScore: number, minScore: number}} баллы за мгновенный и за самый поздний ответ
+   */
+  getQuestionScoring(question) {
+    const { maxScore, minScore } = config.game.scoring;
+    if (!question.points) {
+      return { maxScore, minScore };
+    }
+    return {
+      maxScore: question.points,
+      minScore: Math.round((minScore * question.points) / maxScore),
+    };
+  }
+
+  /**
+   * Получает активный вопрос с оставшимся временем (для восстановления сессии)
+   * @returns {Object|null} вопрос или null, если вопрос не активен
+   */
+  getCurrentQuestion() {
+    if (!this.isQuestionActive) {
+      return null;
+    }
+    return this.buildQuestionPayload(this.getRemainingTime());
+  }
+
+  /**
+   * Формирует данные текущего вопроса для клиентов (без правильного ответа)
+   * @param {number} timeLeft - оставшееся время в секундах
+   * @returns {Object} данные вопроса
+   */
+  buildQuestionPayload(timeLeft) {
+    const question = this.quizData[this.currentQuestionIndex];
+
+    return {
+      type: question.type || "single",
+      question: question.question,
+      questionImg: question.questionImg,
+      // Аудио или видео вопроса; воспроизведением управляет ведущий
+      questionMedia: question.questionMedia,
+      // Таймер ещё не запущен: ждём окончания записи
+      waitingForMedia: this.isWaitingForMedia,
+      options: question.options,
+      // Варианты правой части вопроса на сопоставление
+      targets: question.targets,
+      // Баллы, заданные для вопроса в файле квиза
+      points: question.points,
+      timeLeft,
+      questionNumber: this.currentQuestionIndex + 1,
+      totalQuestions: this.quizData.length,
+    };
+  }
+
+  /**
+   * Получает снимок состояния игры для ведущего (восстановление после переподключения)
+   * @returns {Object} загруженный квиз, текущий вопрос, голоса, очки, пауза и оставшееся время
+   */
+  getStateSnapshot() {
+    const hasQuestion = this.currentQuestionIndex >= 0 && this.quizData[this.currentQuestionIndex];
+
+    return {
+      fileName: this.quizFileName,
+      totalQuestions: this.quizData.length,
+      currentQuestionIndex: this.currentQuestionIndex,
+      question: hasQuestion ? this.buildQuestionPayload(this.getRemainingTime()) : null,
+      isQuestionActive: this.isQuestionActive,
+      votes: { ...this.votes },
+      scores: this.getAllPlayersScores(),
+      isPaused: this.isPaused,
+      timeLeft: this.getRemainingTime(),
+    };
+  }
+
+  /**
+   * Получает ответ игрока на текущий вопрос
+   * @param {string} nickname - ник игрока
+   * @returns {Object|null} { answerIndex или answerText, isCorrect, scoreEarned } или null
+   */
+  getPlayerAnswer(nickname) {
+    return this.currentAnswers[nickname] || null;
+  }
+
   /**
    * Завершает текущий вопрос
    * @returns {Object} результат завершения
@@ -125,15 +296,38 @@ class GameService {
     }
 
     this.isQuestionActive = false;
-    const correctIndex = this.quizData[this.currentQuestionIndex].correct;
+    this.isWaitingForMedia = false;
+    const question = this.quizData[this.currentQuestionIndex];
+    this.notifyStateChange();
 
     return {
-      correctAnswer: correctIndex,
+      correctAnswer: this.getRevealedAnswer(question),
       currentOptions: this.quizData[this.currentQuestionIndex].options,
       votes: this.votes,
+      // Пояснение к ответу показывается всем после завершения вопроса
+      explanation: question.explanation || null,
     };
   }
 
+  /**
+   * Получает правильный ответ для показа игрокам после завершения вопроса
+   * @param {Object} question - вопрос квиза
+   * @returns {number|Array<number>|Array<string>|null} индекс или индексы правильных вариантов;
+   * для вводимых ответов — строки для показа (без регулярных выражений), для опроса — null
+   */
+  getRevealedAnswer(question) {
+    if (question.type === "poll") {
+      return null;
+    }
+    if (question.type === "text") {
+      return getDisplayAnswers(question.correct);
+    }
+    if (question.type === "numeric") {
+      return [formatNumericAnswer(question.correct)];
+    }
+    return question.correct;
+  }
+
   /**
    * Проверяет, активен ли текущий вопрос
    * @returns {boolean}
@@ -170,17 +364,24 @@ class GameService {
    * Сбрасывает игру
    */
   resetGame() {
+    this.quizFileName = null;
     this.currentQuestionIndex = -1;
     this.scores = {};
     this.quizData = [];
     this.votes = {};
     this.answeredUsers = new Set();
+    this.currentAnswers = {};
+    this.playerAnswers = {};
     this.isQuestionActive = false;
     this.questionStartTime = 0;
     this.customTimeLimit = null;
+    this.settings = null;
+    this.startedAt = null;
+    this.finishedAt = null;
     this.isPaused = false;
     this.pauseStartTime = 0;
     this.totalPausedTime = 0;
+    this.isWaitingForMedia = false;
     this.answerAnalytics = {
       totalAnswers: 0,
       correctAnswers: 0,
@@ -188,16 +389,128 @@ class GameService {
       responseTimeDistribution: [],
       questionStats: [],
     };
+
+    this.notifyStateChange();
+  }
+
+  /**
+   * Проверяет ответ на вопрос.
+   * Для вопроса с несколькими правильными ответами в режиме "partial" каждый
+   * верно выбранный вариант даёт свою долю баллов, а каждый неверный — отнимает её
+   * @param {Object} question - вопрос квиза
+   * @param {number|Array<number>|string} answer - индекс или индексы выбранных вариантов,
+   * порядок элементов, выбранные пары, введённый текст или число
+   * @returns {{isCorrect: boolean|null, credit: number}} правильность и доля баллов от 0 до 1;
+   * в опросе правильность не определена (null) и баллы не начисляются
+   */
+  evaluateAnswer(question, answer) {
+    if (question.type === "poll") {
+      return { isCorrect: null, credit: 0 };
+    }
+
+    if (question.type === "text") {
+      const isCorrect = isTextAnswerCorrect(answer, question.correct, question.textMatch);
+      return { isCorrect, credit: isCorrect ? 1 : 0 };
+    }
+
+    if (question.type === "numeric") {
+      const isCorrect = isNumericAnswerCorrect(answer, question.correct);
+      return { isCorrect, credit: isCorrect ? 1 : 0 };
+    }
+
+    if (question.type === "match") {
+      // Баллы начисляются за каждую верную пару
+      const hits = countCorrectPairs(answer, question.correct);
+      return {
+        isCorrect: hits === question.correct.length,
+        credit: hits / question.correct.length,
+      };
+    }
+
+    if (question.type === "order") {
+      const isCorrect = isOrderCorrect(answer, question.correct);
+      if (config.game.scoring.orderMode === "kendall") {
+        return { isCorrect, credit: orderSimilarity(answer, question.correct) };
+      }
+      return { isCorrect, credit: isCorrect ? 1 : 0 };
+    }
+
+    if (question.type !== "multiple") {
+      const isCorrect = answer === question.correct;
+      return { isCorrect, credit: isCorrect ? 1 : 0 };
+    }
+
+    const selected = Array.isArray(answer) ? answer : [answer];
+    const hits = selected.filter((index) => question.correct.includes(index)).length;
+    const misses = selected.length - hits;
+    const isCorrect = hits === question.correct.length && misses === 0;
+
+    if (config.game.scoring.multipleMode === "partial") {
+      return { isCorrect, credit: Math.max(0, (hits - misses) / question.correct.length) };
+    }
+    return { isCorrect, credit: isCorrect ? 1 : 0 };
+  }
+
+  /**
+   * Формирует запись ответа без выбора вариантов для аналитики вопроса
+   * @param {Object} question - вопрос квиза
+   * @param {string|number|Array<number>} answer - введённый текст, число, порядок элементов или пары
+   * @param {boolean} isCorrect - правильность ответа
+   * @returns {Object|null} запись ответа или null для вопросов с выбором вариантов
+   */
+  buildSubmission(question, answer, isCorrect) {
+    if (question.type === "text") {
+      return {
+        text: answer,
+        normalized: normalizeTextAnswer(answer, question.textMatch),
+        isCorrect,
+      };
+    }
+    if (question.type === "numeric") {
+      return { value: answer, isCorrect };
+    }
+    if (question.type === "order") {
+      return { order: answer, isCorrect };
+    }
+    if (question.type === "match") {
+      return { pairs: answer, isCorrect };
+    }
+    return null;
+  }
+
+  /**
+   * Формирует поле ответа игрока для сохранения
+   * @param {Object} question - вопрос квиза
+   * @param {number|Array<number>|string} answer - ответ игрока
+   * @returns {Object} { answerIndex }, { answerOrder }, { answerPairs }, { answerText } или { answerValue }
+   */
+  getAnswerField(question, answer) {
+    if (question.type === "text") {
+      return { answerText: answer };
+    }
+    if (question.type === "numeric") {
+      return { answerValue: answer };
+    }
+    if (question.type === "order") {
+      return { answerOrder: answer };
+    }
+    if (question.type === "match") {
+      return { answerPairs: answer };
+    }
+    return { answerIndex: answer };
   }
 
   /**
    * Обрабатывает ответ игрока
    * @param {string} nickname - ник игрока
-   * @param {number} answerIndex - индекс выбранного ответа
+   * @param {number|Array<number>|string} answer - индекс выбранного ответа
+   * (для вопроса с несколькими правильными ответами — массив индексов, для вопроса на порядок —
+   * индексы в порядке игрока, для вопроса на сопоставление — индекс пары для каждого элемента,
+   * для свободного ответа — текст, для числового — число)
    * @param {number} timeElapsed - время ответа в секундах
    * @returns {Object} результат обработки ответа
    */
-  processAnswer(nickname, answerIndex, timeElapsed) {
+  processAnswer(nickname, answer, timeElapsed) {
     const currentQ = this.quizData[this.currentQuestionIndex];
 
     // Проверяем, есть ли текущий вопрос
@@ -210,13 +523,18 @@ class GameService {
       return { success: false, reason: "no_question" };
     }
 
+    // Пока идёт запись вопроса, время на ответ не начиналось
+    if (this.isWaitingForMedia) {
+      return { success: false, reason: "waiting_for_media" };
+    }
+
     // Проверяем, уже ли ответил пользователь
     if (this.answeredUsers.has(nickname)) {
       return { success: false, reason: "already_answered" };
     }
 
     // Проверяем, не истекло ли время
-    const TIME_LIMIT = this.customTimeLimit || config.game.timeLimit;
+    const TIME_LIMIT = this.getTimeLimit();
     if (timeElapsed > TIME_LIMIT) {
       return { success: false, reason: "time_expired" };
     }
@@ -225,7 +543,10 @@ class GameService {
     this.answerAnalytics.totalAnswers++;
     this.answerAnalytics.responseTimeDistribution.push(timeElapsed);
 
-    const isCorrect = answerIndex === currentQ.correct;
+    const { isCorrect, credit } = this.evaluateAnswer(currentQ, answer);
+    // Введённые ответы и порядок элементов сохраняются целиком, голоса за варианты не считаются
+    const submission = this.buildSubmission(currentQ, answer, isCorrect);
+    const selected = submission ? [] : [].concat(answer);
     if (isCorrect) {
       this.answerAnalytics.correctAnswers++;
     }
@@ -238,12 +559,32 @@ class GameService {
         totalAnswers: 0,
         averageResponseTime: 0,
         responseTimes: [],
+        // Выбор вариантов сохраняется для анализа дистракторов
+        options: currentQ.options.map((option, i) => option.text || `Вариант ${i + 1}`),
+        correctIndex: currentQ.correct,
+        optionVotes: currentQ.options.map(() => 0),
+        type: currentQ.type || "single",
       };
+      if (currentQ.targets) {
+        this.answerAnalytics.questionStats[this.currentQuestionIndex].targets =
+          currentQ.targets.map((target) => target.text);
+      }
+      if (submission) {
+        this.answerAnalytics.questionStats[this.currentQuestionIndex].submissions = [];
+      }
     }
 
     const questionStat = this.answerAnalytics.questionStats[this.currentQuestionIndex];
     questionStat.totalAnswers++;
     questionStat.responseTimes.push(timeElapsed);
+    for (const index of selected) {
+      if (index in questionStat.optionVotes) {
+        questionStat.optionVotes[index]++;
+      }
+    }
+    if (submission) {
+      questionStat.submissions.push(submission);
+    }
 
     if (isCorrect) {
       questionStat.correctAnswers++;
@@ -258,26 +599,47 @@ class GameService {
       this.answerAnalytics.responseTimeDistribution.reduce((a, b) => a + b, 0) /
       this.answerAnalytics.responseTimeDistribution.length;
 
-    // Начисление очков
+    // Начисление очков (при частичном зачёте — доля от баллов за скорость)
     let scoreEarned = 0;
-    if (isCorrect && nickname) {
-      const MAX_SCORE = config.game.scoring.maxScore;
-      const MIN_SCORE = config.game.scoring.minScore;
-      const TIME_LIMIT = this.customTimeLimit || config.game.timeLimit;
+    if (credit > 0 && nickname) {
+      const { maxScore: MAX_SCORE, minScore: MIN_SCORE } = this.getQuestionScoring(currentQ);
 
       scoreEarned = Math.round(MAX_SCORE - (timeElapsed * (MAX_SCORE - MIN_SCORE)) / TIME_LIMIT);
       scoreEarned = Math.max(MIN_SCORE, Math.min(MAX_SCORE, scoreEarned));
+      scoreEarned = Math.round(scoreEarned * credit);
       this.scores[nickname] = (this.scores[nickname] || 0) + scoreEarned;
     }
 
     this.answeredUsers.add(nickname);
-    if (!this.votes[answerIndex]) this.votes[answerIndex] = 0;
-    this.votes[answerIndex]++;
+    const answerField = this.getAnswerField(currentQ, answer);
+    this.currentAnswers[nickname] = {
+      ...answerField,
+      isCorrect,
+      scoreEarned,
+    };
+    if (!this.playerAnswers[nickname]) {
+      this.playerAnswers[nickname] = [];
+    }
+    this.playerAnswers[nickname].push({
+      questionIndex: this.currentQuestionIndex,
+      ...answerField,
+      isCorrect,
+      timeElapsed,
+      scoreEarned,
+    });
+    for (const index of selected) {
+      if (!this.votes[index]) {
+        this.votes[index] = 0;
+      }
+      this.votes[index]++;
+    }
+
+    this.notifyStateChange();
 
     return {
       success: true,
       isCorrect,
-      scoreEarned: isCorrect ? scoreEarned : 0,
+      scoreEarned,
       totalAnswers: this.answerAnalytics.totalAnswers,
       correctAnswers: this.answerAnalytics.correctAnswers,
     };
@@ -291,6 +653,201 @@ class GameService {
     return { ...this.scores };
   }
 
+  /**
+   * Получает итоги игрока по его собственным ответам
+   * @param {string} nickname - ник игрока
+   * @returns {Object} очки, количество ответов, правильных ответов, процент правильных и среднее время
+   */
+  getPlayerStats(nickname) {
+    const answers = this.playerAnswers[nickname] || [];
+    const correctAnswers = answers.filter((answer) => answer.isCorrect).length;
+    // Ответы в опросах не влияют на процент правильных
+    const scoredAnswers = answers.filter((answer) => answer.isCorrect !== null).length;
+    const totalTime = answers.reduce((sum, answer) => sum + answer.timeElapsed, 0);
+
+    return {
+      score: this.scores[nickname] || 0,
+      totalAnswers: answers.length,
+      correctAnswers,
+      accuracy: scoredAnswers > 0 ? (correctAnswers / scoredAnswers) * 100 : 0,
+      averageResponseTime: answers.length > 0 ? totalTime / answers.length : 0,
+    };
+  }
+
+  /**
+   * Получает всех игроков для экспорта: и набравших очки, и ответивших без очков
+   * @returns {Array<string>} никнеймы игроков
+   */
+  getExportPlayers() {
+    return Array.from(new Set([...Object.keys(this.scores), ...Object.keys(this.playerAnswers)]));
+  }
+
+  /**
+   * Формирует подробный список ответов всех игроков для экспорта
+   * @returns {Array<Object>} ответы с текстом вопроса и выбранного варианта (формулы — текстом)
+   */
+  getAnswerDetails() {
+    return this.getExportPlayers().flatMap((nickname) =>
+      (this.playerAnswers[nickname] || []).map((answer) => {
+        const question = this.quizData[answer.questionIndex];
+
+        return {
+          nickname,
+          questionNumber: answer.questionIndex + 1,
+          question: question ? toPlainText(question.question) : "",
+          option: toPlainText(this.formatAnswer(question, answer)),
+          isCorrect: answer.isCorrect,
+          // Частичный зачёт вопроса с несколькими правильными ответами
+          isPartial: !answer.isCorrect && answer.scoreEarned > 0,
+          timeElapsed: answer.timeElapsed,
+          scoreEarned: answer.scoreEarned,
+        };
+      }),
+    );
+  }
+
+  /**
+   * Получает текст пояснения к ответу на вопрос для экспорта
+   * @param {number} questionIndex - индекс вопроса
+   * @returns {string} текст пояснения (формулы — текстом) или пустая строка
+   */
+  getExplanationText(questionIndex) {
+    const question = this.quizData[questionIndex];
+    return question && question.explanation ? toPlainText(question.explanation.text) : "";
+  }
+
+  /**
+   * Формирует отметку о правильности ответа для экспорта
+   * @param {Object} answer - ответ из getAnswerDetails
+   * @returns {string} "да", "частично", "нет" или "опрос"
+   */
+  formatCorrectness(answer) {
+    if (answer.isCorrect === null) {
+      return "опрос";
+    }
+    if (answer.isCorrect) {
+      return "да";
+    }
+    return answer.isPartial ? "частично" : "нет";
+  }
+
+  /**
+   * Формирует текст ответа игрока для экспорта
+   * @param {Object|undefined} question - вопрос квиза
+   * @param {Object} answer - ответ игрока из playerAnswers
+   * @returns {string} введённый текст или число, порядок элементов или выбранные варианты
+   */
+  formatAnswer(question, answer) {
+    if (answer.answerText !== undefined) {
+      return answer.answerText;
+    }
+    if (answer.answerValue !== undefined) {
+      return String(answer.answerValue);
+    }
+    if (answer.answerOrder !== undefined) {
+      return answer.answerOrder
+        .map((index) =>
+          question && question.options[index] ? question.options[index].text : index + 1,
+        )
+        .join(" → ");
+    }
+    if (answer.answerPairs !== undefined) {
+      return answer.answerPairs
+        .map((target, index) => this.formatPair(question, index, target))
+        .join("; ");
+    }
+
+    return []
+      .concat(answer.answerIndex)
+      .map((index) => {
+        const option = question && question.options[index];
+        return option ? `${index + 1}. ${option.text}` : String(index + 1);
+      })
+      .join("; ");
+  }
+
+  /**
+   * Формирует текст пары вопроса на сопоставление
+   * @param {Object|undefined} question - вопрос квиза
+   * @param {number} index - индекс левого элемента
+   * @param {number} target - индекс варианта правой части
+   * @returns {string} например "Клавиатура → Устройства ввода"
+   */
+  formatPair(question, index, target) {
+    const left = question && question.options[index];
+    const right = question && question.targets[target];
+    return `${left ? left.text : index + 1} → ${right ? right.text : target + 1}`;
+  }
+
+  /**
+   * Формирует матрицу "игрок × вопрос" с баллами за каждый вопрос.
+   * Пустая ячейка — игрок не ответил, 0 — ответил неправильно
+   * @returns {Array<Array>} строки таблицы, первая строка — заголовки
+   */
+  getPlayerQuestionMatrix() {
+    const questionCount = this.getAskedQuestionCount();
+    const headers = [
+      "Никнейм",
+      ...Array.from({ length: questionCount }, (_, i) => `Вопрос ${i + 1}`),
+      "Итого",
+    ];
+
+    const rows = this.getExportPlayers().map((nickname) => {
+      const cells = new Array(questionCount).fill("");
+      for (const answer of this.playerAnswers[nickname] || []) {
+        if (answer.questionIndex < questionCount) {
+          cells[answer.questionIndex] = answer.scoreEarned;
+        }
+      }
+      return [nickname, ...cells, this.scores[nickname] || 0];
+    });
+
+    return [headers, ...rows];
+  }
+
+  /**
+   * Получает количество уже заданных вопросов
+   * @returns {number} количество вопросов
+   */
+  getAskedQuestionCount() {
+    return Math.max(0, Math.min(this.currentQuestionIndex + 1, this.quizData.length));
+  }
+
+  /**
+   * Выполняет анализ заданных вопросов: трудность, дискриминация и надёжность KR-20.
+   * Отсутствие ответа считается неправильным ответом, опросы в анализ не входят
+   * @returns {Object} результаты анализа с текстами вопросов
+   */
+  getItemAnalysis() {
+    const questionIndexes = this.quizData
+      .slice(0, this.getAskedQuestionCount())
+      .map((question, index) => (question.type === "poll" ? -1 : index))
+      .filter((index) => index !== -1);
+
+    const responses = this.getExportPlayers().map((nickname) => {
+      const row = new Array(questionIndexes.length).fill(0);
+      for (const answer of this.playerAnswers[nickname] || []) {
+        const column = questionIndexes.indexOf(answer.questionIndex);
+        if (column !== -1 && answer.isCorrect) {
+          row[column] = 1;
+        }
+      }
+      return row;
+    });
+
+    const analysis = analyzeItems(responses, questionIndexes.length);
+
+    return {
+      playerCount: analysis.playerCount,
+      kr20: analysis.kr20,
+      questions: questionIndexes.map((questionIndex, i) => ({
+        questionNumber: questionIndex + 1,
+        question: this.quizData[questionIndex].question,
+        ...analysis.items[i],
+      })),
+    };
+  }
+
   /**
    * Получает аналитику ответов
    * @returns {Object} данные аналитики
@@ -305,27 +862,190 @@ class GameService {
    * @returns {Object} аналитика по вопросу
    */
   getQuestionAnalytics(questionIndex) {
-    if (questionIndex === -1) {
-      const lastQuestionIndex = this.answerAnalytics.questionStats.length - 1;
-      return (
-        this.answerAnalytics.questionStats[lastQuestionIndex] || {
-          question: "Нет данных",
-          totalAnswers: 0,
-          correctAnswers: 0,
-          averageResponseTime: 0,
-          responseTimes: [],
-        }
-      );
-    }
-
-    return (
-      this.answerAnalytics.questionStats[questionIndex] || {
+    // -1 — последний вопрос, на который отвечали
+    const statIndex =
+      questionIndex === -1 ? this.answerAnalytics.questionStats.length - 1 : questionIndex;
+    const questionStat = this.answerAnalytics.questionStats[statIndex];
+    if (!questionStat) {
+      return {
         question: "Нет данных",
         totalAnswers: 0,
         correctAnswers: 0,
         averageResponseTime: 0,
         responseTimes: [],
+      };
+    }
+
+    const analytics = { ...questionStat, distractors: this.getDistractorAnalysis(questionStat) };
+    if (questionStat.type === "numeric") {
+      analytics.histogram = this.getNumericHistogram(questionStat);
+    }
+    return analytics;
+  }
+
+  /**
+   * Анализирует выбор вариантов ответа на вопрос.
+   * Помечает варианты, которые никто не выбрал, и неправильные варианты,
+   * которые выбирали чаще правильного
+   * @param {Object} questionStat - статистика вопроса
+   * @returns {Array<Object>} варианты с количеством и долей выборов
+   */
+  getDistractorAnalysis(questionStat) {
+    if (questionStat.type === "text") {
+      return this.getTextAnswerAnalysis(questionStat);
+    }
+    if (questionStat.type === "order") {
+      return this.getOrderAnalysis(questionStat);
+    }
+    if (questionStat.type === "match") {
+      return this.getPairAnalysis(questionStat);
+    }
+
+    if (!questionStat.optionVotes) {
+      return [];
+    }
+
+    // При нескольких правильных ответах сравниваем с наименее выбранным из них;
+    // в опросе правильных вариантов нет и сравнивать не с чем
+    const correctIndexes = questionStat.type === "poll" ? [] : [].concat(questionStat.correctIndex);
+    const correctVotes = Math.min(
+      ...correctIndexes.map((index) => questionStat.optionVotes[index] || 0),
+    );
+
+    return questionStat.options.map((text, i) => {
+      const votes = questionStat.optionVotes[i];
+      const isCorrect = correctIndexes.includes(i);
+
+      return {
+        text,
+        votes,
+        percent: questionStat.totalAnswers > 0 ? (votes / questionStat.totalAnswers) * 100 : 0,
+        isCorrect,
+        isUnchosen: votes === 0,
+        isStrongerThanCorrect: !isCorrect && votes > correctVotes,
+      };
+    });
+  }
+
+  /**
+   * Группирует свободные ответы на вопрос по нормализованному тексту
+   * @param {Object} questionStat - статистика вопроса
+   * @returns {Array<Object>} ответы в формате анализа дистракторов, частые первыми
+   */
+  getTextAnswerAnalysis(questionStat) {
+    return this.groupSubmissions(
+      questionStat,
+      (submission) => submission.normalized,
+      (submission) => submission.text,
+    );
+  }
+
+  /**
+   * Находит самые частые порядки, присланные на вопрос на порядок
+   * @param {Object} questionStat - статистика вопроса
+   * @returns {Array<Object>} порядки в формате анализа дистракторов, частые первыми
+   */
+  getOrderAnalysis(questionStat) {
+    return this.groupSubmissions(
+      questionStat,
+      (submission) => submission.order.join(","),
+      (submission) => submission.order.map((index) => questionStat.options[index]).join(" → "),
+    ).slice(0, TOP_ORDERS_COUNT);
+  }
+
+  /**
+   * Анализирует каждую пару вопроса на сопоставление: сколько игроков сопоставили элемент верно
+   * и с чем его путали. Неверная пара помечается, если её выбирали чаще правильной
+   * @param {Object} questionStat - статистика вопроса
+   * @returns {Array<Object>} пары в формате анализа дистракторов: для каждого элемента
+   * сначала правильная пара, затем ошибочные по убыванию
+   */
+  getPairAnalysis(questionStat) {
+    const percentOf = (votes) =>
+      questionStat.totalAnswers > 0 ? (votes / questionStat.totalAnswers) * 100 : 0;
+
+    return questionStat.options.flatMap((left, index) => {
+      const correctTarget = questionStat.correctIndex[index];
+      const votes = questionStat.targets.map(() => 0);
+      for (const submission of questionStat.submissions) {
+        votes[submission.pairs[index]]++;
       }
+
+      const wrongPairs = votes
+        .map((count, target) => ({ target, count }))
+        .filter(({ target, count }) => target !== correctTarget && count > 0)
+        .sort((a, b) => b.count - a.count)
+        .map(({ target, count }) => ({
+          text: `${left} → ${questionStat.targets[target]}`,
+          votes: count,
+          percent: percentOf(count),
+          isCorrect: false,
+          isUnchosen: false,
+          isStrongerThanCorrect: count > votes[correctTarget],
+        }));
+
+      return [
+        {
+          text: `${left} → ${questionStat.targets[correctTarget]}`,
+          votes: votes[correctTarget],
+          percent: percentOf(votes[correctTarget]),
+          isCorrect: true,
+          isUnchosen: votes[correctTarget] === 0,
+          isStrongerThanCorrect: false,
+        },
+        ...wrongPairs,
+      ];
+    });
+  }
+
+  /**
+   * Группирует одинаковые ответы без выбора вариантов.
+   * Помечает неправильные ответы, которые давали чаще всех правильных вместе
+   * @param {Object} questionStat - статистика вопроса
+   * @param {Function} getKey - ключ группы для записи ответа
+   * @param {Function} getText - подпись группы для записи ответа
+   * @returns {Array<Object>} группы в формате анализа дистракторов, частые первыми
+   */
+  groupSubmissions(questionStat, getKey, getText) {
+    const groups = new Map();
+    for (const submission of questionStat.submissions) {
+      const key = getKey(submission);
+      if (!groups.has(key)) {
+        groups.set(key, {
+          text: getText(submission),
+          votes: 0,
+          isCorrect: submission.isCorrect,
+        });
+      }
+      groups.get(key).votes++;
+    }
+
+    const correctVotes = questionStat.submissions.filter(
+      (submission) => submission.isCorrect,
+    ).length;
+
+    return Array.from(groups.values())
+      .sort((a, b) => b.votes - a.votes)
+      .map((group) => ({
+        ...group,
+        percent:
+          questionStat.totalAnswers > 0 ? (group.votes / questionStat.totalAnswers) * 100 : 0,
+        isUnchosen: false,
+        isStrongerThanCorrect: !group.isCorrect && group.votes > correctVotes,
+      }));
+  }
+
+  /**
+   * Строит гистограмму ответов на числовой вопрос.
+   * Столбец помечается правильным, если попадает в допустимые границы ответа
+   * @param {Object} questionStat - статистика вопроса
+   * @returns {Array<Object>} столбцы { from, to, count, isCorrect }
+   */
+  getNumericHistogram(questionStat) {
+    const { min, max } = getNumericRange(questionStat.correctIndex);
+
+    return buildHistogram(questionStat.submissions.map((submission) => submission.value)).map(
+      (bin) => ({ ...bin, isCorrect: bin.from <= max && bin.to >= min }),
     );
   }
 
@@ -334,7 +1054,7 @@ class GameService {
    * @returns {boolean} true если игра на паузе, false если продолжена
    */
   togglePause() {
-    if (!this.isQuestionActive) {
+    if (!this.isQuestionActive || this.isWaitingForMedia) {
       return false;
     }
 
@@ -343,15 +1063,82 @@ class GameService {
       const pauseDuration = Date.now() - this.pauseStartTime;
       this.totalPausedTime += pauseDuration;
       this.isPaused = false;
+      this.notifyStateChange();
       return false;
     } else {
       // Ставим на паузу
       this.isPaused = true;
       this.pauseStartTime = Date.now();
+      this.notifyStateChange();
       return true;
     }
   }
 
+  /**
+   * Сериализует состояние игры для сохранения на диск
+   * @returns {Object} состояние, пригодное для JSON
+   */
+  serialize() {
+    return {
+      quizFileName: this.quizFileName,
+      quizData: this.quizData,
+      currentQuestionIndex: this.currentQuestionIndex,
+      votes: this.votes,
+      scores: this.scores,
+      answeredUsers: Array.from(this.answeredUsers),
+      currentAnswers: this.currentAnswers,
+      playerAnswers: this.playerAnswers,
+      isQuestionActive: this.isQuestionActive,
+      customTimeLimit: this.customTimeLimit,
+      settings: this.settings,
+      startedAt: this.startedAt,
+      finishedAt: this.finishedAt,
+      timeLeft: this.getRemainingTime(),
+      isWaitingForMedia: this.isWaitingForMedia,
+      answerAnalytics: this.answerAnalytics,
+    };
+  }
+
+  /**
+   * Восстанавливает состояние игры из сохранённого снимка.
+   * Активный вопрос восстанавливается на паузе с тем же оставшимся временем
+   * @param {Object} state - результат serialize()
+   */
+  restoreState(state) {
+    this.quizFileName = state.quizFileName;
+    this.quizData = state.quizData;
+    this.currentQuestionIndex = state.currentQuestionIndex;
+    this.votes = state.votes;
+    this.scores = state.scores;
+    this.answeredUsers = new Set(state.answeredUsers);
+    this.currentAnswers = state.currentAnswers;
+    this.playerAnswers = state.playerAnswers || {}; // Снимки ранних версий без ответов игроков
+    this.isQuestionActive = state.isQuestionActive;
+    this.customTimeLimit = state.customTimeLimit;
+    this.settings = state.settings || null;
+    this.startedAt = state.startedAt || null;
+    this.finishedAt = state.finishedAt || null;
+    this.answerAnalytics = state.answerAnalytics;
+
+    // JSON заменяет пропуски в статистике вопросов без ответов на null — возвращаем пропуски
+    const questionStats = [];
+    state.answerAnalytics.questionStats.forEach((questionStat, i) => {
+      if (questionStat) {
+        questionStats[i] = questionStat;
+      }
+    });
+    this.answerAnalytics.questionStats = questionStats;
+
+    const timeLimit = this.getTimeLimit();
+    const now = Date.now();
+    this.questionStartTime = now - (timeLimit - state.timeLeft) * 1000;
+    this.totalPausedTime = 0;
+    // Вопрос, ждущий окончания записи, снова ждёт её (запись начнётся сначала)
+    this.isWaitingForMedia = this.isQuestionActive && Boolean(state.isWaitingForMedia);
+    this.isPaused = this.isQuestionActive && !this.isWaitingForMedia;
+    this.pauseStartTime = now;
+  }
+
   /**
    * Получает оставшееся время для текущего вопроса
    * @returns {number} оставшееся время в секундах
@@ -361,9 +1148,21 @@ class GameService {
       return 0;
     }
 
-    const timeLimit = this.customTimeLimit || config.game.timeLimit;
-    const elapsed = (Date.now() - this.questionStartTime - this.totalPausedTime) / 1000;
-    return Math.max(0, Math.ceil(timeLimit - elapsed));
+    return Math.max(0, Math.ceil(this.getTimeLimit() - this.getElapsedTime()));
+  }
+
+  /**
+   * Получает время, прошедшее с начала текущего вопроса, без учёта пауз
+   * @returns {number} время в секундах
+   */
+  getElapsedTime() {
+    if (this.isWaitingForMedia) {
+      return 0;
+    }
+
+    // Во время паузы время не идёт
+    const currentPause = this.isPaused ? Date.now() - this.pauseStartTime : 0;
+    return (Date.now() - this.questionStartTime - this.totalPausedTime - currentPause) / 1000;
   }
 
   /**
@@ -374,6 +1173,30 @@ class GameService {
     return this.isPaused;
   }
 
+  /**
+   * Проверяет, ждёт ли вопрос окончания записи, чтобы запустить время на ответ
+   * @returns {boolean}
+   */
+  isTimerWaitingForMedia() {
+    return this.isWaitingForMedia;
+  }
+
+  /**
+   * Запускает время на ответ после окончания записи вопроса
+   * @returns {boolean} true, если вопрос ждал окончания записи и время пошло
+   */
+  startTimerAfterMedia() {
+    if (!this.isQuestionActive || !this.isWaitingForMedia) {
+      return false;
+    }
+
+    this.isWaitingForMedia = false;
+    this.questionStartTime = Date.now();
+    this.totalPausedTime = 0;
+    this.notifyStateChange();
+    return true;
+  }
+
   /**
    * Экспортирует результаты в выбранном формате
    * @param {string} format - формат экспорта: 'csv' или 'xlsx'
@@ -400,29 +1223,29 @@ class GameService {
       "Среднее время ответа (сек)",
     ];
 
-    const allScores = this.getAllPlayersScores();
-    const players = Object.keys(allScores);
-
     // Формируем строки для CSV
-    const rows = players.map((nickname) => {
-      const totalAnswers = this.answerAnalytics.responseTimeDistribution.length;
-      const correctAnswers = this.answerAnalytics.correctAnswers;
-      const accuracy =
-        totalAnswers > 0 ? ((correctAnswers / totalAnswers) * 100).toFixed(2) : "0.00";
-      const avgResponseTime = this.answerAnalytics.averageResponseTime.toFixed(2);
+    const rows = this.getExportPlayers().map((nickname) => {
+      const stats = this.getPlayerStats(nickname);
 
       return [
         `"${nickname}"`,
-        allScores[nickname],
-        totalAnswers,
-        correctAnswers,
-        `${accuracy}%`,
-        avgResponseTime,
+        stats.score,
+        stats.totalAnswers,
+        stats.correctAnswers,
+        `${stats.accuracy.toFixed(2)}%`,
+        stats.averageResponseTime.toFixed(2),
       ].join(",");
     });
 
     // Добавляем строки по вопросам
-    const questionHeaders = ["Вопрос", "Ответов", "Правильных", "Процент", "Среднее время (сек)"];
+    const questionHeaders = [
+      "Вопрос",
+      "Ответов",
+      "Правильных",
+      "Процент",
+      "Среднее время (сек)",
+      "Пояснение",
+    ];
     const questionRows = this.answerAnalytics.questionStats.map((question, index) => {
       const accuracy =
         question.totalAnswers > 0
@@ -431,14 +1254,54 @@ class GameService {
       const avgTime = question.averageResponseTime.toFixed(2);
 
       return [
-        `"${question.question.replace(/"/g, '""')}"`,
+        quoteCsv(toPlainText(question.question)),
         question.totalAnswers,
         question.correctAnswers,
         `${accuracy}%`,
         avgTime,
+        quoteCsv(this.getExplanationText(index)),
       ].join(",");
     });
 
+    // Ответы каждого игрока
+    const answerHeaders = [
+      "Никнейм",
+      "№ вопроса",
+      "Вопрос",
+      "Выбранный ответ",
+      "Правильно",
+      "Время (сек)",
+      "Баллы",
+    ];
+    const answerRows = this.getAnswerDetails().map((answer) =>
+      [
+        `"${answer.nickname}"`,
+        answer.questionNumber,
+        quoteCsv(answer.question),
+        quoteCsv(answer.option),
+        this.formatCorrectness(answer),
+        answer.timeElapsed.toFixed(2),
+        answer.scoreEarned,
+      ].join(","),
+    );
+
+    const matrixRows = this.getPlayerQuestionMatrix().map((row) =>
+      row.map((cell, i) => (i === 0 ? `"${cell}"` : cell)).join(","),
+    );
+
+    // Анализ заданий (пустое значение — показатель нельзя вычислить)
+    const itemAnalysis = this.getItemAnalysis();
+    const itemHeaders = ["№ вопроса", "Вопрос", "Трудность (p)", "Дискриминация (r_pb)", "Пометки"];
+    const itemRows = itemAnalysis.questions.map((item) =>
+      [
+        item.questionNumber,
+        quoteCsv(toPlainText(item.question)),
+        item.difficulty === null ? "" : item.difficulty.toFixed(2),
+        item.discrimination === null ? "" : item.discrimination.toFixed(2),
+        `"${item.notes.join("; ")}"`,
+      ].join(","),
+    );
+
     // Формируем итоговый CSV
     const csv = [
       "=== ОБЩАЯ СТАТИСТИКА ===",
@@ -449,6 +1312,18 @@ class GameService {
       questionHeaders.join(","),
       ...questionRows,
       "",
+      "=== ОТВЕТЫ ИГРОКОВ ===",
+      answerHeaders.join(","),
+      ...answerRows,
+      "",
+      "=== БАЛЛЫ: ИГРОК × ВОПРОС ===",
+      ...matrixRows,
+      "",
+      "=== АНАЛИЗ ЗАДАНИЙ ===",
+      `Надёжность KR-20,${itemAnalysis.kr20 === null ? "" : itemAnalysis.kr20.toFixed(2)}`,
+      itemHeaders.join(","),
+      ...itemRows,
+      "",
       "=== ДЕТАЛИ ПО ВРЕМЕНИ ОТВЕТОВ ===",
       "Время ответа (сек)",
       ...this.answerAnalytics.responseTimeDistribution.map((time) => time.toFixed(2)),
@@ -477,22 +1352,16 @@ class GameService {
       "Среднее время ответа (сек)",
     ];
 
-    const allScores = this.getAllPlayersScores();
-    const players = Object.keys(allScores);
-
-    const rows = players.map((nickname) => {
-      const totalAnswers = this.answerAnalytics.responseTimeDistribution.length;
-      const correctAnswers = this.answerAnalytics.correctAnswers;
-      const accuracy = totalAnswers > 0 ? (correctAnswers / totalAnswers) * 100 : 0;
-      const avgResponseTime = this.answerAnalytics.averageResponseTime;
+    const rows = this.getExportPlayers().map((nickname) => {
+      const stats = this.getPlayerStats(nickname);
 
       return [
         nickname,
-        allScores[nickname],
-        totalAnswers,
-        correctAnswers,
-        accuracy,
-        avgResponseTime,
+        stats.score,
+        stats.totalAnswers,
+        stats.correctAnswers,
+        stats.accuracy,
+        stats.averageResponseTime,
       ];
     });
 
@@ -501,17 +1370,25 @@ class GameService {
     XLSX.utils.book_append_sheet(workbook, generalSheet, "Общая статистика");
 
     // 2. Статистика по вопросам
-    const questionHeaders = ["Вопрос", "Ответов", "Правильных", "Процент", "Среднее время (сек)"];
+    const questionHeaders = [
+      "Вопрос",
+      "Ответов",
+      "Правильных",
+      "Процент",
+      "Среднее время (сек)",
+      "Пояснение",
+    ];
 
     const questionRows = this.answerAnalytics.questionStats.map((question, index) => {
       const accuracy =
         question.totalAnswers > 0 ? (question.correctAnswers / question.totalAnswers) * 100 : 0;
       return [
-        question.question,
+        toPlainText(question.question),
         question.totalAnswers,
         question.correctAnswers,
         accuracy,
         question.averageResponseTime,
+        this.getExplanationText(index),
       ];
     });
 
@@ -519,7 +1396,85 @@ class GameService {
     const questionSheet = XLSX.utils.aoa_to_sheet(questionData);
     XLSX.utils.book_append_sheet(workbook, questionSheet, "По вопросам");
 
-    // 3. Детали по времени ответов
+    // 3. Ответы каждого игрока
+    const answerHeaders = [
+      "Никнейм",
+      "№ вопроса",
+      "Вопрос",
+      "Выбранный ответ",
+      "Правильно",
+      "Время (сек)",
+      "Баллы",
+    ];
+    const answerRows = this.getAnswerDetails().map((answer) => [
+      answer.nickname,
+      answer.questionNumber,
+      answer.question,
+      answer.option,
+      this.formatCorrectness(answer),
+      answer.timeElapsed,
+      answer.scoreEarned,
+    ]);
+    const answerSheet = XLSX.utils.aoa_to_sheet([answerHeaders, ...answerRows]);
+    XLSX.utils.book_append_sheet(workbook, answerSheet, "Ответы игроков");
+
+    // 4. Матрица "игрок × вопрос"
+    const matrixSheet = XLSX.utils.aoa_to_sheet(this.getPlayerQuestionMatrix());
+    XLSX.utils.book_append_sheet(workbook, matrixSheet, "Игрок × вопрос");
+
+    // 5. Анализ дистракторов
+    const distractorHeaders = [
+      "№ вопроса",
+      "Вопрос",
+      "Вариант",
+      "Правильный",
+      "Выборов",
+      "Доля выборов (%)",
+      "Пометка",
+    ];
+    const distractorRows = [];
+    this.answerAnalytics.questionStats.forEach((questionStat, questionIndex) => {
+      for (const option of this.getDistractorAnalysis(questionStat)) {
+        let note = "";
+        if (option.isUnchosen) {
+          note = "Никто не выбрал";
+        } else if (option.isStrongerThanCorrect) {
+          note = "Выбирают чаще правильного";
+        }
+
+        distractorRows.push([
+          questionIndex + 1,
+          toPlainText(questionStat.question),
+          toPlainText(option.text),
+          option.isCorrect ? "да" : "нет",
+          option.votes,
+          option.percent,
+          note,
+        ]);
+      }
+    });
+    const distractorSheet = XLSX.utils.aoa_to_sheet([distractorHeaders, ...distractorRows]);
+    XLSX.utils.book_append_sheet(workbook, distractorSheet, "Анализ дистракторов");
+
+    // 6. Анализ заданий
+    const itemAnalysis = this.getItemAnalysis();
+    const itemData = [
+      ["Надёжность KR-20", itemAnalysis.kr20 === null ? "" : itemAnalysis.kr20],
+      ["Игроков", itemAnalysis.playerCount],
+      [],
+      ["№ вопроса", "Вопрос", "Трудность (p)", "Дискриминация (r_pb)", "Пометки"],
+      ...itemAnalysis.questions.map((item) => [
+        item.questionNumber,
+        toPlainText(item.question),
+        item.difficulty === null ? "" : item.difficulty,
+        item.discrimination === null ? "" : item.discrimination,
+        item.notes.join("; "),
+      ]),
+    ];
+    const itemSheet = XLSX.utils.aoa_to_sheet(itemData);
+    XLSX.utils.book_append_sheet(workbook, itemSheet, "Анализ заданий");
+
+    // 7. Детали по времени ответов
     const timeHeaders = ["Время ответа (сек)"];
     const timeRows = this.answerAnalytics.responseTimeDistribution.map((time) => [time]);
     const timeData = [timeHeaders, ...timeRows];
@@ -532,4 +1487,4 @@ class GameService {
   }
 }
 
-module.exports = new GameService();
+module.exports = GameService;
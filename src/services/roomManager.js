@@ -0,0 +1,304 @@
+const crypto = require("crypto");
+const GameService = require("./gameService");
+const ArchiveService = require("./archiveService");
+const config = require("../../config");
+
+/**
+ * Сервис для управления игровыми комнатами.
+ * Каждая комната содержит собственный GameService, таймер вопроса и набор сокетов
+ */
+class RoomManager {
+  /**
+   * @param {Object|null} [stateStore] - хранилище снимков состояния (см. src/stores)
+   * @param {ArchiveService} [archive] - архив результатов сыгранных игр
+   */
+  constructor(stateStore = null, archive = new ArchiveService()) {
+    this.rooms = new Map();
+    this.stateStore = stateStore;
+    this.archive = archive;
+  }
+
+  /**
+   * Генерирует уникальный числовой PIN комнаты (без ведущего нуля)
+   * @returns {string} PIN комнаты
+   */
+  generateCode() {
+    const min = 10 ** (config.rooms.pinLength - 1);
+    let code;
+
+    do {
+      code = String(min + Math.floor(Math.random() * 9 * min));
+    } while (this.rooms.has(code));
+
+    return code;
+  }
+
+  /**
+   * Создает новую комнату
+   * @returns {Object|null} комната или null, если достигнут лимит комнат
+   */
+  createRoom() {
+    if (this.rooms.size >= config.rooms.maxRooms) {
+      return null;
+    }
+
+    const room = {
+      code: this.generateCode(),
+      gameService: new GameService(),
+      activeSockets: new Map(),
+      sessions: new Map(), // Токен сессии -> никнейм игрока
+      currentTimer: null,
+      hostSocketId: null,
+      hostToken: crypto.randomBytes(16).toString("hex"), // Для возвращения ведущего
+      hostAbsenceTimer: null, // Ожидание возвращения отключившегося ведущего
+      pausedByHostDisconnect: false,
+      isOpen: false, // Игроки могут входить только после загрузки квиза
+      isRestored: false, // Комната восстановлена после перезапуска сервера
+      createdAt: Date.now(),
+    };
+
+    this.addRoom(room);
+    return room;
+  }
+
+  /**
+   * Регистрирует комнату и подписывается на изменения её игры
+   * @param {Object} room - комната
+   */
+  addRoom(room) {
+    this.rooms.set(room.code, room);
+    room.gameService.onStateChange = () => this.saveRoom(room);
+  }
+
+  /**
+   * Сохраняет снимок состояния комнаты в хранилище.
+   * Ошибка записи не должна прерывать игру, поэтому только логируется
+   * @param {Object} room - комната
+   */
+  saveRoom(room) {
+    if (!this.stateStore) {
+      return;
+    }
+
+    try {
+      this.stateStore.save(room.code, this.serializeRoom(room));
+    } catch (error) {
+      console.error(`Не удалось сохранить состояние комнаты ${room.code}:`, error.message);
+    }
+  }
+
+  /**
+   * Формирует снимок состояния комнаты
+   * @param {Object} room - комната
+   * @returns {Object} снимок, пригодный для JSON
+   */
+  serializeRoom(room) {
+    return {
+      code: room.code,
+      hostToken: room.hostToken,
+      sessions: Array.from(room.sessions),
+      isOpen: room.isOpen,
+      createdAt: room.createdAt,
+      savedAt: Date.now(),
+      game: room.gameService.serialize(),
+    };
+  }
+
+  /**
+   * Восстанавливает комнаты из хранилища после перезапуска сервера.
+   * Ведущий может вернуться по своему токену или выбрать прерванную игру после входа
+   * @returns {number} количество восстановленных комнат
+   */
+  restoreRooms() {
+    if (!this.stateStore) {
+      return 0;
+    }
+
+    let restored = 0;
+    for (const snapshot of this.stateStore.loadAll()) {
+      // Комнаты без загруженного квиза восстанавливать незачем
+      if (!snapshot.game.quizFileName) {
+        this.stateStore.remove(snapshot.code);
+        continue;
+      }
+      if (this.rooms.has(snapshot.code) || this.rooms.size >= config.rooms.maxRooms) {
+        continue;
+      }
+
+      const gameService = new GameService();
+      gameService.restoreState(snapshot.game);
+
+      this.addRoom({
+        code: snapshot.code,
+        gameService,
+        activeSockets: new Map(),
+        sessions: new Map(snapshot.sessions),
+        currentTimer: null,
+        hostSocketId: null,
+        hostToken: snapshot.hostToken,
+        hostAbsenceTimer: null,
+        pausedByHostDisconnect: false,
+        isOpen: snapshot.isOpen,
+        isRestored: true,
+        createdAt: snapshot.createdAt,
+      });
+      restored++;
+    }
+
+    return restored;
+  }
+
+  /**
+   * Получает прерванные игры, которые ждут ведущего после перезапуска сервера
+   * @returns {Array<Object>} краткое описание игр для выбора ведущим
+   */
+  getInterruptedGames() {
+    return Array.from(this.rooms.values())
+      .filter((room) => room.isRestored && !room.hostSocketId)
+      .map((room) => ({
+        pin: room.code,
+        fileName: room.gameService.quizFileName,
+        questionNumber: room.gameService.getCurrentQuestionIndex() + 1,
+        totalQuestions: room.gameService.getTotalQuestions(),
+        players: new Set(room.sessions.values()).size,
+        createdAt: room.createdAt,
+      }));
+  }
+
+  /**
+   * Получает комнату по коду
+   * @param {string} code - код (PIN) комнаты
+   * @returns {Object|null} комната или null
+   */
+  getRoom(code) {
+    if (!code || typeof code !== "string") {
+      return null;
+    }
+    return this.rooms.get(code.trim()) || null;
+  }
+
+  /**
+   * Получает комнату по токену ведущего
+   * @param {string} token - токен ведущего
+   * @returns {Object|null} комната или null
+   */
+  getRoomByHostToken(token) {
+    for (const room of this.rooms.values()) {
+      if (room.hostToken === token) {
+        return room;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Получает комнату, к которой привязан сокет
+   * @param {Socket} socket - сокет клиента
+   * @returns {Object|null} комната или null
+   */
+  getRoomForSocket(socket) {
+    return this.getRoom(socket.roomCode);
+  }
+
+  /**
+   * Получает список никнеймов игроков комнаты
+   * @param {Object} room - комната
+   * @returns {Array<string>} никнеймы игроков
+   */
+  getPlayerNames(room) {
+    return Array.from(room.activeSockets.values())
+      .filter((s) => s.nickname)
+      .map((s) => s.nickname);
+  }
+
+  /**
+   * Создает токен сессии игрока для восстановления после переподключения.
+   * Прежние токены этого никнейма становятся недействительными
+   * @param {Object} room - комната
+   * @param {string} nickname - никнейм игрока
+   * @returns {string} токен сессии
+   */
+  createSession(room, nickname) {
+    for (const [token, sessionNickname] of room.sessions) {
+      if (sessionNickname === nickname) {
+        room.sessions.delete(token);
+      }
+    }
+
+    const token = crypto.randomBytes(16).toString("hex");
+    room.sessions.set(token, nickname);
+    this.saveRoom(room);
+    return token;
+  }
+
+  /**
+   * Получает никнейм игрока по токену сессии
+   * @param {Object} room - комната
+   * @param {string} token - токен сессии
+   * @returns {string|null} никнейм или null
+   */
+  getSessionNickname(room, token) {
+    return room.sessions.get(token) || null;
+  }
+
+  /**
+   * Удаляет комнату и останавливает её таймер
+   * @param {string} code - код комнаты
+   * @returns {boolean} true если комната была удалена
+   */
+  removeRoom(code) {
+    const room = this.getRoom(code);
+    if (!room) {
+      return false;
+    }
+
+    if (room.currentTimer) {
+      room.currentTimer.clearTimer();
+      room.currentTimer = null;
+    }
+    if (room.hostAbsenceTimer) {
+      clearTimeout(room.hostAbsenceTimer);
+      room.hostAbsenceTimer = null;
+    }
+
+    // Результаты брошенной игры сохраняются в архиве
+    this.archive.archiveGame(room);
+
+    if (this.stateStore) {
+      this.stateStore.remove(room.code);
+    }
+
+    return this.rooms.delete(room.code);
+  }
+
+  /**
+   * Удаляет комнату, если в ней не осталось ни ведущего, ни игроков
+   * и ведущий не ожидается обратно. Прерванная игра хранится, пока ведущий
+   * не продолжит её или не откажется от неё
+   * @param {string} code - код комнаты
+   * @returns {boolean} true если комната была удалена
+   */
+  removeRoomIfEmpty(code) {
+    const room = this.getRoom(code);
+    if (
+      !room ||
+      room.isRestored ||
+      room.hostSocketId ||
+      room.hostAbsenceTimer ||
+      room.activeSockets.size > 0
+    ) {
+      return false;
+    }
+    return this.removeRoom(code);
+  }
+
+  /**
+   * Получает количество комнат
+   * @returns {number}
+   */
+  getRoomCount() {
+    return this.rooms.size;
+  }
+}
+
+module.exports = RoomManager;
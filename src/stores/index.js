@@ -0,0 +1,38 @@
+const fs = require("fs");
+const path = require("path");
+const JsonStateStore = require("./jsonStateStore");
+const SqliteStateStore = require("./sqliteStateStore");
+const JsonResultsArchive = require("./jsonResultsArchive");
+const SqliteResultsArchive = require("./sqliteResultsArchive");
+
+/**
+ * Создает хранилища по настройкам persistence: снимки состояния игр и архив результатов
+ * @param {Object} persistence - секция persistence конфигурации
+ * @param {string} persistence.store - "json", "sqlite" или "none"
+ * @param {string} persistence.dataDir - каталог данных (относительно корня проекта)
+ * @returns {{stateStore: Object|null, resultsArchive: Object|null}} хранилища или null, если сохранение отключено
+ */
+function createStores({ store, dataDir }) {
+  const dir = path.resolve(__dirname, "../..", dataDir);
+
+  if (store === "json") {
+    return {
+      stateStore: new JsonStateStore(path.join(dir, "rooms")),
+      resultsArchive: new JsonResultsArchive(path.join(dir, "archive")),
+    };
+  }
+  if (store === "sqlite") {
+    fs.mkdirSync(dir, { recursive: true });
+    const stateStore = new SqliteStateStore(path.join(dir, "game-state.sqlite"));
+    return { stateStore, resultsArchive: new SqliteResultsArchive(stateStore.db) };
+  }
+  return { stateStore: null, resultsArchive: null };
+}
+
+module.exports = {
+  createStores,
+  JsonStateStore,
+  SqliteStateStore,
+  JsonResultsArchive,
+  SqliteResultsArchive,
+};
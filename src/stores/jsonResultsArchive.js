@@ -0,0 +1,80 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Архив результатов завершённых игр в JSON-файлах (по файлу на игру)
+ */
+class JsonResultsArchive {
+  /**
+   * @param {string} dir - каталог архива
+   */
+  constructor(dir) {
+    this.dir = dir;
+    fs.mkdirSync(this.dir, { recursive: true });
+  }
+
+  /**
+   * Путь к файлу игры
+   * @param {string} id - идентификатор игры
+   * @returns {string} путь к файлу
+   */
+  getFilePath(id) {
+    return path.join(this.dir, `game-${id}.json`);
+  }
+
+  /**
+   * Сохраняет (или перезаписывает) запись об игре
+   * @param {Object} record - запись архива, см. ArchiveService.buildRecord
+   */
+  save(record) {
+    const filePath = this.getFilePath(record.id);
+    const tmpPath = `${filePath}.tmp`;
+
+    fs.writeFileSync(tmpPath, JSON.stringify(record));
+    fs.renameSync(tmpPath, filePath);
+  }
+
+  /**
+   * Получает краткие сведения обо всех играх, новые первыми
+   * @returns {Array<Object>} записи архива без подробных данных игры
+   */
+  list() {
+    return fs
+      .readdirSync(this.dir)
+      .filter((f) => /^game-[\w-]+\.json$/.test(f))
+      .map((f) => this.readFile(path.join(this.dir, f)))
+      .filter(Boolean)
+      .map((record) => {
+        const summary = { ...record };
+        delete summary.game;
+        return summary;
+      })
+      .sort((a, b) => b.startedAt - a.startedAt);
+  }
+
+  /**
+   * Получает полную запись об игре
+   * @param {string} id - идентификатор игры
+   * @returns {Object|null} запись или null
+   */
+  get(id) {
+    const filePath = this.getFilePath(id);
+    return fs.existsSync(filePath) ? this.readFile(filePath) : null;
+  }
+
+  /**
+   * Читает запись из файла. Повреждённые файлы пропускаются
+   * @param {string} filePath - путь к файлу
+   * @returns {Object|null} запись или null
+   */
+  readFile(filePath) {
+    try {
+      return JSON.parse(fs.readFileSync(filePath, "utf8"));
+    } catch (error) {
+      console.error(`Не удалось прочитать архив ${path.basename(filePath)}:`, error.message);
+      return null;
+    }
+  }
+}
+
+module.exports = JsonResultsArchive;
@@ -0,0 +1,68 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Хранилище снимков состояния комнат в JSON-файлах (по файлу на комнату).
+ * Запись атомарная: сначала во временный файл, затем переименование,
+ * поэтому при падении процесса на диске остаётся целый предыдущий снимок
+ */
+class JsonStateStore {
+  /**
+   * @param {string} dir - каталог для файлов состояния
+   */
+  constructor(dir) {
+    this.dir = dir;
+    fs.mkdirSync(this.dir, { recursive: true });
+  }
+
+  /**
+   * Путь к файлу состояния комнаты
+   * @param {string} code - код комнаты
+   * @returns {string} путь к файлу
+   */
+  getFilePath(code) {
+    return path.join(this.dir, `room-${code}.json`);
+  }
+
+  /**
+   * Сохраняет снимок состояния комнаты
+   * @param {string} code - код комнаты
+   * @param {Object} snapshot - снимок состояния
+   */
+  save(code, snapshot) {
+    const filePath = this.getFilePath(code);
+    const tmpPath = `${filePath}.tmp`;
+
+    fs.writeFileSync(tmpPath, JSON.stringify(snapshot));
+    fs.renameSync(tmpPath, filePath);
+  }
+
+  /**
+   * Загружает все сохранённые снимки. Повреждённые файлы пропускаются
+   * @returns {Array<Object>} снимки состояния комнат
+   */
+  loadAll() {
+    return fs
+      .readdirSync(this.dir)
+      .filter((f) => /^room-\d+\.json$/.test(f))
+      .map((f) => {
+        try {
+          return JSON.parse(fs.readFileSync(path.join(this.dir, f), "utf8"));
+        } catch (error) {
+          console.error(`Не удалось прочитать состояние ${f}:`, error.message);
+          return null;
+        }
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Удаляет снимок состояния комнаты
+   * @param {string} code - код комнаты
+   */
+  remove(code) {
+    fs.rmSync(this.getFilePath(code), { force: true });
+  }
+}
+
+module.exports = JsonStateStore;
@@ -0,0 +1,52 @@
+/**
+ * Архив результатов завершённых игр в базе SQLite.
+ * Использует ту же базу, что и SqliteStateStore
+ */
+class SqliteResultsArchive {
+  /**
+   * @param {Object} db - открытая база better-sqlite3
+   */
+  constructor(db) {
+    this.db = db;
+    this.db.exec(
+      "CREATE TABLE IF NOT EXISTS game_archive (id TEXT PRIMARY KEY, started_at INTEGER NOT NULL, summary TEXT NOT NULL, record TEXT NOT NULL)",
+    );
+
+    this.saveStmt = this.db.prepare(
+      "INSERT INTO game_archive (id, started_at, summary, record) VALUES (?, ?, ?, ?) " +
+        "ON CONFLICT(id) DO UPDATE SET summary = excluded.summary, record = excluded.record",
+    );
+    this.listStmt = this.db.prepare("SELECT summary FROM game_archive ORDER BY started_at DESC");
+    this.getStmt = this.db.prepare("SELECT record FROM game_archive WHERE id = ?");
+  }
+
+  /**
+   * Сохраняет (или перезаписывает) запись об игре
+   * @param {Object} record - запись архива, см. ArchiveService.buildRecord
+   */
+  save(record) {
+    const summary = { ...record };
+    delete summary.game;
+    this.saveStmt.run(record.id, record.startedAt, JSON.stringify(summary), JSON.stringify(record));
+  }
+
+  /**
+   * Получает краткие сведения обо всех играх, новые первыми
+   * @returns {Array<Object>} записи архива без подробных данных игры
+   */
+  list() {
+    return this.listStmt.all().map((row) => JSON.parse(row.summary));
+  }
+
+  /**
+   * Получает полную запись об игре
+   * @param {string} id - идентификатор игры
+   * @returns {Object|null} запись или null
+   */
+  get(id) {
+    const row = this.getStmt.get(id);
+    return row ? JSON.parse(row.record) : null;
+  }
+}
+
+module.exports = SqliteResultsArchive;
@@ -0,0 +1,75 @@
+/**
+ * Хранилище снимков состояния комнат в базе SQLite.
+ * Требует необязательную зависимость better-sqlite3
+ */
+class SqliteStateStore {
+  /**
+   * @param {string} filePath - путь к файлу базы данных
+   */
+  constructor(filePath) {
+    let Database;
+    try {
+      Database = require("better-sqlite3");
+    } catch {
+      throw new Error("Для persistence.store = sqlite установите пакет better-sqlite3");
+    }
+
+    this.db = new Database(filePath);
+    // WAL-журнал переживает падение процесса без потери последней записи
+    this.db.pragma("journal_mode = WAL");
+    this.db.exec(
+      "CREATE TABLE IF NOT EXISTS room_state (code TEXT PRIMARY KEY, state TEXT NOT NULL, updated_at INTEGER NOT NULL)",
+    );
+
+    this.saveStmt = this.db.prepare(
+      "INSERT INTO room_state (code, state, updated_at) VALUES (?, ?, ?) " +
+        "ON CONFLICT(code) DO UPDATE SET state = excluded.state, updated_at = excluded.updated_at",
+    );
+    this.loadAllStmt = this.db.prepare("SELECT code, state FROM room_state");
+    this.removeStmt = this.db.prepare("DELETE FROM room_state WHERE code = ?");
+  }
+
+  /**
+   * Сохраняет снимок состояния комнаты
+   * @param {string} code - код комнаты
+   * @param {Object} snapshot - снимок состояния
+   */
+  save(code, snapshot) {
+    this.saveStmt.run(code, JSON.stringify(snapshot), Date.now());
+  }
+
+  /**
+   * Загружает все сохранённые снимки. Повреждённые записи пропускаются
+   * @returns {Array<Object>} снимки состояния комнат
+   */
+  loadAll() {
+    return this.loadAllStmt
+      .all()
+      .map((row) => {
+        try {
+          return JSON.parse(row.state);
+        } catch (error) {
+          console.error(`Не удалось прочитать состояние комнаты ${row.code}:`, error.message);
+          return null;
+        }
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Удаляет снимок состояния комнаты
+   * @param {string} code - код комнаты
+   */
+  remove(code) {
+    this.removeStmt.run(code);
+  }
+
+  /**
+   * Закрывает базу данных
+   */
+  close() {
+    this.db.close();
+  }
+}
+
+module.exports = SqliteStateStore;
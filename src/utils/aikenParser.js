@@ -0,0 +1,107 @@
+/**
+ * Импорт вопросов из формата Moodle Aiken (файлы .aiken): вопрос с вариантами
+ * "A. ...", "B. ..." и строкой "ANSWER: B". Вопросы получаются такими же,
+ * как из текстового формата
+ */
+
+// Строка варианта: "A. текст" или "A) текст"
+const OPTION_LINE = /^([A-Z])[.)]\s+(.*)$/;
+
+// Строка правильного ответа: "ANSWER: B"; несколько букв через запятую — несколько ответов
+const ANSWER_LINE = /^ANSWER:\s*(.*)$/i;
+
+/**
+ * Делит файл Aiken на вопросы: вопрос заканчивается строкой "ANSWER:" или пустой строкой
+ * @param {string} content - текст файла
+ * @returns {Array<{text: string, line: number}>} тексты вопросов и номера
+ * их первых строк в файле (с единицы)
+ */
+function splitAikenQuestions(content) {
+  const blocks = [];
+  let current = null;
+
+  content
+    .replace(/\r\n/g, "\n")
+    .split("\n")
+    .forEach((line, index) => {
+      if (line.trim() === "") {
+        current = null;
+        return;
+      }
+      if (!current) {
+        current = { lines: [], line: index + 1 };
+        blocks.push(current);
+      }
+      current.lines.push(line);
+      if (ANSWER_LINE.test(line.trim())) {
+        current = null;
+      }
+    });
+
+  return blocks.map((block) => ({ text: block.lines.join("\n"), line: block.line }));
+}
+
+/**
+ * Получает буквы правильных вариантов из строки "ANSWER:"
+ * @param {string|undefined} line - строка ответа
+ * @returns {Array<string>} буквы в верхнем регистре; пустой массив без строки ответа
+ */
+function parseAnswerLetters(line) {
+  if (!line) {
+    return [];
+  }
+  return line
+    .match(ANSWER_LINE)[1]
+    .toUpperCase()
+    .split(/[,;\s]+/);
+}
+
+/**
+ * Разбирает один вопрос Aiken. Строки до первого варианта — текст вопроса
+ * @param {string} text - текст вопроса с вариантами и ответом
+ * @returns {Object|null} вопрос с одним или несколькими ответами (correct: -1, если
+ * буква ответа не найдена среди вариантов); null, если вариантов нет
+ */
+function parseAikenQuestion(text) {
+  const lines = text.split("\n").map((line) => line.trim());
+  const firstOption = lines.findIndex((line) => OPTION_LINE.test(line));
+  if (firstOption === -1) {
+    return null;
+  }
+
+  const options = lines
+    .slice(firstOption)
+    .map((line) => line.match(OPTION_LINE))
+    .filter(Boolean);
+  const letters = parseAnswerLetters(lines.find((line) => ANSWER_LINE.test(line)));
+  const correct = options
+    .map((match, index) => (letters.includes(match[1]) ? index : -1))
+    .filter((index) => index !== -1);
+
+  const question = {
+    question: lines.slice(0, firstOption).join("\n"),
+    questionImg: null,
+    options: options.map((match) => ({ text: match[2].trim(), img: null })),
+  };
+  if (correct.length > 1) {
+    return { type: "multiple", ...question, correct };
+  }
+  return { type: "single", ...question, correct: correct.length === 1 ? correct[0] : -1 };
+}
+
+/**
+ * Разбирает содержимое файла Aiken
+ * @param {string} content - текст файла
+ * @returns {Array<Object>} вопросы; блоки без вариантов пропускаются
+ */
+function parseAikenContent(content) {
+  return splitAikenQuestions(content)
+    .map((block) => parseAikenQuestion(block.text))
+    .filter(Boolean);
+}
+
+module.exports = {
+  parseAikenContent,
+  parseAikenQuestion,
+  splitAikenQuestions,
+};
@@ -0,0 +1,420 @@
+/**
+ * Импорт вопросов из формата Moodle GIFT (файлы .gift): один и несколько ответов,
+ * верно/неверно, короткий ответ, числовой ответ и сопоставление. Вопросы получаются
+ * такими же, как из текстового формата; общий отзыв или отзыв к правильному ответу
+ * становится пояснением. Эссе и описания без ответов не импортируются
+ */
+
+// Варианты вопроса «верно/неверно» — те же, что в текстовом формате
+const TRUE_FALSE_OPTIONS = ["Да", "Нет"];
+
+// Короткий ответ в Moodle по умолчанию не учитывает регистр
+const TEXT_MATCH = { ignoreCase: true, trimSpaces: true, foldYo: true };
+
+// Формат текста в начале вопроса: [html], [markdown], [plain] или [moodle]
+const TEXT_FORMAT = /^\[(html|markdown|plain|moodle)\]\s*/i;
+
+// Ответ «верно/неверно»: {T}, {TRUE}, {F}, {FALSE}
+const TRUE_FALSE_ANSWER = /^(t|true|f|false)$/i;
+
+// Вес ответа в процентах в начале ответа: "%50%"
+const ANSWER_WEIGHT = /^%(-?\d+(?:\.\d+)?)%/;
+
+// Числовой ответ: диапазон "1..5" или число с погрешностью "3.14:0.01"
+const NUMBER = "-?\\d+(?:[.,]\\d+)?";
+const NUMERIC_RANGE = new RegExp(`^(${NUMBER})\\s*\\.\\.\\s*(${NUMBER})$`);
+const NUMERIC_VALUE = new RegExp(`^(${NUMBER})(?:\\s*:\\s*(${NUMBER}))?$`);
+
+// Сущности HTML, которые заменяются символами в вопросах формата [html]
+const HTML_ENTITIES = { "&nbsp;": " ", "&lt;": "<", "&gt;": ">", "&amp;": "&" };
+
+/**
+ * Находит подстроку, перед которой нет обратной косой черты
+ * @param {string} text - текст GIFT
+ * @param {string} target - искомая подстрока
+ * @param {number} [start] - индекс начала поиска
+ * @returns {number} индекс подстроки или -1
+ */
+function findUnescaped(text, target, start = 0) {
+  for (let i = start; i < text.length; i++) {
+    if (text[i] === "\\") {
+      i++;
+    } else if (text.startsWith(target, i)) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Делит текст по символу, перед которым нет обратной косой черты
+ * @param {string} text - текст GIFT
+ * @param {string} separator - разделитель
+ * @returns {Array<string>} части текста
+ */
+function splitUnescaped(text, separator) {
+  const parts = [];
+  let rest = text;
+  let index = findUnescaped(rest, separator);
+
+  while (index !== -1) {
+    parts.push(rest.slice(0, index));
+    rest = rest.slice(index + separator.length);
+    index = findUnescaped(rest, separator);
+  }
+  parts.push(rest);
+  return parts;
+}
+
+/**
+ * Преобразует текст GIFT в обычный текст: убирает разметку HTML для формата [html],
+ * заменяет переводы строк пробелами и снимает экранирование (\~, \=, \#, \{, \}, \:, \n)
+ * @param {string} text - текст вопроса, ответа или отзыва
+ * @param {string} [format] - формат текста вопроса
+ * @returns {string} текст
+ */
+function toPlainText(text, format) {
+  let plain = text.replace(TEXT_FORMAT, "");
+  if (format === "html") {
+    plain = plain
+      .replace(/<br\s*\/?>/gi, "\\n")
+      .replace(/<[^>]*>/g, "")
+      .replace(/&(?:nbsp|lt|gt|amp);/g, (entity) => HTML_ENTITIES[entity]);
+  }
+
+  return plain
+    .replace(/\s*\n\s*/g, " ")
+    .replace(/\\(n|[~=#{}:\\])/g, (_, char) => (char === "n" ? "\n" : char))
+    .trim();
+}
+
+/**
+ * Делит ответы в фигурных скобках на отдельные ответы по меткам "=" и "~"
+ * @param {string} text - ответы без общего отзыва
+ * @returns {Array<{correct: boolean, text: string}>} ответы: "=" — правильный,
+ * "~" — неправильный или с весом
+ */
+function splitAnswers(text) {
+  const answers = [];
+  let current = null;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (char === "\\") {
+      if (current) {
+        current.text += text.slice(i, i + 2);
+      }
+      i++;
+    } else if (char === "=" || char === "~") {
+      current = { correct: char === "=", text: "" };
+      answers.push(current);
+    } else if (current) {
+      current.text += char;
+    }
+  }
+
+  return answers;
+}
+
+/**
+ * Разбирает один ответ: вес в процентах, текст и отзыв после "#"
+ * @param {{correct: boolean, text: string}} answer - ответ из splitAnswers
+ * @param {string} [format] - формат текста вопроса
+ * @returns {{correct: boolean, weight: number|null, text: string, feedback: string}}
+ * ответ; weight — null, если вес не указан
+ */
+function parseAnswer(answer, format) {
+  const weightMatch = answer.text.trim().match(ANSWER_WEIGHT);
+  const text = weightMatch ? answer.text.trim().slice(weightMatch[0].length) : answer.text;
+  const [answerText, feedback = ""] = splitUnescaped(text, "#");
+
+  return {
+    correct: answer.correct,
+    weight: weightMatch ? parseFloat(weightMatch[1]) : null,
+    text: answerText,
+    feedback: toPlainText(feedback, format),
+  };
+}
+
+/**
+ * Проверяет, даёт ли ответ полный балл: "=" без веса или с весом 100%
+ * @param {Object} answer - разобранный ответ
+ * @returns {boolean} true для полностью правильного ответа
+ */
+function isFullCredit(answer) {
+  return answer.weight === null ? answer.correct : answer.weight >= 100;
+}
+
+/**
+ * Разбирает число GIFT: "3.14", "3.14:0.01" или "1..5"
+ * @param {string} text - запись числа
+ * @returns {Object|null} { value, tolerance } или { min, max }; null, если это не число
+ */
+function parseGiftNumber(text) {
+  const toNumber = (value) => parseFloat(value.replace(",", "."));
+  const trimmed = text.trim();
+
+  const rangeMatch = trimmed.match(NUMERIC_RANGE);
+  if (rangeMatch) {
+    const bounds = [toNumber(rangeMatch[1]), toNumber(rangeMatch[2])];
+    return { min: Math.min(...bounds), max: Math.max(...bounds) };
+  }
+
+  const valueMatch = trimmed.match(NUMERIC_VALUE);
+  if (valueMatch) {
+    return {
+      value: toNumber(valueMatch[1]),
+      tolerance: valueMatch[2] ? Math.abs(toNumber(valueMatch[2])) : 0,
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Разбирает вопрос «верно/неверно»: {T#отзыв на неверный ответ#отзыв на верный}
+ * @param {string} text - ответы в фигурных скобках
+ * @param {string} [format] - формат текста вопроса
+ * @returns {{question: Object, feedback: string}} поля вопроса и отзыв к правильному ответу
+ */
+function parseTrueFalse(text, format) {
+  const [value, , rightFeedback = ""] = splitUnescaped(text, "#");
+
+  return {
+    question: {
+      type: "truefalse",
+      options: TRUE_FALSE_OPTIONS.map((option) => ({ text: option, img: null })),
+      correct: value.trim().toLowerCase().startsWith("t") ? 0 : 1,
+    },
+    feedback: toPlainText(rightFeedback, format),
+  };
+}
+
+/**
+ * Разбирает числовой вопрос: {#3.14:0.01}, {#1..5} или {#=3:0 =%50%3.1:0.1}.
+ * Из нескольких ответов берётся первый с полным баллом
+ * @param {string} text - ответы после "#"
+ * @returns {{question: Object, feedback: string}|null} поля вопроса и отзыв;
+ * null, если число не распознано
+ */
+function parseNumeric(text) {
+  const answers = text.trim().startsWith("=")
+    ? splitAnswers(text).map((answer) => parseAnswer(answer))
+    : [parseAnswer({ correct: true, text })];
+  const answer = answers.find(isFullCredit) || answers[0];
+  const correct = answer ? parseGiftNumber(answer.text) : null;
+
+  if (!correct) {
+    return null;
+  }
+  return {
+    question: { type: "numeric", options: [], correct },
+    feedback: answer.feedback,
+  };
+}
+
+/**
+ * Разбирает вопрос на сопоставление: {=Кошка -> Мяу =Собака -> Гав = -> Кря}.
+ * Ответ без левой части — лишний вариант правой части
+ * @param {Array<Object>} answers - разобранные ответы
+ * @param {string} [format] - формат текста вопроса
+ * @returns {{question: Object, feedback: string}} поля вопроса
+ */
+function parseMatching(answers, format) {
+  const options = [];
+  const targets = [];
+  const correct = [];
+
+  for (const answer of answers) {
+    const separator = answer.text.indexOf("->");
+    const left = toPlainText(answer.text.slice(0, separator), format);
+    const right = toPlainText(answer.text.slice(separator + 2), format);
+
+    let targetIndex = targets.findIndex((target) => target.text === right);
+    if (targetIndex === -1) {
+      targets.push({ text: right, img: null });
+      targetIndex = targets.length - 1;
+    }
+    if (left) {
+      options.push({ text: left, img: null });
+      correct.push(targetIndex);
+    }
+  }
+
+  return { question: { type: "match", options, targets, correct }, feedback: "" };
+}
+
+/**
+ * Разбирает вопрос с вариантами: {=верный ~неверный} — один ответ,
+ * {~%50%первый ~%50%второй ~%-100%неверный} — несколько ответов
+ * @param {Array<Object>} answers - разобранные ответы
+ * @param {string} [format] - формат текста вопроса
+ * @returns {{question: Object, feedback: string}} поля вопроса и отзыв к правильному ответу
+ */
+function parseChoice(answers, format) {
+  const hasCorrectMark = answers.some((answer) => answer.correct);
+  const correct = answers
+    .map((answer, index) => ({ answer, index }))
+    .filter(({ answer }) => (hasCorrectMark ? answer.correct : answer.weight > 0))
+    .map(({ index }) => index);
+  const options = answers.map((answer) => ({ text: toPlainText(answer.text, format), img: null }));
+
+  if (correct.length > 1) {
+    return {
+      question: { type: "multiple", options, correct },
+      feedback: answers[correct[0]].feedback,
+    };
+  }
+  return {
+    question: { type: "single", options, correct: correct.length === 1 ? correct[0] : -1 },
+    feedback: correct.length > 0 ? answers[correct[0]].feedback : "",
+  };
+}
+
+/**
+ * Разбирает вопрос с коротким ответом: {=ответ =другой ответ}. Ответы с неполным
+ * баллом учитываются, только если нет ответов с полным
+ * @param {Array<Object>} answers - разобранные ответы
+ * @param {string} [format] - формат текста вопроса
+ * @returns {{question: Object, feedback: string}} поля вопроса и отзыв
+ */
+function parseShortAnswer(answers, format) {
+  const fullCredit = answers.filter(isFullCredit);
+  const accepted = fullCredit.length > 0 ? fullCredit : answers.filter((a) => a.weight > 0);
+
+  return {
+    question: {
+      type: "text",
+      options: [],
+      correct: accepted.map((answer) => toPlainText(answer.text, format)),
+      textMatch: { ...TEXT_MATCH },
+    },
+    feedback: accepted.length > 0 ? accepted[0].feedback : "",
+  };
+}
+
+/**
+ * Определяет тип вопроса по ответам в фигурных скобках и разбирает их
+ * @param {string} text - ответы без общего отзыва
+ * @param {string} [format] - формат текста вопроса
+ * @returns {{question: Object, feedback: string}|null} поля вопроса и отзыв;
+ * null для вопроса без ответов
+ */
+function parseAnswerSection(text, format) {
+  if (text === "") {
+    return null;
+  }
+  const [value] = splitUnescaped(text, "#");
+  if (TRUE_FALSE_ANSWER.test(value.trim())) {
+    return parseTrueFalse(text, format);
+  }
+  if (text.startsWith("#")) {
+    return parseNumeric(text.slice(1));
+  }
+
+  const answers = splitAnswers(text).map((answer) => parseAnswer(answer, format));
+  if (answers.length === 0) {
+    return null;
+  }
+  if (answers.every((answer) => answer.correct && answer.text.includes("->"))) {
+    return parseMatching(answers, format);
+  }
+  // Только ответы "=" без неправильных вариантов "~" — короткий ответ
+  if (answers.every((answer) => answer.correct)) {
+    return parseShortAnswer(answers, format);
+  }
+  return parseChoice(answers, format);
+}
+
+/**
+ * Разбирает один вопрос GIFT: "::Название:: Текст вопроса {ответы}". Текст после
+ * ответов продолжает вопрос — на месте ответов остаётся пропуск "_____"
+ * @param {string} text - текст вопроса без комментариев
+ * @returns {Object|null} вопрос; null для вопроса без ответов (эссе, описание)
+ * или без закрывающей фигурной скобки
+ */
+function parseGiftQuestion(text) {
+  const source = text
+    .trim()
+    .replace(/^::(?:\\.|[^\\])*?::/, "")
+    .trim();
+  const open = findUnescaped(source, "{");
+  const close = open === -1 ? -1 : findUnescaped(source, "}", open + 1);
+  if (close === -1) {
+    return null;
+  }
+
+  const formatMatch = source.match(TEXT_FORMAT);
+  const format = formatMatch ? formatMatch[1].toLowerCase() : undefined;
+  const before = source.slice(0, open).trim();
+  const after = source.slice(close + 1).trim();
+  const questionText = toPlainText(after ? `${before} _____ ${after}` : before, format);
+
+  const body = source.slice(open + 1, close).trim();
+  const generalStart = findUnescaped(body, "####");
+  const parsed = parseAnswerSection(
+    (generalStart === -1 ? body : body.slice(0, generalStart)).trim(),
+    format,
+  );
+  if (!parsed) {
+    return null;
+  }
+
+  const question = { question: questionText, questionImg: null, ...parsed.question };
+  const explanation =
+    generalStart === -1 ? parsed.feedback : toPlainText(body.slice(generalStart + 4), format);
+  if (explanation) {
+    question.explanation = { text: explanation, img: null };
+  }
+  return question;
+}
+
+/**
+ * Делит файл GIFT на вопросы по пустым строкам. Комментарии "//" и строки
+ * категорий "$CATEGORY:" пропускаются
+ * @param {string} content - текст файла
+ * @returns {Array<{text: string, line: number}>} тексты вопросов и номера
+ * их первых строк в файле (с единицы)
+ */
+function splitGiftQuestions(content) {
+  const blocks = [];
+  let current = null;
+
+  content
+    .replace(/\r\n/g, "\n")
+    .split("\n")
+    .forEach((line, index) => {
+      const trimmed = line.trim();
+      if (trimmed.startsWith("//") || trimmed.startsWith("$CATEGORY:")) {
+        return;
+      }
+      if (trimmed === "") {
+        current = null;
+        return;
+      }
+      if (!current) {
+        current = { lines: [], line: index + 1 };
+        blocks.push(current);
+      }
+      current.lines.push(line);
+    });
+
+  return blocks.map((block) => ({ text: block.lines.join("\n"), line: block.line }));
+}
+
+/**
+ * Разбирает содержимое файла GIFT
+ * @param {string} content - текст файла
+ * @returns {Array<Object>} вопросы; вопросы без ответов пропускаются
+ */
+function parseGiftContent(content) {
+  return splitGiftQuestions(content)
+    .map((block) => parseGiftQuestion(block.text))
+    .filter(Boolean);
+}
+
+module.exports = {
+  parseGiftContent,
+  parseGiftQuestion,
+  splitGiftQuestions,
+};
@@ -0,0 +1,147 @@
+/**
+ * Анализ заданий по классической теории тестов.
+ * Работает с матрицей ответов: строка — игрок, столбец — вопрос,
+ * 1 — правильный ответ, 0 — неправильный или отсутствующий
+ */
+
+// Пороги, по которым вопрос помечается как требующий проверки
+const DIFFICULTY_TOO_HARD = 0.2;
+const DIFFICULTY_TOO_EASY = 0.9;
+const DISCRIMINATION_WEAK = 0.2;
+
+/**
+ * Вычисляет среднее значение
+ * @param {Array<number>} values - значения
+ * @returns {number} среднее
+ */
+function mean(values) {
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+/**
+ * Вычисляет дисперсию генеральной совокупности
+ * @param {Array<number>} values - значения
+ * @returns {number} дисперсия
+ */
+function variance(values) {
+  const avg = mean(values);
+  return mean(values.map((value) => (value - avg) ** 2));
+}
+
+/**
+ * Трудность задания (p-value) — доля правильных ответов
+ * @param {Array<number>} itemScores - баллы игроков за задание (0 или 1)
+ * @returns {number|null} доля от 0 до 1 или null, если ответов нет
+ */
+function difficulty(itemScores) {
+  return itemScores.length > 0 ? mean(itemScores) : null;
+}
+
+/**
+ * Точечно-бисериальный коэффициент корреляции задания с общим баллом
+ * @param {Array<number>} itemScores - баллы игроков за задание (0 или 1)
+ * @param {Array<number>} totals - общие баллы тех же игроков
+ * @returns {number|null} коэффициент от -1 до 1 или null, если его нельзя вычислить
+ */
+function pointBiserial(itemScores, totals) {
+  const p = difficulty(itemScores);
+  const sd = totals.length > 0 ? Math.sqrt(variance(totals)) : 0;
+
+  // Если все ответили одинаково или у всех одинаковый балл, корреляция не определена
+  if (p === null || p === 0 || p === 1 || sd === 0) {
+    return null;
+  }
+
+  const correctTotals = totals.filter((_, i) => itemScores[i] === 1);
+  const wrongTotals = totals.filter((_, i) => itemScores[i] !== 1);
+
+  return ((mean(correctTotals) - mean(wrongTotals)) / sd) * Math.sqrt(p * (1 - p));
+}
+
+/**
+ * Надёжность теста по формуле Кьюдера — Ричардсона (KR-20)
+ * @param {Array<Array<number>>} responses - матрица ответов (игрок × вопрос)
+ * @returns {number|null} коэффициент надёжности или null, если его нельзя вычислить
+ */
+function kr20(responses) {
+  const itemCount = responses.length > 0 ? responses[0].length : 0;
+  if (responses.length < 2 || itemCount < 2) {
+    return null;
+  }
+
+  const totals = responses.map((row) => row.reduce((sum, score) => sum + score, 0));
+  const totalVariance = variance(totals);
+  if (totalVariance === 0) {
+    return null;
+  }
+
+  let sumPQ = 0;
+  for (let item = 0; item < itemCount; item++) {
+    const p = mean(responses.map((row) => row[item]));
+    sumPQ += p * (1 - p);
+  }
+
+  return (itemCount / (itemCount - 1)) * (1 - sumPQ / totalVariance);
+}
+
+/**
+ * Формирует пометки для вопроса, который стоит проверить
+ * @param {number|null} p - трудность задания
+ * @param {number|null} discrimination - точечно-бисериальный коэффициент
+ * @returns {Array<string>} пометки
+ */
+function describeItem(p, discrimination) {
+  const notes = [];
+
+  if (p !== null && p < DIFFICULTY_TOO_HARD) {
+    notes.push("Слишком сложный");
+  }
+  if (p !== null && p > DIFFICULTY_TOO_EASY) {
+    notes.push("Слишком лёгкий");
+  }
+  if (discrimination !== null && discrimination < 0) {
+    notes.push("Сильные игроки ошибаются чаще — проверьте правильный ответ");
+  } else if (discrimination !== null && discrimination < DISCRIMINATION_WEAK) {
+    notes.push("Слабо различает сильных и слабых игроков");
+  }
+
+  return notes;
+}
+
+/**
+ * Выполняет анализ всех заданий квиза.
+ * Общим баллом игрока считается количество его правильных ответов
+ * @param {Array<Array<number>>} responses - матрица ответов (игрок × вопрос)
+ * @param {number} itemCount - количество вопросов (матрица может быть пустой, если игроков нет)
+ * @returns {Object} трудность и дискриминация каждого вопроса и надёжность KR-20
+ */
+function analyzeItems(responses, itemCount) {
+  const totals = responses.map((row) => row.reduce((sum, score) => sum + score, 0));
+
+  const items = [];
+  for (let item = 0; item < itemCount; item++) {
+    const itemScores = responses.map((row) => row[item]);
+    const p = difficulty(itemScores);
+    const discrimination = pointBiserial(itemScores, totals);
+
+    items.push({
+      difficulty: p,
+      discrimination,
+      notes: describeItem(p, discrimination),
+    });
+  }
+
+  return {
+    playerCount: responses.length,
+    items,
+    kr20: kr20(responses),
+  };
+}
+
+module.exports = {
+  difficulty,
+  pointBiserial,
+  kr20,
+  describeItem,
+  analyzeItems,
+};
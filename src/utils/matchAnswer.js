@@ -0,0 +1,37 @@
+/**
+ * Вопросы на сопоставление: проверка пар, присланных игроком.
+ * Ответ задаётся массивом, где для каждого левого элемента указан индекс выбранной пары
+ */
+
+const { shuffleArray } = require("./quizParser");
+
+/**
+ * Подсчитывает правильно сопоставленные элементы
+ * @param {Array<number>} pairs - выбранные пары для каждого элемента
+ * @param {Array<number>} correct - правильные пары
+ * @returns {number} количество верных пар
+ */
+function countCorrectPairs(pairs, correct) {
+  return correct.filter((target, index) => pairs[index] === target).length;
+}
+
+/**
+ * Перемешивает варианты правой части, чтобы их порядок не повторял порядок элементов в файле
+ * @param {Object} question - вопрос на сопоставление
+ * @returns {Object} копия вопроса с перемешанными вариантами и пересчитанными правильными парами
+ */
+function shuffleMatchTargets(question) {
+  // positions[i] — исходный индекс варианта, который окажется на месте i
+  const positions = shuffleArray(question.targets.map((_, index) => index));
+
+  return {
+    ...question,
+    targets: positions.map((index) => question.targets[index]),
+    correct: question.correct.map((index) => positions.indexOf(index)),
+  };
+}
+
+module.exports = {
+  countCorrectPairs,
+  shuffleMatchTargets,
+};
@@ -0,0 +1,185 @@
+/**
+ * Формулы LaTeX в тексте вопросов: $...$ в строке и $$...$$ отдельной формулой.
+ * Для экспорта в CSV/XLSX формулы заменяются читаемым текстом: "\frac{1}{2}" → "1/2"
+ */
+
+// Формулы в тексте: сначала $$...$$, затем $...$ в пределах строки
+const DISPLAY_MATH = /\$\$([\s\S]+?)\$\$/g;
+const INLINE_MATH = /\$([^$\n]+?)\$/g;
+
+const FRACTIONS = ["frac", "dfrac", "tfrac"];
+
+// Команды, которые заменяются пробелом или не выводятся
+const SPACES = [",", ";", ":", "!", " ", "quad", "qquad"];
+const IGNORED = ["left", "right", "displaystyle", "limits"];
+
+const SYMBOLS = {
+  cdot: "·",
+  times: "×",
+  div: "÷",
+  pm: "±",
+  mp: "∓",
+  le: "≤",
+  leq: "≤",
+  ge: "≥",
+  geq: "≥",
+  ne: "≠",
+  neq: "≠",
+  approx: "≈",
+  infty: "∞",
+  to: "→",
+  rightarrow: "→",
+  Rightarrow: "⇒",
+  in: "∈",
+  degree: "°",
+  circ: "°",
+  alpha: "α",
+  beta: "β",
+  gamma: "γ",
+  delta: "δ",
+  Delta: "Δ",
+  varepsilon: "ε",
+  lambda: "λ",
+  mu: "μ",
+  pi: "π",
+  sigma: "σ",
+  Sigma: "Σ",
+  phi: "φ",
+  omega: "ω",
+};
+
+/**
+ * Читает группу в фигурных скобках с учётом вложенных скобок
+ * @param {string} latex - формула
+ * @param {number} start - индекс открывающей скобки
+ * @returns {{content: string, end: number}} содержимое группы и индекс после неё
+ */
+function readGroup(latex, start) {
+  let depth = 0;
+  for (let i = start; i < latex.length; i++) {
+    if (latex[i] === "{") {
+      depth++;
+    } else if (latex[i] === "}") {
+      depth--;
+      if (depth === 0) {
+        return { content: latex.slice(start + 1, i), end: i + 1 };
+      }
+    }
+  }
+  return { content: latex.slice(start + 1), end: latex.length };
+}
+
+/**
+ * Читает аргумент команды: группу в скобках, команду или один символ
+ * @param {string} latex - формула
+ * @param {number} start - индекс начала аргумента
+ * @returns {{content: string, end: number}} аргумент и индекс после него
+ */
+function readArgument(latex, start) {
+  let i = start;
+  while (latex[i] === " ") {
+    i++;
+  }
+
+  if (latex[i] === "{") {
+    return readGroup(latex, i);
+  }
+  if (latex[i] === "\\") {
+    const command = latex.slice(i).match(/^\\([a-zA-Z]+|.)/);
+    return { content: command[0], end: i + command[0].length };
+  }
+  return { content: latex[i] || "", end: i + 1 };
+}
+
+/**
+ * Берёт выражение в скобки, если оно длиннее одного числа или символа
+ * @param {string} text - выражение
+ * @returns {string} выражение, при необходимости в скобках
+ */
+function wrap(text) {
+  return /^(\w+|.)$/u.test(text) ? text : `(${text})`;
+}
+
+/**
+ * Преобразует формулу LaTeX в читаемый текст
+ * @param {string} latex - формула без ограничителей $
+ * @returns {string} текст формулы, например "log_2(x+1) ≤ 3"
+ */
+function latexToText(latex) {
+  let result = "";
+  let i = 0;
+
+  while (i < latex.length) {
+    const char = latex[i];
+
+    if (char === "\\") {
+      const name = (latex.slice(i + 1).match(/^([a-zA-Z]+|.)/) || ["", ""])[1];
+      i += 1 + name.length;
+
+      if (FRACTIONS.includes(name)) {
+        const numerator = readArgument(latex, i);
+        const denominator = readArgument(latex, numerator.end);
+        result += `${wrap(latexToText(numerator.content))}/${wrap(latexToText(denominator.content))}`;
+        i = denominator.end;
+      } else if (name === "sqrt") {
+        let degree = "";
+        if (latex[i] === "[") {
+          const close = latex.indexOf("]", i);
+          degree = `[${latexToText(latex.slice(i + 1, close))}]`;
+          i = close + 1;
+        }
+        const radicand = readArgument(latex, i);
+        result += `√${degree}${wrap(latexToText(radicand.content))}`;
+        i = radicand.end;
+      } else if (SYMBOLS[name]) {
+        result += SYMBOLS[name];
+      } else if (SPACES.includes(name)) {
+        result += " ";
+      } else if (!IGNORED.includes(name)) {
+        // Функции (\sin, \log) и экранированные символы (\{, \%) выводятся как есть
+        result += name;
+      }
+      continue;
+    }
+
+    if (char === "^" || char === "_") {
+      const argument = readArgument(latex, i + 1);
+      result += char + wrap(latexToText(argument.content));
+      i = argument.end;
+      continue;
+    }
+
+    if (char === "{") {
+      const group = readGroup(latex, i);
+      result += latexToText(group.content);
+      i = group.end;
+      continue;
+    }
+
+    if (char !== "}") {
+      result += char;
+    }
+    i++;
+  }
+
+  return result.replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Заменяет формулы в тексте читаемым текстом
+ * @param {string} text - текст с формулами в $...$ или $$...$$
+ * @returns {string} текст без разметки LaTeX
+ */
+function toPlainText(text) {
+  if (!text) {
+    return text;
+  }
+  return String(text)
+    .replace(DISPLAY_MATH, (_, latex) => latexToText(latex))
+    .replace(INLINE_MATH, (_, latex) => latexToText(latex));
+}
+
+module.exports = {
+  latexToText,
+  toPlainText,
+};
@@ -0,0 +1,51 @@
+const os = require("os");
+const config = require("../../config");
+
+/**
+ * Определяет IPv4-адрес сервера в локальной сети
+ * @returns {string} IP-адрес или "localhost", если сетевых интерфейсов нет
+ */
+function getLanAddress() {
+  const interfaces = os.networkInterfaces();
+
+  for (const addresses of Object.values(interfaces)) {
+    for (const address of addresses || []) {
+      // В Node 18 family может быть числом
+      const isIPv4 = address.family === "IPv4" || address.family === 4;
+      if (isIPv4 && !address.internal) {
+        return address.address;
+      }
+    }
+  }
+
+  return "localhost";
+}
+
+/**
+ * Возвращает базовый адрес сервера для игроков.
+ * Приоритет у server.publicUrl (например, http://quiz.local), иначе используется LAN IP
+ * @returns {string} адрес без завершающего слэша
+ */
+function getBaseUrl() {
+  if (config.server.publicUrl) {
+    return config.server.publicUrl.replace(/\/+$/, "");
+  }
+
+  const port = config.server.port;
+  return `http://${getLanAddress()}${port === 80 ? "" : `:${port}`}`;
+}
+
+/**
+ * Возвращает ссылку для входа игрока
+ * @param {string} [pin] - PIN комнаты
+ * @returns {string} ссылка на страницу игрока
+ */
+function getPlayerUrl(pin) {
+  return pin ? `${getBaseUrl()}/?pin=${encodeURIComponent(pin)}` : `${getBaseUrl()}/`;
+}
+
+module.exports = {
+  getLanAddress,
+  getBaseUrl,
+  getPlayerUrl,
+};
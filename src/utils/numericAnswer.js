@@ -0,0 +1,124 @@
+/**
+ * Числовые ответы: разбор правильного ответа, проверка и гистограмма ответов игроков.
+ * Правильный ответ задаётся числом с необязательной погрешностью ("42", "42 ±0.5")
+ * или диапазоном ("[40..45]")
+ */
+
+// Погрешность сравнения дробных чисел
+const EPSILON = 1e-9;
+
+const NUMBER = "-?\\d+(?:[.,]\\d+)?";
+const EXACT_ANSWER = new RegExp(`^(${NUMBER})(?:\\s*(?:±|\\+-)\\s*(${NUMBER}))?$`);
+const RANGE_ANSWER = new RegExp(`^\\[\\s*(${NUMBER})\\s*\\.\\.\\s*(${NUMBER})\\s*\\]$`);
+
+/**
+ * Преобразует число, записанное с точкой или запятой
+ * @param {string} text - запись числа
+ * @returns {number} число
+ */
+function toNumber(text) {
+  return parseFloat(text.replace(",", "."));
+}
+
+/**
+ * Разбирает правильный числовой ответ
+ * @param {string} text - текст после "Ответ:"
+ * @returns {Object|null} { value, tolerance } или { min, max }; null, если это не число
+ */
+function parseNumericAnswer(text) {
+  const trimmed = text.trim();
+
+  const exactMatch = trimmed.match(EXACT_ANSWER);
+  if (exactMatch) {
+    return {
+      value: toNumber(exactMatch[1]),
+      tolerance: exactMatch[2] ? Math.abs(toNumber(exactMatch[2])) : 0,
+    };
+  }
+
+  const rangeMatch = trimmed.match(RANGE_ANSWER);
+  if (rangeMatch) {
+    const bounds = [toNumber(rangeMatch[1]), toNumber(rangeMatch[2])];
+    return { min: Math.min(...bounds), max: Math.max(...bounds) };
+  }
+
+  return null;
+}
+
+/**
+ * Получает границы правильных значений
+ * @param {Object} correct - правильный ответ
+ * @returns {{min: number, max: number}} границы включительно
+ */
+function getNumericRange(correct) {
+  if (correct.min !== undefined) {
+    return { min: correct.min, max: correct.max };
+  }
+  return { min: correct.value - correct.tolerance, max: correct.value + correct.tolerance };
+}
+
+/**
+ * Проверяет числовой ответ игрока
+ * @param {number} value - ответ игрока
+ * @param {Object} correct - правильный ответ
+ * @returns {boolean} true, если ответ попал в допустимые границы
+ */
+function isNumericAnswerCorrect(value, correct) {
+  const { min, max } = getNumericRange(correct);
+  return value >= min - EPSILON && value <= max + EPSILON;
+}
+
+/**
+ * Форматирует правильный ответ для показа игрокам
+ * @param {Object} correct - правильный ответ
+ * @returns {string} например "42", "42 ± 0.5" или "от 40 до 45"
+ */
+function formatNumericAnswer(correct) {
+  if (correct.min !== undefined) {
+    return `от ${correct.min} до ${correct.max}`;
+  }
+  return correct.tolerance > 0 ? `${correct.value} ± ${correct.tolerance}` : String(correct.value);
+}
+
+/**
+ * Строит гистограмму ответов. Если различных значений немного, каждое получает свой столбец,
+ * иначе диапазон делится на равные интервалы
+ * @param {Array<number>} values - ответы игроков
+ * @param {number} [maxBins] - максимальное количество столбцов
+ * @returns {Array<{from: number, to: number, count: number}>} столбцы по возрастанию
+ */
+function buildHistogram(values, maxBins = 10) {
+  const distinct = Array.from(new Set(values)).sort((a, b) => a - b);
+
+  if (distinct.length <= maxBins) {
+    return distinct.map((value) => ({
+      from: value,
+      to: value,
+      count: values.filter((item) => item === value).length,
+    }));
+  }
+
+  const min = distinct[0];
+  const width = (distinct[distinct.length - 1] - min) / maxBins;
+  const bins = Array.from({ length: maxBins }, (_, i) => ({
+    from: min + i * width,
+    to: min + (i + 1) * width,
+    count: 0,
+  }));
+
+  for (const value of values) {
+    // Максимальное значение попадает в последний интервал
+    const index = Math.min(Math.floor((value - min) / width), maxBins - 1);
+    bins[index].count++;
+  }
+
+  return bins;
+}
+
+module.exports = {
+  parseNumericAnswer,
+  getNumericRange,
+  isNumericAnswerCorrect,
+  formatNumericAnswer,
+  buildHistogram,
+};
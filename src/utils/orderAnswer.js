@@ -0,0 +1,75 @@
+/**
+ * Вопросы на порядок: сравнение порядка, присланного игроком, с правильным.
+ * Порядок задаётся массивом индексов элементов в исходной нумерации
+ */
+
+const { shuffleArray } = require("./quizParser");
+
+/**
+ * Расстояние Кендалла — количество пар элементов, стоящих в обратном порядке
+ * @param {Array<number>} order - порядок игрока
+ * @param {Array<number>} correct - правильный порядок
+ * @returns {number} количество неверно упорядоченных пар
+ */
+function kendallDistance(order, correct) {
+  const position = new Map(correct.map((item, index) => [item, index]));
+  let distance = 0;
+
+  for (let i = 0; i < order.length; i++) {
+    for (let j = i + 1; j < order.length; j++) {
+      if (position.get(order[i]) > position.get(order[j])) {
+        distance++;
+      }
+    }
+  }
+
+  return distance;
+}
+
+/**
+ * Доля пар элементов, расставленных в верном порядке
+ * @param {Array<number>} order - порядок игрока
+ * @param {Array<number>} correct - правильный порядок
+ * @returns {number} от 0 (обратный порядок) до 1 (полное совпадение)
+ */
+function orderSimilarity(order, correct) {
+  const pairCount = (correct.length * (correct.length - 1)) / 2;
+  if (pairCount === 0) {
+    return 1;
+  }
+  return 1 - kendallDistance(order, correct) / pairCount;
+}
+
+/**
+ * Проверяет полное совпадение порядка
+ * @param {Array<number>} order - порядок игрока
+ * @param {Array<number>} correct - правильный порядок
+ * @returns {boolean} true, если все элементы на своих местах
+ */
+function isOrderCorrect(order, correct) {
+  return order.length === correct.length && order.every((item, index) => item === correct[index]);
+}
+
+/**
+ * Перемешивает элементы вопроса на порядок, чтобы варианты, которые получают ведущий и игроки,
+ * не шли в правильной последовательности
+ * @param {Object} question - вопрос на порядок
+ * @returns {Object} копия вопроса с перемешанными элементами и пересчитанным правильным порядком
+ */
+function shuffleOrderItems(question) {
+  // positions[i] — исходный индекс элемента, который окажется на месте i
+  const positions = shuffleArray(question.options.map((_, index) => index));
+
+  return {
+    ...question,
+    options: positions.map((index) => question.options[index]),
+    correct: question.correct.map((index) => positions.indexOf(index)),
+  };
+}
+
+module.exports = {
+  kendallDistance,
+  orderSimilarity,
+  isOrderCorrect,
+  shuffleOrderItems,
+};
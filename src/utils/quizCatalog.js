@@ -0,0 +1,96 @@
+/**
+ * Каталог квизов: описания файлов из папки quizzes для выбора квиза ведущим —
+ * название и данные из заголовка файла, количество и типы вопросов, используемые медиафайлы
+ */
+const fs = require("fs");
+const path = require("path");
+const { parseQuizFile, QUIZ_FILE_EXTENSIONS } = require("./quizParser");
+
+const QUIZZES_DIR = path.join(__dirname, "../../quizzes");
+
+/**
+ * Собирает всё, что показывается в вопросе: сам вопрос, варианты, пары и пояснение
+ * @param {Object} question - вопрос квиза
+ * @returns {Array<Object>} части вопроса с полями img и media
+ */
+function getQuestionParts(question) {
+  return [
+    { img: question.questionImg, media: question.questionMedia },
+    ...(question.options || []),
+    ...(question.targets || []),
+    question.explanation || {},
+  ];
+}
+
+/**
+ * Определяет, какие медиафайлы используются в вопросах квиза
+ * @param {Array<Object>} questions - вопросы квиза
+ * @returns {{images: boolean, audio: boolean, video: boolean}} есть ли картинки, аудио и видео
+ */
+function detectMedia(questions) {
+  const parts = questions.flatMap(getQuestionParts);
+  const hasMedia = (type) => parts.some((part) => part.media && part.media.type === type);
+
+  return {
+    images: parts.some((part) => Boolean(part.img)),
+    audio: hasMedia("audio"),
+    video: hasMedia("video"),
+  };
+}
+
+/**
+ * Формирует описание квиза по тексту файла; формат файла определяется по расширению
+ * @param {string} fileName - имя файла квиза
+ * @param {string} content - текст файла
+ * @returns {Object} описание: имя файла, название, автор, предмет, класс, описание, теги,
+ * настройки по умолчанию, количество и типы вопросов, медиафайлы
+ */
+function describeQuiz(fileName, content) {
+  const { header, questions } = parseQuizFile(fileName, content);
+
+  return {
+    fileName,
+    // Без заголовка квиз называется по имени файла
+    title: header.title || path.basename(fileName, path.extname(fileName)),
+    author: header.author || null,
+    subject: header.subject || null,
+    grade: header.grade || null,
+    description: header.description || null,
+    tags: header.tags || [],
+    timeLimit: header.timeLimit || null,
+    shuffle: header.shuffle === undefined ? null : header.shuffle,
+    questionCount: questions.length,
+    types: Array.from(new Set(questions.map((question) => question.type))),
+    media: detectMedia(questions),
+  };
+}
+
+/**
+ * Получает описания всех квизов из папки. Папка создаётся, если её нет;
+ * файл, который не удалось прочитать, в список не попадает
+ * @param {string} [dirPath] - папка с файлами квизов
+ * @returns {Array<Object>} описания квизов в порядке имён файлов
+ */
+function listQuizzes(dirPath = QUIZZES_DIR) {
+  if (!fs.existsSync(dirPath)) {
+    fs.mkdirSync(dirPath);
+  }
+
+  return fs
+    .readdirSync(dirPath)
+    .filter((fileName) => QUIZ_FILE_EXTENSIONS.includes(path.extname(fileName)))
+    .sort()
+    .flatMap((fileName) => {
+      try {
+        return [describeQuiz(fileName, fs.readFileSync(path.join(dirPath, fileName), "utf-8"))];
+      } catch (error) {
+        console.error(`Не удалось прочитать квиз ${fileName}:`, error.message);
+        return [];
+      }
+    });
+}
+
+module.exports = {
+  describeQuiz,
+  listQuizzes,
+};
@@ -0,0 +1,77 @@
+/**
+ * Форматы файлов квизов для преобразования: текстовый формат quizzes/*.txt, JSON
+ * с разобранными вопросами и форматы Moodle GIFT и Aiken (только чтение).
+ * Формат определяется по расширению файла
+ */
+const path = require("path");
+const { parseQuizContent, parseQuizHeader } = require("./quizParser");
+const { serializeQuiz } = require("./quizWriter");
+const { parseGiftContent } = require("./giftParser");
+const { parseAikenContent } = require("./aikenParser");
+
+/**
+ * Читает квиз из JSON: массив вопросов или объект { header, questions }
+ * @param {string} content - текст файла
+ * @returns {{header: Object, questions: Array}} квиз
+ */
+function readJson(content) {
+  const data = JSON.parse(content);
+  const quiz = Array.isArray(data) ? { header: {}, questions: data } : data;
+
+  if (!quiz || !Array.isArray(quiz.questions)) {
+    throw new Error("JSON должен содержать массив вопросов или объект { header, questions }");
+  }
+  return { header: quiz.header || {}, questions: quiz.questions };
+}
+
+/**
+ * Создаёт формат, из которого вопросы только импортируются
+ * @param {string} name - название формата
+ * @param {Function} parse - разбор текста файла в массив вопросов
+ * @returns {{read: Function, write: Function}} формат; запись выбрасывает ошибку
+ */
+function importOnly(name, parse) {
+  return {
+    read: (content) => ({ header: {}, questions: parse(content) }),
+    write: () => {
+      throw new Error(`Формат «${name}» поддерживается только для импорта`);
+    },
+  };
+}
+
+// Чтение и запись квиза { header, questions } в каждом формате
+const FORMATS = {
+  txt: {
+    read: (content) => ({
+      header: parseQuizHeader(content),
+      questions: parseQuizContent(content),
+    }),
+    write: (quiz) => serializeQuiz(quiz.questions, quiz.header),
+  },
+  json: {
+    read: readJson,
+    write: (quiz) => JSON.stringify(quiz, null, 2) + "\n",
+  },
+  gift: importOnly("gift", parseGiftContent),
+  aiken: importOnly("aiken", parseAikenContent),
+};
+
+/**
+ * Находит формат по названию или по расширению файла
+ * @param {string} fileName - имя файла или название формата ("txt", "json", "gift", "aiken")
+ * @returns {{read: Function, write: Function}} формат
+ * @throws {Error} если формат не поддерживается
+ */
+function getFormat(fileName) {
+  const name = (path.extname(fileName) || `.${fileName}`).slice(1).toLowerCase();
+  if (!FORMATS[name]) {
+    throw new Error(
+      `Формат «${name}» не поддерживается. Доступны: ${Object.keys(FORMATS).join(", ")}`,
+    );
+  }
+  return FORMATS[name];
+}
+
+module.exports = {
+  getFormat,
+};
@@ -0,0 +1,454 @@
+/**
+ * Проверка файлов квизов перед игрой. Ошибки — то, из-за чего вопрос нельзя сыграть
+ * (нет вариантов, ответ вне списка, нет файла картинки); предупреждения — подозрительные
+ * места, которые парсер принимает молча. Для каждой находки указывается строка файла.
+ * Файлы Moodle (.gift, .aiken) проверяются по разобранным вопросам
+ */
+const fs = require("fs");
+const path = require("path");
+const {
+  TIME_LIMIT_RANGE,
+  splitQuizBlocks,
+  isHeaderBlock,
+  parseQuestionBlock,
+  parseTimeLimit,
+} = require("./quizParser");
+const { splitGiftQuestions, parseGiftQuestion } = require("./giftParser");
+const { splitAikenQuestions, parseAikenQuestion } = require("./aikenParser");
+
+const QUIZZES_DIR = path.join(__dirname, "../../quizzes");
+const MEDIA_DIR = path.join(__dirname, "../../public/media");
+
+// Теги медиафайлов: тип и путь к файлу
+const MEDIA_TAG = /\[(img|audio|video):(.*?)\]/g;
+
+// Строки настроек вопроса не считаются вариантами ответа
+const SETTING_PREFIXES = ["Время:", "Баллы:", "Таймер:", "Теги:"];
+
+// Строки, на которых заканчивается список вариантов
+const OPTIONS_END_PREFIXES = ["Ответ:", "Пояснение:"];
+
+// Форматы Moodle: деление файла на вопросы, разбор вопроса и находка для вопроса,
+// который не импортируется
+const IMPORTED_FORMATS = {
+  ".gift": {
+    split: splitGiftQuestions,
+    parse: parseGiftQuestion,
+    skipped: {
+      severity: "warning",
+      message: "Вопрос без ответов в фигурных скобках (эссе, описание) не импортируется",
+    },
+  },
+  ".aiken": {
+    split: splitAikenQuestions,
+    parse: parseAikenQuestion,
+    skipped: { severity: "error", message: "Нет вариантов вида «A. текст»" },
+  },
+};
+
+/**
+ * Отмечает строки, которые находятся внутри блоков кода (вместе с ```)
+ * @param {Array<string>} lines - строки блока вопроса
+ * @returns {Array<boolean>} true для строк блока кода
+ */
+function markCodeLines(lines) {
+  let inFence = false;
+  return lines.map((line) => {
+    if (line.trim().startsWith("```")) {
+      inFence = !inFence;
+      return true;
+    }
+    return inFence;
+  });
+}
+
+/**
+ * Находит индексы строк вариантов так же, как их перебирает парсер: до строки
+ * "Ответ:", без строк настроек; вариант с блоком кода занимает все его строки
+ * @param {Array<string>} lines - строки блока вопроса
+ * @param {number} startIndex - индекс строки "Варианты:", "Порядок:" или "Пары:"
+ * @returns {Array<number>} индекс первой строки каждого варианта
+ */
+function findOptionLines(lines, startIndex) {
+  const indexes = [];
+
+  for (let i = startIndex + 1; i < lines.length; i++) {
+    const trimmed = lines[i].trim();
+    if (OPTIONS_END_PREFIXES.some((prefix) => trimmed.startsWith(prefix))) {
+      break;
+    }
+    if (SETTING_PREFIXES.some((prefix) => trimmed.startsWith(prefix))) {
+      continue;
+    }
+
+    indexes.push(i);
+    if (trimmed.startsWith("```")) {
+      while (i + 1 < lines.length && !lines[i + 1].trim().startsWith("```")) {
+        i++;
+      }
+      i++;
+    }
+  }
+
+  return indexes;
+}
+
+/**
+ * Ключ для поиска одинаковых вариантов: текст без учёта регистра, картинка и запись
+ * @param {Object} option - вариант ответа
+ * @returns {string} ключ варианта
+ */
+function getOptionKey(option) {
+  return [
+    option.text.trim().toLowerCase(),
+    option.img || "",
+    option.media ? option.media.src : "",
+  ].join("|");
+}
+
+/**
+ * Проверяет, есть ли в варианте текст, картинка или запись
+ * @param {Object} option - вариант ответа
+ * @returns {boolean} true для пустого варианта
+ */
+function isEmptyOption(option) {
+  return option.text.trim() === "" && !option.img && !option.media;
+}
+
+/**
+ * Проверяет варианты ответа: пустые и повторяющиеся
+ * @param {Array<Object>} options - разобранные варианты
+ * @param {Function} lineOf - номер строки файла по индексу варианта
+ * @param {Function} report - добавляет ошибку или предупреждение
+ */
+function lintOptions(options, lineOf, report) {
+  const seen = new Map();
+
+  options.forEach((option, index) => {
+    if (isEmptyOption(option)) {
+      report("error", lineOf(index), "Пустой вариант ответа");
+      return;
+    }
+
+    const key = getOptionKey(option);
+    if (seen.has(key)) {
+      report(
+        "warning",
+        lineOf(index),
+        `Вариант «${option.text.trim()}» повторяет вариант ${seen.get(key) + 1}`,
+      );
+    } else {
+      seen.set(key, index);
+    }
+  });
+}
+
+/**
+ * Проверяет номера в строке "Ответ:" вопроса с вариантами
+ * @param {string} answerText - текст после "Ответ:"
+ * @param {number} optionCount - количество вариантов
+ * @param {number} line - номер строки "Ответ:" в файле
+ * @param {Function} report - добавляет ошибку или предупреждение
+ */
+function lintAnswerNumbers(answerText, optionCount, line, report) {
+  const numbers = answerText
+    .split(/[,;\s]+/)
+    .map((part) => parseInt(part, 10))
+    .filter((num) => !isNaN(num));
+
+  if (numbers.length === 0) {
+    report("error", line, "В строке «Ответ:» нет номера правильного варианта");
+    return;
+  }
+
+  numbers
+    .filter((num) => num < 1 || num > optionCount)
+    .forEach((num) => {
+      report("error", line, `Ответ ${num} вне списка вариантов: их ${optionCount}`);
+    });
+}
+
+/**
+ * Проверяет пути к медиафайлам в строке: пустые пути, обратную косую черту
+ * Windows и отсутствующие локальные файлы
+ * @param {string} text - строка файла
+ * @param {number} line - номер строки в файле
+ * @param {string} mediaDir - папка локальных медиафайлов
+ * @param {Function} report - добавляет ошибку или предупреждение
+ */
+function lintMediaTags(text, line, mediaDir, report) {
+  for (const [tag, , rawSrc] of text.matchAll(MEDIA_TAG)) {
+    const src = rawSrc.trim();
+    if (!src) {
+      report("error", line, `Не указан файл в теге ${tag}`);
+      continue;
+    }
+    if (src.startsWith("http")) {
+      continue;
+    }
+
+    const normalized = src.replace(/\\/g, "/");
+    if (normalized !== src) {
+      report("warning", line, `Путь «${src}» записан через «\\»: используйте «${normalized}»`);
+    }
+    if (!fs.existsSync(path.join(mediaDir, normalized))) {
+      report("error", line, `Файл не найден: public/media/${normalized}`);
+    }
+  }
+}
+
+/**
+ * Проверяет строку "Время:" вопроса или заголовка: время вне допустимых границ
+ * парсер не учитывает
+ * @param {string} line - строка файла
+ * @param {number} lineNumber - номер строки в файле
+ * @param {Function} report - добавляет ошибку или предупреждение
+ */
+function lintTimeLimit(line, lineNumber, report) {
+  const trimmed = line.trim();
+  if (!trimmed.startsWith("Время:")) {
+    return;
+  }
+  if (parseTimeLimit(trimmed.substring("Время:".length).trim()) === undefined) {
+    report(
+      "warning",
+      lineNumber,
+      `Время на ответ должно быть целым числом от ${TIME_LIMIT_RANGE.min} до ${TIME_LIMIT_RANGE.max} секунд: строка не учитывается`,
+    );
+  }
+}
+
+/**
+ * Проверяет один блок вопроса
+ * @param {string} block - текст блока
+ * @param {number} firstLine - номер первой строки блока в файле
+ * @param {string} mediaDir - папка локальных медиафайлов
+ * @param {Function} report - добавляет ошибку или предупреждение
+ */
+function lintQuestionBlock(block, firstLine, mediaDir, report) {
+  const lines = block.split("\n");
+  const codeLines = markCodeLines(lines);
+  // Разделы ищутся только вне блоков кода
+  const findSection = (matches) =>
+    lines.findIndex((line, index) => !codeLines[index] && matches(line.trim()));
+
+  lines.forEach((line, index) => {
+    if (!codeLines[index] && line.trim().startsWith("#")) {
+      report(
+        "warning",
+        firstLine + index,
+        "Строка с # не считается комментарием и попадёт в вопрос или варианты",
+      );
+    }
+    if (!codeLines[index]) {
+      lintTimeLimit(line, firstLine + index, report);
+    }
+    lintMediaTags(line, firstLine + index, mediaDir, report);
+  });
+
+  const questionIndex = findSection((line) => line.startsWith("Вопрос:"));
+  const optionsIndex = findSection((line) => line === "Варианты:");
+  const orderIndex = findSection((line) => line === "Порядок:");
+  const pairsIndex = findSection((line) => line === "Пары:");
+  const answerIndex = findSection((line) => line.startsWith("Ответ:"));
+  const blockLine = questionIndex === -1 ? firstLine : firstLine + questionIndex;
+
+  const question = parseQuestionBlock(block);
+
+  if (questionIndex === -1) {
+    report("error", firstLine, "Нет строки «Вопрос:»");
+  } else if (question.question.trim() === "" && !question.questionImg && !question.questionMedia) {
+    report("error", blockLine, "Пустой текст вопроса");
+  }
+
+  if ([optionsIndex, orderIndex, pairsIndex, answerIndex].every((index) => index === -1)) {
+    report("error", blockLine, "Нет строк «Варианты:» и «Ответ:»");
+    return;
+  }
+
+  const sectionIndex = [orderIndex, pairsIndex, optionsIndex].find((index) => index !== -1);
+  const optionLines = sectionIndex === undefined ? [] : findOptionLines(lines, sectionIndex);
+  const lineOf = (index) =>
+    firstLine + (optionLines[index] !== undefined ? optionLines[index] : sectionIndex);
+
+  if (question.type === "order") {
+    if (question.options.length < 2) {
+      report("error", firstLine + orderIndex, "В вопросе на порядок меньше двух элементов");
+    }
+    lintOptions(question.options, lineOf, report);
+    return;
+  }
+
+  if (question.type === "match") {
+    const pairLines = optionLines.filter((index) => /->|→/.test(lines[index]));
+    optionLines
+      .filter((index) => !pairLines.includes(index) && lines[index].trim() !== "")
+      .forEach((index) => {
+        report("warning", firstLine + index, "Строка без «->» не считается парой");
+      });
+    if (question.options.length === 0) {
+      report("error", firstLine + pairsIndex, "Нет пар вида «элемент -> ответ»");
+    }
+    lintOptions(
+      question.options,
+      (index) => firstLine + (pairLines[index] !== undefined ? pairLines[index] : pairsIndex),
+      report,
+    );
+    return;
+  }
+
+  const answerLine = firstLine + answerIndex;
+  const answerText = answerIndex === -1 ? "" : lines[answerIndex].trim().substring("Ответ:".length);
+
+  if (optionsIndex === -1) {
+    if (question.type === "text" && question.correct.length === 0) {
+      report("error", answerLine, "Пустой ответ");
+    }
+    return;
+  }
+
+  if (question.options.length === 0) {
+    report("error", firstLine + optionsIndex, "Нет вариантов ответа");
+    return;
+  }
+  if (question.options.length === 1) {
+    report("warning", firstLine + optionsIndex, "Только один вариант ответа");
+  }
+  lintOptions(question.options, lineOf, report);
+
+  if (answerIndex !== -1) {
+    lintAnswerNumbers(answerText, question.options.length, answerLine, report);
+  }
+}
+
+/**
+ * Проверяет вопрос, импортированный из формата Moodle. Все находки относятся
+ * к первой строке вопроса
+ * @param {Object} question - разобранный вопрос
+ * @param {number} line - номер первой строки вопроса в файле
+ * @param {Function} report - добавляет ошибку или предупреждение
+ */
+function lintImportedQuestion(question, line, report) {
+  if (question.question.trim() === "") {
+    report("error", line, "Пустой текст вопроса");
+  }
+
+  if (question.type === "match" && question.options.length === 0) {
+    report("error", line, "Нет пар для сопоставления");
+  }
+  if (question.type === "text" && question.correct.length === 0) {
+    report("error", line, "Пустой ответ");
+  }
+  if (question.type !== "single" && question.type !== "multiple") {
+    return;
+  }
+
+  if (question.options.length === 0) {
+    report("error", line, "Нет вариантов ответа");
+    return;
+  }
+  if (question.options.length === 1) {
+    report("warning", line, "Только один вариант ответа");
+  }
+  lintOptions(question.options, () => line, report);
+  if (question.correct === -1) {
+    report("error", line, "Не указан правильный вариант");
+  }
+}
+
+/**
+ * Собирает ошибки и предупреждения проверки
+ * @param {Function} check - проверка, которая получает функцию report(severity, line, message)
+ * @returns {{isValid: boolean, errors: Array<{line: number, message: string}>,
+ * warnings: Array<{line: number, message: string}>}} результат проверки;
+ * ошибки и предупреждения отсортированы по номеру строки
+ */
+function collectIssues(check) {
+  const errors = [];
+  const warnings = [];
+  check((severity, line, message) => {
+    (severity === "error" ? errors : warnings).push({ line, message });
+  });
+
+  const byLine = (a, b) => a.line - b.line;
+  return {
+    isValid: errors.length === 0,
+    errors: errors.sort(byLine),
+    warnings: warnings.sort(byLine),
+  };
+}
+
+/**
+ * Проверяет текст файла квиза
+ * @param {string} content - текст файла
+ * @param {string} [mediaDir] - папка локальных медиафайлов
+ * @returns {Object} результат проверки (см. collectIssues)
+ */
+function lintQuizContent(content, mediaDir = MEDIA_DIR) {
+  return collectIssues((report) => {
+    const blocks = splitQuizBlocks(content).filter((block) => block.text.trim() !== "");
+    // Заголовок файла вопросом не является
+    if (blocks.length > 0 && isHeaderBlock(blocks[0].text)) {
+      const header = blocks.shift();
+      header.text.split("\n").forEach((line, index) => {
+        lintTimeLimit(line, header.line + index, report);
+      });
+    }
+
+    if (blocks.length === 0) {
+      report("error", 1, "В файле нет вопросов");
+    }
+    blocks.forEach((block) => {
+      lintQuestionBlock(block.text, block.line, mediaDir, report);
+    });
+  });
+}
+
+/**
+ * Проверяет текст файла в формате Moodle (GIFT, Aiken)
+ * @param {string} content - текст файла
+ * @param {string} extension - расширение файла: ".gift" или ".aiken"
+ * @returns {Object} результат проверки (см. collectIssues)
+ */
+function lintImportedContent(content, extension) {
+  const format = IMPORTED_FORMATS[extension];
+
+  return collectIssues((report) => {
+    let questionCount = 0;
+    for (const block of format.split(content)) {
+      const question = format.parse(block.text);
+      if (!question) {
+        report(format.skipped.severity, block.line, format.skipped.message);
+        continue;
+      }
+      questionCount++;
+      lintImportedQuestion(question, block.line, report);
+    }
+
+    if (questionCount === 0) {
+      report("error", 1, "В файле нет вопросов");
+    }
+  });
+}
+
+/**
+ * Проверяет файл квиза
+ * @param {string} fileName - имя файла квиза
+ * @param {string} [dirPath] - папка с файлами квизов
+ * @param {string} [mediaDir] - папка локальных медиафайлов
+ * @returns {Object} результат проверки (см. collectIssues)
+ */
+function lintQuizFile(fileName, dirPath = QUIZZES_DIR, mediaDir = MEDIA_DIR) {
+  const content = fs.readFileSync(path.join(dirPath, fileName), "utf-8");
+  const extension = path.extname(fileName);
+  if (IMPORTED_FORMATS[extension]) {
+    return lintImportedContent(content, extension);
+  }
+  return lintQuizContent(content, mediaDir);
+}
+
+module.exports = {
+  lintQuizContent,
+  lintImportedContent,
+  lintQuizFile,
+};
@@ -1,196 +1,808 @@
 const fs = require("fs").promises;
 const path = require("path");
+const { parseNumericAnswer } = require("./numericAnswer");
+const { parseGiftContent } = require("./giftParser");
+const { parseAikenContent } = require("./aikenParser");
 
 // Кэш загруженных квизов
 const quizCache = new Map();
 
+// Варианты вопроса «верно/неверно»; ответ "Да" или "Нет" задаёт правильный
+const TRUE_FALSE_OPTIONS = ["Да", "Нет"];
+
+// Настройки отдельного вопроса: строка "Время: 45" или "Баллы: 200" и поле вопроса
+const QUESTION_SETTINGS = { "Время:": "timeLimit", "Баллы:": "points" };
+
+// Строка "Таймер: после воспроизведения" — время на ответ идёт после окончания
+// аудио или видео вопроса
+const TIMER_SETTING = "Таймер:";
+
+// Допустимое время на ответ в секундах — те же границы, что при выборе квиза ведущим
+const TIME_LIMIT_RANGE = { min: 5, max: 300 };
+
+// Строка "Теги: циклы, массивы" — темы вопроса для разделения квиза по темам
+const TAGS_SETTING = "Теги:";
+
+// Строки, с которых начинаются разделы блока вопроса; ими заканчиваются
+// многострочные текст вопроса и пояснение
+const SECTION_PREFIXES = [
+  "Вопрос:",
+  "Варианты:",
+  "Порядок:",
+  "Пары:",
+  "Ответ:",
+  "Учитывать:",
+  "Пояснение:",
+  ...Object.keys(QUESTION_SETTINGS),
+  TIMER_SETTING,
+  TAGS_SETTING,
+];
+
+// Строка, открывающая и закрывающая блок кода
+const CODE_FENCE = "```";
+
+// Необязательный заголовок файла — первый блок без строки "Вопрос:":
+// описание квиза и настройки по умолчанию для ведущего
+const QUIZ_HEADER_FIELDS = {
+  "Название:": "title",
+  "Автор:": "author",
+  "Предмет:": "subject",
+  "Класс:": "grade",
+  "Описание:": "description",
+  "Теги:": "tags",
+  "Время:": "timeLimit",
+  "Перемешать:": "shuffle",
+};
+
+// Форматы Moodle, из которых импортируются вопросы: расширение файла и разбор
+const IMPORTED_FORMATS = {
+  ".gift": parseGiftContent,
+  ".aiken": parseAikenContent,
+};
+
+// Расширения файлов квизов в папке quizzes
+const QUIZ_FILE_EXTENSIONS = [".txt", ...Object.keys(IMPORTED_FORMATS)];
+
+// Теги медиафайлов; все они удаляются из текста
+const MEDIA_TAGS = /\[(?:img|audio|video):.*?\]/g;
+
 /**
- * Парсит текстовый файл с вопросами и возвращает массив вопросов
- * @param {string} fileName - имя файла в папке quizzes
- * @returns {Promise<Array>} массив вопросов с вариантами ответов
+ * Получает адрес медиафайла: локальные файлы лежат в public/media
+ * @param {string} src - имя файла или полный URL из тега
+ * @returns {string} адрес файла для браузера
  */
-async function loadQuizFile(fileName) {
-  // Проверяем кэш
-  if (quizCache.has(fileName)) {
-    return quizCache.get(fileName);
+function resolveMediaPath(src) {
+  const trimmed = src.trim();
+  if (!trimmed.startsWith("http") && !trimmed.startsWith("https")) {
+    return "/media/" + trimmed;
   }
+  return trimmed;
+}
 
-  const filePath = path.join(__dirname, "../../quizzes", fileName);
-  const content = (await fs.readFile(filePath, "utf-8")).replace(/\r\n/g, "\n");
-  const blocks = content.split("\n\n").filter((block) => block.trim() !== "");
-
-  // Вспомогательная функция: извлекает текст и первое изображение из строки
-  function parseContent(text) {
-    const imgMatch = text.match(/\[img:(.*?)\]/);
-    let imgSrc = null;
-    let cleanText = text;
-
-    if (imgMatch) {
-      imgSrc = imgMatch[1].trim();
-      if (!imgSrc.startsWith("http") && !imgSrc.startsWith("https")) {
-        imgSrc = "/media/" + imgSrc;
-      }
-      // Удаляем ВСЕ [img:...] теги из текста, чтобы остался только чистый текст
-      cleanText = text.replace(/\[img:.*?\]/g, "").trim();
-    }
+/**
+ * Извлекает текст, первое изображение и первую аудио- или видеозапись из строки
+ * @param {string} text - строка с тегами [img:...], [audio:...], [video:...]
+ * @returns {{text: string, img: string|null, media?: {type: string, src: string}}}
+ * текст без тегов, путь к изображению и запись (только если она есть)
+ */
+function parseContent(text) {
+  const imgMatch = text.match(/\[img:(.*?)\]/);
+  const mediaMatch = text.match(/\[(audio|video):(.*?)\]/);
+  let imgSrc = null;
+  let cleanText = text;
+
+  if (imgMatch) {
+    imgSrc = resolveMediaPath(imgMatch[1]);
+  }
+  if (imgMatch || mediaMatch) {
+    // Удаляем ВСЕ теги из текста, чтобы остался только чистый текст
+    cleanText = text.replace(MEDIA_TAGS, "").trim();
+  }
 
-    return {
-      text: cleanText,
-      img: imgSrc, // null, если нет изображения
+  const content = {
+    text: cleanText,
+    img: imgSrc, // null, если нет изображения
+  };
+  if (mediaMatch) {
+    content.media = {
+      type: mediaMatch[1],
+      src: resolveMediaPath(mediaMatch[2]),
     };
   }
+  return content;
+}
+
+/**
+ * Формирует вариант ответа (элемент порядка или пары) из разобранной строки
+ * @param {Object} content - результат parseContent
+ * @returns {{text: string, img: string|null, media?: Object}} вариант;
+ * поле media есть только у вариантов с записью
+ */
+function toOption(content) {
+  const option = { text: content.text, img: content.img };
+  if (content.media) {
+    option.media = content.media;
+  }
+  return option;
+}
 
-  const quizData = blocks.map((block) => {
-    const lines = block.split("\n");
+/**
+ * Разбирает строку "Ответ:" с одним или несколькими номерами вариантов
+ * @param {string} answerText - текст после "Ответ:", например "2" или "1, 3"
+ * @returns {{type: string, correct: number|Array<number>}} тип вопроса и индекс
+ * (или отсортированные индексы) правильных вариантов, -1 если номер не распознан
+ */
+function parseAnswer(answerText) {
+  const numbers = answerText
+    .split(/[,;\s]+/)
+    .map((part) => parseInt(part, 10))
+    .filter((num) => !isNaN(num));
+
+  // Преобразуем нумерацию из "с 1" в индекс "с 0"
+  const indexes = Array.from(new Set(numbers.map((num) => num - 1))).sort(
+    (a, b) => a - b,
+  );
+
+  if (indexes.length > 1) {
+    return { type: "multiple", correct: indexes };
+  }
 
-    // --- Вопрос ---
-    let questionText = "";
-    let questionImg = null;
+  return { type: "single", correct: indexes.length === 1 ? indexes[0] : -1 };
+}
 
-    const questionLineFull = lines.find((line) =>
-      line.trim().startsWith("Вопрос:"),
-    );
-    if (questionLineFull) {
-      const afterPrefix = questionLineFull.trim().substring("Вопрос:".length);
-      const parsedQ = parseContent(afterPrefix);
-      questionText = parsedQ.text;
-      questionImg = parsedQ.img;
+/**
+ * Разбирает строку "Ответ:" вопроса со свободным ответом.
+ * Допустимые ответы разделяются "|"; внутри /регулярного выражения/ "|" не считается разделителем
+ * @param {string} answerText - текст после "Ответ:", например "input() | input"
+ * @returns {Array<string>} допустимые ответы
+ */
+function parseTextAnswers(answerText) {
+  const answers = [];
+  let rest = answerText.trim();
+
+  while (rest) {
+    const regexMatch = rest.match(/^\/(?:\\.|[^\\/])+\/[a-z]*(?=\s*(\||$))/);
+    const separator = rest.indexOf("|", regexMatch ? regexMatch[0].length : 0);
+    const end = separator === -1 ? rest.length : separator;
+
+    answers.push(rest.slice(0, end).trim());
+    rest = separator === -1 ? "" : rest.slice(separator + 1).trim();
+  }
+
+  return answers.filter((answer) => answer !== "");
+}
+
+/**
+ * Разбирает строку "Учитывать:" с параметрами сравнения свободного ответа.
+ * По умолчанию регистр, лишние пробелы и разница между ё и е не учитываются
+ * @param {string|undefined} line - строка вида "Учитывать: регистр, пробелы, ё"
+ * @returns {Object} параметры сравнения
+ */
+function parseTextMatch(line) {
+  const strict = line
+    ? line.trim().substring("Учитывать:".length).toLowerCase()
+    : "";
+
+  return {
+    ignoreCase: !strict.includes("регистр"),
+    trimSpaces: !strict.includes("пробел"),
+    foldYo: !strict.includes("ё"),
+  };
+}
+
+/**
+ * Проверяет, открывает или закрывает ли строка блок кода
+ * @param {string} line - строка блока вопроса
+ * @returns {boolean} true для строки, начинающейся с ```
+ */
+function isFenceLine(line) {
+  return line.trim().startsWith(CODE_FENCE);
+}
+
+/**
+ * Находит конец многострочного раздела — первую строку другого раздела.
+ * Строки внутри блоков кода разделов не начинают
+ * @param {Array<string>} lines - строки блока вопроса
+ * @param {number} startIndex - индекс первой строки раздела
+ * @returns {number} индекс строки, следующей за разделом
+ */
+function findSectionEnd(lines, startIndex) {
+  let inFence = false;
+  let end = startIndex + 1;
+
+  for (; end < lines.length; end++) {
+    if (isFenceLine(lines[end])) {
+      inFence = !inFence;
+    } else if (
+      !inFence &&
+      SECTION_PREFIXES.some((prefix) => lines[end].trim().startsWith(prefix))
+    ) {
+      break;
     }
+  }
+
+  return end;
+}
 
-    // --- Варианты ---
-    const options = [];
-    const optionsStartIndex = lines.findIndex(
-      (line) => line.trim() === "Варианты:",
+/**
+ * Находит строку, закрывающую блок кода
+ * @param {Array<string>} lines - строки блока вопроса
+ * @param {number} startIndex - индекс строки, открывающей блок кода
+ * @returns {number} индекс закрывающей строки или последней строки блока вопроса
+ */
+function findFenceEnd(lines, startIndex) {
+  for (let i = startIndex + 1; i < lines.length; i++) {
+    if (isFenceLine(lines[i])) {
+      return i;
+    }
+  }
+  return lines.length - 1;
+}
+
+/**
+ * Разбирает строки вариантов (или элементов вопроса на порядок) после заголовка
+ * @param {Array<string>} lines - строки блока вопроса
+ * @param {number} startIndex - индекс строки заголовка ("Варианты:" или "Порядок:")
+ * @returns {Array<{text: string, img: string|null}>} варианты до строки "Ответ:";
+ * вариант с блоком кода занимает все строки блока вместе с ```
+ */
+function parseOptionLines(lines, startIndex) {
+  const options = [];
+
+  for (let i = startIndex + 1; i < lines.length; i++) {
+    if (lines[i].trim().startsWith("Ответ:")) break;
+
+    // Передаём исходные строки — текст варианта и отступы в коде сохраняются
+    let optionText = lines[i];
+    if (isFenceLine(lines[i])) {
+      const fenceEnd = findFenceEnd(lines, i);
+      optionText = lines.slice(i, fenceEnd + 1).join("\n");
+      i = fenceEnd;
+    }
+    options.push(toOption(parseContent(optionText)));
+  }
+
+  return options;
+}
+
+/**
+ * Разбирает строки вопроса на сопоставление вида "Клавиатура -> Устройства ввода".
+ * Одинаковые правые части объединяются, поэтому нескольким элементам
+ * может соответствовать одна и та же пара
+ * @param {Array<string>} lines - строки блока вопроса
+ * @param {number} startIndex - индекс строки "Пары:"
+ * @returns {{options: Array, targets: Array, correct: Array<number>}} левые
+ * элементы, варианты правой части и индекс правильной пары для каждого элемента
+ */
+function parsePairLines(lines, startIndex) {
+  const options = [];
+  const targets = [];
+  const correct = [];
+
+  for (let i = startIndex + 1; i < lines.length; i++) {
+    const separator = lines[i].match(/\s*(?:->|→)\s*/);
+    if (!separator) {
+      continue;
+    }
+
+    const left = parseContent(lines[i].slice(0, separator.index).trim());
+    const right = parseContent(
+      lines[i].slice(separator.index + separator[0].length).trim(),
+    );
+
+    let targetIndex = targets.findIndex(
+      (target) => target.text === right.text && target.img === right.img,
     );
-    if (optionsStartIndex !== -1) {
-      for (let i = optionsStartIndex + 1; i < lines.length; i++) {
-        const line = lines[i].trimEnd(); // не удаляем начальные пробелы — текст может начинаться с них
-        if (line.trim().startsWith("Ответ:")) break;
-
-        // Передаём исходную строку (без trim'а слева, но с trim'ом справа)
-        // Если строка пустая — оставляем пустой текст
-        const rawOptionLine = lines[i].endsWith("\n") ? lines[i] : lines[i]; // просто берём как есть
-        const parsedOpt = parseContent(rawOptionLine);
-        options.push({
-          text: parsedOpt.text,
-          img: parsedOpt.img,
-        });
+    if (targetIndex === -1) {
+      targets.push({ text: right.text, img: right.img });
+      targetIndex = targets.length - 1;
+    }
+
+    options.push(toOption(left));
+    correct.push(targetIndex);
+  }
+
+  return { options, targets, correct };
+}
+
+/**
+ * Находит префикс настройки вопроса в строке
+ * @param {string} line - строка блока вопроса
+ * @returns {string|undefined} префикс вида "Время:" или undefined
+ */
+function getSettingPrefix(line) {
+  return [...Object.keys(QUESTION_SETTINGS), TIMER_SETTING, TAGS_SETTING].find(
+    (prefix) => line.trim().startsWith(prefix),
+  );
+}
+
+/**
+ * Разбирает список тегов, разделённых запятой или точкой с запятой
+ * @param {string} text - текст после "Теги:"
+ * @returns {Array<string>} непустые теги
+ */
+function splitTags(text) {
+  return text
+    .split(/[,;]/)
+    .map((tag) => tag.trim())
+    .filter((tag) => tag !== "");
+}
+
+/**
+ * Разбирает время на ответ
+ * @param {string} text - текст после "Время:"
+ * @returns {number|undefined} время в секундах; undefined, если это не целое число
+ * из TIME_LIMIT_RANGE
+ */
+function parseTimeLimit(text) {
+  const value = Number(text);
+  if (!Number.isInteger(value) || value < TIME_LIMIT_RANGE.min || value > TIME_LIMIT_RANGE.max) {
+    return undefined;
+  }
+  return value;
+}
+
+/**
+ * Разбирает настройки вопроса: время на ответ в секундах, баллы за ответ, запуск
+ * таймера после воспроизведения записи и теги. Строки со временем вне 5–300 секунд
+ * и с нецелыми или неположительными баллами не учитываются
+ * @param {Array<string>} lines - строки блока вопроса
+ * @returns {{timeLimit?: number, points?: number, timerAfterMedia?: boolean,
+ * tags?: Array<string>}} заданные настройки
+ */
+function parseQuestionSettings(lines) {
+  const settings = {};
+
+  for (const line of lines) {
+    const prefix = getSettingPrefix(line);
+    if (!prefix) {
+      continue;
+    }
+
+    const text = line.trim().substring(prefix.length).trim();
+    if (prefix === TAGS_SETTING) {
+      const tags = splitTags(text);
+      if (tags.length > 0) {
+        settings.tags = tags;
+      }
+      continue;
+    }
+    if (prefix === TIMER_SETTING) {
+      if (text.toLowerCase().startsWith("после")) {
+        settings.timerAfterMedia = true;
       }
+      continue;
     }
 
-    // --- Правильный ответ ---
-    let correct = -1;
-    const answerLine = lines.find((line) => line.trim().startsWith("Ответ:"));
-    if (answerLine) {
-      const answerNum = parseInt(
-        answerLine.trim().substring("Ответ:".length).trim(),
-        10,
-      );
-      // Преобразуем нумерацию из "с 1" в индекс "с 0"
-      correct = isNaN(answerNum) ? -1 : answerNum - 1;
+    if (QUESTION_SETTINGS[prefix] === "timeLimit") {
+      const timeLimit = parseTimeLimit(text);
+      if (timeLimit !== undefined) {
+        settings.timeLimit = timeLimit;
+      }
+      continue;
+    }
+
+    const value = Number(text);
+    if (Number.isInteger(value) && value > 0) {
+      settings[QUESTION_SETTINGS[prefix]] = value;
     }
+  }
+
+  return settings;
+}
+
+/**
+ * Выделяет из блока пояснение к ответу: строку "Пояснение:" и следующие за ней строки
+ * до начала другого раздела
+ * @param {Array<string>} lines - строки блока вопроса
+ * @returns {{explanation: Object|null, rest: Array<string>}} пояснение
+ * с текстом и изображением (null, если его нет) и остальные строки блока
+ */
+function extractExplanation(lines) {
+  const start = lines.findIndex((line) => line.trim().startsWith("Пояснение:"));
+  if (start === -1) {
+    return { explanation: null, rest: lines };
+  }
+
+  const end = findSectionEnd(lines, start);
+  const text = [
+    lines[start].trim().substring("Пояснение:".length),
+    ...lines.slice(start + 1, end),
+  ]
+    .join("\n")
+    .trim();
+
+  return {
+    explanation: text ? parseContent(text) : null,
+    rest: [...lines.slice(0, start), ...lines.slice(end)],
+  };
+}
 
+/**
+ * Разбирает один блок вопроса. Настройки вопроса и пояснение могут стоять
+ * в любом месте блока и не считаются вариантами ответа
+ * @param {string} block - текст блока между пустыми строками
+ * @returns {Object} вопрос с вариантами ответов, настройками и пояснением
+ */
+function parseQuestionBlock(block) {
+  // Текст вопроса выделяется первым: строки его блоков кода не считаются разделами
+  const { content, rest: afterQuestion } = extractQuestionText(block.split("\n"));
+  const { explanation, rest } = extractExplanation(afterQuestion);
+  const question = {
+    ...parseQuestionBody(
+      rest.filter((line) => !getSettingPrefix(line)),
+      content,
+    ),
+    ...parseQuestionSettings(rest),
+  };
+
+  if (content.media) {
+    question.questionMedia = content.media;
+  } else {
+    // Без записи ждать нечего — таймер запускается сразу
+    delete question.timerAfterMedia;
+  }
+  if (explanation) {
+    question.explanation = explanation;
+  }
+  return question;
+}
+
+/**
+ * Выделяет из блока текст вопроса: строку "Вопрос:" и следующие за ней строки
+ * до начала другого раздела (например, блок кода)
+ * @param {Array<string>} lines - строки блока вопроса
+ * @returns {{content: {text: string, img: string|null}, rest: Array<string>}}
+ * текст вопроса с изображением и записью и остальные строки блока
+ */
+function extractQuestionText(lines) {
+  const start = lines.findIndex((line) => line.trim().startsWith("Вопрос:"));
+  if (start === -1) {
+    return { content: { text: "", img: null }, rest: lines };
+  }
+
+  const end = findSectionEnd(lines, start);
+  const text = [
+    lines[start].trim().substring("Вопрос:".length),
+    ...lines.slice(start + 1, end),
+  ]
+    .join("\n")
+    .replace(/\n+$/, "");
+
+  return {
+    content: parseContent(text),
+    rest: [...lines.slice(0, start), ...lines.slice(end)],
+  };
+}
+
+/**
+ * Разбирает ответ вопроса из строк блока
+ * @param {Array<string>} lines - строки блока без текста вопроса, пояснения и настроек
+ * @param {{text: string, img: string|null}} content - текст и изображение вопроса
+ * @returns {Object} вопрос с вариантами ответов
+ */
+function parseQuestionBody(lines, content) {
+  const questionText = content.text;
+  const questionImg = content.img;
+
+  // --- Порядок ---
+  // Элементы вопроса на порядок перечисляются в правильной последовательности
+  const orderStartIndex = lines.findIndex((line) => line.trim() === "Порядок:");
+  if (orderStartIndex !== -1) {
+    // Пустые строки (например, перевод строки в конце файла) элементами не считаются
+    const items = parseOptionLines(lines, orderStartIndex).filter(
+      (item) => item.text !== "" || item.img || item.media,
+    );
+    return {
+      type: "order",
+      question: questionText,
+      questionImg: questionImg,
+      options: items,
+      correct: items.map((_, i) => i),
+    };
+  }
+
+  // --- Пары ---
+  const pairsStartIndex = lines.findIndex((line) => line.trim() === "Пары:");
+  if (pairsStartIndex !== -1) {
+    return {
+      type: "match",
+      question: questionText,
+      questionImg: questionImg,
+      ...parsePairLines(lines, pairsStartIndex),
+    };
+  }
+
+  // --- Варианты ---
+  const optionsStartIndex = lines.findIndex(
+    (line) => line.trim() === "Варианты:",
+  );
+  const options =
+    optionsStartIndex !== -1 ? parseOptionLines(lines, optionsStartIndex) : [];
+
+  // --- Правильный ответ ---
+  let answer = { type: "single", correct: -1 };
+  const answerLine = lines.find((line) => line.trim().startsWith("Ответ:"));
+  const answerText = answerLine
+    ? answerLine.trim().substring("Ответ:".length)
+    : "";
+
+  // Строка "Учитывать:" бывает только у свободного ответа: с ней ответы
+  // "Да" или "42" остаются текстом
+  const textMatchLine = lines.find((line) =>
+    line.trim().startsWith("Учитывать:"),
+  );
+
+  // Вопрос без вариантов с ответом "Да" или "Нет" — вопрос «верно/неверно»
+  const trueFalseIndex = TRUE_FALSE_OPTIONS.findIndex(
+    (option) => option.toLowerCase() === answerText.trim().toLowerCase(),
+  );
+  if (
+    answerLine &&
+    optionsStartIndex === -1 &&
+    !textMatchLine &&
+    trueFalseIndex !== -1
+  ) {
     return {
+      type: "truefalse",
+      question: questionText,
+      questionImg: questionImg,
+      options: TRUE_FALSE_OPTIONS.map((text) => ({ text, img: null })),
+      correct: trueFalseIndex,
+    };
+  }
+
+  // Вопрос без вариантов с числом в ответе — числовой ответ ("42", "42 ±0.5", "[40..45]")
+  const numericAnswer =
+    answerLine && optionsStartIndex === -1 && !textMatchLine
+      ? parseNumericAnswer(answerText)
+      : null;
+  if (numericAnswer) {
+    return {
+      type: "numeric",
       question: questionText,
       questionImg: questionImg,
       options: options,
-      correct: correct,
+      correct: numericAnswer,
     };
-  });
+  }
 
-  // Сохраняем в кэш
-  quizCache.set(fileName, quizData);
+  // Вопрос без вариантов с ответом — свободный ответ, который игрок вводит сам
+  if (answerLine && optionsStartIndex === -1) {
+    return {
+      type: "text",
+      question: questionText,
+      questionImg: questionImg,
+      options: options,
+      correct: parseTextAnswers(answerText),
+      textMatch: parseTextMatch(textMatchLine),
+    };
+  }
 
-  return quizData;
+  // Варианты без строки "Ответ:" — опрос, в котором нет правильного ответа
+  if (!answerLine && optionsStartIndex !== -1) {
+    return {
+      type: "poll",
+      question: questionText,
+      questionImg: questionImg,
+      options: options,
+      correct: null,
+    };
+  }
+
+  if (answerLine) {
+    answer = parseAnswer(answerText);
+  }
+
+  return {
+    type: answer.type,
+    question: questionText,
+    questionImg: questionImg,
+    options: options,
+    correct: answer.correct,
+  };
 }
 
 /**
- * Синхронная версия для обратной совместимости
- * @param {string} fileName - имя файла в папке quizzes
+ * Разбирает содержимое файла квиза
+ * @param {string} content - текст файла
  * @returns {Array} массив вопросов с вариантами ответов
  */
-function loadQuizFileSync(fileName) {
-  // Проверяем кэш
-  if (quizCache.has(fileName)) {
-    return quizCache.get(fileName);
+function parseQuizContent(content) {
+  const blocks = splitBlocks(content).filter((block) => block.trim() !== "");
+
+  // Заголовок файла вопросом не является
+  if (blocks.length > 0 && isHeaderBlock(blocks[0])) {
+    blocks.shift();
   }
+  return blocks.map(parseQuestionBlock);
+}
 
-  const fsSync = require("fs");
-  const filePath = path.join(__dirname, "../../quizzes", fileName);
-  const content = fsSync.readFileSync(filePath, "utf-8").replace(/\r\n/g, "\n");
-  const blocks = content.split("\n\n").filter((block) => block.trim() !== "");
-
-  // Вспомогательная функция: извлекает текст и первое изображение из строки
-  function parseContent(text) {
-    const imgMatch = text.match(/\[img:(.*?)\]/);
-    let imgSrc = null;
-    let cleanText = text;
-
-    if (imgMatch) {
-      imgSrc = imgMatch[1].trim();
-      if (!imgSrc.startsWith("http") && !imgSrc.startsWith("https")) {
-        imgSrc = "/media/" + imgSrc;
-      }
-      cleanText = text.replace(/\[img:.*?\]/g, "").trim();
-    }
+/**
+ * Находит поле заголовка квиза в строке
+ * @param {string} line - строка заголовка
+ * @returns {string|undefined} префикс вида "Название:" или undefined
+ */
+function getHeaderPrefix(line) {
+  return Object.keys(QUIZ_HEADER_FIELDS).find((prefix) =>
+    line.trim().startsWith(prefix),
+  );
+}
 
-    return {
-      text: cleanText,
-      img: imgSrc,
-    };
+/**
+ * Проверяет, является ли блок заголовком файла: он начинается с поля
+ * заголовка и не содержит строки "Вопрос:"
+ * @param {string} block - текст первого блока файла
+ * @returns {boolean} true для заголовка
+ */
+function isHeaderBlock(block) {
+  const lines = block.split("\n").filter((line) => line.trim() !== "");
+  return (
+    lines.length > 0 &&
+    Boolean(getHeaderPrefix(lines[0])) &&
+    !lines.some((line) => line.trim().startsWith("Вопрос:"))
+  );
+}
+
+/**
+ * Разбирает значение поля заголовка квиза
+ * @param {string} field - поле описания квиза
+ * @param {string} text - текст после префикса
+ * @returns {*} значение поля; undefined, если значение не подходит
+ */
+function parseHeaderValue(field, text) {
+  if (field === "tags") {
+    return splitTags(text);
+  }
+  if (field === "timeLimit") {
+    return parseTimeLimit(text);
   }
+  if (field === "shuffle") {
+    const answer = text.toLowerCase();
+    if (answer === "да" || answer === "нет") {
+      return answer === "да";
+    }
+    return undefined;
+  }
+  return text || undefined;
+}
 
-  const quizData = blocks.map((block) => {
-    const lines = block.split("\n");
+/**
+ * Разбирает заголовок файла квиза: название, автора, предмет, класс, описание,
+ * теги и настройки по умолчанию. Строка без префикса продолжает предыдущее поле
+ * (например, многострочное описание)
+ * @param {string} content - текст файла
+ * @returns {Object} заданные поля (title, author, subject, grade, description,
+ * tags, timeLimit, shuffle); пустой объект, если заголовка нет
+ */
+function parseQuizHeader(content) {
+  const firstBlock = splitBlocks(content).find((block) => block.trim() !== "");
+  if (!firstBlock || !isHeaderBlock(firstBlock)) {
+    return {};
+  }
 
-    let questionText = "";
-    let questionImg = null;
+  // Собираем текст каждого поля, затем разбираем значения
+  const texts = {};
+  let field = null;
+  for (const line of firstBlock.split("\n")) {
+    const prefix = getHeaderPrefix(line);
+    if (prefix) {
+      field = QUIZ_HEADER_FIELDS[prefix];
+      texts[field] = line.trim().substring(prefix.length).trim();
+    } else if (field && line.trim() !== "") {
+      texts[field] += "\n" + line.trim();
+    }
+  }
 
-    const questionLineFull = lines.find((line) =>
-      line.trim().startsWith("Вопрос:"),
-    );
-    if (questionLineFull) {
-      const afterPrefix = questionLineFull.trim().substring("Вопрос:".length);
-      const parsedQ = parseContent(afterPrefix);
-      questionText = parsedQ.text;
-      questionImg = parsedQ.img;
+  const header = {};
+  for (const [name, text] of Object.entries(texts)) {
+    const value = parseHeaderValue(name, text.trim());
+    if (value !== undefined) {
+      header[name] = value;
     }
+  }
+  return header;
+}
 
-    const options = [];
-    const optionsStartIndex = lines.findIndex(
-      (line) => line.trim() === "Варианты:",
-    );
-    if (optionsStartIndex !== -1) {
-      for (let i = optionsStartIndex + 1; i < lines.length; i++) {
-        const line = lines[i].trimEnd();
-        if (line.trim().startsWith("Ответ:")) break;
-
-        const rawOptionLine = lines[i].endsWith("\n") ? lines[i] : lines[i];
-        const parsedOpt = parseContent(rawOptionLine);
-        options.push({
-          text: parsedOpt.text,
-          img: parsedOpt.img,
-        });
+/**
+ * Делит содержимое файла квиза на блоки вопросов по пустым строкам.
+ * Пустые строки внутри блоков кода блок не разделяют
+ * @param {string} content - текст файла
+ * @returns {Array<{text: string, line: number}>} тексты блоков и номера
+ * их первых строк в файле (с единицы)
+ */
+function splitQuizBlocks(content) {
+  const blocks = [{ lines: [], line: 1 }];
+  let inFence = false;
+
+  content
+    .replace(/\r\n/g, "\n")
+    .split("\n")
+    .forEach((line, index) => {
+      if (line === "" && !inFence) {
+        blocks.push({ lines: [], line: index + 2 });
+        return;
       }
-    }
+      if (isFenceLine(line)) {
+        inFence = !inFence;
+      }
+      blocks[blocks.length - 1].lines.push(line);
+    });
 
-    let correct = -1;
-    const answerLine = lines.find((line) => line.trim().startsWith("Ответ:"));
-    if (answerLine) {
-      const answerNum = parseInt(
-        answerLine.trim().substring("Ответ:".length).trim(),
-        10,
-      );
-      correct = isNaN(answerNum) ? -1 : answerNum - 1;
-    }
+  return blocks.map((block) => ({
+    text: block.lines.join("\n"),
+    line: block.line,
+  }));
+}
+
+/**
+ * Делит содержимое файла квиза на тексты блоков
+ * @param {string} content - текст файла
+ * @returns {Array<string>} тексты блоков
+ */
+function splitBlocks(content) {
+  return splitQuizBlocks(content).map((block) => block.text);
+}
 
+/**
+ * Разбирает файл квиза в формате, определённом по расширению: собственный
+ * текстовый формат (.txt) или импорт из Moodle (.gift, .aiken)
+ * @param {string} fileName - имя файла квиза
+ * @param {string} content - текст файла
+ * @returns {{header: Object, questions: Array}} заголовок (только у .txt)
+ * и массив вопросов
+ * @throws {Error} если расширение не поддерживается
+ */
+function parseQuizFile(fileName, content) {
+  const extension = path.extname(fileName);
+  if (extension === ".txt") {
     return {
-      question: questionText,
-      questionImg: questionImg,
-      options: options,
-      correct: correct,
+      header: parseQuizHeader(content),
+      questions: parseQuizContent(content),
     };
-  });
+  }
+  if (!IMPORTED_FORMATS[extension]) {
+    throw new Error(`Неподдерживаемый формат файла квиза: ${fileName}`);
+  }
+  return { header: {}, questions: IMPORTED_FORMATS[extension](content) };
+}
+
+/**
+ * Парсит файл с вопросами и возвращает массив вопросов
+ * @param {string} fileName - имя файла в папке quizzes
+ * @returns {Promise<Array>} массив вопросов с вариантами ответов
+ */
+async function loadQuizFile(fileName) {
+  // Проверяем кэш
+  if (quizCache.has(fileName)) {
+    return quizCache.get(fileName);
+  }
+
+  const filePath = path.join(__dirname, "../../quizzes", fileName);
+  const content = await fs.readFile(filePath, "utf-8");
+  const quizData = parseQuizFile(fileName, content).questions;
+
+  // Сохраняем в кэш
+  quizCache.set(fileName, quizData);
+
+  return quizData;
+}
+
+/**
+ * Синхронная версия для обратной совместимости
+ * @param {string} fileName - имя файла в папке quizzes
+ * @returns {Array} массив вопросов с вариантами ответов
+ */
+function loadQuizFileSync(fileName) {
+  // Проверяем кэш
+  if (quizCache.has(fileName)) {
+    return quizCache.get(fileName);
+  }
+
+  const fsSync = require("fs");
+  const filePath = path.join(__dirname, "../../quizzes", fileName);
+  const content = fsSync.readFileSync(filePath, "utf-8");
+  const quizData = parseQuizFile(fileName, content).questions;
 
   // Сохраняем в кэш
   quizCache.set(fileName, quizData);
@@ -225,9 +837,20 @@ function shuffleArray(array) {
 }
 
 module.exports = {
+  QUIZ_HEADER_FIELDS,
+  TRUE_FALSE_OPTIONS,
+  QUIZ_FILE_EXTENSIONS,
+  TIME_LIMIT_RANGE,
   loadQuizFile: loadQuizFileSync, // Для обратной совместимости
   loadQuizFileAsync: loadQuizFile,
   loadQuizFileSync,
+  parseQuizContent,
+  parseQuizHeader,
+  parseQuizFile,
+  parseQuestionBlock,
+  parseTimeLimit,
+  splitQuizBlocks,
+  isHeaderBlock,
   shuffleArray,
   clearCache,
 };
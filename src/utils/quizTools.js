@@ -0,0 +1,141 @@
+/**
+ * Обработка квизов для авторов: статистика, объединение файлов, разделение по тегам
+ * и выравнивание позиций правильных ответов. Квиз — объект { header, questions },
+ * как его возвращают форматы из quizFormats
+ */
+
+/**
+ * Собирает статистику квиза
+ * @param {Array<Object>} questions - вопросы квиза
+ * @returns {{total: number, byType: Object<string, number>, tags: Object<string, number>,
+ * answerPositions: Array<number>}} количество вопросов всего, по типам и по тегам;
+ * сколько раз правильный ответ стоит на каждой позиции (с первой) в вопросах с вариантами
+ */
+function getQuizStats(questions) {
+  const byType = {};
+  const tags = {};
+  const answerPositions = [];
+
+  for (const question of questions) {
+    byType[question.type] = (byType[question.type] || 0) + 1;
+    for (const tag of question.tags || []) {
+      tags[tag] = (tags[tag] || 0) + 1;
+    }
+
+    if (question.type !== "single" && question.type !== "multiple") {
+      continue;
+    }
+    const correct = [].concat(question.correct).filter((index) => index >= 0);
+    for (const index of correct) {
+      while (answerPositions.length <= index) {
+        answerPositions.push(0);
+      }
+      answerPositions[index]++;
+    }
+  }
+
+  return { total: questions.length, byType, tags, answerPositions };
+}
+
+/**
+ * Объединяет квизы в один. В заголовок попадают поля, одинаковые во всех квизах
+ * (например, предмет и класс), и все теги
+ * @param {Array<{header: Object, questions: Array}>} quizzes - квизы в порядке объединения
+ * @param {Object} [header] - поля заголовка, которые задаются явно (например, название)
+ * @returns {{header: Object, questions: Array}} объединённый квиз
+ */
+function mergeQuizzes(quizzes, header = {}) {
+  const merged = {};
+  const [first, ...rest] = quizzes.map((quiz) => quiz.header);
+
+  for (const [field, value] of Object.entries(first || {})) {
+    if (field !== "tags" && rest.every((other) => other[field] === value)) {
+      merged[field] = value;
+    }
+  }
+  const tags = Array.from(new Set(quizzes.flatMap((quiz) => quiz.header.tags || [])));
+  if (tags.length > 0) {
+    merged.tags = tags;
+  }
+
+  return {
+    header: { ...merged, ...header },
+    questions: quizzes.flatMap((quiz) => quiz.questions),
+  };
+}
+
+/**
+ * Делит вопросы по тегам. Вопрос с несколькими тегами попадает в каждую часть;
+ * теги, различающиеся только регистром, считаются одним тегом
+ * @param {Array<Object>} questions - вопросы квиза
+ * @returns {Array<{tag: string|null, questions: Array}>} части в порядке первого
+ * появления тега; вопросы без тегов — в части с tag: null в конце
+ */
+function splitByTag(questions) {
+  const parts = new Map();
+  const untagged = [];
+
+  for (const question of questions) {
+    const tags = question.tags || [];
+    if (tags.length === 0) {
+      untagged.push(question);
+    }
+    for (const tag of tags) {
+      const key = tag.toLowerCase();
+      if (!parts.has(key)) {
+        parts.set(key, { tag, questions: [] });
+      }
+      const part = parts.get(key);
+      if (!part.questions.includes(question)) {
+        part.questions.push(question);
+      }
+    }
+  }
+
+  const result = Array.from(parts.values());
+  if (untagged.length > 0) {
+    result.push({ tag: null, questions: untagged });
+  }
+  return result;
+}
+
+/**
+ * Переставляет варианты вопросов с одним правильным ответом так, чтобы правильный
+ * ответ стоял на разных позициях примерно одинаково часто. Правильный вариант
+ * переносится на позицию, которая до этого встречалась реже всего; порядок остальных
+ * вариантов сохраняется. Вопросы других типов не меняются
+ * @param {Array<Object>} questions - вопросы квиза
+ * @returns {Array<Object>} новые вопросы
+ */
+function rebalanceAnswers(questions) {
+  const counts = [];
+
+  return questions.map((question) => {
+    if (
+      question.type !== "single" ||
+      question.correct < 0 ||
+      question.correct >= question.options.length
+    ) {
+      return question;
+    }
+
+    const optionCount = question.options.length;
+    while (counts.length < optionCount) {
+      counts.push(0);
+    }
+    const positions = counts.slice(0, optionCount);
+    const target = positions.indexOf(Math.min(...positions));
+    counts[target]++;
+
+    const options = question.options.filter((_, index) => index !== question.correct);
+    options.splice(target, 0, question.options[question.correct]);
+    return { ...question, options, correct: target };
+  });
+}
+
+module.exports = {
+  getQuizStats,
+  mergeQuizzes,
+  splitByTag,
+  rebalanceAnswers,
+};
@@ -0,0 +1,225 @@
+/**
+ * Запись квиза в текстовый формат quizzes/*.txt — обратное преобразование
+ * к разбору quizParser: файл, записанный из разобранных вопросов, разбирается в те же вопросы
+ */
+const { QUIZ_HEADER_FIELDS, TRUE_FALSE_OPTIONS } = require("./quizParser");
+const { parseNumericAnswer } = require("./numericAnswer");
+
+// Локальные файлы в разобранных вопросах имеют адрес /media/...
+const LOCAL_MEDIA_PREFIX = "/media/";
+
+/**
+ * Получает путь к медиафайлу для тега: имя файла в public/media или полный URL
+ * @param {string} src - адрес файла из разобранного вопроса
+ * @returns {string} путь для тега
+ */
+function toTagPath(src) {
+  return src.startsWith(LOCAL_MEDIA_PREFIX) ? src.slice(LOCAL_MEDIA_PREFIX.length) : src;
+}
+
+/**
+ * Формирует теги картинки и записи
+ * @param {string|null} img - адрес картинки
+ * @param {{type: string, src: string}} [media] - запись
+ * @returns {string} теги через пробел; пустая строка, если файлов нет
+ */
+function formatMediaTags(img, media) {
+  const tags = [];
+  if (img) {
+    tags.push(`[img:${toTagPath(img)}]`);
+  }
+  if (media) {
+    tags.push(`[${media.type}:${toTagPath(media.src)}]`);
+  }
+  return tags.join(" ");
+}
+
+/**
+ * Добавляет к тексту теги файлов в конце последней строки
+ * @param {string} text - текст вопроса, варианта или пояснения
+ * @param {string|null} img - адрес картинки
+ * @param {Object} [media] - запись
+ * @returns {string} текст с тегами
+ */
+function withMedia(text, img, media) {
+  const tags = formatMediaTags(img, media);
+  if (!tags) {
+    return text;
+  }
+  return text.trim() ? `${text} ${tags}` : tags;
+}
+
+/**
+ * Формирует правильный числовой ответ: "42", "42 ±0.5" или "[40..45]"
+ * @param {Object} correct - { value, tolerance } или { min, max }
+ * @returns {string} текст после "Ответ:"
+ */
+function formatNumericCorrect(correct) {
+  if (correct.min !== undefined) {
+    return `[${correct.min}..${correct.max}]`;
+  }
+  return correct.tolerance > 0 ? `${correct.value} ±${correct.tolerance}` : String(correct.value);
+}
+
+/**
+ * Проверяет, разберётся ли строка ответа без строки "Учитывать:" как вопрос
+ * «верно/неверно» или числовой вопрос
+ * @param {string} answerText - текст после "Ответ:"
+ * @returns {boolean} true, если ответ не будет прочитан как свободный
+ */
+function isReadAsOtherType(answerText) {
+  const isTrueFalse = TRUE_FALSE_OPTIONS.some(
+    (option) => option.toLowerCase() === answerText.toLowerCase(),
+  );
+  return isTrueFalse || parseNumericAnswer(answerText) !== null;
+}
+
+/**
+ * Формирует строку "Учитывать:" для свободного ответа
+ * @param {Object} [textMatch] - параметры сравнения ответа
+ * @param {string} answerText - текст после "Ответ:"
+ * @returns {string|null} строка или null, если используются параметры по умолчанию
+ * и ответ без неё читается как свободный
+ */
+function formatTextMatch(textMatch, answerText) {
+  const strict = [];
+  if (textMatch && !textMatch.ignoreCase) {
+    strict.push("регистр");
+  }
+  if (textMatch && !textMatch.trimSpaces) {
+    strict.push("пробелы");
+  }
+  if (textMatch && !textMatch.foldYo) {
+    strict.push("ё");
+  }
+  if (strict.length > 0) {
+    return `Учитывать: ${strict.join(", ")}`;
+  }
+  // Пустая строка "Учитывать:" оставляет ответы вида "Да" или "42" свободными
+  return isReadAsOtherType(answerText) ? "Учитывать:" : null;
+}
+
+/**
+ * Формирует строки ответа вопроса в зависимости от его типа
+ * @param {Object} question - разобранный вопрос
+ * @returns {Array<string>} строки вариантов и ответа
+ */
+function formatAnswerLines(question) {
+  const options = (question.options || []).map((option) =>
+    withMedia(option.text, option.img, option.media),
+  );
+
+  if (question.type === "order") {
+    return ["Порядок:", ...options];
+  }
+  if (question.type === "match") {
+    return [
+      "Пары:",
+      ...options.map((left, i) => {
+        const target = question.targets[question.correct[i]];
+        return `${left} -> ${withMedia(target.text, target.img)}`;
+      }),
+    ];
+  }
+  if (question.type === "truefalse") {
+    return [`Ответ: ${question.options[question.correct].text}`];
+  }
+  if (question.type === "numeric") {
+    return [`Ответ: ${formatNumericCorrect(question.correct)}`];
+  }
+  if (question.type === "text") {
+    const answerText = question.correct.join(" | ");
+    const textMatch = formatTextMatch(question.textMatch, answerText);
+    return [`Ответ: ${answerText}`, ...(textMatch ? [textMatch] : [])];
+  }
+  if (question.type === "poll") {
+    return ["Варианты:", ...options];
+  }
+  if (question.type === "multiple") {
+    return ["Варианты:", ...options, `Ответ: ${question.correct.map((i) => i + 1).join(", ")}`];
+  }
+  // Вопрос без распознанного ответа сохраняется с пустой строкой "Ответ:"
+  return [
+    "Варианты:",
+    ...options,
+    question.correct >= 0 ? `Ответ: ${question.correct + 1}` : "Ответ:",
+  ];
+}
+
+/**
+ * Формирует блок вопроса
+ * @param {Object} question - разобранный вопрос
+ * @returns {string} текст блока
+ */
+function serializeQuestion(question) {
+  const text = withMedia(
+    question.question.trimStart(),
+    question.questionImg,
+    question.questionMedia,
+  );
+  const lines = [`Вопрос: ${text}`];
+
+  if (question.timeLimit) {
+    lines.push(`Время: ${question.timeLimit}`);
+  }
+  if (question.points) {
+    lines.push(`Баллы: ${question.points}`);
+  }
+  if (question.timerAfterMedia) {
+    lines.push("Таймер: после воспроизведения");
+  }
+  if (question.tags && question.tags.length > 0) {
+    lines.push(`Теги: ${question.tags.join(", ")}`);
+  }
+
+  lines.push(...formatAnswerLines(question));
+
+  if (question.explanation) {
+    const { text: explanation, img } = question.explanation;
+    lines.push(`Пояснение: ${withMedia(explanation, img)}`);
+  }
+  return lines.join("\n");
+}
+
+/**
+ * Формирует заголовок файла квиза
+ * @param {Object} header - поля заголовка (см. parseQuizHeader)
+ * @returns {string} текст заголовка; пустая строка, если полей нет
+ */
+function serializeHeader(header = {}) {
+  return Object.entries(QUIZ_HEADER_FIELDS)
+    .filter(([, field]) => header[field] !== undefined && header[field] !== null)
+    .map(([prefix, field]) => {
+      const value = header[field];
+      if (field === "tags") {
+        return value.length > 0 ? `${prefix} ${value.join(", ")}` : null;
+      }
+      if (field === "shuffle") {
+        return `${prefix} ${value ? "да" : "нет"}`;
+      }
+      return `${prefix} ${value}`;
+    })
+    .filter(Boolean)
+    .join("\n");
+}
+
+/**
+ * Формирует текст файла квиза
+ * @param {Array<Object>} questions - разобранные вопросы
+ * @param {Object} [header] - поля заголовка
+ * @returns {string} текст файла; вопросы разделены пустой строкой
+ */
+function serializeQuiz(questions, header = {}) {
+  const blocks = questions.map(serializeQuestion);
+  const headerText = serializeHeader(header);
+  if (headerText) {
+    blocks.unshift(headerText);
+  }
+  return blocks.join("\n\n") + "\n";
+}
+
+module.exports = {
+  serializeQuestion,
+  serializeHeader,
+  serializeQuiz,
+};
@@ -0,0 +1,97 @@
+/**
+ * Проверка свободных (текстовых) ответов.
+ * Правильный ответ задаётся списком допустимых строк; строка вида /шаблон/флаги
+ * считается регулярным выражением
+ */
+
+// Параметры сравнения по умолчанию: регистр, лишние пробелы и разница между ё и е не учитываются
+const DEFAULT_TEXT_MATCH = {
+  ignoreCase: true,
+  trimSpaces: true,
+  foldYo: true,
+};
+
+const REGEX_ANSWER = /^\/(.+)\/([a-z]*)$/;
+
+/**
+ * Приводит ответ к виду для сравнения
+ * @param {string} text - ответ
+ * @param {Object} [match] - параметры сравнения
+ * @returns {string} нормализованный ответ
+ */
+function normalizeTextAnswer(text, match = DEFAULT_TEXT_MATCH) {
+  let result = String(text);
+
+  if (match.trimSpaces) {
+    result = result.trim().replace(/\s+/g, " ");
+  }
+  if (match.ignoreCase) {
+    result = result.toLowerCase();
+  }
+  if (match.foldYo) {
+    result = result.replace(/ё/g, "е").replace(/Ё/g, "Е");
+  }
+
+  return result;
+}
+
+/**
+ * Создаёт регулярное выражение из допустимого ответа вида /шаблон/флаги
+ * @param {string} accepted - допустимый ответ
+ * @param {Object} match - параметры сравнения
+ * @returns {RegExp|null} выражение или null, если ответ — обычная строка или шаблон некорректен
+ */
+function toAnswerRegex(accepted, match) {
+  const regexMatch = accepted.match(REGEX_ANSWER);
+  if (!regexMatch) {
+    return null;
+  }
+
+  const flags = new Set(regexMatch[2].replace(/[gy]/g, ""));
+  if (match.ignoreCase) {
+    flags.add("i");
+  }
+
+  try {
+    return new RegExp(regexMatch[1], Array.from(flags).join(""));
+  } catch {
+    // Некорректный шаблон сравнивается как обычная строка
+    return null;
+  }
+}
+
+/**
+ * Проверяет текстовый ответ игрока
+ * @param {string} answer - ответ игрока
+ * @param {Array<string>} acceptedAnswers - допустимые ответы
+ * @param {Object} [match] - параметры сравнения
+ * @returns {boolean} true, если ответ совпал хотя бы с одним допустимым
+ */
+function isTextAnswerCorrect(answer, acceptedAnswers, match = DEFAULT_TEXT_MATCH) {
+  const normalized = normalizeTextAnswer(answer, match);
+
+  return acceptedAnswers.some((accepted) => {
+    const regex = toAnswerRegex(accepted, match);
+    if (regex) {
+      return regex.test(normalized);
+    }
+    return normalizeTextAnswer(accepted, match) === normalized;
+  });
+}
+
+/**
+ * Выбирает допустимые ответы, которые можно показать игрокам (без регулярных выражений)
+ * @param {Array<string>} acceptedAnswers - допустимые ответы
+ * @returns {Array<string>} ответы для показа
+ */
+function getDisplayAnswers(acceptedAnswers) {
+  const plain = acceptedAnswers.filter((accepted) => !REGEX_ANSWER.test(accepted));
+  return plain.length > 0 ? plain : acceptedAnswers;
+}
+
+module.exports = {
+  DEFAULT_TEXT_MATCH,
+  normalizeTextAnswer,
+  isTextAnswerCorrect,
+  getDisplayAnswers,
+};
@@ -3,7 +3,7 @@ const { Server } = require("socket.io");
 const express = require("express");
 const ioClient = require("socket.io-client");
 const setupSocketRoutes = require("../../src/routes/socketRoutes");
-const gameService = require("../../src/services/gameService");
+const RoomManager = require("../../src/services/roomManager");
 
 describe("End-to-End Game Flow", () => {
   let server;
@@ -11,6 +11,7 @@ describe("End-to-End Game Flow", () => {
   let serverPort;
   let hostSocket;
   let playerSocket;
+  let roomManager;
 
   // Helper function to create a socket connection
   const createSocket = (options = {}) => {
@@ -45,7 +46,8 @@ describe("End-to-End Game Flow", () => {
       },
     });
 
-    setupSocketRoutes(io);
+    roomManager = new RoomManager();
+    setupSocketRoutes(io, roomManager);
 
     server.listen(() => {
       serverPort = server.address().port;
@@ -74,11 +76,6 @@ describe("End-to-End Game Flow", () => {
     }
   });
 
-  beforeEach(() => {
-    // Reset game state before each test
-    gameService.resetGame();
-  });
-
   afterEach(() => {
     // Clean up sockets after each test
     if (hostSocket && hostSocket.connected) {
@@ -111,18 +108,25 @@ describe("End-to-End Game Flow", () => {
       const quizList = await waitForEvent(hostSocket, "quizList");
       expect(Array.isArray(quizList)).toBe(true);
       expect(quizList.length).toBeGreaterThan(0);
+      expect(quizList[0]).toHaveProperty("questionCount");
 
       // Step 3: Select quiz
       hostSocket.emit("selectQuiz", {
-        fileName: quizList[0],
+        fileName: quizList[0].fileName,
         shuffle: false,
         questionCount: 2,
       });
       const quizReady = await waitForEvent(hostSocket, "quizReady");
-      expect(quizReady).toBeDefined();
+      expect(quizReady.fileName).toBe(quizList[0].fileName);
+      expect(quizReady.pin).toMatch(/^\d{6}$/);
+      expect(quizReady.joinUrl).toMatch(new RegExp(`/\\?pin=${quizReady.pin}$`));
 
-      // Step 4: Player joins
-      playerSocket.emit("join", "test-player");
+      // Step 4: Player checks PIN and joins
+      playerSocket.emit("checkRoomPin", quizReady.pin);
+      const pinAccepted = await waitForEvent(playerSocket, "roomPinAccepted");
+      expect(pinAccepted.pin).toBe(quizReady.pin);
+
+      playerSocket.emit("join", { nickname: "test-player", pin: quizReady.pin });
       const playerList = await waitForEvent(playerSocket, "playerListUpdate");
       expect(playerList).toContain("test-player");
 
@@ -167,11 +171,11 @@ describe("End-to-End Game Flow", () => {
       hostSocket.emit("getQuizList");
       const quizList = await waitForEvent(hostSocket, "quizList");
       hostSocket.emit("selectQuiz", {
-        fileName: quizList[0],
+        fileName: quizList[0].fileName,
         shuffle: false,
         questionCount: 1,
       });
-      await waitForEvent(hostSocket, "quizReady");
+      const { pin } = await waitForEvent(hostSocket, "quizReady");
 
       // Create multiple players
       const players = ["player1", "player2", "player3"];
@@ -180,7 +184,7 @@ describe("End-to-End Game Flow", () => {
       for (const playerName of players) {
         const socket = createSocket();
         await waitForEvent(socket, "connect");
-        socket.emit("join", playerName);
+        socket.emit("join", { nickname: playerName, pin });
         playerSockets.push(socket);
       }
 
@@ -239,7 +243,7 @@ describe("End-to-End Game Flow", () => {
       // Get quiz list and find one with images
       hostSocket.emit("getQuizList");
       const quizList = await waitForEvent(hostSocket, "quizList");
-      const quizFile = quizList.find((f) => f.includes("foto")) || quizList[0];
+      const quizFile = (quizList.find((quiz) => quiz.media.images) || quizList[0]).fileName;
 
       // Select quiz
       hostSocket.emit("selectQuiz", {
@@ -247,10 +251,10 @@ describe("End-to-End Game Flow", () => {
         shuffle: false,
         questionCount: 1,
       });
-      await waitForEvent(hostSocket, "quizReady");
+      const { pin } = await waitForEvent(hostSocket, "quizReady");
 
       // Player joins
-      playerSocket.emit("join", "test-player");
+      playerSocket.emit("join", { nickname: "test-player", pin });
       await waitForEvent(playerSocket, "playerListUpdate");
 
       // Start question
@@ -297,14 +301,14 @@ describe("End-to-End Game Flow", () => {
       hostSocket.emit("getQuizList");
       const quizList = await waitForEvent(hostSocket, "quizList");
       hostSocket.emit("selectQuiz", {
-        fileName: quizList[0],
+        fileName: quizList[0].fileName,
         shuffle: false,
         questionCount: 1,
       });
-      await waitForEvent(hostSocket, "quizReady");
+      const { pin } = await waitForEvent(hostSocket, "quizReady");
 
       // Player joins
-      playerSocket.emit("join", "reset-test-player");
+      playerSocket.emit("join", { nickname: "reset-test-player", pin });
       await waitForEvent(playerSocket, "playerListUpdate");
 
       // Start and answer question
@@ -318,13 +322,231 @@ describe("End-to-End Game Flow", () => {
       await waitForEvent(hostSocket, "gameReset");
 
       // Verify game state is reset
+      const room = roomManager.getRoom(pin);
+      const { gameService } = room;
+      expect(room.isOpen).toBe(false);
       expect(gameService.currentQuestionIndex).toBe(-1);
       expect(gameService.quizData).toEqual([]);
       expect(gameService.scores).toEqual({});
     });
   });
 
+  describe("Concurrent Rooms", () => {
+    test("should run separate quizzes in separate rooms", async () => {
+      hostSocket = createSocket();
+      const secondHostSocket = createSocket();
+      playerSocket = createSocket();
+      const secondPlayerSocket = createSocket();
+
+      await Promise.all(
+        [hostSocket, secondHostSocket, playerSocket, secondPlayerSocket].map((socket) =>
+          waitForEvent(socket, "connect"),
+        ),
+      );
+
+      // Two hosts get two different rooms
+      hostSocket.emit("authenticateHost", process.env.HOST_PASSWORD);
+      const firstAuth = await waitForEvent(hostSocket, "hostAuthResult");
+      secondHostSocket.emit("authenticateHost", process.env.HOST_PASSWORD);
+      const secondAuth = await waitForEvent(secondHostSocket, "hostAuthResult");
+
+      expect(firstAuth.success).toBe(true);
+      expect(secondAuth.success).toBe(true);
+
+      hostSocket.emit("getQuizList");
+      const quizList = await waitForEvent(hostSocket, "quizList");
+      hostSocket.emit("selectQuiz", {
+        fileName: quizList[0].fileName,
+        shuffle: false,
+        questionCount: 1,
+      });
+      const firstReady = await waitForEvent(hostSocket, "quizReady");
+      secondHostSocket.emit("selectQuiz", {
+        fileName: quizList[1].fileName,
+        shuffle: false,
+        questionCount: 1,
+      });
+      const secondReady = await waitForEvent(secondHostSocket, "quizReady");
+
+      expect(firstReady.pin).not.toBe(secondReady.pin);
+
+      // The same nickname is allowed in different rooms
+      playerSocket.emit("join", { nickname: "same-name", pin: firstReady.pin });
+      const firstList = await waitForEvent(playerSocket, "playerListUpdate");
+      secondPlayerSocket.emit("join", { nickname: "same-name", pin: secondReady.pin });
+      const secondList = await waitForEvent(secondPlayerSocket, "playerListUpdate");
+
+      expect(firstList).toEqual(["same-name"]);
+      expect(secondList).toEqual(["same-name"]);
+
+      // Only the first room receives the question
+      const otherRoomEvent = jest.fn();
+      secondPlayerSocket.on("updateQuestion", otherRoomEvent);
+      secondHostSocket.on("updateQuestion", otherRoomEvent);
+
+      hostSocket.emit("nextQuestion");
+      await waitForEvent(playerSocket, "updateQuestion");
+      playerSocket.emit("submitAnswer", 0);
+      await waitForEvent(playerSocket, "timeOver");
+
+      expect(otherRoomEvent).not.toHaveBeenCalled();
+      expect(roomManager.getRoom(secondReady.pin).gameService.getCurrentQuestionIndex()).toBe(-1);
+
+      secondHostSocket.disconnect();
+      secondPlayerSocket.disconnect();
+    });
+  });
+
+  describe("Player Reconnection", () => {
+    test("should resume session with score and answered state", async () => {
+      hostSocket = createSocket();
+      playerSocket = createSocket();
+      const otherPlayer = createSocket();
+
+      await Promise.all([
+        waitForEvent(hostSocket, "connect"),
+        waitForEvent(playerSocket, "connect"),
+        waitForEvent(otherPlayer, "connect"),
+      ]);
+
+      hostSocket.emit("authenticateHost", process.env.HOST_PASSWORD);
+      await waitForEvent(hostSocket, "hostAuthResult");
+      hostSocket.emit("getQuizList");
+      const quizList = await waitForEvent(hostSocket, "quizList");
+      hostSocket.emit("selectQuiz", {
+        fileName: quizList[0].fileName,
+        shuffle: false,
+        questionCount: 1,
+      });
+      const { pin } = await waitForEvent(hostSocket, "quizReady");
+
+      playerSocket.emit("join", { nickname: "resume-player", pin });
+      const { sessionToken } = await waitForEvent(playerSocket, "joinAccepted");
+      otherPlayer.emit("join", { nickname: "other-player", pin });
+      await waitForEvent(otherPlayer, "joinAccepted");
+
+      hostSocket.emit("nextQuestion");
+      const question = await waitForEvent(playerSocket, "updateQuestion");
+
+      playerSocket.emit("submitAnswer", 0);
+      const answerResult = await waitForEvent(playerSocket, "answerResult");
+
+      // Новое соединение того же игрока, пока старое ещё не отключено
+      const resumedSocket = createSocket();
+      await waitForEvent(resumedSocket, "connect");
+      const replaced = waitForEvent(playerSocket, "sessionReplaced");
+
+      resumedSocket.emit("resume", { token: sessionToken, pin });
+      const state = await waitForEvent(resumedSocket, "resumed");
+      await replaced;
+
+      expect(state.nickname).toBe("resume-player");
+      expect(state.score).toBe(answerResult.totalScore);
+      expect(state.question.question).toBe(question.question);
+      expect(state.question.timeLeft).toBeGreaterThan(0);
+      expect(state.answer.answerIndex).toBe(0);
+
+      // Повторный ответ после восстановления не принимается
+      let answeredAgain = false;
+      resumedSocket.once("answerResult", () => {
+        answeredAgain = true;
+      });
+      resumedSocket.emit("submitAnswer", 1);
+      await new Promise((resolve) => setTimeout(resolve, 200));
+      expect(answeredAgain).toBe(false);
+
+      resumedSocket.disconnect();
+      otherPlayer.disconnect();
+    });
+
+    test("should reject unknown session", async () => {
+      playerSocket = createSocket();
+      await waitForEvent(playerSocket, "connect");
+
+      playerSocket.emit("resume", { token: "0".repeat(32), pin: "123456" });
+      const message = await waitForEvent(playerSocket, "resumeFailed");
+
+      expect(message).toContain("Войдите в игру заново");
+    });
+  });
+
+  describe("Host Reconnection", () => {
+    test("should restore host with game snapshot and resume auto-paused question", async () => {
+      hostSocket = createSocket();
+      playerSocket = createSocket();
+
+      await Promise.all([
+        waitForEvent(hostSocket, "connect"),
+        waitForEvent(playerSocket, "connect"),
+      ]);
+
+      hostSocket.emit("authenticateHost", process.env.HOST_PASSWORD);
+      const { hostToken } = await waitForEvent(hostSocket, "hostAuthResult");
+      hostSocket.emit("getQuizList");
+      const quizList = await waitForEvent(hostSocket, "quizList");
+      hostSocket.emit("selectQuiz", {
+        fileName: quizList[0].fileName,
+        shuffle: false,
+        questionCount: 2,
+      });
+      const { pin } = await waitForEvent(hostSocket, "quizReady");
+
+      playerSocket.emit("join", { nickname: "steady-player", pin });
+      await waitForEvent(playerSocket, "joinAccepted");
+
+      hostSocket.emit("nextQuestion");
+      const question = await waitForEvent(playerSocket, "updateQuestion");
+
+      // Ведущий теряет соединение — вопрос ставится на паузу
+      const paused = waitForEvent(playerSocket, "gamePaused");
+      hostSocket.disconnect();
+      await paused;
+
+      hostSocket = createSocket();
+      await waitForEvent(hostSocket, "connect");
+      const resumed = waitForEvent(playerSocket, "gameResumed");
+      hostSocket.emit("resumeHost", { token: hostToken });
+      const { state, players } = await waitForEvent(hostSocket, "hostResumed");
+      await resumed;
+
+      expect(players).toEqual(["steady-player"]);
+      expect(state.fileName).toBe(quizList[0].fileName);
+      expect(state.currentQuestionIndex).toBe(0);
+      expect(state.question.question).toBe(question.question);
+      expect(state.isQuestionActive).toBe(true);
+      expect(state.isPaused).toBe(false);
+      expect(state.timeLeft).toBeGreaterThan(0);
+
+      // Восстановленный ведущий управляет игрой
+      playerSocket.emit("submitAnswer", 0);
+      const votes = await waitForEvent(hostSocket, "updateStats");
+      expect(votes[0]).toBe(1);
+    });
+  });
+
   describe("Error Handling", () => {
+    test("should reject PIN of a room without loaded quiz", async () => {
+      hostSocket = createSocket();
+      playerSocket = createSocket();
+
+      await Promise.all([
+        waitForEvent(hostSocket, "connect"),
+        waitForEvent(playerSocket, "connect"),
+      ]);
+
+      hostSocket.emit("authenticateHost", process.env.HOST_PASSWORD);
+      await waitForEvent(hostSocket, "hostAuthResult");
+
+      const room = Array.from(roomManager.rooms.values()).find(
+        (r) => r.hostSocketId === hostSocket.id,
+      );
+
+      playerSocket.emit("checkRoomPin", room.code);
+      const error = await waitForEvent(playerSocket, "joinError");
+
+      expect(error).toBe("Комната закрыта для входа");
+    });
+
     test("should handle invalid host password", async () => {
       hostSocket = createSocket();
       await waitForEvent(hostSocket, "connect");
@@ -336,8 +558,7 @@ describe("End-to-End Game Flow", () => {
       expect(result.reason).toBe("wrong_password");
     });
 
-    test("should handle duplicate host connection", async () => {
-      // First host connects
+    test("should handle repeated authentication of the same host", async () => {
       hostSocket = createSocket();
       await waitForEvent(hostSocket, "connect");
 
@@ -345,17 +566,11 @@ describe("End-to-End Game Flow", () => {
       const firstResult = await waitForEvent(hostSocket, "hostAuthResult");
       expect(firstResult.success).toBe(true);
 
-      // Second host tries to connect
-      const secondHostSocket = createSocket();
-      await waitForEvent(secondHostSocket, "connect");
-
-      secondHostSocket.emit("authenticateHost", process.env.HOST_PASSWORD);
-      const secondResult = await waitForEvent(secondHostSocket, "hostAuthResult");
+      hostSocket.emit("authenticateHost", process.env.HOST_PASSWORD);
+      const secondResult = await waitForEvent(hostSocket, "hostAuthResult");
 
       expect(secondResult.success).toBe(false);
       expect(secondResult.reason).toBe("already_host");
-
-      secondHostSocket.disconnect();
     });
 
     test("should handle invalid quiz file", async () => {
@@ -386,19 +601,27 @@ describe("End-to-End Game Flow", () => {
         waitForEvent(playerSocket, "connect"),
       ]);
 
-      // Authenticate host
+      // Authenticate host and load quiz
       hostSocket.emit("authenticateHost", process.env.HOST_PASSWORD);
       await waitForEvent(hostSocket, "hostAuthResult");
+      hostSocket.emit("getQuizList");
+      const quizList = await waitForEvent(hostSocket, "quizList");
+      hostSocket.emit("selectQuiz", {
+        fileName: quizList[0].fileName,
+        shuffle: false,
+        questionCount: 1,
+      });
+      const { pin } = await waitForEvent(hostSocket, "quizReady");
 
       // First player joins
-      playerSocket.emit("join", "duplicate-name");
+      playerSocket.emit("join", { nickname: "duplicate-name", pin });
       await waitForEvent(playerSocket, "playerListUpdate");
 
       // Second player tries same name
       const secondPlayerSocket = createSocket();
       await waitForEvent(secondPlayerSocket, "connect");
 
-      secondPlayerSocket.emit("join", "duplicate-name");
+      secondPlayerSocket.emit("join", { nickname: "duplicate-name", pin });
       const error = await waitForEvent(secondPlayerSocket, "joinError");
 
       expect(error).toContain("уже занят");
@@ -0,0 +1,147 @@
+const express = require("express");
+const request = require("supertest");
+const setupHttpRoutes = require("../../src/routes/httpRoutes");
+const RoomManager = require("../../src/services/roomManager");
+const { expressErrorHandler } = require("../../src/middleware/errorHandler");
+
+describe("httpRoutes integration", () => {
+  let app;
+  let roomManager;
+  let room;
+
+  beforeEach(() => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+
+    roomManager = new RoomManager();
+    room = roomManager.createRoom();
+
+    app = express();
+    app.use(setupHttpRoutes(roomManager));
+    app.use(expressErrorHandler);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe("GET /api/qr", () => {
+    test("should return SVG QR code by default", async () => {
+      const res = await request(app).get(`/api/qr?pin=${room.code}`);
+
+      expect(res.status).toBe(200);
+      expect(res.headers["content-type"]).toMatch(/image\/svg\+xml/);
+      expect(res.headers["cache-control"]).toBe("no-store");
+      expect(res.body.toString()).toContain("<svg");
+    });
+
+    test("should return PNG QR code", async () => {
+      const res = await request(app).get(`/api/qr?pin=${room.code}&format=png`);
+
+      expect(res.status).toBe(200);
+      expect(res.headers["content-type"]).toBe("image/png");
+      // Сигнатура PNG-файла
+      expect(res.body.subarray(0, 4)).toEqual(Buffer.from([0x89, 0x50, 0x4e, 0x47]));
+    });
+
+    test("should reject invalid PIN", async () => {
+      const res = await request(app).get("/api/qr?pin=abc");
+
+      expect(res.status).toBe(400);
+      expect(res.body.success).toBe(false);
+      expect(res.body.error.type).toBe("VALIDATION_ERROR");
+    });
+
+    test("should reject unsupported format", async () => {
+      const res = await request(app).get(`/api/qr?pin=${room.code}&format=gif`);
+
+      expect(res.status).toBe(400);
+    });
+
+    test("should return 404 for unknown room", async () => {
+      roomManager.removeRoom(room.code);
+
+      const res = await request(app).get(`/api/qr?pin=${room.code}`);
+
+      expect(res.status).toBe(404);
+      expect(res.body.error.message).toBe("Комната с таким PIN не найдена");
+    });
+  });
+
+  describe("archive", () => {
+    const summary = { id: "1000-123456", quizFileName: "test.txt", startedAt: 1000 };
+
+    beforeEach(() => {
+      roomManager.archive = {
+        listGames: jest.fn(() => [summary]),
+        getGame: jest.fn((id) => (id === summary.id ? { ...summary, players: [] } : null)),
+        exportGame: jest.fn((id, format) => {
+          if (id !== summary.id) {
+            return null;
+          }
+          return {
+            content: format === "xlsx" ? Buffer.from("PK") : "CSV content",
+            filename: `quiz_results.${format}`,
+          };
+        }),
+      };
+    });
+
+    test("should require host token", async () => {
+      const res = await request(app).get("/api/archive");
+
+      expect(res.status).toBe(401);
+      expect(res.body.error.type).toBe("AUTHENTICATION_ERROR");
+
+      const wrongToken = await request(app).get("/api/archive?token=" + "0".repeat(32));
+      expect(wrongToken.status).toBe(401);
+    });
+
+    test("should list archived games", async () => {
+      const res = await request(app).get("/api/archive").set("X-Host-Token", room.hostToken);
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ success: true, games: [summary] });
+    });
+
+    test("should open archived game", async () => {
+      const res = await request(app).get(`/api/archive/${summary.id}?token=${room.hostToken}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.game).toEqual({ ...summary, players: [] });
+    });
+
+    test("should return 404 for unknown game", async () => {
+      const res = await request(app).get(`/api/archive/unknown?token=${room.hostToken}`);
+      const exportRes = await request(app).get(
+        `/api/archive/unknown/export?token=${room.hostToken}`,
+      );
+
+      expect(res.status).toBe(404);
+      expect(exportRes.status).toBe(404);
+    });
+
+    test("should download CSV and XLSX exports", async () => {
+      const csv = await request(app).get(
+        `/api/archive/${summary.id}/export?format=csv&token=${room.hostToken}`,
+      );
+      const xlsx = await request(app).get(
+        `/api/archive/${summary.id}/export?format=xlsx&token=${room.hostToken}`,
+      );
+
+      expect(csv.status).toBe(200);
+      expect(csv.headers["content-type"]).toMatch(/text\/csv/);
+      expect(csv.headers["content-disposition"]).toContain("quiz_results.csv");
+      expect(csv.text).toBe("CSV content");
+      expect(xlsx.headers["content-type"]).toMatch(/spreadsheetml/);
+      expect(roomManager.archive.exportGame).toHaveBeenCalledWith(summary.id, "xlsx");
+    });
+
+    test("should reject unsupported export format", async () => {
+      const res = await request(app).get(
+        `/api/archive/${summary.id}/export?format=pdf&token=${room.hostToken}`,
+      );
+
+      expect(res.status).toBe(400);
+    });
+  });
+});
@@ -1,11 +1,24 @@
 const setupSocketRoutes = require("../../src/routes/socketRoutes");
-const gameService = require("../../src/services/gameService");
+const RoomManager = require("../../src/services/roomManager");
 const { loadQuizFile } = require("../../src/utils/quizParser");
+const { listQuizzes } = require("../../src/utils/quizCatalog");
+const { lintQuizFile } = require("../../src/utils/quizLinter");
+const config = require("../../config");
 
 // Mock dependencies
 jest.mock("../../src/services/gameService");
-jest.mock("../../src/utils/quizParser");
+jest.mock("../../src/utils/quizParser", () => ({
+  ...jest.createMockFromModule("../../src/utils/quizParser"),
+  // Расширения файлов нужны настоящие: по ним проверяется имя файла квиза
+  QUIZ_FILE_EXTENSIONS: jest.requireActual("../../src/utils/quizParser").QUIZ_FILE_EXTENSIONS,
+}));
+jest.mock("../../src/utils/quizCatalog");
+jest.mock("../../src/utils/quizLinter");
 jest.mock("../../config", () => ({
+  server: {
+    port: 3000,
+    publicUrl: "http://quiz.local",
+  },
   game: {
     timeLimit: 15,
     maxNicknameLength: 20,
@@ -14,6 +27,12 @@ jest.mock("../../config", () => ({
       minScore: 10,
     },
   },
+  rooms: {
+    maxRooms: 5,
+    pinLength: 6,
+    hostDisconnectMode: "pause",
+    hostReconnectTimeout: 60,
+  },
   security: {
     hostPassword: "test-password",
   },
@@ -23,6 +42,9 @@ describe("socketRoutes integration", () => {
   let mockIo;
   let mockSocket;
   let mockServerSocket;
+  let roomManager;
+  let room;
+  let gameService;
 
   beforeEach(() => {
     // Mock Socket.IO server
@@ -40,6 +62,7 @@ describe("socketRoutes integration", () => {
         }
       }),
       emit: jest.fn(),
+      to: jest.fn().mockReturnThis(),
     };
 
     // Mock socket
@@ -55,6 +78,13 @@ describe("socketRoutes integration", () => {
       disconnect: jest.fn(),
     };
 
+    // Комната, к которой привязан тестовый сокет
+    roomManager = new RoomManager();
+    room = roomManager.createRoom();
+    room.isOpen = true;
+    gameService = room.gameService;
+    mockSocket.roomCode = room.code;
+
     // Mock game service
     gameService.loadQuiz.mockReturnValue({ success: true });
     gameService.getNextQuestion.mockReturnValue({
@@ -79,7 +109,7 @@ describe("socketRoutes integration", () => {
     gameService.exportResultsToCSV.mockReturnValue("CSV content");
 
     // Setup routes
-    setupSocketRoutes(mockIo);
+    setupSocketRoutes(mockIo, roomManager);
   });
 
   afterEach(() => {
@@ -99,10 +129,48 @@ describe("socketRoutes integration", () => {
 
       expect(mockSocket.emit).toHaveBeenCalledWith("hostAuthResult", {
         success: true,
+        hostToken: roomManager.getRoom(mockSocket.roomCode).hostToken,
+        interruptedGames: [],
       });
       expect(mockSocket.isHost).toBe(true);
     });
 
+    test("should create a separate room for the authenticated host", () => {
+      process.env.HOST_PASSWORD = "test-password";
+
+      const authenticateHostHandler = mockSocket.on.mock.calls.find(
+        (call) => call[0] === "authenticateHost",
+      )[1];
+
+      authenticateHostHandler("test-password");
+
+      const { roomCode } = mockSocket;
+      expect(roomCode).not.toBe(room.code);
+      expect(mockSocket.roomCode).toBe(roomCode);
+      expect(mockSocket.join).toHaveBeenCalledWith(roomCode);
+      expect(roomManager.getRoom(roomCode).hostSocketId).toBe(mockSocket.id);
+      expect(roomManager.getRoom(roomCode).isOpen).toBe(false);
+    });
+
+    test("should reject host when room limit is reached", () => {
+      process.env.HOST_PASSWORD = "test-password";
+      while (roomManager.getRoomCount() < 5) {
+        roomManager.createRoom();
+      }
+
+      const authenticateHostHandler = mockSocket.on.mock.calls.find(
+        (call) => call[0] === "authenticateHost",
+      )[1];
+
+      authenticateHostHandler("test-password");
+
+      expect(mockSocket.emit).toHaveBeenCalledWith("hostAuthResult", {
+        success: false,
+        reason: "too_many_rooms",
+      });
+      expect(mockSocket.isHost).toBe(false);
+    });
+
     test("should reject host with wrong password", () => {
       process.env.HOST_PASSWORD = "test-password";
 
@@ -153,16 +221,68 @@ describe("socketRoutes integration", () => {
         (call) => call[0] === "getQuizList",
       )[1];
 
+      const quizzes = [
+        {
+          fileName: "pascal1.txt",
+          title: "Паскаль: основы",
+          subject: "Информатика",
+          grade: "8",
+          tags: ["pascal"],
+          questionCount: 85,
+          media: { images: false, audio: false, video: false },
+        },
+      ];
+      listQuizzes.mockReturnValue(quizzes);
+
+      getQuizListHandler();
+
+      expect(mockSocket.emit).toHaveBeenCalledWith("quizList", quizzes);
+    });
+
+    test("should report quiz list errors", () => {
+      const getQuizListHandler = mockSocket.on.mock.calls.find(
+        (call) => call[0] === "getQuizList",
+      )[1];
+      listQuizzes.mockImplementationOnce(() => {
+        throw new Error("EACCES");
+      });
+
       getQuizListHandler();
 
-      // The actual file system returns real files, so we just verify the event was emitted
-      expect(mockSocket.emit).toHaveBeenCalledWith(
-        "quizList",
-        expect.arrayContaining([expect.any(String)]),
-      );
+      expect(mockSocket.emit).toHaveBeenCalledWith("error", expect.any(Object));
+      expect(mockSocket.emit).not.toHaveBeenCalledWith("quizList", expect.anything());
+    });
+
+    test("should check quiz before loading", () => {
+      const checkQuizHandler = mockSocket.on.mock.calls.find((call) => call[0] === "checkQuiz")[1];
+      lintQuizFile.mockReturnValue({
+        isValid: false,
+        errors: [{ line: 7, message: "Нет строки «Вопрос:»" }],
+        warnings: [],
+      });
+
+      checkQuizHandler("pascal1.txt");
+
+      expect(lintQuizFile).toHaveBeenCalledWith("pascal1.txt");
+      expect(mockSocket.emit).toHaveBeenCalledWith("quizCheckResult", {
+        fileName: "pascal1.txt",
+        isValid: false,
+        errors: [{ line: 7, message: "Нет строки «Вопрос:»" }],
+        warnings: [],
+      });
+    });
+
+    test("should not check file outside of quizzes folder", () => {
+      const checkQuizHandler = mockSocket.on.mock.calls.find((call) => call[0] === "checkQuiz")[1];
+
+      checkQuizHandler("../secret.txt");
+
+      expect(lintQuizFile).not.toHaveBeenCalled();
+      expect(mockSocket.emit).toHaveBeenCalledWith("error", expect.any(Object));
     });
 
     test("should select quiz successfully", () => {
+      room.isOpen = false;
       const selectQuizHandler = mockSocket.on.mock.calls.find(
         (call) => call[0] === "selectQuiz",
       )[1];
@@ -175,10 +295,28 @@ describe("socketRoutes integration", () => {
       });
 
       expect(gameService.loadQuiz).toHaveBeenCalledWith("test.txt", false, null, null);
-      expect(mockIo.emit).toHaveBeenCalledWith("quizReady", "test.txt");
+      expect(mockIo.to).toHaveBeenCalledWith(room.code);
+      expect(mockIo.emit).toHaveBeenCalledWith("quizReady", {
+        fileName: "test.txt",
+        pin: room.code,
+        joinUrl: `http://quiz.local/?pin=${room.code}`,
+      });
+      expect(room.isOpen).toBe(true);
+    });
+
+    test("should select quiz imported from Moodle GIFT file", () => {
+      const selectQuizHandler = mockSocket.on.mock.calls.find(
+        (call) => call[0] === "selectQuiz",
+      )[1];
+
+      selectQuizHandler({ fileName: "bank.gift", shuffle: true, questionCount: 5 });
+
+      expect(gameService.loadQuiz).toHaveBeenCalledWith("bank.gift", true, 5, undefined);
+      expect(mockSocket.emit).not.toHaveBeenCalledWith("quizError", expect.anything());
     });
 
     test("should handle quiz selection error", () => {
+      room.isOpen = false;
       gameService.loadQuiz.mockReturnValue({
         success: false,
         error: "File not found",
@@ -197,6 +335,7 @@ describe("socketRoutes integration", () => {
       expect(mockSocket.emit).toHaveBeenCalledWith("quizError", {
         message: "File not found",
       });
+      expect(room.isOpen).toBe(false);
     });
   });
 
@@ -204,7 +343,7 @@ describe("socketRoutes integration", () => {
     test("should join with valid nickname", () => {
       const joinHandler = mockSocket.on.mock.calls.find((call) => call[0] === "join")[1];
 
-      joinHandler("test-player");
+      joinHandler({ nickname: "test-player", pin: room.code });
 
       expect(mockSocket.nickname).toBe("test-player");
       expect(mockSocket.emit).not.toHaveBeenCalledWith("joinError");
@@ -214,7 +353,7 @@ describe("socketRoutes integration", () => {
       // First join to register the nickname
       const joinHandler = mockSocket.on.mock.calls.find((call) => call[0] === "join")[1];
 
-      joinHandler("test-player");
+      joinHandler({ nickname: "test-player", pin: room.code });
 
       // Reset emit mock to check next call
       mockSocket.emit.mockClear();
@@ -235,10 +374,226 @@ describe("socketRoutes integration", () => {
     test("should reject invalid nickname", () => {
       const joinHandler = mockSocket.on.mock.calls.find((call) => call[0] === "join")[1];
 
-      joinHandler(""); // Empty nickname
+      joinHandler({ nickname: "", pin: room.code }); // Empty nickname
 
       expect(mockSocket.emit).toHaveBeenCalledWith("joinError", expect.any(String));
     });
+
+    test("should join room by PIN", () => {
+      const otherRoom = roomManager.createRoom();
+      otherRoom.isOpen = true;
+      mockSocket.roomCode = null;
+
+      const joinHandler = mockSocket.on.mock.calls.find((call) => call[0] === "join")[1];
+
+      joinHandler({ nickname: "test-player", pin: Number(otherRoom.code) });
+
+      expect(mockSocket.roomCode).toBe(otherRoom.code);
+      expect(mockSocket.join).toHaveBeenCalledWith(otherRoom.code);
+      expect(otherRoom.activeSockets.get(mockSocket.id)).toBe(mockSocket);
+      expect(room.activeSockets.has(mockSocket.id)).toBe(false);
+    });
+
+    test("should reject unknown PIN", () => {
+      const joinHandler = mockSocket.on.mock.calls.find((call) => call[0] === "join")[1];
+
+      joinHandler({ nickname: "test-player", pin: room.code === "999999" ? "888888" : "999999" });
+
+      expect(mockSocket.emit).toHaveBeenCalledWith("joinError", "Комната с таким PIN не найдена");
+      expect(mockSocket.nickname).toBeNull();
+    });
+
+    test("should reject closed room", () => {
+      room.isOpen = false;
+
+      const joinHandler = mockSocket.on.mock.calls.find((call) => call[0] === "join")[1];
+
+      joinHandler({ nickname: "test-player", pin: room.code });
+
+      expect(mockSocket.emit).toHaveBeenCalledWith("joinError", "Комната закрыта для входа");
+      expect(mockSocket.nickname).toBeNull();
+    });
+
+    test("should require PIN", () => {
+      const joinHandler = mockSocket.on.mock.calls.find((call) => call[0] === "join")[1];
+
+      joinHandler("test-player");
+
+      expect(mockSocket.emit).toHaveBeenCalledWith("joinError", "Введите PIN комнаты");
+    });
+
+    test("should allow the same nickname in different rooms", () => {
+      const otherRoom = roomManager.createRoom();
+      otherRoom.activeSockets.set("other-socket", { id: "other-socket", nickname: "test-player" });
+
+      const joinHandler = mockSocket.on.mock.calls.find((call) => call[0] === "join")[1];
+
+      joinHandler({ nickname: "test-player", pin: room.code });
+
+      expect(mockSocket.nickname).toBe("test-player");
+      expect(mockSocket.emit).not.toHaveBeenCalledWith("joinError", expect.anything());
+    });
+  });
+
+  describe("session resume", () => {
+    let resumeHandler;
+    let token;
+
+    beforeEach(() => {
+      resumeHandler = mockSocket.on.mock.calls.find((call) => call[0] === "resume")[1];
+      token = roomManager.createSession(room, "test-player");
+      mockSocket.roomCode = null;
+      gameService.answeredUsers = new Set();
+      gameService.getCurrentQuestion.mockReturnValue(null);
+      gameService.getCurrentQuestionIndex.mockReturnValue(-1);
+    });
+
+    test("should issue session token on join", () => {
+      const joinHandler = mockSocket.on.mock.calls.find((call) => call[0] === "join")[1];
+
+      joinHandler({ nickname: "new-player", pin: room.code });
+
+      expect(mockSocket.emit).toHaveBeenCalledWith("joinAccepted", {
+        nickname: "new-player",
+        pin: room.code,
+        sessionToken: expect.stringMatching(/^[a-f0-9]{32}$/),
+      });
+      const { sessionToken } = mockSocket.emit.mock.calls.find(
+        (call) => call[0] === "joinAccepted",
+      )[1];
+      expect(roomManager.getSessionNickname(room, sessionToken)).toBe("new-player");
+    });
+
+    test("should rebind nickname and replay current question", () => {
+      const question = { question: "Test question?", options: [], timeLeft: 7 };
+      gameService.getCurrentQuestion.mockReturnValue(question);
+      gameService.getCurrentQuestionIndex.mockReturnValue(2);
+      gameService.getAllPlayersScores.mockReturnValue({ "test-player": 150 });
+      gameService.getPlayerAnswer.mockReturnValue({
+        answerIndex: 1,
+        isCorrect: true,
+        scoreEarned: 90,
+      });
+      gameService.isGamePaused.mockReturnValue(true);
+      gameService.answeredUsers = new Set(["test-player"]);
+
+      resumeHandler({ token, pin: room.code });
+
+      expect(mockSocket.nickname).toBe("test-player");
+      expect(mockSocket.roomCode).toBe(room.code);
+      expect(mockSocket.answered).toBe(true);
+      expect(mockSocket.join).toHaveBeenCalledWith(room.code);
+      expect(room.activeSockets.get(mockSocket.id)).toBe(mockSocket);
+      expect(mockSocket.emit).toHaveBeenCalledWith("resumed", {
+        nickname: "test-player",
+        pin: room.code,
+        score: 150,
+        scores: { "test-player": 150 },
+        questionNumber: 3,
+        question,
+        answer: { answerIndex: 1, isCorrect: true, scoreEarned: 90 },
+        isPaused: true,
+      });
+      expect(mockIo.emit).toHaveBeenCalledWith("playerListUpdate", ["test-player"]);
+    });
+
+    test("should not restore answered flag when player has not answered", () => {
+      mockSocket.answered = true;
+
+      resumeHandler({ token, pin: room.code });
+
+      expect(mockSocket.answered).toBe(false);
+    });
+
+    test("should replace stale socket of the same player", () => {
+      const staleSocket = {
+        id: "stale-socket",
+        nickname: "test-player",
+        roomCode: room.code,
+        emit: jest.fn(),
+        leave: jest.fn(),
+      };
+      room.activeSockets.set(staleSocket.id, staleSocket);
+
+      resumeHandler({ token, pin: room.code });
+
+      expect(room.activeSockets.has(staleSocket.id)).toBe(false);
+      expect(staleSocket.nickname).toBeNull();
+      expect(staleSocket.emit).toHaveBeenCalledWith("sessionReplaced");
+      expect(roomManager.getPlayerNames(room)).toEqual(["test-player"]);
+    });
+
+    test("should work for closed room", () => {
+      room.isOpen = false;
+
+      resumeHandler({ token, pin: room.code });
+
+      expect(mockSocket.nickname).toBe("test-player");
+    });
+
+    test("should reject unknown token", () => {
+      resumeHandler({ token: "0".repeat(32), pin: room.code });
+
+      expect(mockSocket.emit).toHaveBeenCalledWith("resumeFailed", expect.any(String));
+      expect(mockSocket.nickname).toBeNull();
+    });
+
+    test("should reject malformed data", () => {
+      resumeHandler({ token: "bad", pin: room.code });
+      resumeHandler({ token, pin: "bad" });
+      resumeHandler(null);
+
+      expect(mockSocket.emit).toHaveBeenCalledTimes(3);
+      expect(mockSocket.nickname).toBeNull();
+    });
+
+    test("should invalidate sessions on game reset", () => {
+      mockSocket.isHost = true;
+      mockSocket.roomCode = room.code;
+      const resetHandler = mockSocket.on.mock.calls.find((call) => call[0] === "resetGame")[1];
+
+      resetHandler();
+
+      expect(roomManager.getSessionNickname(room, token)).toBeNull();
+    });
+  });
+
+  describe("room PIN check", () => {
+    test("should accept PIN of open room", () => {
+      const checkRoomPinHandler = mockSocket.on.mock.calls.find(
+        (call) => call[0] === "checkRoomPin",
+      )[1];
+
+      checkRoomPinHandler(` ${room.code} `);
+
+      expect(mockSocket.emit).toHaveBeenCalledWith("roomPinAccepted", { pin: room.code });
+    });
+
+    test("should reject malformed PIN", () => {
+      const checkRoomPinHandler = mockSocket.on.mock.calls.find(
+        (call) => call[0] === "checkRoomPin",
+      )[1];
+
+      checkRoomPinHandler("12ab");
+
+      expect(mockSocket.emit).toHaveBeenCalledWith(
+        "joinError",
+        "PIN комнаты должен состоять из 6 цифр",
+      );
+    });
+
+    test("should reject PIN of closed room", () => {
+      room.isOpen = false;
+
+      const checkRoomPinHandler = mockSocket.on.mock.calls.find(
+        (call) => call[0] === "checkRoomPin",
+      )[1];
+
+      checkRoomPinHandler(room.code);
+
+      expect(mockSocket.emit).toHaveBeenCalledWith("joinError", "Комната закрыта для входа");
+      expect(mockSocket.emit).not.toHaveBeenCalledWith("roomPinAccepted", expect.anything());
+    });
   });
 
   describe("game flow", () => {
@@ -287,6 +642,26 @@ describe("socketRoutes integration", () => {
       expect(() => nextQuestionHandler()).not.toThrow();
     });
 
+    test("should send explanation with revealed answer", () => {
+      gameService.isCurrentQuestionActive.mockReturnValue(true);
+      gameService.endCurrentQuestion.mockReturnValue({
+        correctAnswer: 0,
+        currentOptions: [{ text: "Option 1" }, { text: "Option 2" }],
+        votes: {},
+        explanation: { text: "Because", img: null },
+      });
+
+      const nextQuestionHandler = mockSocket.on.mock.calls.find(
+        (call) => call[0] === "nextQuestion",
+      )[1];
+      nextQuestionHandler();
+
+      expect(mockIo.emit).toHaveBeenCalledWith(
+        "timeOver",
+        expect.objectContaining({ explanation: { text: "Because", img: null } }),
+      );
+    });
+
     test("should reset game", () => {
       const resetGameHandler = mockSocket.on.mock.calls.find((call) => call[0] === "resetGame")[1];
 
@@ -294,6 +669,7 @@ describe("socketRoutes integration", () => {
 
       expect(gameService.resetGame).toHaveBeenCalled();
       expect(mockIo.emit).toHaveBeenCalledWith("gameReset");
+      expect(room.isOpen).toBe(false);
     });
   });
 
@@ -303,7 +679,7 @@ describe("socketRoutes integration", () => {
       mockSocket.isHost = false;
       gameService.isCurrentQuestionActive.mockReturnValue(true);
       gameService.currentQuestionIndex = 0;
-      gameService.questionStartTime = Date.now() - 5000;
+      gameService.getElapsedTime.mockReturnValue(5);
       gameService.quizData = [
         {
           question: "Test question?",
@@ -317,7 +693,7 @@ describe("socketRoutes integration", () => {
       // The submit answer handler requires several conditions:
       // 1. socket.nickname must be set
       // 2. question must be active
-      // 3. questionStartTime must be set
+      // 3. elapsed time must be within the limit
       // 4. quizData must have the current question
       // Since we're mocking gameService, the real validation logic doesn't work
       // This test verifies the handler runs without error
@@ -381,6 +757,22 @@ describe("socketRoutes integration", () => {
       expect(mockSocket.emit).toHaveBeenCalledWith("questionAnalyticsData", expect.any(Object));
     });
 
+    test("should get item analysis", () => {
+      gameService.getItemAnalysis.mockReturnValue({ playerCount: 0, kr20: null, questions: [] });
+
+      const getItemAnalysisHandler = mockSocket.on.mock.calls.find(
+        (call) => call[0] === "getItemAnalysis",
+      )[1];
+
+      getItemAnalysisHandler();
+
+      expect(mockSocket.emit).toHaveBeenCalledWith("itemAnalysisData", {
+        playerCount: 0,
+        kr20: null,
+        questions: [],
+      });
+    });
+
     test("should export results to CSV", () => {
       // Mock exportResults to return CSV content
       gameService.exportResults.mockReturnValue("CSV content");
@@ -424,6 +816,246 @@ describe("socketRoutes integration", () => {
     });
   });
 
+  describe("host session recovery", () => {
+    let disconnectHandler;
+    let resumeHostHandler;
+    let newHostSocket;
+    const snapshot = { fileName: "test.txt", currentQuestionIndex: 0, isPaused: false };
+
+    const connectNewSocket = (id) => {
+      const socket = {
+        id,
+        isHost: false,
+        emit: jest.fn(),
+        on: jest.fn(),
+        join: jest.fn(),
+        leave: jest.fn(),
+      };
+      mockSocket = socket;
+      setupSocketRoutes(mockIo, roomManager);
+      return socket;
+    };
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+      mockSocket.isHost = true;
+      room.hostSocketId = mockSocket.id;
+      room.activeSockets.set(mockSocket.id, mockSocket);
+      room.currentTimer = { clearTimer: jest.fn(), getTimeLeft: () => 8 };
+      disconnectHandler = mockSocket.on.mock.calls.find((call) => call[0] === "disconnect")[1];
+
+      newHostSocket = connectNewSocket("new-host-socket");
+      resumeHostHandler = newHostSocket.on.mock.calls.find((call) => call[0] === "resumeHost")[1];
+
+      gameService.isCurrentQuestionActive.mockReturnValue(true);
+      gameService.isGamePaused.mockReturnValue(false);
+      gameService.getRemainingTime.mockReturnValue(8);
+      gameService.getStateSnapshot.mockReturnValue(snapshot);
+    });
+
+    afterEach(() => {
+      roomManager.removeRoom(room.code);
+      jest.useRealTimers();
+      config.rooms.hostDisconnectMode = "pause";
+    });
+
+    test("should auto-pause question while host is away", () => {
+      const { currentTimer } = room;
+
+      disconnectHandler();
+
+      expect(gameService.togglePause).toHaveBeenCalled();
+      expect(currentTimer.clearTimer).toHaveBeenCalled();
+      expect(mockIo.emit).toHaveBeenCalledWith("gamePaused");
+      expect(room.hostSocketId).toBeNull();
+      expect(room.isOpen).toBe(true);
+    });
+
+    test("should keep timer running in continue mode", () => {
+      config.rooms.hostDisconnectMode = "continue";
+      const { currentTimer } = room;
+
+      disconnectHandler();
+
+      expect(gameService.togglePause).not.toHaveBeenCalled();
+      expect(currentTimer.clearTimer).not.toHaveBeenCalled();
+    });
+
+    test("should restore host with state snapshot and resume auto-paused question", () => {
+      disconnectHandler();
+      gameService.isGamePaused.mockReturnValue(true);
+      room.activeSockets.set("p1", { id: "p1", nickname: "player1" });
+
+      resumeHostHandler({ token: room.hostToken });
+
+      expect(newHostSocket.isHost).toBe(true);
+      expect(newHostSocket.roomCode).toBe(room.code);
+      expect(room.hostSocketId).toBe("new-host-socket");
+      expect(room.hostAbsenceTimer).toBeNull();
+      expect(gameService.togglePause).toHaveBeenCalledTimes(2);
+      expect(mockIo.emit).toHaveBeenCalledWith("gameResumed", { timeLeft: 8 });
+      expect(newHostSocket.emit).toHaveBeenCalledWith("hostResumed", {
+        hostToken: room.hostToken,
+        pin: room.code,
+        joinUrl: `http://quiz.local/?pin=${room.code}`,
+        players: ["player1"],
+        state: snapshot,
+      });
+    });
+
+    test("should keep manual pause after host returns", () => {
+      gameService.isGamePaused.mockReturnValue(true);
+      disconnectHandler();
+
+      resumeHostHandler({ token: room.hostToken });
+
+      expect(gameService.togglePause).not.toHaveBeenCalled();
+      expect(mockIo.emit).not.toHaveBeenCalledWith("gameResumed", expect.anything());
+    });
+
+    test("should replace previous host connection", () => {
+      const previousHost = room.activeSockets.get(room.hostSocketId);
+
+      resumeHostHandler({ token: room.hostToken });
+
+      expect(previousHost.isHost).toBe(false);
+      expect(previousHost.emit).toHaveBeenCalledWith("sessionReplaced");
+      expect(room.activeSockets.has(previousHost.id)).toBe(false);
+      expect(room.hostSocketId).toBe("new-host-socket");
+    });
+
+    test("should reject unknown host token", () => {
+      resumeHostHandler({ token: "0".repeat(32) });
+      resumeHostHandler(null);
+
+      expect(newHostSocket.emit).toHaveBeenCalledWith("hostResumeFailed", expect.any(String));
+      expect(newHostSocket.isHost).toBe(false);
+    });
+
+    test("should keep empty room until host reconnect timeout expires", () => {
+      disconnectHandler();
+      expect(roomManager.getRoom(room.code)).toBe(room);
+
+      jest.advanceTimersByTime(60 * 1000);
+      expect(roomManager.getRoom(room.code)).toBeNull();
+    });
+  });
+
+  describe("interrupted games", () => {
+    let hostSocket;
+    let ownRoom;
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+      process.env.HOST_PASSWORD = "test-password";
+      // Комната, восстановленная из хранилища после перезапуска сервера
+      room.isRestored = true;
+      gameService.quizFileName = "test.txt";
+      gameService.getCurrentQuestionIndex.mockReturnValue(2);
+      gameService.getTotalQuestions.mockReturnValue(10);
+      gameService.getStateSnapshot.mockReturnValue({ fileName: "test.txt" });
+      room.sessions.set("a".repeat(32), "player1");
+
+      hostSocket = mockSocket;
+      hostSocket.roomCode = null;
+      const authenticateHostHandler = hostSocket.on.mock.calls.find(
+        (call) => call[0] === "authenticateHost",
+      )[1];
+      authenticateHostHandler("test-password");
+      ownRoom = roomManager.getRoomForSocket(hostSocket);
+    });
+
+    afterEach(() => {
+      roomManager.removeRoom(room.code);
+      jest.useRealTimers();
+    });
+
+    const getHandler = (event) => hostSocket.on.mock.calls.find((call) => call[0] === event)[1];
+
+    test("should offer interrupted games after host login", () => {
+      expect(hostSocket.emit).toHaveBeenCalledWith("hostAuthResult", {
+        success: true,
+        hostToken: ownRoom.hostToken,
+        interruptedGames: [
+          {
+            pin: room.code,
+            fileName: "test.txt",
+            questionNumber: 3,
+            totalQuestions: 10,
+            players: 1,
+            createdAt: room.createdAt,
+          },
+        ],
+      });
+    });
+
+    test("should move host into interrupted game", () => {
+      getHandler("resumeInterruptedGame")(room.code);
+
+      expect(roomManager.getRoom(ownRoom.code)).toBeNull();
+      expect(hostSocket.roomCode).toBe(room.code);
+      expect(room.hostSocketId).toBe(hostSocket.id);
+      expect(room.isRestored).toBe(false);
+      expect(hostSocket.emit).toHaveBeenCalledWith("hostResumed", {
+        hostToken: room.hostToken,
+        pin: room.code,
+        joinUrl: `http://quiz.local/?pin=${room.code}`,
+        players: [],
+        state: { fileName: "test.txt" },
+      });
+    });
+
+    test("should refresh list when game is no longer interrupted", () => {
+      room.isRestored = false;
+
+      getHandler("resumeInterruptedGame")(room.code);
+
+      expect(hostSocket.roomCode).toBe(ownRoom.code);
+      expect(hostSocket.emit).toHaveBeenCalledWith("interruptedGames", []);
+    });
+
+    test("should discard interrupted game", () => {
+      getHandler("discardInterruptedGame")(room.code);
+
+      expect(roomManager.getRoom(room.code)).toBeNull();
+      expect(mockIo.emit).toHaveBeenCalledWith("gameReset");
+      expect(hostSocket.emit).toHaveBeenCalledWith("interruptedGames", []);
+    });
+
+    test("should report error while discarding interrupted game", () => {
+      jest.spyOn(roomManager, "removeRoom").mockImplementationOnce(() => {
+        throw new Error("EACCES");
+      });
+
+      expect(() => getHandler("discardInterruptedGame")(room.code)).not.toThrow();
+      expect(hostSocket.emit).toHaveBeenCalledWith("error", expect.any(Object));
+      expect(hostSocket.emit).not.toHaveBeenCalledWith("interruptedGames", expect.anything());
+    });
+
+    test("should unpause restored question without timer", () => {
+      getHandler("resumeInterruptedGame")(room.code);
+      gameService.isCurrentQuestionActive.mockReturnValue(true);
+      gameService.togglePause.mockReturnValue(false);
+      gameService.getRemainingTime.mockReturnValue(9);
+
+      getHandler("togglePause")();
+
+      expect(mockIo.emit).toHaveBeenCalledWith("gameResumed", { timeLeft: 9 });
+      expect(room.currentTimer).not.toBeNull();
+    });
+
+    test("should end restored question without timer before next one", () => {
+      getHandler("resumeInterruptedGame")(room.code);
+      gameService.isCurrentQuestionActive.mockReturnValue(true);
+
+      getHandler("nextQuestion")();
+
+      expect(gameService.endCurrentQuestion).toHaveBeenCalled();
+      expect(mockIo.emit).toHaveBeenCalledWith("timeOver", expect.any(Object));
+      expect(gameService.getNextQuestion).not.toHaveBeenCalled();
+    });
+  });
+
   describe("config handling", () => {
     test("should send config on getConfig event", () => {
       const getConfigHandler = mockSocket.on.mock.calls.find((call) => call[0] === "getConfig")[1];
@@ -596,12 +1228,84 @@ describe("socketRoutes integration", () => {
     });
   });
 
+  describe("results archive", () => {
+    const summary = { id: "1000-123456", quizFileName: "test.txt", startedAt: 1000 };
+    const getHandler = (event) => mockSocket.on.mock.calls.find((call) => call[0] === event)[1];
+
+    beforeEach(() => {
+      mockSocket.isHost = true;
+      gameService.isCurrentQuestionActive.mockReturnValue(false);
+      roomManager.archive = {
+        archiveGame: jest.fn(),
+        listGames: jest.fn(() => [summary]),
+        getGame: jest.fn((id) => (id === summary.id ? { ...summary, players: [] } : null)),
+        exportGame: jest.fn((id, format) =>
+          id === summary.id
+            ? { content: format === "xlsx" ? Buffer.from("xlsx") : "CSV", filename: `f.${format}` }
+            : null,
+        ),
+      };
+    });
+
+    test("should archive game when quiz finishes", () => {
+      gameService.getNextQuestion.mockReturnValue(null);
+
+      getHandler("nextQuestion")();
+
+      expect(roomManager.archive.archiveGame).toHaveBeenCalledWith(room);
+    });
+
+    test("should archive game before reset and before loading a new quiz", () => {
+      getHandler("resetGame")();
+      expect(roomManager.archive.archiveGame).toHaveBeenCalledWith(room);
+      expect(roomManager.archive.archiveGame.mock.invocationCallOrder[0]).toBeLessThan(
+        gameService.resetGame.mock.invocationCallOrder[0],
+      );
+
+      loadQuizFile.mockReturnValue([{ question: "Q", options: [], correct: 0 }]);
+      getHandler("selectQuiz")({ fileName: "test.txt", shuffle: false, questionCount: 10 });
+      expect(roomManager.archive.archiveGame).toHaveBeenCalledTimes(2);
+    });
+
+    test("should list and open archived games", () => {
+      getHandler("getArchive")();
+      getHandler("getArchivedGame")(summary.id);
+      getHandler("getArchivedGame")("unknown");
+
+      expect(mockSocket.emit).toHaveBeenCalledWith("archiveList", [summary]);
+      expect(mockSocket.emit).toHaveBeenCalledWith("archivedGame", { ...summary, players: [] });
+      expect(mockSocket.emit).toHaveBeenCalledWith("archiveError", "Игра не найдена в архиве");
+    });
+
+    test("should re-export archived game", () => {
+      getHandler("exportArchivedGame")({ id: summary.id, format: "csv" });
+      getHandler("exportArchivedGame")({ id: summary.id, format: "xlsx" });
+
+      expect(mockSocket.emit).toHaveBeenCalledWith("csvExportReady", "CSV");
+      expect(mockSocket.emit).toHaveBeenCalledWith("xlsxExportReady", {
+        data: Buffer.from("xlsx").toString("base64"),
+        filename: "f.xlsx",
+        mimeType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+      });
+    });
+
+    test("should ignore archive requests from non-host", () => {
+      mockSocket.isHost = false;
+
+      getHandler("getArchive")();
+      getHandler("getArchivedGame")(summary.id);
+      getHandler("exportArchivedGame")({ id: summary.id, format: "csv" });
+
+      expect(mockSocket.emit).not.toHaveBeenCalled();
+    });
+  });
+
   describe("submit answer edge cases", () => {
     beforeEach(() => {
       mockSocket.nickname = "test-player";
       gameService.isCurrentQuestionActive.mockReturnValue(true);
       gameService.currentQuestionIndex = 0;
-      gameService.questionStartTime = Date.now() - 5000;
+      gameService.getElapsedTime.mockReturnValue(5);
       gameService.quizData = [
         {
           question: "Test question?",
@@ -645,16 +1349,340 @@ describe("socketRoutes integration", () => {
     });
 
     test("should not submit answer when time exceeded", () => {
-      // Set question start time to more than time limit ago
-      gameService.questionStartTime = Date.now() - 20000; // 20 seconds ago
+      // More than time limit has passed since question start
+      gameService.getElapsedTime.mockReturnValue(20);
+
+      const submitAnswerHandler = mockSocket.on.mock.calls.find(
+        (call) => call[0] === "submitAnswer",
+      )[1];
+
+      submitAnswerHandler(0);
+
+      expect(gameService.processAnswer).not.toHaveBeenCalled();
+    });
+
+    test("should submit sorted unique selection for multiple-answer question", () => {
+      gameService.quizData = [
+        {
+          type: "multiple",
+          question: "Test question?",
+          options: [{ text: "Option 1" }, { text: "Option 2" }, { text: "Option 3" }],
+          correct: [0, 2],
+        },
+      ];
+      gameService.getCurrentQuestionIndex.mockReturnValue(0);
+
+      const submitAnswerHandler = mockSocket.on.mock.calls.find(
+        (call) => call[0] === "submitAnswer",
+      )[1];
+
+      submitAnswerHandler([2, 0, 2]);
+
+      expect(gameService.processAnswer).toHaveBeenCalledWith("test-player", [0, 2], 5);
+    });
+
+    test("should reject single index for multiple-answer question", () => {
+      gameService.quizData = [
+        {
+          type: "multiple",
+          question: "Test question?",
+          options: [{ text: "Option 1" }, { text: "Option 2" }],
+          correct: [0, 1],
+        },
+      ];
+      gameService.getCurrentQuestionIndex.mockReturnValue(0);
 
       const submitAnswerHandler = mockSocket.on.mock.calls.find(
         (call) => call[0] === "submitAnswer",
       )[1];
 
       submitAnswerHandler(0);
+      submitAnswerHandler([]);
+      submitAnswerHandler([0, 5]);
+
+      expect(gameService.processAnswer).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("free-text answers", () => {
+    beforeEach(() => {
+      mockSocket.nickname = "test-player";
+      gameService.isCurrentQuestionActive.mockReturnValue(true);
+      gameService.getCurrentQuestionIndex.mockReturnValue(0);
+      gameService.getElapsedTime.mockReturnValue(5);
+      gameService.quizData = [
+        { type: "text", question: "Test question?", options: [], correct: ["input()"] },
+      ];
+    });
+
+    test("should submit trimmed typed answer", () => {
+      const submitAnswerHandler = mockSocket.on.mock.calls.find(
+        (call) => call[0] === "submitAnswer",
+      )[1];
+
+      submitAnswerHandler("  input() ");
+
+      expect(gameService.processAnswer).toHaveBeenCalledWith("test-player", "input()", 5);
+    });
+
+    test("should reject empty or non-text answer", () => {
+      const submitAnswerHandler = mockSocket.on.mock.calls.find(
+        (call) => call[0] === "submitAnswer",
+      )[1];
+
+      submitAnswerHandler("   ");
+      submitAnswerHandler(0);
+
+      expect(gameService.processAnswer).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("ordering questions", () => {
+    beforeEach(() => {
+      mockSocket.nickname = "test-player";
+      gameService.isCurrentQuestionActive.mockReturnValue(true);
+      gameService.getCurrentQuestionIndex.mockReturnValue(0);
+      gameService.getElapsedTime.mockReturnValue(5);
+      gameService.quizData = [
+        {
+          type: "order",
+          question: "Test question?",
+          options: [{ text: "A" }, { text: "B" }, { text: "C" }],
+          correct: [2, 0, 1],
+        },
+      ];
+    });
+
+    test("should submit order of items", () => {
+      const submitAnswerHandler = mockSocket.on.mock.calls.find(
+        (call) => call[0] === "submitAnswer",
+      )[1];
+
+      submitAnswerHandler([1, 2, 0]);
+
+      expect(gameService.processAnswer).toHaveBeenCalledWith("test-player", [1, 2, 0], 5);
+    });
+
+    test("should reject incomplete order", () => {
+      const submitAnswerHandler = mockSocket.on.mock.calls.find(
+        (call) => call[0] === "submitAnswer",
+      )[1];
+
+      submitAnswerHandler([1, 2]);
+
+      expect(gameService.processAnswer).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("matching questions", () => {
+    beforeEach(() => {
+      mockSocket.nickname = "test-player";
+      gameService.isCurrentQuestionActive.mockReturnValue(true);
+      gameService.getCurrentQuestionIndex.mockReturnValue(0);
+      gameService.getElapsedTime.mockReturnValue(5);
+      gameService.quizData = [
+        {
+          type: "match",
+          question: "Test question?",
+          options: [{ text: "A" }, { text: "B" }, { text: "C" }],
+          targets: [{ text: "X" }, { text: "Y" }],
+          correct: [0, 1, 0],
+        },
+      ];
+    });
+
+    test("should submit chosen pairs", () => {
+      const submitAnswerHandler = mockSocket.on.mock.calls.find(
+        (call) => call[0] === "submitAnswer",
+      )[1];
+
+      submitAnswerHandler([0, 1, 1]);
+
+      expect(gameService.processAnswer).toHaveBeenCalledWith("test-player", [0, 1, 1], 5);
+    });
+
+    test("should reject pair outside of options", () => {
+      const submitAnswerHandler = mockSocket.on.mock.calls.find(
+        (call) => call[0] === "submitAnswer",
+      )[1];
+
+      submitAnswerHandler([0, 2, 1]);
+
+      expect(gameService.processAnswer).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("numeric answers", () => {
+    beforeEach(() => {
+      mockSocket.nickname = "test-player";
+      gameService.isCurrentQuestionActive.mockReturnValue(true);
+      gameService.getCurrentQuestionIndex.mockReturnValue(0);
+      gameService.getElapsedTime.mockReturnValue(5);
+      gameService.quizData = [
+        {
+          type: "numeric",
+          question: "Test question?",
+          options: [],
+          correct: { value: 42, tolerance: 0 },
+        },
+      ];
+    });
+
+    test("should submit entered number", () => {
+      const submitAnswerHandler = mockSocket.on.mock.calls.find(
+        (call) => call[0] === "submitAnswer",
+      )[1];
+
+      submitAnswerHandler("41,5");
+
+      expect(gameService.processAnswer).toHaveBeenCalledWith("test-player", 41.5, 5);
+    });
+
+    test("should reject non-numeric answer", () => {
+      const submitAnswerHandler = mockSocket.on.mock.calls.find(
+        (call) => call[0] === "submitAnswer",
+      )[1];
+
+      submitAnswerHandler("сорок два");
+
+      expect(gameService.processAnswer).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("question time limit", () => {
+    test("should reject answer after time limit of current question", () => {
+      mockSocket.nickname = "test-player";
+      gameService.isCurrentQuestionActive.mockReturnValue(true);
+      gameService.getCurrentQuestionIndex.mockReturnValue(0);
+      gameService.getElapsedTime.mockReturnValue(41);
+      gameService.getTimeLimit.mockReturnValue(40);
+      gameService.quizData = [
+        { question: "Test question?", options: [{ text: "A" }, { text: "B" }], correct: 0 },
+      ];
+      const submitAnswerHandler = mockSocket.on.mock.calls.find(
+        (call) => call[0] === "submitAnswer",
+      )[1];
+
+      submitAnswerHandler(0);
+
+      expect(gameService.processAnswer).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("polls", () => {
+    beforeEach(() => {
+      mockSocket.nickname = "test-player";
+      gameService.isCurrentQuestionActive.mockReturnValue(true);
+      gameService.getCurrentQuestionIndex.mockReturnValue(0);
+      gameService.getElapsedTime.mockReturnValue(5);
+      gameService.quizData = [
+        {
+          type: "poll",
+          question: "Test poll?",
+          options: [{ text: "A" }, { text: "B" }],
+          correct: null,
+        },
+      ];
+    });
+
+    test("should send unscored result to player", () => {
+      gameService.processAnswer.mockReturnValue({
+        success: true,
+        isCorrect: null,
+        scoreEarned: 0,
+      });
+      gameService.getAllPlayersScores.mockReturnValue({});
+      const submitAnswerHandler = mockSocket.on.mock.calls.find(
+        (call) => call[0] === "submitAnswer",
+      )[1];
+
+      submitAnswerHandler(1);
+
+      expect(gameService.processAnswer).toHaveBeenCalledWith("test-player", 1, 5);
+      expect(mockSocket.emit).toHaveBeenCalledWith("answerResult", {
+        isCorrect: null,
+        scoreEarned: 0,
+        totalScore: 0,
+      });
+    });
+
+    test("should reject option outside of poll", () => {
+      const submitAnswerHandler = mockSocket.on.mock.calls.find(
+        (call) => call[0] === "submitAnswer",
+      )[1];
+
+      submitAnswerHandler(2);
+
+      expect(gameService.processAnswer).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("question media", () => {
+    const getHandler = (event) => mockSocket.on.mock.calls.find((call) => call[0] === event)[1];
+
+    beforeEach(() => {
+      mockSocket.isHost = true;
+      gameService.getNextQuestion.mockReturnValue({
+        question: "Чья это музыка?",
+        questionMedia: { type: "audio", src: "/media/mozart.mp3" },
+        waitingForMedia: true,
+        options: [{ text: "Моцарт" }, { text: "Бах" }],
+        timeLeft: 15,
+      });
+    });
+
+    afterEach(() => {
+      if (room.currentTimer) {
+        room.currentTimer.clearTimer();
+      }
+    });
+
+    test("should not start timer until media ends", () => {
+      gameService.isCurrentQuestionActive.mockReturnValue(false);
+
+      getHandler("nextQuestion")();
+
+      expect(mockIo.emit).toHaveBeenCalledWith(
+        "updateQuestion",
+        expect.objectContaining({ waitingForMedia: true }),
+      );
+      expect(room.currentTimer).toBeNull();
+    });
+
+    test("should start timer when host reports end of media", () => {
+      gameService.startTimerAfterMedia.mockReturnValue(true);
+      gameService.getRemainingTime.mockReturnValue(15);
+
+      getHandler("startQuestionTimer")();
+
+      expect(mockIo.emit).toHaveBeenCalledWith("timerStarted", { timeLeft: 15 });
+      expect(room.currentTimer).not.toBeNull();
+    });
+
+    test("should relay playback commands to players", () => {
+      gameService.isCurrentQuestionActive.mockReturnValue(true);
+
+      getHandler("mediaControl")("replay");
+      getHandler("mediaControl")("stop");
+
+      expect(mockIo.emit).toHaveBeenCalledWith("mediaControl", "replay");
+      expect(mockIo.emit).not.toHaveBeenCalledWith("mediaControl", "stop");
+    });
+
+    test("should reject answers while media is playing", () => {
+      mockSocket.isHost = false;
+      mockSocket.nickname = "test-player";
+      gameService.isCurrentQuestionActive.mockReturnValue(true);
+      gameService.isTimerWaitingForMedia.mockReturnValue(true);
+      gameService.getElapsedTime.mockReturnValue(0);
+      gameService.quizData = [
+        { question: "Чья это музыка?", options: [{ text: "Моцарт" }, { text: "Бах" }], correct: 0 },
+      ];
+
+      getHandler("submitAnswer")(0);
 
       expect(gameService.processAnswer).not.toHaveBeenCalled();
+      expect(mockSocket.answered).toBe(false);
     });
   });
 
@@ -662,7 +1690,7 @@ describe("socketRoutes integration", () => {
     test("should emit playerListUpdate after player joins", () => {
       const joinHandler = mockSocket.on.mock.calls.find((call) => call[0] === "join")[1];
 
-      joinHandler("new-player");
+      joinHandler({ nickname: "new-player", pin: room.code });
 
       expect(mockIo.emit).toHaveBeenCalledWith(
         "playerListUpdate",
@@ -440,6 +440,22 @@ describe("errorHandler middleware", () => {
       expect(mockRes.status).toHaveBeenCalledWith(404);
     });
 
+    test("should keep type of errors created by createError", () => {
+      const err = createError(ERROR_TYPES.NOT_FOUND, "Комната не найдена", 404);
+
+      expressErrorHandler(err, mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(404);
+      expect(mockRes.json).toHaveBeenCalledWith(
+        expect.objectContaining({
+          error: expect.objectContaining({
+            type: ERROR_TYPES.NOT_FOUND,
+            message: "Комната не найдена",
+          }),
+        }),
+      );
+    });
+
     test("should include stack trace in development mode", () => {
       process.env.NODE_ENV = "development";
       const err = new Error("Dev error");
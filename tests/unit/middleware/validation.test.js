@@ -1,8 +1,17 @@
 const {
   validateHostPassword,
   validateNickname,
+  validateRoomPin,
+  validateSessionToken,
   validateAnswerIndex,
+  validateAnswerSelection,
+  validateAnswerOrder,
+  validateAnswerPairs,
+  validateTextAnswer,
+  validateNumericAnswer,
+  validateQuizFileName,
   validateQuizSelection,
+  validateMediaAction,
   validateResponseTime,
 } = require("../../../src/middleware/validation");
 
@@ -95,6 +104,54 @@ describe("validation middleware", () => {
     });
   });
 
+  describe("validateRoomPin", () => {
+    test("should validate 6-digit PIN", () => {
+      const result = validateRoomPin("123456");
+
+      expect(result.isValid).toBe(true);
+      expect(result.value).toBe("123456");
+    });
+
+    test("should accept numeric PIN and trim spaces", () => {
+      expect(validateRoomPin(123456).value).toBe("123456");
+      expect(validateRoomPin(" 123456 ").value).toBe("123456");
+    });
+
+    test("should reject missing PIN", () => {
+      const result = validateRoomPin(undefined);
+
+      expect(result.isValid).toBe(false);
+      expect(result.error).toBe("Введите PIN комнаты");
+    });
+
+    test("should reject PIN of wrong length or with letters", () => {
+      expect(validateRoomPin("12345").isValid).toBe(false);
+      expect(validateRoomPin("1234567").isValid).toBe(false);
+
+      const result = validateRoomPin("12a456");
+      expect(result.isValid).toBe(false);
+      expect(result.error).toContain("6 цифр");
+    });
+  });
+
+  describe("validateSessionToken", () => {
+    test("should validate hex token", () => {
+      const token = "0123456789abcdef0123456789abcdef";
+
+      expect(validateSessionToken(token)).toEqual({ isValid: true, value: token });
+    });
+
+    test("should reject malformed token", () => {
+      expect(validateSessionToken(undefined).isValid).toBe(false);
+      expect(validateSessionToken(123).isValid).toBe(false);
+      expect(validateSessionToken("abc").isValid).toBe(false);
+
+      const result = validateSessionToken("Z".repeat(32));
+      expect(result.isValid).toBe(false);
+      expect(result.error).toBe("Недействительный токен сессии");
+    });
+  });
+
   describe("validateAnswerIndex", () => {
     test("should validate valid answer index", () => {
       const result = validateAnswerIndex(1, 3);
@@ -131,6 +188,113 @@ describe("validation middleware", () => {
     });
   });
 
+  describe("validateAnswerSelection", () => {
+    test("should return sorted selection without duplicates", () => {
+      const result = validateAnswerSelection([2, 0, 2], 3);
+
+      expect(result.isValid).toBe(true);
+      expect(result.value).toEqual([0, 2]);
+    });
+
+    test("should reject empty or non-array selection", () => {
+      expect(validateAnswerSelection([], 3).isValid).toBe(false);
+      expect(validateAnswerSelection(1, 3).isValid).toBe(false);
+      expect(validateAnswerSelection(null, 3).error).toContain("хотя бы один вариант");
+    });
+
+    test("should reject selection with invalid index", () => {
+      const result = validateAnswerSelection([0, 3], 3);
+
+      expect(result.isValid).toBe(false);
+      expect(result.error).toContain("должен быть от 0 до 2");
+    });
+  });
+
+  describe("validateTextAnswer", () => {
+    test("should return trimmed answer", () => {
+      const result = validateTextAnswer("  input() ");
+
+      expect(result.isValid).toBe(true);
+      expect(result.value).toBe("input()");
+    });
+
+    test("should reject empty, non-string and too long answer", () => {
+      expect(validateTextAnswer("   ").error).toContain("не может быть пустым");
+      expect(validateTextAnswer(1).isValid).toBe(false);
+      expect(validateTextAnswer("a".repeat(201)).error).toContain("200 символов");
+    });
+  });
+
+  describe("validateAnswerOrder", () => {
+    test("should accept permutation of all items", () => {
+      const result = validateAnswerOrder([2, 0, 1], 3);
+
+      expect(result.isValid).toBe(true);
+      expect(result.value).toEqual([2, 0, 1]);
+    });
+
+    test("should reject missing, repeated or unknown items", () => {
+      expect(validateAnswerOrder([0, 1], 3).error).toContain("ровно один раз");
+      expect(validateAnswerOrder([0, 1, 1], 3).isValid).toBe(false);
+      expect(validateAnswerOrder([0, 1, 3], 3).isValid).toBe(false);
+      expect(validateAnswerOrder("0,1,2", 3).isValid).toBe(false);
+    });
+  });
+
+  describe("validateAnswerPairs", () => {
+    test("should accept pair for every item", () => {
+      const result = validateAnswerPairs([1, 1, 0], 3, 2);
+
+      expect(result.isValid).toBe(true);
+      expect(result.value).toEqual([1, 1, 0]);
+    });
+
+    test("should reject missing or unknown pairs", () => {
+      expect(validateAnswerPairs([1, 0], 3, 2).error).toContain("Сопоставьте каждый элемент");
+      expect(validateAnswerPairs([1, null, 0], 3, 2).isValid).toBe(false);
+      expect(validateAnswerPairs([1, 2, 0], 3, 2).isValid).toBe(false);
+    });
+  });
+
+  describe("validateNumericAnswer", () => {
+    test("should accept number and numeric string with decimal comma", () => {
+      expect(validateNumericAnswer(42).value).toBe(42);
+      expect(validateNumericAnswer(" -3,5 ").value).toBe(-3.5);
+    });
+
+    test("should reject non-numeric answers", () => {
+      expect(validateNumericAnswer("42 года").error).toContain("должен быть числом");
+      expect(validateNumericAnswer(Infinity).isValid).toBe(false);
+      expect(validateNumericAnswer([42]).isValid).toBe(false);
+    });
+  });
+
+  describe("validateQuizFileName", () => {
+    test("should accept quiz file name", () => {
+      expect(validateQuizFileName("pascal1.txt")).toEqual({
+        isValid: true,
+        value: "pascal1.txt",
+      });
+    });
+
+    test("should accept Moodle GIFT and Aiken files", () => {
+      expect(validateQuizFileName("bank.gift").isValid).toBe(true);
+      expect(validateQuizFileName("test.aiken").isValid).toBe(true);
+    });
+
+    test("should reject paths outside of quizzes folder", () => {
+      const result = validateQuizFileName("../config/index.txt");
+
+      expect(result.isValid).toBe(false);
+      expect(result.error).toContain("путь");
+      expect(validateQuizFileName("sub\\quiz.txt").isValid).toBe(false);
+    });
+
+    test("should reject other extensions", () => {
+      expect(validateQuizFileName("quiz.md").isValid).toBe(false);
+    });
+  });
+
   describe("validateQuizSelection", () => {
     test("should validate valid quiz selection", () => {
       const result = validateQuizSelection({
@@ -287,6 +451,18 @@ describe("validation middleware", () => {
     });
   });
 
+  describe("validateMediaAction", () => {
+    test("should accept playback commands", () => {
+      expect(validateMediaAction("play")).toEqual({ isValid: true, value: "play" });
+      expect(validateMediaAction("replay").isValid).toBe(true);
+    });
+
+    test("should reject unknown commands", () => {
+      expect(validateMediaAction("stop").error).toContain("Неизвестная команда");
+      expect(validateMediaAction(undefined).isValid).toBe(false);
+    });
+  });
+
   describe("validateResponseTime", () => {
     test("should validate valid response time", () => {
       const result = validateResponseTime(5.5);
@@ -0,0 +1,47 @@
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+const GameService = require("../../../src/services/gameService");
+
+// Скрипт браузера выполняется с объектом window вместо страницы
+function loadRichText() {
+  const window = {};
+  const code = fs.readFileSync(path.join(__dirname, "../../../public/js/richText.js"), "utf-8");
+  vm.runInNewContext(code, { window });
+  return window.RichText;
+}
+
+describe("RichText", () => {
+  const RichText = loadRichText();
+
+  describe("escapeHtml", () => {
+    test("should escape markup and quotes", () => {
+      expect(RichText.escapeHtml("<b class=\"x\">'a' & b</b>")).toBe(
+        "&lt;b class=&quot;x&quot;&gt;&#39;a&#39; &amp; b&lt;/b&gt;",
+      );
+    });
+
+    test("should neutralize script in player's text answer", () => {
+      const gameService = new GameService();
+      gameService.quizData = [
+        {
+          type: "text",
+          question: "Какая функция вводит данные?",
+          questionImg: null,
+          options: [],
+          correct: ["input()"],
+          textMatch: { ignoreCase: true, trimSpaces: true, foldYo: true },
+        },
+      ];
+      gameService.getNextQuestion();
+      gameService.processAnswer("Аня", "<img src=x onerror=alert(document.cookie)>", 1);
+
+      const [answer] = gameService.getQuestionAnalytics(0).distractors;
+
+      expect(answer.text).toBe("<img src=x onerror=alert(document.cookie)>");
+      expect(RichText.escapeHtml(answer.text)).toBe(
+        "&lt;img src=x onerror=alert(document.cookie)&gt;",
+      );
+    });
+  });
+});
@@ -0,0 +1,157 @@
+const ArchiveService = require("../../../src/services/archiveService");
+const GameService = require("../../../src/services/gameService");
+const XLSX = require("xlsx");
+
+describe("ArchiveService", () => {
+  let saved;
+  let store;
+  let archive;
+  let room;
+
+  beforeEach(() => {
+    saved = new Map();
+    store = {
+      save: jest.fn((record) => saved.set(record.id, JSON.parse(JSON.stringify(record)))),
+      list: jest.fn(() => Array.from(saved.values())),
+      get: jest.fn((id) => saved.get(id) || null),
+    };
+    archive = new ArchiveService(store);
+
+    const gameService = new GameService();
+    gameService.quizFileName = "test.txt";
+    gameService.settings = { shuffle: false, questionCount: 2, timeLimit: 15 };
+    gameService.quizData = [
+      { question: "Вопрос 1", options: [{ text: "A" }, { text: "B" }], correct: 0 },
+      { question: "Вопрос 2", options: [{ text: "A" }, { text: "B" }], correct: 1 },
+    ];
+    room = { code: "123456", gameService };
+  });
+
+  /**
+   * Проводит игру из двух вопросов: Аня отвечает верно, Боря ошибается
+   */
+  function playGame() {
+    const { gameService } = room;
+    gameService.getNextQuestion();
+    gameService.processAnswer("Аня", 0, 2);
+    gameService.processAnswer("Боря", 1, 4);
+    gameService.endCurrentQuestion();
+    gameService.getNextQuestion();
+    gameService.processAnswer("Аня", 1, 3);
+    gameService.endCurrentQuestion();
+    gameService.getNextQuestion();
+  }
+
+  describe("archiveGame", () => {
+    test("should not archive game that has not started", () => {
+      expect(archive.archiveGame(room)).toBeNull();
+      expect(store.save).not.toHaveBeenCalled();
+    });
+
+    test("should save finished game with settings and times", () => {
+      playGame();
+
+      const id = archive.archiveGame(room);
+
+      const record = saved.get(id);
+      expect(id).toBe(`${room.gameService.startedAt}-123456`);
+      expect(record).toMatchObject({
+        pin: "123456",
+        quizFileName: "test.txt",
+        settings: { shuffle: false, questionCount: 2, timeLimit: 15 },
+        startedAt: room.gameService.startedAt,
+        finishedAt: room.gameService.finishedAt,
+        isFinished: true,
+        playerCount: 2,
+        questionCount: 2,
+      });
+      expect(record.game.playerAnswers["Боря"]).toHaveLength(1);
+    });
+
+    test("should overwrite record of the same game", () => {
+      playGame();
+
+      archive.archiveGame(room);
+      archive.archiveGame(room);
+
+      expect(saved.size).toBe(1);
+    });
+
+    test("should do nothing when archive is disabled", () => {
+      playGame();
+
+      expect(new ArchiveService().archiveGame(room)).toBeNull();
+      expect(new ArchiveService().listGames()).toEqual([]);
+      expect(new ArchiveService().getGame("any")).toBeNull();
+    });
+
+    test("should not throw when store fails", () => {
+      const consoleSpy = jest.spyOn(console, "error").mockImplementation();
+      store.save.mockImplementation(() => {
+        throw new Error("disk full");
+      });
+      playGame();
+
+      expect(archive.archiveGame(room)).toBeNull();
+      expect(consoleSpy).toHaveBeenCalled();
+      consoleSpy.mockRestore();
+    });
+  });
+
+  describe("getGame", () => {
+    test("should return ranking and item analysis of archived game", () => {
+      playGame();
+      const id = archive.archiveGame(room);
+
+      const game = archive.getGame(id);
+
+      expect(game.game).toBeUndefined();
+      expect(game.quizFileName).toBe("test.txt");
+      expect(game.players.map((player) => player.nickname)).toEqual(["Аня", "Боря"]);
+      expect(game.players[0]).toMatchObject({ totalAnswers: 2, correctAnswers: 2 });
+      expect(game.itemAnalysis.questions).toHaveLength(2);
+    });
+
+    test("should return null for unknown id", () => {
+      expect(archive.getGame("unknown")).toBeNull();
+      expect(archive.getGame(null)).toBeNull();
+    });
+
+    test("should not pass ids outside archive format to store", () => {
+      playGame();
+      archive.archiveGame(room);
+
+      expect(archive.getGame("../../config/index")).toBeNull();
+      expect(archive.exportGame("../game-1-2", "csv")).toBeNull();
+      expect(store.get).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("exportGame", () => {
+    test("should re-export archived game", () => {
+      playGame();
+      const id = archive.archiveGame(room);
+      room.gameService.resetGame();
+
+      const csv = archive.exportGame(id, "csv");
+      const xlsx = archive.exportGame(id, "xlsx");
+
+      expect(csv.filename).toMatch(/^quiz_results_\d{4}-\d{2}-\d{2}_123456\.csv$/);
+      expect(csv.content).toMatch(/"Боря",0,1,0,0\.00%,4\.00/);
+      expect(xlsx.filename).toMatch(/\.xlsx$/);
+      const workbook = XLSX.read(xlsx.content, { type: "buffer" });
+      expect(workbook.SheetNames).toContain("Ответы игроков");
+    });
+
+    test("should export game without players", () => {
+      room.gameService.getNextQuestion();
+      const id = archive.archiveGame(room);
+
+      expect(() => archive.exportGame(id, "xlsx")).not.toThrow();
+    });
+
+    test("should return null for unknown id", () => {
+      expect(archive.exportGame("unknown", "csv")).toBeNull();
+    });
+  });
+});
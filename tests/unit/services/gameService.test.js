@@ -1,4 +1,4 @@
-const gameService = require("../../../src/services/gameService");
+const GameService = require("../../../src/services/gameService");
 const { loadQuizFile, shuffleArray } = require("../../../src/utils/quizParser");
 
 // Mock the quiz parser
@@ -9,8 +9,7 @@ describe("GameService", () => {
   let mockQuizData;
 
   beforeEach(() => {
-    gameService = require("../../../src/services/gameService");
-    gameService.resetGame();
+    gameService = new GameService();
     mockQuizData = [
       {
         question: "Question 1?",
@@ -50,6 +49,17 @@ describe("GameService", () => {
       expect(gameService.currentQuestionIndex).toBe(-1);
     });
 
+    test("should remember quiz settings for the archive", () => {
+      loadQuizFile.mockReturnValue(mockQuizData);
+      shuffleArray.mockImplementation((arr) => arr);
+
+      gameService.loadQuiz("test.txt", true, 1, 30);
+
+      expect(gameService.settings).toEqual({ shuffle: true, questionCount: 1, timeLimit: 30 });
+      expect(gameService.startedAt).toBeNull();
+      expect(gameService.finishedAt).toBeNull();
+    });
+
     test("should shuffle questions when shuffle is true", () => {
       loadQuizFile.mockReturnValue(mockQuizData);
       shuffleArray.mockImplementation((arr) => [...arr].reverse()); // Mock shuffle
@@ -62,6 +72,45 @@ describe("GameService", () => {
       expect(shuffleArray).toHaveBeenCalledWith(mockQuizData);
     });
 
+    test("should shuffle items of ordering questions and keep correct order", () => {
+      loadQuizFile.mockReturnValue([
+        {
+          type: "order",
+          question: "Stages?",
+          questionImg: null,
+          options: [{ text: "Edit" }, { text: "Compile" }, { text: "Link" }],
+          correct: [0, 1, 2],
+        },
+      ]);
+      shuffleArray.mockImplementation((arr) => [...arr].reverse());
+
+      gameService.loadQuiz("test.txt", false, null);
+
+      const [question] = gameService.quizData;
+      expect(question.options.map((option) => option.text)).toEqual(["Link", "Compile", "Edit"]);
+      expect(question.correct).toEqual([2, 1, 0]);
+    });
+
+    test("should shuffle pair options of matching questions and keep correct pairs", () => {
+      loadQuizFile.mockReturnValue([
+        {
+          type: "match",
+          question: "Devices?",
+          questionImg: null,
+          options: [{ text: "Keyboard" }, { text: "Monitor" }],
+          targets: [{ text: "Input" }, { text: "Output" }],
+          correct: [0, 1],
+        },
+      ]);
+      shuffleArray.mockImplementation((arr) => [...arr].reverse());
+
+      gameService.loadQuiz("test.txt", false, null);
+
+      const [question] = gameService.quizData;
+      expect(question.targets.map((target) => target.text)).toEqual(["Output", "Input"]);
+      expect(question.correct).toEqual([1, 0]);
+    });
+
     test("should limit questions when questionCount is specified", () => {
       loadQuizFile.mockReturnValue(mockQuizData);
       shuffleArray.mockImplementation((arr) => arr);
@@ -117,6 +166,21 @@ describe("GameService", () => {
 
       expect(question).toBeNull();
     });
+
+    test("should record start and finish time of the game", () => {
+      gameService.getNextQuestion();
+      const { startedAt } = gameService;
+      expect(startedAt).toEqual(expect.any(Number));
+
+      gameService.endCurrentQuestion();
+      gameService.getNextQuestion();
+      expect(gameService.startedAt).toBe(startedAt);
+      expect(gameService.finishedAt).toBeNull();
+
+      gameService.endCurrentQuestion();
+      gameService.getNextQuestion();
+      expect(gameService.finishedAt).toBeGreaterThanOrEqual(startedAt);
+    });
   });
 
   describe("endCurrentQuestion", () => {
@@ -136,6 +200,17 @@ describe("GameService", () => {
       expect(gameService.isQuestionActive).toBe(false);
     });
 
+    test("should return explanation of the answer", () => {
+      const explanation = { text: "Paris is the capital", img: "/media/paris.jpg" };
+      gameService.quizData = [{ ...mockQuizData[0], explanation }];
+
+      expect(gameService.endCurrentQuestion().explanation).toEqual(explanation);
+    });
+
+    test("should return null explanation when question has none", () => {
+      expect(gameService.endCurrentQuestion().explanation).toBeNull();
+    });
+
     test("should return null when no active question", () => {
       gameService.isQuestionActive = false;
 
@@ -198,6 +273,484 @@ describe("GameService", () => {
     });
   });
 
+  describe("multiple correct answers", () => {
+    const config = require("../../../config");
+    const originalMode = config.game.scoring.multipleMode;
+
+    beforeEach(() => {
+      gameService.quizData = [
+        {
+          type: "multiple",
+          question: "Even numbers?",
+          questionImg: null,
+          options: [{ text: "2" }, { text: "3" }, { text: "4" }, { text: "5" }],
+          correct: [0, 2],
+        },
+      ];
+      gameService.getNextQuestion();
+    });
+
+    afterEach(() => {
+      config.game.scoring.multipleMode = originalMode;
+    });
+
+    test("should tell clients about question type", () => {
+      expect(gameService.getCurrentQuestion().type).toBe("multiple");
+      expect(gameService.getCurrentQuestion()).not.toHaveProperty("correct");
+    });
+
+    test("should award points only for exact selection in all-or-nothing mode", () => {
+      config.game.scoring.multipleMode = "all";
+
+      const exact = gameService.processAnswer("Аня", [0, 2], 0);
+      const partial = gameService.processAnswer("Боря", [0], 0);
+
+      expect(exact).toMatchObject({ isCorrect: true, scoreEarned: 100 });
+      expect(partial).toMatchObject({ isCorrect: false, scoreEarned: 0 });
+    });
+
+    test("should give share of points per correct option in partial mode", () => {
+      config.game.scoring.multipleMode = "partial";
+
+      const half = gameService.processAnswer("Аня", [0], 0);
+      const cancelled = gameService.processAnswer("Боря", [0, 1], 0);
+      const penalized = gameService.processAnswer("Вика", [0, 1, 3], 0);
+      const full = gameService.processAnswer("Гена", [0, 2], 0);
+
+      expect(half).toMatchObject({ isCorrect: false, scoreEarned: 50 });
+      expect(cancelled).toMatchObject({ isCorrect: false, scoreEarned: 0 });
+      expect(penalized).toMatchObject({ isCorrect: false, scoreEarned: 0 });
+      expect(full).toMatchObject({ isCorrect: true, scoreEarned: 100 });
+      expect(gameService.getAllPlayersScores()).toEqual({ Аня: 50, Гена: 100 });
+    });
+
+    test("should count votes for every selected option", () => {
+      gameService.processAnswer("Аня", [0, 2], 1);
+      gameService.processAnswer("Боря", [0, 1], 1);
+
+      expect(gameService.votes).toEqual({ 0: 2, 1: 1, 2: 1 });
+      expect(gameService.getQuestionAnalytics(0).optionVotes).toEqual([2, 1, 1, 0]);
+      expect(gameService.endCurrentQuestion().correctAnswer).toEqual([0, 2]);
+    });
+
+    test("should mark all correct options in distractor analysis", () => {
+      gameService.processAnswer("Аня", [0, 1], 1);
+      gameService.processAnswer("Боря", [0, 1], 1);
+      gameService.processAnswer("Вика", [0, 2], 1);
+
+      const distractors = gameService.getQuestionAnalytics(0).distractors;
+
+      expect(distractors.map((option) => option.isCorrect)).toEqual([true, false, true, false]);
+      // Неверный вариант выбирают чаще наименее популярного правильного
+      expect(distractors[1].isStrongerThanCorrect).toBe(true);
+    });
+  });
+
+  describe("free-text answers", () => {
+    beforeEach(() => {
+      gameService.quizData = [
+        {
+          type: "text",
+          question: "Which function reads input?",
+          questionImg: null,
+          options: [],
+          correct: ["input()", "/^input$/"],
+          textMatch: { ignoreCase: true, trimSpaces: true, foldYo: true },
+        },
+      ];
+      gameService.getNextQuestion();
+    });
+
+    test("should check typed answer and keep it", () => {
+      const correct = gameService.processAnswer("Аня", "Input()", 0);
+      const wrong = gameService.processAnswer("Боря", "print()", 0);
+
+      expect(correct).toMatchObject({ isCorrect: true, scoreEarned: 100 });
+      expect(wrong).toMatchObject({ isCorrect: false, scoreEarned: 0 });
+      expect(gameService.getPlayerAnswer("Аня")).toEqual({
+        answerText: "Input()",
+        isCorrect: true,
+        scoreEarned: 100,
+      });
+      expect(gameService.votes).toEqual({});
+    });
+
+    test("should group typed answers in question analytics", () => {
+      gameService.processAnswer("Аня", "print()", 1);
+      gameService.processAnswer("Боря", "PRINT()", 1);
+      gameService.processAnswer("Вика", "input", 1);
+
+      const analytics = gameService.getQuestionAnalytics(0);
+
+      expect(analytics.type).toBe("text");
+      expect(analytics.submissions).toHaveLength(3);
+      expect(analytics.distractors).toEqual([
+        {
+          text: "print()",
+          votes: 2,
+          percent: (2 / 3) * 100,
+          isCorrect: false,
+          isUnchosen: false,
+          isStrongerThanCorrect: true,
+        },
+        {
+          text: "input",
+          votes: 1,
+          percent: (1 / 3) * 100,
+          isCorrect: true,
+          isUnchosen: false,
+          isStrongerThanCorrect: false,
+        },
+      ]);
+    });
+
+    test("should reveal accepted answers without regular expressions", () => {
+      expect(gameService.endCurrentQuestion().correctAnswer).toEqual(["input()"]);
+    });
+  });
+
+  describe("ordering questions", () => {
+    const config = require("../../../config");
+    const originalMode = config.game.scoring.orderMode;
+
+    beforeEach(() => {
+      gameService.quizData = [
+        {
+          type: "order",
+          question: "Stages of building a program?",
+          questionImg: null,
+          options: [{ text: "Link" }, { text: "Edit" }, { text: "Run" }, { text: "Compile" }],
+          correct: [1, 3, 0, 2],
+        },
+      ];
+      gameService.getNextQuestion();
+    });
+
+    afterEach(() => {
+      config.game.scoring.orderMode = originalMode;
+    });
+
+    test("should award points only for exact order in exact mode", () => {
+      config.game.scoring.orderMode = "exact";
+
+      const exact = gameService.processAnswer("Аня", [1, 3, 0, 2], 0);
+      const swapped = gameService.processAnswer("Боря", [3, 1, 0, 2], 0);
+
+      expect(exact).toMatchObject({ isCorrect: true, scoreEarned: 100 });
+      expect(swapped).toMatchObject({ isCorrect: false, scoreEarned: 0 });
+      expect(gameService.getPlayerAnswer("Аня").answerOrder).toEqual([1, 3, 0, 2]);
+      expect(gameService.votes).toEqual({});
+    });
+
+    test("should give share of points by Kendall distance in kendall mode", () => {
+      config.game.scoring.orderMode = "kendall";
+
+      const swapped = gameService.processAnswer("Аня", [3, 1, 0, 2], 0);
+      const reversed = gameService.processAnswer("Боря", [2, 0, 3, 1], 0);
+
+      // Одна пара из шести переставлена
+      expect(swapped).toMatchObject({ isCorrect: false, scoreEarned: 83 });
+      expect(reversed).toMatchObject({ isCorrect: false, scoreEarned: 0 });
+    });
+
+    test("should show most common submitted orders", () => {
+      gameService.processAnswer("Аня", [3, 1, 0, 2], 1);
+      gameService.processAnswer("Боря", [3, 1, 0, 2], 1);
+      gameService.processAnswer("Вика", [1, 3, 0, 2], 1);
+
+      const { distractors } = gameService.getQuestionAnalytics(0);
+
+      expect(distractors).toEqual([
+        {
+          text: "Compile → Edit → Link → Run",
+          votes: 2,
+          percent: (2 / 3) * 100,
+          isCorrect: false,
+          isUnchosen: false,
+          isStrongerThanCorrect: true,
+        },
+        {
+          text: "Edit → Compile → Link → Run",
+          votes: 1,
+          percent: (1 / 3) * 100,
+          isCorrect: true,
+          isUnchosen: false,
+          isStrongerThanCorrect: false,
+        },
+      ]);
+    });
+  });
+
+  describe("matching questions", () => {
+    beforeEach(() => {
+      gameService.quizData = [
+        {
+          type: "match",
+          question: "Match devices and categories",
+          questionImg: null,
+          options: [{ text: "Keyboard" }, { text: "Monitor" }, { text: "Mouse" }, { text: "SSD" }],
+          targets: [{ text: "Output" }, { text: "Input" }, { text: "Storage" }],
+          correct: [1, 0, 1, 2],
+        },
+      ];
+      gameService.getNextQuestion();
+    });
+
+    test("should send pair options to clients", () => {
+      expect(gameService.getCurrentQuestion().targets).toEqual([
+        { text: "Output" },
+        { text: "Input" },
+        { text: "Storage" },
+      ]);
+    });
+
+    test("should give share of points per correct pair", () => {
+      const all = gameService.processAnswer("Аня", [1, 0, 1, 2], 0);
+      const half = gameService.processAnswer("Боря", [1, 1, 0, 2], 0);
+
+      expect(all).toMatchObject({ isCorrect: true, scoreEarned: 100 });
+      expect(half).toMatchObject({ isCorrect: false, scoreEarned: 50 });
+      expect(gameService.getPlayerAnswer("Боря").answerPairs).toEqual([1, 1, 0, 2]);
+    });
+
+    test("should show correctness of every pair", () => {
+      gameService.processAnswer("Аня", [1, 0, 1, 2], 1);
+      gameService.processAnswer("Боря", [1, 1, 0, 2], 1);
+
+      const { distractors } = gameService.getQuestionAnalytics(0);
+
+      expect(distractors.map((pair) => [pair.text, pair.votes, pair.isCorrect])).toEqual([
+        ["Keyboard → Input", 2, true],
+        ["Monitor → Output", 1, true],
+        ["Monitor → Input", 1, false],
+        ["Mouse → Input", 1, true],
+        ["Mouse → Output", 1, false],
+        ["SSD → Storage", 2, true],
+      ]);
+      expect(distractors[0].percent).toBe(100);
+    });
+
+    test("should flag wrong pair chosen more often than correct one", () => {
+      gameService.processAnswer("Аня", [0, 0, 1, 2], 1);
+      gameService.processAnswer("Боря", [0, 0, 1, 2], 1);
+
+      const { distractors } = gameService.getQuestionAnalytics(0);
+
+      expect(distractors[0]).toMatchObject({ text: "Keyboard → Input", isUnchosen: true });
+      expect(distractors[1]).toMatchObject({
+        text: "Keyboard → Output",
+        isStrongerThanCorrect: true,
+      });
+    });
+  });
+
+  describe("numeric answers", () => {
+    beforeEach(() => {
+      gameService.quizData = [
+        {
+          type: "numeric",
+          question: "How many bytes in a kilobyte?",
+          questionImg: null,
+          options: [],
+          correct: { value: 1024, tolerance: 0.5 },
+        },
+      ];
+      gameService.getNextQuestion();
+    });
+
+    test("should accept answer within tolerance and keep it", () => {
+      const correct = gameService.processAnswer("Аня", 1024.5, 0);
+      const wrong = gameService.processAnswer("Боря", 1000, 0);
+
+      expect(correct).toMatchObject({ isCorrect: true, scoreEarned: 100 });
+      expect(wrong).toMatchObject({ isCorrect: false, scoreEarned: 0 });
+      expect(gameService.getPlayerAnswer("Аня")).toEqual({
+        answerValue: 1024.5,
+        isCorrect: true,
+        scoreEarned: 100,
+      });
+    });
+
+    test("should build histogram of submitted numbers", () => {
+      gameService.processAnswer("Аня", 1000, 1);
+      gameService.processAnswer("Боря", 1024, 1);
+      gameService.processAnswer("Вика", 1000, 1);
+
+      const analytics = gameService.getQuestionAnalytics(0);
+
+      expect(analytics.distractors).toEqual([]);
+      expect(analytics.histogram).toEqual([
+        { from: 1000, to: 1000, count: 2, isCorrect: false },
+        { from: 1024, to: 1024, count: 1, isCorrect: true },
+      ]);
+    });
+
+    test("should reveal formatted answer", () => {
+      expect(gameService.endCurrentQuestion().correctAnswer).toEqual(["1024 ± 0.5"]);
+    });
+  });
+
+  describe("true/false questions", () => {
+    test("should score like single-answer question", () => {
+      gameService.quizData = [
+        {
+          type: "truefalse",
+          question: "Python is compiled?",
+          questionImg: null,
+          options: [{ text: "Да" }, { text: "Нет" }],
+          correct: 1,
+        },
+      ];
+      gameService.getNextQuestion();
+
+      expect(gameService.processAnswer("Аня", 1, 0)).toMatchObject({
+        isCorrect: true,
+        scoreEarned: 100,
+      });
+      expect(gameService.processAnswer("Боря", 0, 0)).toMatchObject({ isCorrect: false });
+      expect(gameService.endCurrentQuestion().correctAnswer).toBe(1);
+    });
+  });
+
+  describe("polls", () => {
+    beforeEach(() => {
+      gameService.quizData = [
+        {
+          type: "poll",
+          question: "Favourite language?",
+          questionImg: null,
+          options: [{ text: "Python" }, { text: "Pascal" }, { text: "C" }],
+          correct: null,
+        },
+      ];
+      gameService.getNextQuestion();
+    });
+
+    test("should not score answers", () => {
+      const result = gameService.processAnswer("Аня", 0, 0);
+
+      expect(result).toMatchObject({ success: true, isCorrect: null, scoreEarned: 0 });
+      expect(gameService.getAllPlayersScores()).toEqual({});
+      expect(gameService.getPlayerStats("Аня")).toMatchObject({ totalAnswers: 1, accuracy: 0 });
+    });
+
+    test("should count votes without correct option", () => {
+      gameService.processAnswer("Аня", 0, 1);
+      gameService.processAnswer("Боря", 0, 1);
+      gameService.processAnswer("Вика", 1, 1);
+
+      const { distractors } = gameService.getQuestionAnalytics(-1);
+
+      expect(distractors.map((option) => [option.text, option.votes])).toEqual([
+        ["Python", 2],
+        ["Pascal", 1],
+        ["C", 0],
+      ]);
+      expect(distractors.some((option) => option.isCorrect)).toBe(false);
+      expect(distractors.some((option) => option.isStrongerThanCorrect)).toBe(false);
+    });
+
+    test("should not reveal correct answer", () => {
+      expect(gameService.endCurrentQuestion().correctAnswer).toBeNull();
+    });
+  });
+
+  describe("current question state", () => {
+    beforeEach(() => {
+      gameService.quizData = mockQuizData;
+    });
+
+    test("should return active question with remaining time", () => {
+      gameService.getNextQuestion();
+      gameService.questionStartTime = Date.now() - 5000;
+
+      const question = gameService.getCurrentQuestion();
+
+      expect(question.question).toBe("Question 1?");
+      expect(question.questionNumber).toBe(1);
+      expect(question.totalQuestions).toBe(mockQuizData.length);
+      expect(question.timeLeft).toBe(10);
+      expect(question.correct).toBeUndefined();
+    });
+
+    test("should return null when question is not active", () => {
+      expect(gameService.getCurrentQuestion()).toBeNull();
+
+      gameService.getNextQuestion();
+      gameService.endCurrentQuestion();
+
+      expect(gameService.getCurrentQuestion()).toBeNull();
+    });
+
+    test("should remember player answer until next question", () => {
+      gameService.getNextQuestion();
+      gameService.processAnswer("player1", 1, 5);
+
+      expect(gameService.getPlayerAnswer("player1")).toEqual({
+        answerIndex: 1,
+        isCorrect: false,
+        scoreEarned: 0,
+      });
+      expect(gameService.getPlayerAnswer("player2")).toBeNull();
+
+      gameService.endCurrentQuestion();
+      gameService.getNextQuestion();
+
+      expect(gameService.getPlayerAnswer("player1")).toBeNull();
+    });
+
+    test("should not count current pause in remaining time", () => {
+      gameService.getNextQuestion();
+      gameService.questionStartTime = Date.now() - 8000;
+      gameService.isPaused = true;
+      gameService.pauseStartTime = Date.now() - 5000;
+
+      expect(gameService.getRemainingTime()).toBe(12);
+    });
+
+    test("should build state snapshot for host", () => {
+      gameService.quizFileName = "test.txt";
+      gameService.getNextQuestion();
+      gameService.processAnswer("player1", 0, 5);
+      gameService.togglePause();
+
+      const snapshot = gameService.getStateSnapshot();
+
+      expect(snapshot).toEqual(
+        expect.objectContaining({
+          fileName: "test.txt",
+          totalQuestions: mockQuizData.length,
+          currentQuestionIndex: 0,
+          isQuestionActive: true,
+          votes: { 0: 1 },
+          scores: { player1: expect.any(Number) },
+          isPaused: true,
+          timeLeft: 15,
+        }),
+      );
+      expect(snapshot.question.question).toBe("Question 1?");
+    });
+
+    test("should build snapshot before first question", () => {
+      const snapshot = gameService.getStateSnapshot();
+
+      expect(snapshot.question).toBeNull();
+      expect(snapshot.currentQuestionIndex).toBe(-1);
+      expect(snapshot.timeLeft).toBe(0);
+    });
+
+    test("should reset pause state for next question", () => {
+      gameService.getNextQuestion();
+      gameService.togglePause();
+      gameService.endCurrentQuestion();
+
+      gameService.getNextQuestion();
+
+      expect(gameService.isGamePaused()).toBe(false);
+      expect(gameService.totalPausedTime).toBe(0);
+    });
+  });
+
   describe("analytics", () => {
     beforeEach(() => {
       gameService.quizData = mockQuizData;
@@ -397,6 +950,95 @@ describe("GameService", () => {
     });
   });
 
+  describe("getElapsedTime", () => {
+    test("should exclude paused time", () => {
+      const now = Date.now();
+      gameService.questionStartTime = now - 10000;
+      gameService.totalPausedTime = 3000;
+      gameService.isPaused = true;
+      gameService.pauseStartTime = now - 2000;
+
+      expect(gameService.getElapsedTime()).toBeCloseTo(5, 0);
+    });
+  });
+
+  describe("state persistence", () => {
+    beforeEach(() => {
+      loadQuizFile.mockReturnValue(mockQuizData);
+      shuffleArray.mockImplementation((arr) => arr);
+      gameService.loadQuiz("test.txt", false, null);
+      gameService.getNextQuestion();
+      gameService.processAnswer("player1", 0, 2);
+    });
+
+    test("should notify about state changes", () => {
+      const onStateChange = jest.fn();
+      gameService.onStateChange = onStateChange;
+
+      gameService.processAnswer("player2", 1, 3);
+      gameService.togglePause();
+      gameService.endCurrentQuestion();
+
+      expect(onStateChange).toHaveBeenCalledTimes(3);
+    });
+
+    test("should survive JSON round trip", () => {
+      const state = JSON.parse(JSON.stringify(gameService.serialize()));
+      const restored = new GameService();
+
+      restored.restoreState(state);
+
+      expect(restored.quizFileName).toBe("test.txt");
+      expect(restored.getCurrentQuestion()).toEqual(gameService.getCurrentQuestion());
+      expect(restored.getAllPlayersScores()).toEqual(gameService.getAllPlayersScores());
+      expect(restored.answeredUsers.has("player1")).toBe(true);
+      expect(restored.getPlayerAnswer("player1")).toEqual(gameService.getPlayerAnswer("player1"));
+      expect(restored.votes).toEqual({ 0: 1 });
+      expect(restored.getAnalytics()).toEqual(gameService.getAnalytics());
+    });
+
+    test("should restore active question paused with the same remaining time", () => {
+      gameService.questionStartTime = Date.now() - 5000;
+      const state = gameService.serialize();
+      const restored = new GameService();
+
+      restored.restoreState(state);
+
+      expect(restored.isCurrentQuestionActive()).toBe(true);
+      expect(restored.isGamePaused()).toBe(true);
+      expect(restored.getRemainingTime()).toBe(state.timeLeft);
+
+      restored.togglePause();
+      expect(restored.getRemainingTime()).toBe(state.timeLeft);
+    });
+
+    test("should keep gaps in question stats after JSON round trip", () => {
+      gameService.endCurrentQuestion();
+      gameService.getNextQuestion();
+      // На первый вопрос никто не ответил
+      const [questionStat] = gameService.answerAnalytics.questionStats;
+      gameService.answerAnalytics.questionStats = [];
+      gameService.answerAnalytics.questionStats[1] = questionStat;
+      const restored = new GameService();
+
+      restored.restoreState(JSON.parse(JSON.stringify(gameService.serialize())));
+
+      expect(0 in restored.answerAnalytics.questionStats).toBe(false);
+      expect(restored.getQuestionAnalytics(1).totalAnswers).toBe(1);
+      expect(() => restored.exportResultsToExcel()).not.toThrow();
+    });
+
+    test("should not pause restored finished question", () => {
+      gameService.endCurrentQuestion();
+      const restored = new GameService();
+
+      restored.restoreState(gameService.serialize());
+
+      expect(restored.isCurrentQuestionActive()).toBe(false);
+      expect(restored.isGamePaused()).toBe(false);
+    });
+  });
+
   describe("loadQuiz with custom time limit", () => {
     test("should store custom time limit", () => {
       loadQuizFile.mockReturnValue(mockQuizData);
@@ -420,6 +1062,92 @@ describe("GameService", () => {
     });
   });
 
+  describe("per-question time limit and points", () => {
+    beforeEach(() => {
+      gameService.quizData = [
+        { question: "Easy", options: [{ text: "A" }, { text: "B" }], correct: 0 },
+        {
+          question: "Hard",
+          options: [{ text: "A" }, { text: "B" }],
+          correct: 0,
+          timeLimit: 40,
+          points: 200,
+        },
+      ];
+      gameService.customTimeLimit = 20;
+    });
+
+    test("should use host time limit as default", () => {
+      expect(gameService.getNextQuestion().timeLeft).toBe(20);
+      expect(gameService.processAnswer("Аня", 0, 30)).toEqual({
+        success: false,
+        reason: "time_expired",
+      });
+    });
+
+    test("should use question time limit and points", () => {
+      gameService.currentQuestionIndex = 0;
+      const question = gameService.getNextQuestion();
+
+      expect(question).toMatchObject({ timeLeft: 40, points: 200 });
+      expect(gameService.getRemainingTime()).toBe(40);
+      expect(gameService.processAnswer("Аня", 0, 0).scoreEarned).toBe(200);
+      // За самый поздний ответ — минимальный балл в той же пропорции: 20 из 100 → 40 из 200
+      expect(gameService.processAnswer("Боря", 0, 40).scoreEarned).toBe(40);
+    });
+  });
+
+  describe("timer after media", () => {
+    beforeEach(() => {
+      gameService.quizData = [
+        {
+          question: "Чья это музыка?",
+          questionMedia: { type: "audio", src: "/media/mozart.mp3" },
+          timerAfterMedia: true,
+          options: [{ text: "Моцарт" }, { text: "Бах" }],
+          correct: 0,
+        },
+      ];
+    });
+
+    test("should wait for media before counting time", () => {
+      const question = gameService.getNextQuestion();
+
+      expect(question).toMatchObject({
+        questionMedia: { type: "audio", src: "/media/mozart.mp3" },
+        waitingForMedia: true,
+        timeLeft: 15,
+      });
+      gameService.questionStartTime = Date.now() - 30000;
+      expect(gameService.getRemainingTime()).toBe(15);
+      expect(gameService.togglePause()).toBe(false);
+      expect(gameService.processAnswer("Аня", 0, 0)).toEqual({
+        success: false,
+        reason: "waiting_for_media",
+      });
+    });
+
+    test("should start time after media ends", () => {
+      gameService.getNextQuestion();
+
+      expect(gameService.startTimerAfterMedia()).toBe(true);
+      expect(gameService.isTimerWaitingForMedia()).toBe(false);
+      expect(gameService.getCurrentQuestion().waitingForMedia).toBe(false);
+      expect(gameService.processAnswer("Аня", 0, 1).success).toBe(true);
+      expect(gameService.startTimerAfterMedia()).toBe(false);
+    });
+
+    test("should keep waiting after restore", () => {
+      gameService.getNextQuestion();
+      const restored = new GameService();
+      restored.restoreState(JSON.parse(JSON.stringify(gameService.serialize())));
+
+      expect(restored.isTimerWaitingForMedia()).toBe(true);
+      expect(restored.isGamePaused()).toBe(false);
+      expect(restored.getRemainingTime()).toBe(15);
+    });
+  });
+
   describe("getNextQuestion with question image", () => {
     test("should include question image in response", () => {
       const quizWithImage = [
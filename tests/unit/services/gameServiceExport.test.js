@@ -1,8 +1,10 @@
-const gameService = require("../../../src/services/gameService");
+const GameService = require("../../../src/services/gameService");
 
 describe("GameService Export", () => {
+  let gameService;
+
   beforeEach(() => {
-    gameService.resetGame();
+    gameService = new GameService();
   });
 
   describe("exportResults", () => {
@@ -10,7 +12,7 @@ describe("GameService Export", () => {
       // Подготавливаем данные для теста
       gameService.scores = {
         "player1": 100,
-        "player2": 80
+        "player2": 80,
       };
       
       gameService.answerAnalytics = {
@@ -24,9 +26,9 @@ describe("GameService Export", () => {
             totalAnswers: 2,
             correctAnswers: 1,
             averageResponseTime: 12.5,
-            responseTimes: [10.2, 14.8]
-          }
-        ]
+            responseTimes: [10.2, 14.8],
+          },
+        ],
       };
 
       const result = gameService.exportResults();
@@ -50,7 +52,7 @@ describe("GameService Export", () => {
       // Подготавливаем данные для теста
       gameService.scores = {
         "player1": 100,
-        "player2": 80
+        "player2": 80,
       };
       
       gameService.answerAnalytics = {
@@ -64,9 +66,9 @@ describe("GameService Export", () => {
             totalAnswers: 2,
             correctAnswers: 1,
             averageResponseTime: 12.5,
-            responseTimes: [10.2, 14.8]
-          }
-        ]
+            responseTimes: [10.2, 14.8],
+          },
+        ],
       };
 
       const result = gameService.exportResults("xlsx");
@@ -84,4 +86,437 @@ describe("GameService Export", () => {
       expect(Buffer.isBuffer(xlsxResult)).toBe(true);
     });
   });
-});
\ No newline at end of file
+
+  describe("per-player results", () => {
+    const XLSX = require("xlsx");
+
+    beforeEach(() => {
+      gameService.quizData = [
+        {
+          question: "Столица Франции?",
+          options: [{ text: "Париж" }, { text: "Лион" }],
+          correct: 0,
+        },
+        {
+          question: "2 + 2?",
+          options: [{ text: "3" }, { text: "4" }],
+          correct: 1,
+        },
+      ];
+
+      // Аня отвечает на оба вопроса верно, Боря — один раз неверно
+      gameService.getNextQuestion();
+      gameService.processAnswer("Аня", 0, 3);
+      gameService.processAnswer("Боря", 1, 5);
+      gameService.endCurrentQuestion();
+      gameService.getNextQuestion();
+      gameService.processAnswer("Аня", 1, 7);
+      gameService.endCurrentQuestion();
+    });
+
+    it("should record every answer of each player", () => {
+      expect(gameService.playerAnswers["Аня"]).toEqual([
+        { questionIndex: 0, answerIndex: 0, isCorrect: true, timeElapsed: 3, scoreEarned: expect.any(Number) },
+        { questionIndex: 1, answerIndex: 1, isCorrect: true, timeElapsed: 7, scoreEarned: expect.any(Number) },
+      ]);
+      expect(gameService.playerAnswers["Боря"]).toEqual([
+        { questionIndex: 0, answerIndex: 1, isCorrect: false, timeElapsed: 5, scoreEarned: 0 },
+      ]);
+    });
+
+    it("should calculate totals per player", () => {
+      expect(gameService.getPlayerStats("Аня")).toEqual({
+        score: gameService.scores["Аня"],
+        totalAnswers: 2,
+        correctAnswers: 2,
+        accuracy: 100,
+        averageResponseTime: 5,
+      });
+      expect(gameService.getPlayerStats("Боря")).toEqual({
+        score: 0,
+        totalAnswers: 1,
+        correctAnswers: 0,
+        accuracy: 0,
+        averageResponseTime: 5,
+      });
+    });
+
+    it("should build player by question matrix", () => {
+      const [first, second] = gameService.playerAnswers["Аня"];
+
+      expect(gameService.getPlayerQuestionMatrix()).toEqual([
+        ["Никнейм", "Вопрос 1", "Вопрос 2", "Итого"],
+        ["Аня", first.scoreEarned, second.scoreEarned, gameService.scores["Аня"]],
+        ["Боря", 0, "", 0],
+      ]);
+    });
+
+    it("should export individual rows to CSV", () => {
+      const csv = gameService.exportResults("csv");
+
+      expect(csv).toContain("\"Аня\"," + gameService.scores["Аня"] + ",2,2,100.00%,5.00");
+      expect(csv).toContain("\"Боря\",0,1,0,0.00%,5.00");
+      expect(csv).toContain("=== ОТВЕТЫ ИГРОКОВ ===");
+      expect(csv).toContain("\"Боря\",1,\"Столица Франции?\",\"2. Лион\",нет,5.00,0");
+      expect(csv).toContain("=== БАЛЛЫ: ИГРОК × ВОПРОС ===");
+      expect(csv).toContain("\"Боря\",0,,0");
+    });
+
+    it("should export answers and matrix sheets to Excel", () => {
+      const workbook = XLSX.read(gameService.exportResults("xlsx"), { type: "buffer" });
+
+      expect(workbook.SheetNames).toEqual([
+        "Общая статистика",
+        "По вопросам",
+        "Ответы игроков",
+        "Игрок × вопрос",
+        "Анализ дистракторов",
+        "Анализ заданий",
+        "Время ответов",
+      ]);
+
+      const general = XLSX.utils.sheet_to_json(workbook.Sheets["Общая статистика"], { header: 1 });
+      expect(general[2]).toEqual(["Боря", 0, 1, 0, 0, 5]);
+
+      const answers = XLSX.utils.sheet_to_json(workbook.Sheets["Ответы игроков"], { header: 1 });
+      expect(answers).toHaveLength(4);
+      expect(answers[3]).toEqual(["Боря", 1, "Столица Франции?", "2. Лион", "нет", 5, 0]);
+    });
+  });
+
+  describe("distractor analysis", () => {
+    const XLSX = require("xlsx");
+
+    beforeEach(() => {
+      gameService.quizData = [
+        {
+          question: "Столица Австралии?",
+          options: [{ text: "Канберра" }, { text: "Сидней" }, { text: "Мельбурн" }, { text: "Перт" }],
+          correct: 0,
+        },
+      ];
+
+      gameService.getNextQuestion();
+      gameService.processAnswer("Аня", 0, 3);
+      gameService.processAnswer("Боря", 1, 4);
+      gameService.processAnswer("Вика", 1, 5);
+      gameService.processAnswer("Гена", 2, 6);
+      gameService.endCurrentQuestion();
+      gameService.getNextQuestion();
+    });
+
+    it("should keep option votes after the next question starts", () => {
+      const analytics = gameService.getQuestionAnalytics(0);
+
+      expect(analytics.optionVotes).toEqual([1, 2, 1, 0]);
+      expect(analytics.distractors).toEqual([
+        { text: "Канберра", votes: 1, percent: 25, isCorrect: true, isUnchosen: false, isStrongerThanCorrect: false },
+        { text: "Сидней", votes: 2, percent: 50, isCorrect: false, isUnchosen: false, isStrongerThanCorrect: true },
+        { text: "Мельбурн", votes: 1, percent: 25, isCorrect: false, isUnchosen: false, isStrongerThanCorrect: false },
+        { text: "Перт", votes: 0, percent: 0, isCorrect: false, isUnchosen: true, isStrongerThanCorrect: false },
+      ]);
+    });
+
+    it("should flag distractors in Excel export", () => {
+      const workbook = XLSX.read(gameService.exportResults("xlsx"), { type: "buffer" });
+      const rows = XLSX.utils.sheet_to_json(workbook.Sheets["Анализ дистракторов"], { header: 1 });
+
+      expect(rows).toHaveLength(5);
+      expect(rows[1]).toEqual([1, "Столица Австралии?", "Канберра", "да", 1, 25, ""]);
+      expect(rows[2]).toEqual([1, "Столица Австралии?", "Сидней", "нет", 2, 50, "Выбирают чаще правильного"]);
+      expect(rows[4]).toEqual([1, "Столица Австралии?", "Перт", "нет", 0, 0, "Никто не выбрал"]);
+    });
+  });
+
+  describe("multiple correct answers", () => {
+    const XLSX = require("xlsx");
+    const config = require("../../../config");
+    const originalMode = config.game.scoring.multipleMode;
+
+    beforeEach(() => {
+      config.game.scoring.multipleMode = "partial";
+      gameService.quizData = [
+        {
+          type: "multiple",
+          question: "Чётные числа?",
+          options: [{ text: "2" }, { text: "3" }, { text: "4" }],
+          correct: [0, 2],
+        },
+      ];
+
+      gameService.getNextQuestion();
+      gameService.processAnswer("Аня", [0, 2], 0);
+      gameService.processAnswer("Боря", [0], 0);
+      gameService.endCurrentQuestion();
+    });
+
+    afterEach(() => {
+      config.game.scoring.multipleMode = originalMode;
+    });
+
+    it("should export all selected options and partial credit to CSV", () => {
+      const csv = gameService.exportResults("csv");
+
+      expect(csv).toContain("\"Аня\",1,\"Чётные числа?\",\"1. 2; 3. 4\",да,0.00,100");
+      expect(csv).toContain("\"Боря\",1,\"Чётные числа?\",\"1. 2\",частично,0.00,50");
+    });
+
+    it("should mark every correct option in Excel distractor sheet", () => {
+      const workbook = XLSX.read(gameService.exportResults("xlsx"), { type: "buffer" });
+      const rows = XLSX.utils.sheet_to_json(workbook.Sheets["Анализ дистракторов"], { header: 1 });
+
+      expect(rows.slice(1).map((row) => row[3])).toEqual(["да", "нет", "да"]);
+      expect(rows[3][4]).toBe(1);
+    });
+  });
+
+  describe("free-text answers", () => {
+    beforeEach(() => {
+      gameService.quizData = [
+        {
+          type: "text",
+          question: "Функция ввода?",
+          options: [],
+          correct: ["input()"],
+          textMatch: { ignoreCase: true, trimSpaces: true, foldYo: true },
+        },
+      ];
+
+      gameService.getNextQuestion();
+      gameService.processAnswer("Аня", "input()", 0);
+      gameService.processAnswer("Боря", "ввод, \"да\"", 0);
+      gameService.endCurrentQuestion();
+    });
+
+    it("should export typed answers to CSV", () => {
+      const csv = gameService.exportResults("csv");
+
+      expect(csv).toContain("\"Аня\",1,\"Функция ввода?\",\"input()\",да,0.00,100");
+      expect(csv).toContain("\"Боря\",1,\"Функция ввода?\",\"ввод, \"\"да\"\"\",нет,0.00,0");
+    });
+  });
+
+  describe("ordering questions", () => {
+    beforeEach(() => {
+      gameService.quizData = [
+        {
+          type: "order",
+          question: "Этапы?",
+          options: [{ text: "Компиляция" }, { text: "Написание кода" }],
+          correct: [1, 0],
+        },
+      ];
+
+      gameService.getNextQuestion();
+      gameService.processAnswer("Аня", [1, 0], 0);
+      gameService.endCurrentQuestion();
+    });
+
+    it("should export submitted order to CSV", () => {
+      const csv = gameService.exportResults("csv");
+
+      expect(csv).toContain("\"Аня\",1,\"Этапы?\",\"Написание кода → Компиляция\",да,0.00,100");
+    });
+  });
+
+  describe("matching questions", () => {
+    beforeEach(() => {
+      gameService.quizData = [
+        {
+          type: "match",
+          question: "Устройства?",
+          options: [{ text: "Клавиатура" }, { text: "Монитор" }],
+          targets: [{ text: "Ввод" }, { text: "Вывод" }],
+          correct: [0, 1],
+        },
+      ];
+
+      gameService.getNextQuestion();
+      gameService.processAnswer("Аня", [0, 0], 0);
+      gameService.endCurrentQuestion();
+    });
+
+    it("should export chosen pairs and partial credit to CSV", () => {
+      const csv = gameService.exportResults("csv");
+
+      expect(csv).toContain("\"Аня\",1,\"Устройства?\",\"Клавиатура → Ввод; Монитор → Ввод\",частично,0.00,50");
+    });
+  });
+
+  describe("numeric answers", () => {
+    beforeEach(() => {
+      gameService.quizData = [
+        {
+          type: "numeric",
+          question: "Сколько байт в килобайте?",
+          options: [],
+          correct: { value: 1024, tolerance: 0 },
+        },
+      ];
+
+      gameService.getNextQuestion();
+      gameService.processAnswer("Аня", 1024, 0);
+      gameService.processAnswer("Боря", 1000.5, 0);
+      gameService.endCurrentQuestion();
+    });
+
+    it("should export entered numbers to CSV", () => {
+      const csv = gameService.exportResults("csv");
+
+      expect(csv).toContain("\"Аня\",1,\"Сколько байт в килобайте?\",\"1024\",да,0.00,100");
+      expect(csv).toContain("\"Боря\",1,\"Сколько байт в килобайте?\",\"1000.5\",нет,0.00,0");
+    });
+  });
+
+  describe("explanations", () => {
+    const XLSX = require("xlsx");
+
+    beforeEach(() => {
+      gameService.quizData = [
+        {
+          question: "Что возвращает input()?",
+          options: [{ text: "int" }, { text: "str" }],
+          correct: 1,
+          explanation: { text: "Всегда \"str\"", img: null },
+        },
+      ];
+
+      gameService.getNextQuestion();
+      gameService.processAnswer("Аня", 1, 2);
+      gameService.endCurrentQuestion();
+    });
+
+    it("should export explanation with question statistics", () => {
+      const csv = gameService.exportResults("csv");
+      expect(csv).toContain("\"Что возвращает input()?\",1,1,100.00%,2.00,\"Всегда \"\"str\"\"\"");
+
+      const workbook = XLSX.read(gameService.exportResults("xlsx"), { type: "buffer" });
+      const rows = XLSX.utils.sheet_to_json(workbook.Sheets["По вопросам"], { header: 1 });
+      expect(rows[0][5]).toBe("Пояснение");
+      expect(rows[1][5]).toBe("Всегда \"str\"");
+    });
+  });
+
+  describe("formulas", () => {
+    const XLSX = require("xlsx");
+
+    beforeEach(() => {
+      gameService.quizData = [
+        {
+          question: "Чему равно $\\frac{1}{2} + \\frac{1}{4}$?",
+          options: [{ text: "$\\frac{3}{4}$" }, { text: "$\\frac{2}{6}$" }],
+          correct: 0,
+          explanation: { text: "$\\frac{1}{2} = \\frac{2}{4}$", img: null },
+        },
+      ];
+
+      gameService.getNextQuestion();
+      gameService.processAnswer("Аня", 0, 2);
+      gameService.endCurrentQuestion();
+    });
+
+    it("should export formulas as plain text", () => {
+      const csv = gameService.exportResults("csv");
+      expect(csv).toContain("\"Чему равно 1/2 + 1/4?\",1,1,100.00%,2.00,\"1/2 = 2/4\"");
+      expect(csv).toContain("\"Аня\",1,\"Чему равно 1/2 + 1/4?\",\"1. 3/4\",да");
+
+      const workbook = XLSX.read(gameService.exportResults("xlsx"), { type: "buffer" });
+      const questionRows = XLSX.utils.sheet_to_json(workbook.Sheets["По вопросам"], { header: 1 });
+      expect(questionRows[1][0]).toBe("Чему равно 1/2 + 1/4?");
+      const distractorRows = XLSX.utils.sheet_to_json(workbook.Sheets["Анализ дистракторов"], { header: 1 });
+      expect(distractorRows[1].slice(1, 3)).toEqual(["Чему равно 1/2 + 1/4?", "3/4"]);
+    });
+  });
+
+  describe("polls", () => {
+    beforeEach(() => {
+      gameService.quizData = [
+        {
+          type: "poll",
+          question: "Какой язык вам нравится?",
+          options: [{ text: "Python" }, { text: "Pascal" }],
+          correct: null,
+        },
+        { question: "Вопрос 2", options: [{ text: "A" }, { text: "B" }], correct: 0 },
+      ];
+
+      gameService.getNextQuestion();
+      gameService.processAnswer("Аня", 0, 1);
+      gameService.processAnswer("Боря", 1, 1);
+      gameService.endCurrentQuestion();
+      gameService.getNextQuestion();
+      gameService.processAnswer("Аня", 0, 1);
+      gameService.processAnswer("Боря", 1, 1);
+      gameService.endCurrentQuestion();
+    });
+
+    it("should mark poll answers without correctness", () => {
+      const csv = gameService.exportResults("csv");
+
+      expect(csv).toContain("\"Аня\",1,\"Какой язык вам нравится?\",\"1. Python\",опрос,1.00,0");
+      expect(csv).toContain("\"Аня\",95,2,1,100.00%,1.00");
+      expect(csv).toContain("\"Боря\",0,2,0,0.00%,1.00");
+    });
+
+    it("should leave polls out of item analysis", () => {
+      const analysis = gameService.getItemAnalysis();
+
+      expect(analysis.questions.map((item) => item.questionNumber)).toEqual([2]);
+      expect(analysis.questions[0].difficulty).toBe(0.5);
+    });
+  });
+
+  describe("item analysis", () => {
+    const XLSX = require("xlsx");
+
+    beforeEach(() => {
+      gameService.quizData = [
+        { question: "Вопрос 1", options: [{ text: "A" }, { text: "B" }], correct: 0 },
+        { question: "Вопрос 2", options: [{ text: "A" }, { text: "B" }], correct: 0 },
+        { question: "Вопрос 3", options: [{ text: "A" }, { text: "B" }], correct: 0 },
+      ];
+
+      // Ответы игроков: Аня 3 из 3, Боря 2, Вика 1, Гена не отвечал
+      const answers = [["Аня", "Боря", "Вика"], ["Аня", "Боря"], ["Аня"]];
+      answers.forEach((correctPlayers) => {
+        gameService.getNextQuestion();
+        correctPlayers.forEach((nickname) => gameService.processAnswer(nickname, 0, 2));
+        gameService.processAnswer("Гена", 1, 2);
+        gameService.endCurrentQuestion();
+      });
+    });
+
+    it("should analyze asked questions using per-player answers", () => {
+      const analysis = gameService.getItemAnalysis();
+
+      expect(analysis.playerCount).toBe(4);
+      expect(analysis.kr20).toBeCloseTo(0.75, 5);
+      expect(analysis.questions.map((item) => item.question)).toEqual(["Вопрос 1", "Вопрос 2", "Вопрос 3"]);
+      expect(analysis.questions[0].difficulty).toBe(0.75);
+      expect(analysis.questions[1].discrimination).toBeCloseTo(0.894, 3);
+    });
+
+    it("should include item analysis in exports", () => {
+      const csv = gameService.exportResults("csv");
+      expect(csv).toContain("=== АНАЛИЗ ЗАДАНИЙ ===");
+      expect(csv).toContain("Надёжность KR-20,0.75");
+      expect(csv).toContain("2,\"Вопрос 2\",0.50,0.89,\"\"");
+
+      const workbook = XLSX.read(gameService.exportResults("xlsx"), { type: "buffer" });
+      const rows = XLSX.utils.sheet_to_json(workbook.Sheets["Анализ заданий"], { header: 1 });
+      expect(rows[0]).toEqual(["Надёжность KR-20", 0.75]);
+      expect(rows[4][1]).toBe("Вопрос 1");
+    });
+
+    it("should export question that was asked but not answered", () => {
+      gameService.resetGame();
+      gameService.quizData = [{ question: "Вопрос 1", options: [{ text: "A" }, { text: "B" }], correct: 0 }];
+      gameService.getNextQuestion();
+      gameService.endCurrentQuestion();
+
+      expect(gameService.getItemAnalysis().questions[0]).toMatchObject({ difficulty: null, discrimination: null });
+      expect(() => gameService.exportResults("csv")).not.toThrow();
+      expect(() => gameService.exportResults("xlsx")).not.toThrow();
+    });
+  });
+});
@@ -0,0 +1,267 @@
+const RoomManager = require("../../../src/services/roomManager");
+const GameService = require("../../../src/services/gameService");
+const config = require("../../../config");
+
+describe("RoomManager", () => {
+  let roomManager;
+
+  beforeEach(() => {
+    roomManager = new RoomManager();
+  });
+
+  describe("createRoom", () => {
+    test("should create room with isolated game service", () => {
+      const room1 = roomManager.createRoom();
+      const room2 = roomManager.createRoom();
+
+      expect(room1.gameService).toBeInstanceOf(GameService);
+      expect(room1.gameService).not.toBe(room2.gameService);
+      expect(room1.activeSockets).not.toBe(room2.activeSockets);
+      expect(room1.currentTimer).toBeNull();
+      expect(room1.hostSocketId).toBeNull();
+      expect(room1.isOpen).toBe(false);
+      expect(roomManager.getRoomCount()).toBe(2);
+    });
+
+    test("should generate unique numeric PINs of configured length", () => {
+      const codes = new Set();
+      for (let i = 0; i < config.rooms.maxRooms; i++) {
+        const room = roomManager.createRoom();
+        expect(room.code).toMatch(new RegExp(`^[1-9]\\d{${config.rooms.pinLength - 1}}$`));
+        codes.add(room.code);
+      }
+
+      expect(codes.size).toBe(config.rooms.maxRooms);
+    });
+
+    test("should return null when room limit is reached", () => {
+      for (let i = 0; i < config.rooms.maxRooms; i++) {
+        roomManager.createRoom();
+      }
+
+      expect(roomManager.createRoom()).toBeNull();
+    });
+  });
+
+  describe("getRoom", () => {
+    test("should find room by code ignoring surrounding spaces", () => {
+      const room = roomManager.createRoom();
+
+      expect(roomManager.getRoom(room.code)).toBe(room);
+      expect(roomManager.getRoom(` ${room.code} `)).toBe(room);
+    });
+
+    test("should return null for unknown or invalid code", () => {
+      expect(roomManager.getRoom("000000")).toBeNull();
+      expect(roomManager.getRoom(null)).toBeNull();
+      expect(roomManager.getRoom(1234)).toBeNull();
+    });
+
+    test("should find room for socket", () => {
+      const room = roomManager.createRoom();
+
+      expect(roomManager.getRoomForSocket({ roomCode: room.code })).toBe(room);
+      expect(roomManager.getRoomForSocket({})).toBeNull();
+    });
+  });
+
+  describe("getPlayerNames", () => {
+    test("should list only sockets with nicknames", () => {
+      const room = roomManager.createRoom();
+      room.activeSockets.set("host", { id: "host", isHost: true });
+      room.activeSockets.set("p1", { id: "p1", nickname: "Аня" });
+      room.activeSockets.set("p2", { id: "p2", nickname: "Боря" });
+
+      expect(roomManager.getPlayerNames(room)).toEqual(["Аня", "Боря"]);
+    });
+  });
+
+  describe("getRoomByHostToken", () => {
+    test("should find room by host token", () => {
+      const room1 = roomManager.createRoom();
+      const room2 = roomManager.createRoom();
+
+      expect(room1.hostToken).toMatch(/^[a-f0-9]{32}$/);
+      expect(room1.hostToken).not.toBe(room2.hostToken);
+      expect(roomManager.getRoomByHostToken(room2.hostToken)).toBe(room2);
+      expect(roomManager.getRoomByHostToken("unknown")).toBeNull();
+    });
+  });
+
+  describe("sessions", () => {
+    test("should create session token for nickname", () => {
+      const room = roomManager.createRoom();
+
+      const token = roomManager.createSession(room, "Аня");
+
+      expect(token).toMatch(/^[a-f0-9]{32}$/);
+      expect(roomManager.getSessionNickname(room, token)).toBe("Аня");
+      expect(roomManager.getSessionNickname(room, "unknown")).toBeNull();
+    });
+
+    test("should invalidate previous token of the same nickname", () => {
+      const room = roomManager.createRoom();
+      const oldToken = roomManager.createSession(room, "Аня");
+      const otherToken = roomManager.createSession(room, "Боря");
+
+      const newToken = roomManager.createSession(room, "Аня");
+
+      expect(newToken).not.toBe(oldToken);
+      expect(roomManager.getSessionNickname(room, oldToken)).toBeNull();
+      expect(roomManager.getSessionNickname(room, otherToken)).toBe("Боря");
+    });
+
+    test("should keep sessions separate between rooms", () => {
+      const room1 = roomManager.createRoom();
+      const room2 = roomManager.createRoom();
+      const token = roomManager.createSession(room1, "Аня");
+
+      expect(roomManager.getSessionNickname(room2, token)).toBeNull();
+    });
+  });
+
+  describe("removeRoom", () => {
+    test("should remove room and clear its timer", () => {
+      const room = roomManager.createRoom();
+      const clearTimer = jest.fn();
+      room.currentTimer = { clearTimer };
+
+      expect(roomManager.removeRoom(room.code)).toBe(true);
+      expect(clearTimer).toHaveBeenCalled();
+      expect(roomManager.getRoom(room.code)).toBeNull();
+    });
+
+    test("should return false for unknown room", () => {
+      expect(roomManager.removeRoom("000000")).toBe(false);
+    });
+
+    test("should remove room only when host and players are gone", () => {
+      const room = roomManager.createRoom();
+      room.hostSocketId = "host";
+      room.activeSockets.set("p1", { id: "p1", nickname: "Аня" });
+
+      expect(roomManager.removeRoomIfEmpty(room.code)).toBe(false);
+
+      room.hostSocketId = null;
+      expect(roomManager.removeRoomIfEmpty(room.code)).toBe(false);
+
+      room.activeSockets.clear();
+      expect(roomManager.removeRoomIfEmpty(room.code)).toBe(true);
+      expect(roomManager.getRoomCount()).toBe(0);
+    });
+
+    test("should keep empty room while waiting for host", () => {
+      jest.useFakeTimers();
+      const room = roomManager.createRoom();
+      room.hostAbsenceTimer = setTimeout(() => {}, 1000);
+
+      expect(roomManager.removeRoomIfEmpty(room.code)).toBe(false);
+
+      expect(roomManager.removeRoom(room.code)).toBe(true);
+      expect(room.hostAbsenceTimer).toBeNull();
+      expect(jest.getTimerCount()).toBe(0);
+      jest.useRealTimers();
+    });
+  });
+
+  describe("persistence", () => {
+    let store;
+    let saved;
+
+    beforeEach(() => {
+      saved = new Map();
+      store = {
+        save: jest.fn((code, snapshot) => saved.set(code, JSON.parse(JSON.stringify(snapshot)))),
+        loadAll: jest.fn(() => Array.from(saved.values())),
+        remove: jest.fn((code) => saved.delete(code)),
+      };
+      roomManager = new RoomManager(store);
+    });
+
+    /**
+     * Создает комнату с загруженным квизом и начатым вопросом
+     */
+    function createPlayingRoom() {
+      const room = roomManager.createRoom();
+      room.gameService.quizFileName = "test.txt";
+      room.gameService.quizData = [
+        { question: "Q?", questionImg: null, options: [{ text: "A" }, { text: "B" }], correct: 0 },
+      ];
+      room.gameService.getNextQuestion();
+      return room;
+    }
+
+    test("should save room snapshot on game state change", () => {
+      const room = createPlayingRoom();
+      const token = roomManager.createSession(room, "Аня");
+      room.gameService.processAnswer("Аня", 0, 1);
+
+      const snapshot = saved.get(room.code);
+      expect(snapshot.hostToken).toBe(room.hostToken);
+      expect(snapshot.sessions).toEqual([[token, "Аня"]]);
+      expect(snapshot.game.scores).toEqual(room.gameService.getAllPlayersScores());
+    });
+
+    test("should not interrupt game when store fails", () => {
+      const consoleSpy = jest.spyOn(console, "error").mockImplementation();
+      store.save.mockImplementation(() => {
+        throw new Error("disk full");
+      });
+
+      expect(() => createPlayingRoom()).not.toThrow();
+      expect(consoleSpy).toHaveBeenCalled();
+      consoleSpy.mockRestore();
+    });
+
+    test("should restore rooms as interrupted games", () => {
+      const room = createPlayingRoom();
+      const token = roomManager.createSession(room, "Аня");
+
+      const restartedManager = new RoomManager(store);
+      expect(restartedManager.restoreRooms()).toBe(1);
+
+      const restored = restartedManager.getRoom(room.code);
+      expect(restored.isRestored).toBe(true);
+      expect(restored.hostToken).toBe(room.hostToken);
+      expect(restartedManager.getSessionNickname(restored, token)).toBe("Аня");
+      expect(restored.gameService.isGamePaused()).toBe(true);
+      expect(restartedManager.getInterruptedGames()).toEqual([
+        {
+          pin: room.code,
+          fileName: "test.txt",
+          questionNumber: 1,
+          totalQuestions: 1,
+          players: 1,
+          createdAt: room.createdAt,
+        },
+      ]);
+      expect(restartedManager.removeRoomIfEmpty(room.code)).toBe(false);
+    });
+
+    test("should drop snapshots of rooms without quiz", () => {
+      const room = roomManager.createRoom();
+      roomManager.saveRoom(room);
+
+      expect(new RoomManager(store).restoreRooms()).toBe(0);
+      expect(saved.has(room.code)).toBe(false);
+    });
+
+    test("should archive game of removed room", () => {
+      const archive = { archiveGame: jest.fn() };
+      roomManager = new RoomManager(store, archive);
+      const room = createPlayingRoom();
+
+      roomManager.removeRoom(room.code);
+
+      expect(archive.archiveGame).toHaveBeenCalledWith(room);
+    });
+
+    test("should remove snapshot with room", () => {
+      const room = createPlayingRoom();
+
+      roomManager.removeRoom(room.code);
+
+      expect(saved.has(room.code)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,47 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const JsonResultsArchive = require("../../../src/stores/jsonResultsArchive");
+
+describe("JsonResultsArchive", () => {
+  let dir;
+  let archive;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "akaquiz-archive-"));
+    archive = new JsonResultsArchive(path.join(dir, "archive"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test("should list summaries newest first without game data", () => {
+    archive.save({ id: "1000-123456", startedAt: 1000, game: { scores: {} } });
+    archive.save({ id: "2000-654321", startedAt: 2000, game: { scores: {} } });
+
+    expect(archive.list()).toEqual([
+      { id: "2000-654321", startedAt: 2000 },
+      { id: "1000-123456", startedAt: 1000 },
+    ]);
+  });
+
+  test("should return full record by id", () => {
+    const record = { id: "1000-123456", startedAt: 1000, game: { scores: { Аня: 90 } } };
+    archive.save(record);
+    archive.save({ ...record, finishedAt: 5000 });
+
+    expect(archive.get("1000-123456")).toEqual({ ...record, finishedAt: 5000 });
+    expect(archive.get("unknown")).toBeNull();
+    expect(archive.list()).toHaveLength(1);
+  });
+
+  test("should skip corrupt files", () => {
+    const consoleSpy = jest.spyOn(console, "error").mockImplementation();
+    archive.save({ id: "1000-123456", startedAt: 1000, game: {} });
+    fs.writeFileSync(path.join(archive.dir, "game-2000-654321.json"), "{oops");
+
+    expect(archive.list()).toEqual([{ id: "1000-123456", startedAt: 1000 }]);
+    consoleSpy.mockRestore();
+  });
+});
@@ -0,0 +1,54 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const JsonStateStore = require("../../../src/stores/jsonStateStore");
+
+describe("JsonStateStore", () => {
+  let dir;
+  let store;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "akaquiz-json-"));
+    store = new JsonStateStore(path.join(dir, "rooms"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test("should save and load snapshots", () => {
+    store.save("123456", { code: "123456", game: { currentQuestionIndex: 2 } });
+    store.save("654321", { code: "654321", game: { currentQuestionIndex: 0 } });
+
+    const snapshots = store.loadAll();
+
+    expect(snapshots).toHaveLength(2);
+    expect(snapshots).toContainEqual({ code: "123456", game: { currentQuestionIndex: 2 } });
+  });
+
+  test("should overwrite snapshot without leaving temporary files", () => {
+    store.save("123456", { code: "123456", version: 1 });
+    store.save("123456", { code: "123456", version: 2 });
+
+    expect(store.loadAll()).toEqual([{ code: "123456", version: 2 }]);
+    expect(fs.readdirSync(store.dir)).toEqual(["room-123456.json"]);
+  });
+
+  test("should skip corrupt files", () => {
+    const consoleSpy = jest.spyOn(console, "error").mockImplementation();
+    store.save("123456", { code: "123456" });
+    fs.writeFileSync(path.join(store.dir, "room-654321.json"), "{oops");
+
+    expect(store.loadAll()).toEqual([{ code: "123456" }]);
+    consoleSpy.mockRestore();
+  });
+
+  test("should remove snapshot", () => {
+    store.save("123456", { code: "123456" });
+
+    store.remove("123456");
+    store.remove("000000");
+
+    expect(store.loadAll()).toEqual([]);
+  });
+});
@@ -0,0 +1,42 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const SqliteStateStore = require("../../../src/stores/sqliteStateStore");
+const SqliteResultsArchive = require("../../../src/stores/sqliteResultsArchive");
+
+describe("SqliteResultsArchive", () => {
+  let dir;
+  let stateStore;
+  let archive;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "akaquiz-sqlite-archive-"));
+    stateStore = new SqliteStateStore(path.join(dir, "game-state.sqlite"));
+    archive = new SqliteResultsArchive(stateStore.db);
+  });
+
+  afterEach(() => {
+    stateStore.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test("should list summaries newest first without game data", () => {
+    archive.save({ id: "1000-123456", startedAt: 1000, game: { scores: {} } });
+    archive.save({ id: "2000-654321", startedAt: 2000, game: { scores: {} } });
+
+    expect(archive.list()).toEqual([
+      { id: "2000-654321", startedAt: 2000 },
+      { id: "1000-123456", startedAt: 1000 },
+    ]);
+  });
+
+  test("should overwrite and return full record by id", () => {
+    const record = { id: "1000-123456", startedAt: 1000, game: { scores: { Аня: 90 } } };
+    archive.save(record);
+    archive.save({ ...record, finishedAt: 5000 });
+
+    expect(archive.get("1000-123456")).toEqual({ ...record, finishedAt: 5000 });
+    expect(archive.get("unknown")).toBeNull();
+    expect(archive.list()).toHaveLength(1);
+  });
+});
@@ -0,0 +1,47 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const SqliteStateStore = require("../../../src/stores/sqliteStateStore");
+
+describe("SqliteStateStore", () => {
+  let dir;
+  let store;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "akaquiz-sqlite-"));
+    store = new SqliteStateStore(path.join(dir, "game-state.sqlite"));
+  });
+
+  afterEach(() => {
+    store.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test("should save, overwrite and load snapshots", () => {
+    store.save("123456", { code: "123456", version: 1 });
+    store.save("123456", { code: "123456", version: 2 });
+    store.save("654321", { code: "654321", version: 1 });
+
+    const snapshots = store.loadAll();
+
+    expect(snapshots).toHaveLength(2);
+    expect(snapshots).toContainEqual({ code: "123456", version: 2 });
+  });
+
+  test("should keep snapshots after reopening database", () => {
+    store.save("123456", { code: "123456" });
+    store.close();
+
+    store = new SqliteStateStore(path.join(dir, "game-state.sqlite"));
+
+    expect(store.loadAll()).toEqual([{ code: "123456" }]);
+  });
+
+  test("should remove snapshot", () => {
+    store.save("123456", { code: "123456" });
+
+    store.remove("123456");
+
+    expect(store.loadAll()).toEqual([]);
+  });
+});
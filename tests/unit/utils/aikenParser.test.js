@@ -0,0 +1,54 @@
+const {
+  parseAikenContent,
+  parseAikenQuestion,
+  splitAikenQuestions,
+} = require("../../../src/utils/aikenParser");
+
+describe("aikenParser", () => {
+  test("should parse question with lettered options", () => {
+    expect(
+      parseAikenQuestion(`Какая функция выводит данные?
+A. input
+B) print
+C. len
+ANSWER: B`),
+    ).toEqual({
+      type: "single",
+      question: "Какая функция выводит данные?",
+      questionImg: null,
+      options: [
+        { text: "input", img: null },
+        { text: "print", img: null },
+        { text: "len", img: null },
+      ],
+      correct: 1,
+    });
+  });
+
+  test("should parse several answer letters as multiple choice", () => {
+    const question = parseAikenQuestion("Чётные числа\nA. 2\nB. 3\nC. 4\nANSWER: A, C");
+
+    expect(question.type).toBe("multiple");
+    expect(question.correct).toEqual([0, 2]);
+  });
+
+  test("should mark unknown answer letter", () => {
+    expect(parseAikenQuestion("Вопрос\nA. Да\nB. Нет\nANSWER: D").correct).toBe(-1);
+    expect(parseAikenQuestion("Вопрос\nA. Да\nB. Нет").correct).toBe(-1);
+  });
+
+  test("should skip block without options", () => {
+    expect(parseAikenQuestion("Просто текст\nANSWER: A")).toBeNull();
+  });
+
+  test("should split questions by answer lines and empty lines", () => {
+    const content =
+      "Первый?\nA. Да\nB. Нет\nANSWER: A\nВторой?\r\nA. Да\r\nB. Нет\r\nANSWER: B\r\n";
+
+    expect(splitAikenQuestions(content)).toEqual([
+      { text: "Первый?\nA. Да\nB. Нет\nANSWER: A", line: 1 },
+      { text: "Второй?\nA. Да\nB. Нет\nANSWER: B", line: 5 },
+    ]);
+    expect(parseAikenContent(content).map((question) => question.correct)).toEqual([0, 1]);
+  });
+});
@@ -0,0 +1,142 @@
+const {
+  parseGiftContent,
+  parseGiftQuestion,
+  splitGiftQuestions,
+} = require("../../../src/utils/giftParser");
+
+describe("giftParser", () => {
+  test("should parse single choice with title and answer feedback", () => {
+    expect(
+      parseGiftQuestion("::Q1:: Какая функция выводит данные? {=print#Верно ~input ~len}"),
+    ).toEqual({
+      type: "single",
+      question: "Какая функция выводит данные?",
+      questionImg: null,
+      options: [
+        { text: "print", img: null },
+        { text: "input", img: null },
+        { text: "len", img: null },
+      ],
+      correct: 0,
+      explanation: { text: "Верно", img: null },
+    });
+  });
+
+  test("should parse multiple choice by answer weights", () => {
+    const question = parseGiftQuestion("Выберите чётные числа {~%50%2 ~%-100%3 ~%50%4}");
+
+    expect(question.type).toBe("multiple");
+    expect(question.correct).toEqual([0, 2]);
+  });
+
+  test("should parse true/false with feedback for right answer", () => {
+    expect(parseGiftQuestion("Python — интерпретируемый язык {TRUE#Подумайте#Верно!}")).toEqual({
+      type: "truefalse",
+      question: "Python — интерпретируемый язык",
+      questionImg: null,
+      options: [
+        { text: "Да", img: null },
+        { text: "Нет", img: null },
+      ],
+      correct: 0,
+      explanation: { text: "Верно!", img: null },
+    });
+    expect(parseGiftQuestion("Земля плоская {F}").correct).toBe(1);
+  });
+
+  test("should parse short answer with full credit answers only", () => {
+    const question = parseGiftQuestion(
+      "Функция ввода в Python? {=input =%100%input() =%50%raw_input}",
+    );
+
+    expect(question).toMatchObject({
+      type: "text",
+      options: [],
+      correct: ["input", "input()"],
+      textMatch: { ignoreCase: true, trimSpaces: true, foldYo: true },
+    });
+  });
+
+  test("should parse numeric answers", () => {
+    expect(parseGiftQuestion("Сколько бит в байте? {#8}").correct).toEqual({
+      value: 8,
+      tolerance: 0,
+    });
+    expect(parseGiftQuestion("Число пи {#3.14:0.01}").correct).toEqual({
+      value: 3.14,
+      tolerance: 0.01,
+    });
+    expect(parseGiftQuestion("От 1 до 5 {#1..5}").correct).toEqual({ min: 1, max: 5 });
+    expect(parseGiftQuestion("Число пи {#=%50%3:0 =3.14:0.01#Точно}")).toMatchObject({
+      type: "numeric",
+      correct: { value: 3.14, tolerance: 0.01 },
+      explanation: { text: "Точно" },
+    });
+  });
+
+  test("should parse matching with extra answers and general feedback", () => {
+    expect(
+      parseGiftQuestion(`Соотнесите устройства {
+=Клавиатура -> Ввод
+=Мышь -> Ввод
+=Монитор -> Вывод
+= -> Хранение
+####Устройства делятся по назначению
+}`),
+    ).toEqual({
+      type: "match",
+      question: "Соотнесите устройства",
+      questionImg: null,
+      options: [
+        { text: "Клавиатура", img: null },
+        { text: "Мышь", img: null },
+        { text: "Монитор", img: null },
+      ],
+      targets: [
+        { text: "Ввод", img: null },
+        { text: "Вывод", img: null },
+        { text: "Хранение", img: null },
+      ],
+      correct: [0, 0, 1],
+      explanation: { text: "Устройства делятся по назначению", img: null },
+    });
+  });
+
+  test("should handle missing word, escapes and html", () => {
+    expect(parseGiftQuestion("Функция {~len =print} выводит текст").question).toBe(
+      "Функция _____ выводит текст",
+    );
+    expect(parseGiftQuestion("Словарь \\{ключ\\: значение\\} {=a\\=b ~c}")).toMatchObject({
+      question: "Словарь {ключ: значение}",
+      options: [{ text: "a=b" }, { text: "c" }],
+    });
+    expect(parseGiftQuestion("[html]Язык <b>Python</b> &amp; C {T}").question).toBe(
+      "Язык Python & C",
+    );
+  });
+
+  test("should skip essay and description questions", () => {
+    expect(parseGiftQuestion("Напишите эссе {}")).toBeNull();
+    expect(parseGiftQuestion("Просто текст")).toBeNull();
+  });
+
+  test("should split file into questions skipping comments and categories", () => {
+    const content = `// Банк вопросов
+$CATEGORY: $course$/top/Информатика
+
+Вопрос 1 {T}
+// комментарий внутри
+
+Вопрос 2 {
+=a
+~b
+}
+`;
+
+    expect(splitGiftQuestions(content)).toEqual([
+      { text: "Вопрос 1 {T}", line: 4 },
+      { text: "Вопрос 2 {\n=a\n~b\n}", line: 7 },
+    ]);
+    expect(parseGiftContent(content + "\nЭссе {}")).toHaveLength(2);
+  });
+});
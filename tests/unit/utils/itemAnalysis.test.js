@@ -0,0 +1,91 @@
+const {
+  difficulty,
+  pointBiserial,
+  kr20,
+  describeItem,
+  analyzeItems,
+} = require("../../../src/utils/itemAnalysis");
+
+describe("itemAnalysis", () => {
+  // Четыре игрока, три вопроса: от самого сильного к самому слабому
+  const responses = [
+    [1, 1, 1],
+    [1, 1, 0],
+    [1, 0, 0],
+    [0, 0, 0],
+  ];
+  const totals = [3, 2, 1, 0];
+
+  describe("difficulty", () => {
+    test("should return share of correct answers", () => {
+      expect(difficulty([1, 1, 1, 0])).toBe(0.75);
+      expect(difficulty([])).toBeNull();
+    });
+  });
+
+  describe("pointBiserial", () => {
+    test("should correlate item with total score", () => {
+      expect(pointBiserial([1, 1, 0, 0], totals)).toBeCloseTo(0.894, 3);
+    });
+
+    test("should be negative when weak players answer correctly", () => {
+      expect(pointBiserial([0, 0, 1, 1], totals)).toBeCloseTo(-0.894, 3);
+    });
+
+    test("should return null when everyone answered the same", () => {
+      expect(pointBiserial([1, 1, 1, 1], totals)).toBeNull();
+      expect(pointBiserial([0, 0, 0, 0], totals)).toBeNull();
+      expect(pointBiserial([1, 0], [2, 2])).toBeNull();
+    });
+  });
+
+  describe("kr20", () => {
+    test("should estimate reliability", () => {
+      expect(kr20(responses)).toBeCloseTo(0.75, 5);
+    });
+
+    test("should return null for too little data", () => {
+      expect(kr20([[1, 0]])).toBeNull();
+      expect(kr20([[1], [0]])).toBeNull();
+      expect(
+        kr20([
+          [1, 0],
+          [0, 1],
+        ]),
+      ).toBeNull();
+    });
+  });
+
+  describe("describeItem", () => {
+    test("should flag problematic items", () => {
+      expect(describeItem(0.1, 0.5)).toEqual(["Слишком сложный"]);
+      expect(describeItem(0.95, 0.5)).toEqual(["Слишком лёгкий"]);
+      expect(describeItem(0.5, 0.1)).toEqual(["Слабо различает сильных и слабых игроков"]);
+      expect(describeItem(0.5, -0.3)).toEqual([
+        "Сильные игроки ошибаются чаще — проверьте правильный ответ",
+      ]);
+      expect(describeItem(0.5, 0.5)).toEqual([]);
+      expect(describeItem(null, null)).toEqual([]);
+    });
+  });
+
+  describe("analyzeItems", () => {
+    test("should analyze every item and the whole quiz", () => {
+      const result = analyzeItems(responses, 3);
+
+      expect(result.playerCount).toBe(4);
+      expect(result.kr20).toBeCloseTo(0.75, 5);
+      expect(result.items).toHaveLength(3);
+      expect(result.items[0].difficulty).toBe(0.75);
+      expect(result.items[1].discrimination).toBeCloseTo(0.894, 3);
+    });
+
+    test("should handle quiz without players", () => {
+      expect(analyzeItems([], 1)).toEqual({
+        playerCount: 0,
+        items: [{ difficulty: null, discrimination: null, notes: [] }],
+        kr20: null,
+      });
+    });
+  });
+});
@@ -0,0 +1,32 @@
+const { countCorrectPairs, shuffleMatchTargets } = require("../../../src/utils/matchAnswer");
+
+describe("matchAnswer", () => {
+  describe("countCorrectPairs", () => {
+    test("should count items matched with their pair", () => {
+      expect(countCorrectPairs([0, 1, 0], [0, 1, 0])).toBe(3);
+      expect(countCorrectPairs([1, 1, 0], [0, 1, 0])).toBe(2);
+      expect(countCorrectPairs([1, 0, 1], [0, 1, 0])).toBe(0);
+    });
+  });
+
+  describe("shuffleMatchTargets", () => {
+    test("should keep every item matched with the same pair", () => {
+      const question = {
+        type: "match",
+        question: "Q?",
+        options: [{ text: "Клавиатура" }, { text: "Монитор" }, { text: "Мышь" }],
+        targets: [{ text: "Ввод" }, { text: "Вывод" }],
+        correct: [0, 1, 0],
+      };
+
+      const shuffled = shuffleMatchTargets(question);
+
+      expect(shuffled.correct.map((index) => shuffled.targets[index].text)).toEqual([
+        "Ввод",
+        "Вывод",
+        "Ввод",
+      ]);
+      expect(shuffled.options).toBe(question.options);
+    });
+  });
+});
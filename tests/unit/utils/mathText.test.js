@@ -0,0 +1,37 @@
+const { latexToText, toPlainText } = require("../../../src/utils/mathText");
+
+describe("mathText", () => {
+  describe("latexToText", () => {
+    test("should convert fractions", () => {
+      expect(latexToText("\\frac{1}{2}")).toBe("1/2");
+      expect(latexToText("\\dfrac{x+1}{2^{n}}")).toBe("(x+1)/(2^n)");
+    });
+
+    test("should convert powers, indexes and roots", () => {
+      expect(latexToText("x^{2} + y_1")).toBe("x^2 + y_1");
+      expect(latexToText("\\log_{2}(x+1)")).toBe("log_2(x+1)");
+      expect(latexToText("\\sqrt{x^2+1}")).toBe("√(x^2+1)");
+      expect(latexToText("\\sqrt[3]{8}")).toBe("√[3]8");
+    });
+
+    test("should replace symbols and drop sizing commands", () => {
+      expect(latexToText("a \\cdot b \\le c \\ne \\pi")).toBe("a · b ≤ c ≠ π");
+      expect(latexToText("\\left(\\frac{a}{b}\\right)^2")).toBe("(a/b)^2");
+      expect(latexToText("50\\%")).toBe("50%");
+    });
+  });
+
+  describe("toPlainText", () => {
+    test("should replace inline and display formulas", () => {
+      expect(toPlainText("Вычислите $\\frac{3}{4} + \\frac{1}{4}$:\n$$2^{10}$$")).toBe(
+        "Вычислите 3/4 + 1/4:\n2^10",
+      );
+    });
+
+    test("should keep text without formulas", () => {
+      expect(toPlainText("Цена $5")).toBe("Цена $5");
+      expect(toPlainText("")).toBe("");
+      expect(toPlainText(null)).toBeNull();
+    });
+  });
+});
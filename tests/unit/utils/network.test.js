@@ -0,0 +1,74 @@
+const os = require("os");
+const config = require("../../../config");
+const { getLanAddress, getBaseUrl, getPlayerUrl } = require("../../../src/utils/network");
+
+describe("network", () => {
+  const originalPublicUrl = config.server.publicUrl;
+  const originalPort = config.server.port;
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    config.server.publicUrl = originalPublicUrl;
+    config.server.port = originalPort;
+  });
+
+  describe("getLanAddress", () => {
+    test("should return first external IPv4 address", () => {
+      jest.spyOn(os, "networkInterfaces").mockReturnValue({
+        lo: [{ address: "127.0.0.1", family: "IPv4", internal: true }],
+        eth0: [
+          { address: "fe80::1", family: "IPv6", internal: false },
+          { address: "192.168.1.10", family: "IPv4", internal: false },
+        ],
+      });
+
+      expect(getLanAddress()).toBe("192.168.1.10");
+    });
+
+    test("should support numeric family", () => {
+      jest.spyOn(os, "networkInterfaces").mockReturnValue({
+        wlan0: [{ address: "10.0.0.5", family: 4, internal: false }],
+      });
+
+      expect(getLanAddress()).toBe("10.0.0.5");
+    });
+
+    test("should fall back to localhost", () => {
+      jest.spyOn(os, "networkInterfaces").mockReturnValue({
+        lo: [{ address: "127.0.0.1", family: "IPv4", internal: true }],
+      });
+
+      expect(getLanAddress()).toBe("localhost");
+    });
+  });
+
+  describe("getBaseUrl", () => {
+    test("should prefer configured public URL without trailing slash", () => {
+      config.server.publicUrl = "http://quiz.local/";
+
+      expect(getBaseUrl()).toBe("http://quiz.local");
+    });
+
+    test("should build URL from LAN address and port", () => {
+      config.server.publicUrl = "";
+      config.server.port = 3000;
+      jest.spyOn(os, "networkInterfaces").mockReturnValue({
+        eth0: [{ address: "192.168.1.10", family: "IPv4", internal: false }],
+      });
+
+      expect(getBaseUrl()).toBe("http://192.168.1.10:3000");
+
+      config.server.port = 80;
+      expect(getBaseUrl()).toBe("http://192.168.1.10");
+    });
+  });
+
+  describe("getPlayerUrl", () => {
+    test("should add PIN to player URL", () => {
+      config.server.publicUrl = "http://quiz.local";
+
+      expect(getPlayerUrl("123456")).toBe("http://quiz.local/?pin=123456");
+      expect(getPlayerUrl()).toBe("http://quiz.local/");
+    });
+  });
+});
@@ -0,0 +1,74 @@
+const {
+  parseNumericAnswer,
+  getNumericRange,
+  isNumericAnswerCorrect,
+  formatNumericAnswer,
+  buildHistogram,
+} = require("../../../src/utils/numericAnswer");
+
+describe("numericAnswer", () => {
+  describe("parseNumericAnswer", () => {
+    test("should parse exact number", () => {
+      expect(parseNumericAnswer(" 42 ")).toEqual({ value: 42, tolerance: 0 });
+      expect(parseNumericAnswer("-3,14")).toEqual({ value: -3.14, tolerance: 0 });
+    });
+
+    test("should parse tolerance", () => {
+      expect(parseNumericAnswer("42 ±0.5")).toEqual({ value: 42, tolerance: 0.5 });
+      expect(parseNumericAnswer("42+-0,5")).toEqual({ value: 42, tolerance: 0.5 });
+    });
+
+    test("should parse range", () => {
+      expect(parseNumericAnswer("[40..45]")).toEqual({ min: 40, max: 45 });
+      expect(parseNumericAnswer("[ 45 .. 40 ]")).toEqual({ min: 40, max: 45 });
+    });
+
+    test("should return null for non-numeric answer", () => {
+      expect(parseNumericAnswer("42 года")).toBeNull();
+      expect(parseNumericAnswer("input()")).toBeNull();
+    });
+  });
+
+  describe("isNumericAnswerCorrect", () => {
+    test("should include bounds", () => {
+      const correct = { value: 0.3, tolerance: 0.1 };
+
+      expect(getNumericRange(correct).max).toBeCloseTo(0.4);
+      expect(isNumericAnswerCorrect(0.2, correct)).toBe(true);
+      expect(isNumericAnswerCorrect(0.4, correct)).toBe(true);
+      expect(isNumericAnswerCorrect(0.41, correct)).toBe(false);
+      expect(isNumericAnswerCorrect(45, { min: 40, max: 45 })).toBe(true);
+      expect(isNumericAnswerCorrect(39, { min: 40, max: 45 })).toBe(false);
+    });
+  });
+
+  describe("formatNumericAnswer", () => {
+    test("should format answer for players", () => {
+      expect(formatNumericAnswer({ value: 42, tolerance: 0 })).toBe("42");
+      expect(formatNumericAnswer({ value: 42, tolerance: 0.5 })).toBe("42 ± 0.5");
+      expect(formatNumericAnswer({ min: 40, max: 45 })).toBe("от 40 до 45");
+    });
+  });
+
+  describe("buildHistogram", () => {
+    test("should give each distinct value its own bin", () => {
+      expect(buildHistogram([3, 1, 3])).toEqual([
+        { from: 1, to: 1, count: 1 },
+        { from: 3, to: 3, count: 2 },
+      ]);
+    });
+
+    test("should split wide spread into equal intervals", () => {
+      const bins = buildHistogram([0, 1, 2, 3, 4, 10], 2);
+
+      expect(bins).toEqual([
+        { from: 0, to: 5, count: 5 },
+        { from: 5, to: 10, count: 1 },
+      ]);
+    });
+
+    test("should return no bins without answers", () => {
+      expect(buildHistogram([])).toEqual([]);
+    });
+  });
+});
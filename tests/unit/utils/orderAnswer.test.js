@@ -0,0 +1,62 @@
+const {
+  kendallDistance,
+  orderSimilarity,
+  isOrderCorrect,
+  shuffleOrderItems,
+} = require("../../../src/utils/orderAnswer");
+
+describe("orderAnswer", () => {
+  describe("kendallDistance", () => {
+    test("should count pairs in wrong order", () => {
+      expect(kendallDistance([0, 1, 2, 3], [0, 1, 2, 3])).toBe(0);
+      expect(kendallDistance([1, 0, 2, 3], [0, 1, 2, 3])).toBe(1);
+      expect(kendallDistance([3, 2, 1, 0], [0, 1, 2, 3])).toBe(6);
+    });
+
+    test("should compare with positions in correct order", () => {
+      expect(kendallDistance([2, 0, 1], [2, 0, 1])).toBe(0);
+      expect(kendallDistance([0, 2, 1], [2, 0, 1])).toBe(1);
+    });
+  });
+
+  describe("orderSimilarity", () => {
+    test("should return share of correctly ordered pairs", () => {
+      expect(orderSimilarity([0, 1, 2, 3], [0, 1, 2, 3])).toBe(1);
+      expect(orderSimilarity([1, 0, 2, 3], [0, 1, 2, 3])).toBeCloseTo(5 / 6);
+      expect(orderSimilarity([3, 2, 1, 0], [0, 1, 2, 3])).toBe(0);
+    });
+
+    test("should treat single item as correct", () => {
+      expect(orderSimilarity([0], [0])).toBe(1);
+    });
+  });
+
+  describe("isOrderCorrect", () => {
+    test("should require every item in place", () => {
+      expect(isOrderCorrect([2, 0, 1], [2, 0, 1])).toBe(true);
+      expect(isOrderCorrect([0, 2, 1], [2, 0, 1])).toBe(false);
+      expect(isOrderCorrect([2, 0], [2, 0, 1])).toBe(false);
+    });
+  });
+
+  describe("shuffleOrderItems", () => {
+    test("should keep correct order pointing to the same items", () => {
+      const question = {
+        type: "order",
+        question: "Q?",
+        options: [{ text: "A" }, { text: "B" }, { text: "C" }, { text: "D" }],
+        correct: [0, 1, 2, 3],
+      };
+
+      const shuffled = shuffleOrderItems(question);
+
+      expect(shuffled.correct.map((index) => shuffled.options[index].text)).toEqual([
+        "A",
+        "B",
+        "C",
+        "D",
+      ]);
+      expect(question.options[0].text).toBe("A");
+    });
+  });
+});
@@ -0,0 +1,133 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { describeQuiz, listQuizzes } = require("../../../src/utils/quizCatalog");
+
+describe("quizCatalog", () => {
+  describe("describeQuiz", () => {
+    test("should describe quiz with header", () => {
+      const content = `Название: Паскаль: основы
+Автор: Иванова А. П.
+Предмет: Информатика
+Класс: 8
+Описание: Циклы и условия
+Теги: pascal, циклы
+Время: 30
+Перемешать: да
+
+Вопрос: Что выведет программа?
+Варианты:
+Привет
+Ошибка
+Ответ: 1
+
+Вопрос: Расставьте этапы по порядку
+Порядок:
+Ввод
+Вывод`;
+
+      expect(describeQuiz("pascal1.txt", content)).toEqual({
+        fileName: "pascal1.txt",
+        title: "Паскаль: основы",
+        author: "Иванова А. П.",
+        subject: "Информатика",
+        grade: "8",
+        description: "Циклы и условия",
+        tags: ["pascal", "циклы"],
+        timeLimit: 30,
+        shuffle: true,
+        questionCount: 2,
+        types: ["single", "order"],
+        media: { images: false, audio: false, video: false },
+      });
+    });
+
+    test("should use file name when header is missing", () => {
+      const quiz = describeQuiz("addsub1.txt", "Вопрос: 2 + 2 = ?\nВарианты:\n4\n5\nОтвет: 1");
+
+      expect(quiz.title).toBe("addsub1");
+      expect(quiz.author).toBeNull();
+      expect(quiz.tags).toEqual([]);
+      expect(quiz.timeLimit).toBeNull();
+      expect(quiz.shuffle).toBeNull();
+      expect(quiz.questionCount).toBe(1);
+    });
+
+    test("should not offer header time limit outside of 5-300 seconds", () => {
+      const quiz = describeQuiz(
+        "long.txt",
+        "Название: Долгий квиз\nВремя: 400\n\nВопрос: 2 + 2 = ?\nВарианты:\n4\n5\nОтвет: 1",
+      );
+
+      expect(quiz.title).toBe("Долгий квиз");
+      expect(quiz.timeLimit).toBeNull();
+    });
+
+    test("should detect images, audio and video", () => {
+      const content = `Вопрос: Чей это голос? [audio:voice.mp3]
+Варианты:
+[img:cat.png] Кошка
+Собака
+Ответ: 1
+
+Вопрос: Что на видео? [video:clip.mp4]
+Варианты:
+Закат
+Рассвет
+Ответ: 1`;
+
+      expect(describeQuiz("media.txt", content).media).toEqual({
+        images: true,
+        audio: true,
+        video: true,
+      });
+    });
+  });
+
+  describe("listQuizzes", () => {
+    const QUESTION = "Вопрос: Верно?\nВарианты:\nДа\nНет\nОтвет: 1";
+    let dirPath;
+
+    beforeEach(() => {
+      dirPath = fs.mkdtempSync(path.join(os.tmpdir(), "akaquiz-catalog-"));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dirPath, { recursive: true, force: true });
+    });
+
+    test("should list quiz files sorted by name", () => {
+      fs.writeFileSync(path.join(dirPath, "b.txt"), "Название: Второй\n\n" + QUESTION);
+      fs.writeFileSync(path.join(dirPath, "a.txt"), QUESTION);
+      fs.writeFileSync(path.join(dirPath, "notes.md"), "# Заметки");
+
+      const quizzes = listQuizzes(dirPath);
+
+      expect(quizzes.map((quiz) => quiz.fileName)).toEqual(["a.txt", "b.txt"]);
+      expect(quizzes[1].title).toBe("Второй");
+    });
+
+    test("should list quizzes imported from Moodle formats", () => {
+      fs.writeFileSync(path.join(dirPath, "bank.gift"), "Верно? {T}\n\nСколько? {#4}");
+      fs.writeFileSync(path.join(dirPath, "test.aiken"), "Верно?\nA. Да\nB. Нет\nANSWER: A");
+      fs.writeFileSync(path.join(dirPath, "a.txt"), QUESTION);
+
+      const quizzes = listQuizzes(dirPath);
+
+      expect(quizzes.map((quiz) => quiz.fileName)).toEqual(["a.txt", "bank.gift", "test.aiken"]);
+      expect(quizzes[1]).toMatchObject({
+        title: "bank",
+        questionCount: 2,
+        types: ["truefalse", "numeric"],
+      });
+      expect(quizzes[2]).toMatchObject({ title: "test", questionCount: 1, types: ["single"] });
+    });
+
+    test("should create missing directory", () => {
+      const missingPath = path.join(dirPath, "quizzes");
+
+      expect(listQuizzes(missingPath)).toEqual([]);
+      expect(fs.existsSync(missingPath)).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,49 @@
+const { getFormat } = require("../../../src/utils/quizFormats");
+
+describe("quizFormats", () => {
+  const content =
+    "Название: Столицы\n\nВопрос: Столица Франции?\nВарианты:\nПариж\nЛондон\nОтвет: 1\n";
+
+  test("should read text quiz with header", () => {
+    const quiz = getFormat("capitals.txt").read(content);
+
+    expect(quiz.header).toEqual({ title: "Столицы" });
+    expect(quiz.questions).toHaveLength(1);
+    expect(quiz.questions[0].correct).toBe(0);
+  });
+
+  test("should convert text quiz to JSON and back", () => {
+    const quiz = getFormat("txt").read(content);
+    const json = getFormat("capitals.json").write(quiz);
+
+    expect(getFormat("json").read(json)).toEqual(quiz);
+    expect(getFormat("txt").write(getFormat("json").read(json))).toBe(content);
+  });
+
+  test("should read JSON array of questions", () => {
+    const quiz = getFormat("json").read(JSON.stringify([{ type: "single", question: "?" }]));
+
+    expect(quiz).toEqual({ header: {}, questions: [{ type: "single", question: "?" }] });
+  });
+
+  test("should reject JSON without questions", () => {
+    expect(() => getFormat("json").read(JSON.stringify({ title: "Столицы" }))).toThrow(
+      "массив вопросов",
+    );
+  });
+
+  test("should import Moodle formats without writing them", () => {
+    const quiz = getFormat("bank.gift").read("Верно? {T}");
+
+    expect(quiz.header).toEqual({});
+    expect(quiz.questions[0].type).toBe("truefalse");
+    expect(getFormat("aiken").read("Верно?\nA. Да\nB. Нет\nANSWER: B").questions[0].correct).toBe(
+      1,
+    );
+    expect(() => getFormat("bank.gift").write(quiz)).toThrow("только для импорта");
+  });
+
+  test("should reject unknown format", () => {
+    expect(() => getFormat("quiz.docx")).toThrow("Формат «docx» не поддерживается");
+  });
+});
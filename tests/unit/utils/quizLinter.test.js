@@ -0,0 +1,224 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  lintQuizContent,
+  lintImportedContent,
+  lintQuizFile,
+} = require("../../../src/utils/quizLinter");
+
+describe("quizLinter", () => {
+  let mediaDir;
+
+  beforeAll(() => {
+    mediaDir = fs.mkdtempSync(path.join(os.tmpdir(), "akaquiz-media-"));
+    fs.mkdirSync(path.join(mediaDir, "animals"));
+    fs.writeFileSync(path.join(mediaDir, "animals", "cat.jpg"), "");
+  });
+
+  afterAll(() => {
+    fs.rmSync(mediaDir, { recursive: true, force: true });
+  });
+
+  const lint = (content) => lintQuizContent(content, mediaDir);
+
+  test("should accept valid quiz", () => {
+    const result = lint(`Название: Животные
+
+Вопрос: Кто на фото? [img:animals/cat.jpg]
+Варианты:
+Кот
+Собака
+Ответ: 1
+
+Вопрос: Расставьте по порядку
+Порядок:
+Один
+Два`);
+
+    expect(result).toEqual({ isValid: true, errors: [], warnings: [] });
+  });
+
+  test("should report missing sections with block line", () => {
+    const result = lint(`Вопрос: Столица Франции?
+Варианты:
+Париж
+Лондон
+Ответ: 1
+
+Столица Италии?
+Рим
+
+Вопрос: Сколько будет 2 + 2?`);
+
+    expect(result.isValid).toBe(false);
+    expect(result.errors).toEqual([
+      { line: 7, message: "Нет строки «Вопрос:»" },
+      { line: 7, message: "Нет строк «Варианты:» и «Ответ:»" },
+      { line: 10, message: "Нет строк «Варианты:» и «Ответ:»" },
+    ]);
+  });
+
+  test("should report answers outside of options", () => {
+    const result = lint(`Вопрос: Выберите чётные числа
+Варианты:
+2
+3
+4
+Ответ: 1, 5
+
+Вопрос: Столица Франции?
+Варианты:
+Париж
+Лондон
+Ответ: Париж`);
+
+    expect(result.errors).toEqual([
+      { line: 6, message: "Ответ 5 вне списка вариантов: их 3" },
+      { line: 12, message: "В строке «Ответ:» нет номера правильного варианта" },
+    ]);
+  });
+
+  test("should report empty and duplicate options", () => {
+    const result = lint(`Вопрос: Выберите фрукт
+Варианты:
+Яблоко
+${"   "}
+яблоко
+Груша
+Ответ: 1`);
+
+    expect(result.errors).toEqual([{ line: 4, message: "Пустой вариант ответа" }]);
+    expect(result.warnings).toEqual([{ line: 5, message: "Вариант «яблоко» повторяет вариант 1" }]);
+  });
+
+  test("should report missing media and Windows paths", () => {
+    const result = lint(`Вопрос: Кто на фото? [img:animals\\cat.jpg]
+Варианты:
+[img:animals/dog.jpg] Собака
+[audio:https://example.com/cat.mp3] Кот
+Ответ: 2`);
+
+    expect(result.errors).toEqual([
+      { line: 3, message: "Файл не найден: public/media/animals/dog.jpg" },
+    ]);
+    expect(result.warnings).toEqual([
+      {
+        line: 1,
+        message: "Путь «animals\\cat.jpg» записан через «\\»: используйте «animals/cat.jpg»",
+      },
+    ]);
+  });
+
+  test("should warn about # lines outside of code blocks", () => {
+    const result = lint(`# Раздел 1
+Вопрос: Что выведет программа?
+\`\`\`python
+# комментарий в коде
+print(1)
+\`\`\`
+Варианты:
+1
+2
+Ответ: 1`);
+
+    expect(result.warnings).toEqual([
+      {
+        line: 1,
+        message: "Строка с # не считается комментарием и попадёт в вопрос или варианты",
+      },
+    ]);
+  });
+
+  test("should warn about time limit outside of allowed range in header and questions", () => {
+    const result = lint(`Название: Столицы
+Время: 2
+
+Вопрос: Столица Франции?
+Время: 400
+Варианты:
+Париж
+Лондон
+Ответ: 1
+
+Вопрос: Столица Италии?
+Время: 60
+Варианты:
+Рим
+Милан
+Ответ: 1`);
+
+    expect(result.isValid).toBe(true);
+    const message =
+      "Время на ответ должно быть целым числом от 5 до 300 секунд: строка не учитывается";
+    expect(result.warnings).toEqual([
+      { line: 2, message },
+      { line: 5, message },
+    ]);
+  });
+
+  test("should check ordering and matching questions", () => {
+    const result = lint(`Вопрос: Расставьте по порядку
+Порядок:
+Один
+
+Вопрос: Соотнесите
+Пары:
+Кошка -> Мяу
+Собака Гав`);
+
+    expect(result.errors).toEqual([
+      { line: 2, message: "В вопросе на порядок меньше двух элементов" },
+    ]);
+    expect(result.warnings).toEqual([{ line: 8, message: "Строка без «->» не считается парой" }]);
+  });
+
+  test("should report file without questions", () => {
+    expect(lint("Название: Пустой квиз").errors).toEqual([
+      { line: 1, message: "В файле нет вопросов" },
+    ]);
+  });
+
+  test("should lint quiz file from directory", () => {
+    const dirPath = fs.mkdtempSync(path.join(os.tmpdir(), "akaquiz-quizzes-"));
+    fs.writeFileSync(path.join(dirPath, "quiz.txt"), "Вопрос: Верно?\nОтвет: Да");
+
+    expect(lintQuizFile("quiz.txt", dirPath, mediaDir).isValid).toBe(true);
+
+    fs.rmSync(dirPath, { recursive: true, force: true });
+  });
+
+  test("should lint GIFT questions", () => {
+    const result = lintImportedContent(
+      "Верно? {T}\n\nЭссе {}\n\nВыберите {~a ~a}\n\nСоотнесите {= -> b}",
+      ".gift",
+    );
+
+    expect(result.errors).toEqual([
+      { line: 5, message: "Не указан правильный вариант" },
+      { line: 7, message: "Нет пар для сопоставления" },
+    ]);
+    expect(result.warnings).toEqual([
+      {
+        line: 3,
+        message: "Вопрос без ответов в фигурных скобках (эссе, описание) не импортируется",
+      },
+      { line: 5, message: "Вариант «a» повторяет вариант 1" },
+    ]);
+  });
+
+  test("should lint Aiken file from directory", () => {
+    const dirPath = fs.mkdtempSync(path.join(os.tmpdir(), "akaquiz-quizzes-"));
+    fs.writeFileSync(
+      path.join(dirPath, "test.aiken"),
+      "Верно?\nA. Да\nB. Нет\nANSWER: C\n\nБез вариантов\nANSWER: A",
+    );
+
+    expect(lintQuizFile("test.aiken", dirPath, mediaDir).errors).toEqual([
+      { line: 1, message: "Не указан правильный вариант" },
+      { line: 6, message: "Нет вариантов вида «A. текст»" },
+    ]);
+
+    fs.rmSync(dirPath, { recursive: true, force: true });
+  });
+});
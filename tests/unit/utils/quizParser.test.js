@@ -4,6 +4,9 @@ const {
   loadQuizFile,
   loadQuizFileAsync,
   loadQuizFileSync,
+  parseQuizContent,
+  parseQuizHeader,
+  parseQuizFile,
   shuffleArray,
   clearCache,
 } = require("../../../src/utils/quizParser");
@@ -371,7 +374,7 @@ Option 2
       expect(result[0].correct).toBe(-1);
     });
 
-    test("should handle missing answer", () => {
+    test("should parse options without answer as poll", () => {
       const quizWithoutAnswer = `Вопрос: Test question?
 Варианты:
 Option 1
@@ -380,7 +383,8 @@ Option 2`;
       fs.writeFileSync(testQuizFile, quizWithoutAnswer);
       const result = loadQuizFile("example.txt");
 
-      expect(result[0].correct).toBe(-1);
+      expect(result[0].type).toBe("poll");
+      expect(result[0].correct).toBeNull();
     });
 
     test("should handle multiple questions", () => {
@@ -406,4 +410,473 @@ B2
       expect(result[1].correct).toBe(1);
     });
   });
+
+  describe("free-text answers", () => {
+    test("should parse question without options as free-text question", () => {
+      const result = parseQuizContent(`Вопрос: Какая функция читает ввод?
+Ответ: input() | input`);
+
+      expect(result[0].type).toBe("text");
+      expect(result[0].options).toEqual([]);
+      expect(result[0].correct).toEqual(["input()", "input"]);
+      expect(result[0].textMatch).toEqual({ ignoreCase: true, trimSpaces: true, foldYo: true });
+    });
+
+    test("should not split regular expression by its alternatives", () => {
+      const result = parseQuizContent(`Вопрос: Q?
+Ответ: /^(input|ввод)$/i | ввести`);
+
+      expect(result[0].correct).toEqual(["/^(input|ввод)$/i", "ввести"]);
+    });
+
+    test("should read match options", () => {
+      const result = parseQuizContent(`Вопрос: Q?
+Ответ: Ёж
+Учитывать: регистр, ё`);
+
+      expect(result[0].textMatch).toEqual({ ignoreCase: false, trimSpaces: true, foldYo: false });
+    });
+
+    test("should keep yes/no and numeric answers as text with match line", () => {
+      const result = parseQuizContent(
+        "Вопрос: Q1?\nОтвет: Да\nУчитывать:\n\nВопрос: Q2?\nОтвет: 42\nУчитывать: регистр",
+      );
+
+      expect(result.map((question) => question.type)).toEqual(["text", "text"]);
+      expect(result[0].correct).toEqual(["Да"]);
+      expect(result[1].correct).toEqual(["42"]);
+    });
+  });
+
+  describe("ordering questions", () => {
+    test("should parse items in listed order as correct order", () => {
+      const result = parseQuizContent(`Вопрос: Расставьте этапы по порядку
+Порядок:
+Написание кода
+Компиляция
+[img:run.png] Запуск
+`);
+
+      expect(result[0].type).toBe("order");
+      expect(result[0].options).toEqual([
+        { text: "Написание кода", img: null },
+        { text: "Компиляция", img: null },
+        { text: "Запуск", img: "/media/run.png" },
+      ]);
+      expect(result[0].correct).toEqual([0, 1, 2]);
+    });
+  });
+
+  describe("matching questions", () => {
+    test("should parse pairs and merge repeated right parts", () => {
+      const result = parseQuizContent(`Вопрос: Сопоставьте устройства и категории
+Пары:
+Клавиатура -> Устройства ввода
+Монитор → Устройства вывода
+[img:mouse.png] Мышь->Устройства ввода
+`);
+
+      expect(result[0].type).toBe("match");
+      expect(result[0].options).toEqual([
+        { text: "Клавиатура", img: null },
+        { text: "Монитор", img: null },
+        { text: "Мышь", img: "/media/mouse.png" },
+      ]);
+      expect(result[0].targets).toEqual([
+        { text: "Устройства ввода", img: null },
+        { text: "Устройства вывода", img: null },
+      ]);
+      expect(result[0].correct).toEqual([0, 1, 0]);
+    });
+  });
+
+  describe("question settings", () => {
+    test("should read time limit and points anywhere in block", () => {
+      const result = parseQuizContent(`Время: 45
+Вопрос: Q?
+Варианты:
+A
+B
+Баллы: 200
+Ответ: 2`);
+
+      expect(result[0]).toMatchObject({ timeLimit: 45, points: 200, correct: 1 });
+      expect(result[0].options).toEqual([
+        { text: "A", img: null },
+        { text: "B", img: null },
+      ]);
+    });
+
+    test("should ignore invalid values", () => {
+      const result = parseQuizContent(`Вопрос: Q?
+Время: много
+Баллы: -5
+Ответ: 42`);
+
+      expect(result[0]).not.toHaveProperty("timeLimit");
+      expect(result[0]).not.toHaveProperty("points");
+    });
+
+    test("should ignore time limit outside of 5-300 seconds", () => {
+      const [tooLong, tooShort, longest] = parseQuizContent(
+        "Вопрос: Q1?\nВремя: 400\nОтвет: 1\n\nВопрос: Q2?\nВремя: 3\nОтвет: 1\n\n" +
+          "Вопрос: Q3?\nВремя: 300\nОтвет: 1",
+      );
+
+      expect(tooLong).not.toHaveProperty("timeLimit");
+      expect(tooShort).not.toHaveProperty("timeLimit");
+      expect(longest.timeLimit).toBe(300);
+    });
+  });
+
+  describe("audio and video", () => {
+    test("should read audio in question and timer setting", () => {
+      const result = parseQuizContent(`Вопрос: Чья это музыка? [audio:mozart.mp3]
+Таймер: после воспроизведения
+Варианты:
+Моцарт
+Бах
+Ответ: 1`);
+
+      expect(result[0].question).toBe("Чья это музыка?");
+      expect(result[0].questionMedia).toEqual({ type: "audio", src: "/media/mozart.mp3" });
+      expect(result[0].timerAfterMedia).toBe(true);
+      expect(result[0].options).toEqual([
+        { text: "Моцарт", img: null },
+        { text: "Бах", img: null },
+      ]);
+    });
+
+    test("should read media in options and pairs", () => {
+      const result = parseQuizContent(`Вопрос: Какое слово звучит в записи?
+Варианты:
+[video:https://example.com/cat.mp4] Кошка
+[audio:dog.ogg]
+Ответ: 1
+
+Вопрос: Соотнесите запись и инструмент
+Пары:
+[audio:violin.mp3] -> Скрипка`);
+
+      expect(result[0].options).toEqual([
+        {
+          text: "Кошка",
+          img: null,
+          media: { type: "video", src: "https://example.com/cat.mp4" },
+        },
+        { text: "", img: null, media: { type: "audio", src: "/media/dog.ogg" } },
+      ]);
+      expect(result[1].options[0].media).toEqual({ type: "audio", src: "/media/violin.mp3" });
+    });
+
+    test("should ignore timer setting without media", () => {
+      const result = parseQuizContent(`Вопрос: Q?
+Таймер: после воспроизведения
+Ответ: 42`);
+
+      expect(result[0]).not.toHaveProperty("questionMedia");
+      expect(result[0]).not.toHaveProperty("timerAfterMedia");
+      expect(result[0].correct).toEqual({ value: 42, tolerance: 0 });
+    });
+  });
+
+  describe("multi-line questions and code blocks", () => {
+    test("should keep multi-line question with indented code", () => {
+      const result = parseQuizContent(`Вопрос: Что выведет программа?
+\`\`\`python
+for i in range(2):
+
+    print(i)
+\`\`\`
+Подсказка: range не включает конец
+Варианты:
+0 1
+1 2
+Ответ: 1`);
+
+      expect(result).toHaveLength(1);
+      expect(result[0].question).toBe(
+        " Что выведет программа?\n```python\nfor i in range(2):\n\n    print(i)\n```\nПодсказка: range не включает конец",
+      );
+      expect(result[0].options).toHaveLength(2);
+      expect(result[0].correct).toBe(0);
+    });
+
+    test("should read code block as one option", () => {
+      const result = parseQuizContent(`Вопрос: Какой цикл выведет числа от 1 до 3?
+Варианты:
+\`\`\`pascal
+for var i := 1 to 3 do
+  Print(i);
+\`\`\`
+\`\`\`pascal
+for var i := 0 to 3 do
+  Print(i);
+\`\`\`
+Ответ: 1`);
+
+      expect(result[0].options).toEqual([
+        { text: "```pascal\nfor var i := 1 to 3 do\n  Print(i);\n```", img: null },
+        { text: "```pascal\nfor var i := 0 to 3 do\n  Print(i);\n```", img: null },
+      ]);
+    });
+
+    test("should not treat section names inside code as sections", () => {
+      const result = parseQuizContent(`Вопрос: Что напечатает программа?
+\`\`\`text
+Варианты:
+\`\`\`
+Ответ: Варианты:`);
+
+      expect(result[0].type).toBe("text");
+      expect(result[0].question).toBe(" Что напечатает программа?\n```text\nВарианты:\n```");
+    });
+  });
+
+  describe("formulas", () => {
+    test("should keep LaTeX in question, options and explanation", () => {
+      const result = parseQuizContent(`Вопрос: Чему равно $\\frac{1}{2} + \\frac{1}{4}$?
+$$x^{2} \\le 4$$
+Варианты:
+$\\frac{3}{4}$
+$\\frac{2}{6}$
+Ответ: 1
+Пояснение: $\\frac{1}{2} = \\frac{2}{4}$`);
+
+      expect(result[0].question).toBe(
+        " Чему равно $\\frac{1}{2} + \\frac{1}{4}$?\n$$x^{2} \\le 4$$",
+      );
+      expect(result[0].options.map((option) => option.text)).toEqual([
+        "$\\frac{3}{4}$",
+        "$\\frac{2}{6}$",
+      ]);
+      expect(result[0].explanation.text).toBe("$\\frac{1}{2} = \\frac{2}{4}$");
+    });
+  });
+
+  describe("explanations", () => {
+    test("should read multi-line explanation with image", () => {
+      const result = parseQuizContent(`Вопрос: Что возвращает input()?
+Варианты:
+int
+str
+Пояснение: input() всегда возвращает строку,
+даже если ввели число. [img:input.png]
+Ответ: 2`);
+
+      expect(result[0].options).toHaveLength(2);
+      expect(result[0].correct).toBe(1);
+      expect(result[0].explanation).toEqual({
+        text: "input() всегда возвращает строку,\nдаже если ввели число.",
+        img: "/media/input.png",
+      });
+    });
+
+    test("should not take explanation lines as options", () => {
+      const result = parseQuizContent(`Вопрос: Какой язык вам нравится?
+Варианты:
+Python
+Pascal
+Пояснение: Это опрос`);
+
+      expect(result[0].type).toBe("poll");
+      expect(result[0].options).toHaveLength(2);
+      expect(result[0].explanation).toEqual({ text: "Это опрос", img: null });
+    });
+
+    test("should skip question without explanation", () => {
+      const result = parseQuizContent(`Вопрос: Q?
+Ответ: 42`);
+
+      expect(result[0]).not.toHaveProperty("explanation");
+    });
+  });
+
+  describe("true/false questions", () => {
+    test("should parse yes/no answer without options", () => {
+      const result = parseQuizContent(`Вопрос: Python — компилируемый язык?
+Ответ: нет`);
+
+      expect(result[0].type).toBe("truefalse");
+      expect(result[0].options).toEqual([
+        { text: "Да", img: null },
+        { text: "Нет", img: null },
+      ]);
+      expect(result[0].correct).toBe(1);
+    });
+
+    test("should keep yes/no answer with options as option number", () => {
+      const result = parseQuizContent(`Вопрос: Q?
+Варианты:
+Да
+Нет
+Ответ: Да`);
+
+      expect(result[0].type).toBe("single");
+    });
+  });
+
+  describe("numeric answers", () => {
+    test("should parse number with tolerance", () => {
+      const result = parseQuizContent(`Вопрос: Сколько байт в килобайте?
+Ответ: 1024 ±0,5`);
+
+      expect(result[0].type).toBe("numeric");
+      expect(result[0].options).toEqual([]);
+      expect(result[0].correct).toEqual({ value: 1024, tolerance: 0.5 });
+    });
+
+    test("should parse range", () => {
+      const result = parseQuizContent(`Вопрос: Q?
+Ответ: [45..40]`);
+
+      expect(result[0].correct).toEqual({ min: 40, max: 45 });
+    });
+
+    test("should keep text answer that is not a number", () => {
+      const result = parseQuizContent(`Вопрос: Q?
+Ответ: 42 года`);
+
+      expect(result[0].type).toBe("text");
+    });
+  });
+
+  describe("multiple correct answers", () => {
+    test("should parse several answer numbers as multiple-answer question", () => {
+      const result = parseQuizContent(`Вопрос: Which are even?
+Варианты:
+2
+3
+4
+Ответ: 1, 3`);
+
+      expect(result[0].type).toBe("multiple");
+      expect(result[0].correct).toEqual([0, 2]);
+      expect(result[0].options).toHaveLength(3);
+    });
+
+    test("should sort answer numbers and drop duplicates", () => {
+      const result = parseQuizContent(`Вопрос: Q?
+Варианты:
+A
+B
+C
+Ответ: 3, 1,3`);
+
+      expect(result[0].correct).toEqual([0, 2]);
+    });
+
+    test("should keep single answer as number", () => {
+      const result = parseQuizContent(`Вопрос: Q?
+Варианты:
+A
+B
+Ответ: 2`);
+
+      expect(result[0].type).toBe("single");
+      expect(result[0].correct).toBe(1);
+    });
+
+    test("should parse Windows line endings", () => {
+      const result = parseQuizContent(
+        "Вопрос: Q?\r\nВарианты:\r\nA\r\nB\r\nОтвет: 1, 2\r\n\r\nВопрос: Q2?",
+      );
+
+      expect(result).toHaveLength(2);
+      expect(result[0].options.map((option) => option.text)).toEqual(["A", "B"]);
+      expect(result[0].correct).toEqual([0, 1]);
+    });
+  });
+
+  describe("question tags", () => {
+    test("should read tags of question", () => {
+      const result = parseQuizContent(`Вопрос: Сколько раз выполнится цикл?
+Теги: циклы; огэ
+Варианты:
+3
+4
+Ответ: 2`);
+
+      expect(result[0].tags).toEqual(["циклы", "огэ"]);
+      expect(result[0].options).toHaveLength(2);
+    });
+  });
+
+  describe("quiz header", () => {
+    const content = `Название: Алгоритмы
+Автор: Иванова А. П.
+Предмет: Информатика
+Класс: 9
+Описание: Исполнители и циклы.
+Подготовка к ОГЭ
+Теги: огэ; циклы,
+Время: 20
+Перемешать: нет
+
+Вопрос: Сколько раз выполнится цикл?
+Варианты:
+3
+4
+Ответ: 2`;
+
+    test("should read header fields", () => {
+      expect(parseQuizHeader(content)).toEqual({
+        title: "Алгоритмы",
+        author: "Иванова А. П.",
+        subject: "Информатика",
+        grade: "9",
+        description: "Исполнители и циклы.\nПодготовка к ОГЭ",
+        tags: ["огэ", "циклы"],
+        timeLimit: 20,
+        shuffle: false,
+      });
+    });
+
+    test("should not treat header as question", () => {
+      const result = parseQuizContent(content);
+
+      expect(result).toHaveLength(1);
+      expect(result[0].question).toBe(" Сколько раз выполнится цикл?");
+    });
+
+    test("should skip invalid settings", () => {
+      expect(parseQuizHeader("Название: Тест\nВремя: долго\nПеремешать: может быть")).toEqual({
+        title: "Тест",
+      });
+    });
+
+    test("should skip time limit outside of 5-300 seconds", () => {
+      expect(parseQuizHeader("Название: Тест\nВремя: 400")).toEqual({ title: "Тест" });
+      expect(parseQuizHeader("Название: Тест\nВремя: 300")).toEqual({
+        title: "Тест",
+        timeLimit: 300,
+      });
+    });
+
+    test("should return empty header for file without it", () => {
+      expect(parseQuizHeader("Вопрос: Верно?\nВарианты:\nДа\nНет\nОтвет: 1")).toEqual({});
+    });
+  });
+
+  describe("parseQuizFile", () => {
+    test("should parse text quiz with header", () => {
+      const quiz = parseQuizFile("quiz.txt", "Название: Тест\n\nВопрос: Верно?\nОтвет: Да");
+
+      expect(quiz.header).toEqual({ title: "Тест" });
+      expect(quiz.questions[0].type).toBe("truefalse");
+    });
+
+    test("should import Moodle GIFT and Aiken files by extension", () => {
+      const gift = parseQuizFile("bank.gift", "Верно? {T}\n\nСколько? {#4}");
+      const aiken = parseQuizFile("test.aiken", "Верно?\nA. Да\nB. Нет\nANSWER: A");
+
+      expect(gift.header).toEqual({});
+      expect(gift.questions.map((question) => question.type)).toEqual(["truefalse", "numeric"]);
+      expect(aiken.questions[0]).toMatchObject({ type: "single", correct: 0 });
+    });
+
+    test("should reject unknown extension", () => {
+      expect(() => parseQuizFile("quiz.md", "")).toThrow("Неподдерживаемый формат");
+    });
+  });
 });
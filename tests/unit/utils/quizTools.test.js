@@ -0,0 +1,92 @@
+const {
+  getQuizStats,
+  mergeQuizzes,
+  splitByTag,
+  rebalanceAnswers,
+} = require("../../../src/utils/quizTools");
+
+const choice = (correct, tags) => ({
+  type: "single",
+  question: "Вопрос",
+  questionImg: null,
+  options: ["A", "B", "C"].map((text) => ({ text, img: null })),
+  correct,
+  ...(tags ? { tags } : {}),
+});
+
+describe("quizTools", () => {
+  describe("getQuizStats", () => {
+    test("should count questions, tags and answer positions", () => {
+      const questions = [
+        choice(0, ["циклы"]),
+        choice(0),
+        { ...choice(0), type: "multiple", correct: [1, 2] },
+        { type: "truefalse", options: [], correct: 1, tags: ["циклы"] },
+      ];
+
+      expect(getQuizStats(questions)).toEqual({
+        total: 4,
+        byType: { single: 2, multiple: 1, truefalse: 1 },
+        tags: { циклы: 2 },
+        answerPositions: [2, 1, 1],
+      });
+    });
+  });
+
+  describe("mergeQuizzes", () => {
+    test("should keep common header fields and join tags", () => {
+      const merged = mergeQuizzes(
+        [
+          {
+            header: { title: "Циклы", subject: "Информатика", tags: ["циклы"] },
+            questions: [choice(0)],
+          },
+          {
+            header: { title: "Массивы", subject: "Информатика", tags: ["массивы"] },
+            questions: [choice(1), choice(2)],
+          },
+        ],
+        { title: "Программирование" },
+      );
+
+      expect(merged.header).toEqual({
+        title: "Программирование",
+        subject: "Информатика",
+        tags: ["циклы", "массивы"],
+      });
+      expect(merged.questions.map((question) => question.correct)).toEqual([0, 1, 2]);
+    });
+  });
+
+  describe("splitByTag", () => {
+    test("should group questions by tag ignoring case", () => {
+      const first = choice(0, ["Циклы", "массивы"]);
+      const second = choice(1, ["циклы"]);
+      const untagged = choice(2);
+
+      expect(splitByTag([first, second, untagged])).toEqual([
+        { tag: "Циклы", questions: [first, second] },
+        { tag: "массивы", questions: [first] },
+        { tag: null, questions: [untagged] },
+      ]);
+    });
+  });
+
+  describe("rebalanceAnswers", () => {
+    test("should spread correct answers over positions", () => {
+      const questions = [choice(0), choice(0), choice(0), choice(0)];
+
+      const balanced = rebalanceAnswers(questions);
+
+      expect(balanced.map((question) => question.correct)).toEqual([0, 1, 2, 0]);
+      expect(balanced[1].options.map((option) => option.text)).toEqual(["B", "A", "C"]);
+      expect(questions[1].correct).toBe(0);
+    });
+
+    test("should not change other question types", () => {
+      const order = { type: "order", options: [], correct: [0, 1] };
+
+      expect(rebalanceAnswers([order])[0]).toBe(order);
+    });
+  });
+});
@@ -0,0 +1,114 @@
+const { parseQuizContent, parseQuizHeader } = require("../../../src/utils/quizParser");
+const { parseGiftContent } = require("../../../src/utils/giftParser");
+const {
+  serializeQuestion,
+  serializeHeader,
+  serializeQuiz,
+} = require("../../../src/utils/quizWriter");
+
+describe("quizWriter", () => {
+  test("should write choice question with media and settings", () => {
+    const [question] = parseQuizContent(`Вопрос: Чья это музыка? [audio:mozart.mp3]
+Время: 30
+Таймер: после воспроизведения
+Теги: музыка, классика
+Варианты:
+Моцарт [img:mozart.jpg]
+Бах
+Ответ: 1
+Пояснение: Симфония № 40`);
+
+    expect(serializeQuestion(question)).toBe(`Вопрос: Чья это музыка? [audio:mozart.mp3]
+Время: 30
+Таймер: после воспроизведения
+Теги: музыка, классика
+Варианты:
+Моцарт [img:mozart.jpg]
+Бах
+Ответ: 1
+Пояснение: Симфония № 40`);
+  });
+
+  test("should write header fields", () => {
+    expect(
+      serializeHeader({
+        title: "Алгоритмы",
+        grade: "9",
+        tags: ["огэ", "циклы"],
+        timeLimit: 20,
+        shuffle: false,
+      }),
+    ).toBe("Название: Алгоритмы\nКласс: 9\nТеги: огэ, циклы\nВремя: 20\nПеремешать: нет");
+    expect(serializeHeader({})).toBe("");
+  });
+
+  test("should read written quiz back to the same questions", () => {
+    const content = `Название: Все типы вопросов
+Предмет: Информатика
+
+Вопрос: Выберите чётные числа
+Баллы: 200
+Варианты:
+2
+3
+4
+Ответ: 1, 3
+
+Вопрос: Python — компилируемый язык?
+Ответ: Нет
+
+Вопрос: Сколько будет 2 + 2?
+Ответ: 4 ±0.5
+
+Вопрос: Какая функция вводит данные?
+Ответ: input() | /^input$/i
+Учитывать: регистр
+
+Вопрос: Расставьте этапы
+Порядок:
+Написание кода
+[img:run.png] Запуск
+
+Вопрос: Соотнесите
+Пары:
+Клавиатура -> Ввод
+Монитор -> Вывод
+Мышь -> Ввод
+
+Вопрос: Какой язык вам нравится?
+Варианты:
+Python
+Pascal
+
+Вопрос: Что напечатает программа?
+\`\`\`python
+print(1)
+
+print(2)
+\`\`\`
+Варианты:
+1 2
+\`\`\`text
+1
+2
+\`\`\`
+Ответ: 2`;
+
+    const written = serializeQuiz(parseQuizContent(content), parseQuizHeader(content));
+
+    expect(parseQuizContent(written)).toEqual(parseQuizContent(content));
+    expect(parseQuizHeader(written)).toEqual(parseQuizHeader(content));
+  });
+
+  test("should keep imported short answers that look like numbers or yes/no as text", () => {
+    const questions = parseGiftContent("Ответ на главный вопрос? {=42}\n\nВерно? {=да}");
+
+    const written = serializeQuiz(questions, {});
+
+    expect(written).toContain("Ответ: 42\nУчитывать:\n");
+    expect(parseQuizContent(written)).toMatchObject([
+      { type: "text", correct: ["42"] },
+      { type: "text", correct: ["да"] },
+    ]);
+  });
+});
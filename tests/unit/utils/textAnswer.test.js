@@ -0,0 +1,57 @@
+const {
+  DEFAULT_TEXT_MATCH,
+  normalizeTextAnswer,
+  isTextAnswerCorrect,
+  getDisplayAnswers,
+} = require("../../../src/utils/textAnswer");
+
+describe("textAnswer", () => {
+  const strict = { ignoreCase: false, trimSpaces: false, foldYo: false };
+
+  describe("normalizeTextAnswer", () => {
+    test("should ignore case, extra spaces and ё by default", () => {
+      expect(normalizeTextAnswer("  Ёлка   Зелёная ")).toBe("елка зеленая");
+    });
+
+    test("should keep text as is in strict mode", () => {
+      expect(normalizeTextAnswer(" Ёлка ", strict)).toBe(" Ёлка ");
+    });
+  });
+
+  describe("isTextAnswerCorrect", () => {
+    test("should accept any of listed answers", () => {
+      expect(isTextAnswerCorrect("INPUT()", ["input()", "input"])).toBe(true);
+      expect(isTextAnswerCorrect(" input ", ["input()", "input"])).toBe(true);
+      expect(isTextAnswerCorrect("print()", ["input()", "input"])).toBe(false);
+    });
+
+    test("should respect match options", () => {
+      expect(
+        isTextAnswerCorrect("Input", ["input"], { ...DEFAULT_TEXT_MATCH, ignoreCase: false }),
+      ).toBe(false);
+      expect(isTextAnswerCorrect("ёж", ["еж"], { ...DEFAULT_TEXT_MATCH, foldYo: false })).toBe(
+        false,
+      );
+      expect(isTextAnswerCorrect("ёж", ["еж"])).toBe(true);
+    });
+
+    test("should match regular expression answers", () => {
+      const accepted = ["/^(raw_)?input\\(\\s*\\)$/"];
+
+      expect(isTextAnswerCorrect("input( )", accepted)).toBe(true);
+      expect(isTextAnswerCorrect("RAW_INPUT()", accepted)).toBe(true);
+      expect(isTextAnswerCorrect("input", accepted)).toBe(false);
+    });
+
+    test("should compare invalid regular expression as plain text", () => {
+      expect(isTextAnswerCorrect("/(/", ["/(/"])).toBe(true);
+    });
+  });
+
+  describe("getDisplayAnswers", () => {
+    test("should hide regular expressions when plain answers exist", () => {
+      expect(getDisplayAnswers(["input()", "/^input$/"])).toEqual(["input()"]);
+      expect(getDisplayAnswers(["/^input$/"])).toEqual(["/^input$/"]);
+    });
+  });
+});